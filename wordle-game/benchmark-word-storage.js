@@ -0,0 +1,125 @@
+// 比较 Set 和 WordTrie 保存大词典时的内存占用和查询速度
+//
+// 用法：node --expose-gc benchmark-word-storage.js [单词文件] [单词数]
+// 不提供单词文件时生成可复现的模拟单词（默认 120000 个，4-10 个字母，带常见前缀和后缀）
+import fs from 'fs';
+import { performance } from 'perf_hooks';
+import { WordTrie } from './src/js/WordTrie.js';
+import { SeededRandom } from './src/js/SeededRandom.js';
+
+const [file, countArg] = process.argv.slice(2);
+const wordCount = Number(countArg) || 120000;
+const random = new SeededRandom('benchmark');
+
+function loadWords() {
+  if (file) {
+    const words = fs.readFileSync(file, 'utf8').split('\n')
+      .map(line => line.trim().toUpperCase())
+      .filter(word => /^[A-Z]{4,10}$/.test(word));
+    return Array.from(new Set(words)).slice(0, wordCount);
+  }
+
+  const onsets = ['B', 'BR', 'C', 'CH', 'CL', 'CR', 'D', 'DR', 'F', 'FL', 'G', 'GR', 'H', 'J', 'K', 'L', 'M', 'N',
+    'P', 'PL', 'PR', 'QU', 'R', 'S', 'SH', 'SL', 'SP', 'ST', 'T', 'TH', 'TR', 'V', 'W', 'Y', 'Z'];
+  const vowels = ['A', 'E', 'I', 'O', 'U', 'AI', 'EA', 'EE', 'OO', 'OU'];
+  const codas = ['', 'B', 'CK', 'D', 'G', 'L', 'LL', 'M', 'N', 'ND', 'NG', 'NT', 'P', 'R', 'RN', 'S', 'SH', 'ST', 'T'];
+  const prefixes = ['', '', '', '', 'RE', 'UN', 'DIS', 'PRE', 'OVER'];
+  const suffixes = ['', '', '', 'S', 'ED', 'ER', 'ING', 'LY', 'NESS', 'ERS'];
+  const pick = (items) => items[random.nextInt(items.length)];
+
+  const words = new Set();
+  while (words.size < wordCount) {
+    let stem = '';
+    const syllables = 1 + random.nextInt(2);
+    for (let i = 0; i < syllables; i++) {
+      stem += pick(onsets) + pick(vowels) + pick(codas);
+    }
+    const word = pick(prefixes) + stem + pick(suffixes);
+    if (word.length >= 4 && word.length <= 10) {
+      words.add(word);
+    }
+  }
+  return Array.from(words);
+}
+
+// WordTrie 的边保存在 ArrayBuffer 中，不计入 heapUsed
+function heapUsed() {
+  if (global.gc) global.gc();
+  const usage = process.memoryUsage();
+  return usage.heapUsed + usage.arrayBuffers;
+}
+
+function measureMemory(create) {
+  const before = heapUsed();
+  const store = create();
+  const after = heapUsed();
+  return { store, bytes: after - before };
+}
+
+function time(run, repeat = 1) {
+  const start = performance.now();
+  let result;
+  for (let i = 0; i < repeat; i++) {
+    result = run();
+  }
+  return { ms: (performance.now() - start) / repeat, result };
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+const words = loadWords();
+// 单词数组只用来构造，复制出新的字符串，避免两种存储共用同一批字符串
+const copyWords = () => words.map(word => `${word} `.slice(0, -1));
+
+// 一半存在、一半把最后一个字母换掉（大多不存在）
+const queries = Array.from({ length: 200000 }, (_, index) => {
+  const word = words[random.nextInt(words.length)];
+  if (index % 2 === 0) return word;
+  return word.slice(0, -1) + String.fromCharCode(65 + random.nextInt(26));
+});
+
+console.log(`单词数: ${words.length}${file ? `（来自 ${file}）` : '（模拟单词）'}`);
+if (!global.gc) {
+  console.log('提示: 使用 node --expose-gc 运行可以得到更准确的内存数据');
+}
+
+const setMemory = measureMemory(() => new Set(copyWords()));
+const setBuild = time(() => new Set(copyWords()));
+const trieMemory = measureMemory(() => new WordTrie(copyWords()));
+const trieBuild = time(() => new WordTrie(copyWords()));
+const set = setMemory.store;
+const trie = trieMemory.store;
+
+const setLookup = time(() => queries.reduce((found, word) => found + (set.has(word) ? 1 : 0), 0));
+const trieLookup = time(() => queries.reduce((found, word) => found + (trie.has(word) ? 1 : 0), 0));
+if (setLookup.result !== trieLookup.result) {
+  throw new Error('Set 和 WordTrie 的查询结果不一致');
+}
+
+// 旧实现：每次都把整个 Set 复制成数组再筛选
+const setRandom = time(() => {
+  const candidates = Array.from(set).filter(word => word.length === 5);
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}, 20);
+const trieRandom = time(() => trie.randomWord(5), 1000);
+
+const setPrefix = time(() => Array.from(set).filter(word => word.startsWith('STR')), 20);
+const triePrefix = time(() => trie.wordsWithPrefix('STR'), 20);
+
+const serialized = trie.serialize();
+
+const rows = [
+  ['', 'Set', 'WordTrie'],
+  ['内存', formatBytes(setMemory.bytes), formatBytes(trieMemory.bytes)],
+  ['构造', `${setBuild.ms.toFixed(1)} ms`, `${trieBuild.ms.toFixed(1)} ms`],
+  [`查询 ${queries.length} 次`, `${setLookup.ms.toFixed(1)} ms`, `${trieLookup.ms.toFixed(1)} ms`],
+  ['随机5个字母单词', `${setRandom.ms.toFixed(3)} ms`, `${trieRandom.ms.toFixed(3)} ms`],
+  ['前缀 STR', `${setPrefix.ms.toFixed(3)} ms`, `${triePrefix.ms.toFixed(3)} ms`],
+  ['文件大小', `${formatBytes(JSON.stringify(words).length)}（JSON）`, `${formatBytes(serialized.length)}（base64）`]
+];
+
+rows.forEach(([label, setValue, trieValue]) => {
+  console.log(`${label.padEnd(16)}${setValue.padStart(22)}${trieValue.padStart(22)}`);
+});
@@ -0,0 +1,91 @@
+// 答案难度评分工具：模拟玩家猜测每个答案单词，把难度分数写回答案词库包
+//
+// 用法：
+//   node rate-difficulty.js [--dir public/lexicon] [--players 50] [--seed difficulty]
+//
+// 模拟玩家每次从仍符合所有反馈的单词中随机猜一个（见 src/js/WordDifficulty.js），
+// 按平均猜测次数和失败率给同样长度的答案单词排名，得到0-100的难度分数。
+// 写回后清单中答案词库包的校验和和版本号会更新。
+import fs from 'fs';
+import path from 'path';
+import { WordListCurator } from './src/js/WordListCurator.js';
+import { parseLexiconPack } from './src/js/LexiconLoader.js';
+import { DIFFICULTY_LEVELS, DIFFICULTY_NAMES, getDifficultyLevel, rankDifficulty, rateWords } from './src/js/WordDifficulty.js';
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+    }
+  }
+  return options;
+}
+
+function readPack(dir, pack) {
+  return parseLexiconPack(fs.readFileSync(path.join(dir, pack.url), 'utf8'), pack.format);
+}
+
+function printSummary(ratings, difficulties) {
+  const levels = {};
+  DIFFICULTY_LEVELS.forEach(level => {
+    levels[level] = { words: 0, guesses: 0, failures: 0 };
+  });
+  ratings.forEach((rating, word) => {
+    const level = levels[getDifficultyLevel(difficulties.get(word))];
+    level.words++;
+    level.guesses += rating.score;
+    level.failures += rating.failureRate;
+  });
+
+  DIFFICULTY_LEVELS.forEach(level => {
+    const { words, guesses, failures } = levels[level];
+    if (words === 0) return;
+    console.log(`${DIFFICULTY_NAMES[level]}: ${words} 个单词，平均 ${(guesses / words).toFixed(2)} 次，失败率 ${Math.round(failures / words * 100)}%`);
+  });
+}
+
+function main(argv) {
+  const options = parseArgs(argv);
+  const dir = options.dir || 'public/lexicon';
+  const manifestFile = path.join(dir, 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+
+  const answerPack = manifest.packs.find(pack => pack.list === 'answer');
+  if (!answerPack) {
+    throw new Error('清单中没有答案词库包');
+  }
+
+  // 模拟玩家可以猜所有词库包中的单词
+  const guessWords = new Set();
+  manifest.packs.forEach(pack => {
+    readPack(dir, pack).forEach(({ word }) => guessWords.add(word));
+  });
+
+  const entries = readPack(dir, answerPack);
+  const ratings = rateWords(entries.map(entry => entry.word), Array.from(guessWords), {
+    players: options.players ? parseInt(options.players, 10) : 50,
+    seed: options.seed || 'difficulty'
+  });
+  const difficulties = rankDifficulty(ratings);
+  printSummary(ratings, difficulties);
+
+  const curator = new WordListCurator();
+  const pack = curator.createPack(
+    entries.map(({ word, metadata }) => ({ word, metadata: { ...metadata, difficulty: difficulties.get(word) } })),
+    { id: answerPack.id, list: 'answer', format: answerPack.format }
+  );
+  const updated = curator.updateManifest(manifest, { ...pack.manifestEntry, url: answerPack.url });
+
+  fs.writeFileSync(path.join(dir, answerPack.url), pack.text);
+  fs.writeFileSync(manifestFile, `${JSON.stringify(updated, null, 2)}\n`);
+  console.log(`已写入 ${path.join(dir, answerPack.url)}（校验和 ${pack.manifestEntry.checksum}，清单版本 ${updated.version}）`);
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(`错误: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,129 @@
+import { WordleGame } from './WordleGame.js';
+
+/**
+ * Absurdle 对抗模式引擎 - 开局不固定目标单词
+ *
+ * 每次猜测后把剩余候选词按反馈模式分组，保留最大的一组（同样大时选绿色、黄色更少的一组），
+ * 玩家必须把候选词逼到只剩猜测的那个单词才能获胜。每次猜测后剩下的候选词保存在 candidateHistory 中。
+ */
+export class AbsurdleGame extends WordleGame {
+  constructor(wordList = [], options = {}) {
+    super(wordList, {
+      ...options,
+      mode: 'absurdle',
+      targetWord: null,
+      maxGuesses: options.maxGuesses || 8
+    });
+  }
+
+  /**
+   * 初始化游戏：候选词重置为单词列表中所有对应长度的单词
+   */
+  initializeGame() {
+    this.candidates = this.getInitialCandidates();
+    this.candidateHistory = [];
+    super.initializeGame();
+  }
+
+  /**
+   * 目标单词在每次猜测后才确定，开局时为空
+   */
+  selectRandomWord() {
+    return '';
+  }
+
+  /**
+   * 获取初始候选词（去重、大写、排序）
+   */
+  getInitialCandidates() {
+    const candidates = [...new Set(this.wordList
+      .filter(word => word.length === this.wordLength)
+      .map(word => this.language.normalizeWord(word)))].sort();
+
+    return candidates.length > 0 ? candidates : [this.getDefaultTargetWord()];
+  }
+
+  /**
+   * 提交猜测：先按反馈模式缩小候选词，再按普通规则评估
+   */
+  submitGuess() {
+    if (this.gameStatus !== 'playing' || this.isPaused()) return false;
+    if (!this.isValidWord(this.currentGuess)) return false;
+    if (this.hardMode && this.getHardModeViolation(this.currentGuess)) return false;
+
+    this.narrowCandidates(this.currentGuess);
+    return super.submitGuess();
+  }
+
+  /**
+   * 按反馈模式分组并保留最大的一组，目标单词取组内任意一个（组内单词的反馈完全相同）
+   */
+  narrowCandidates(word) {
+    const groups = new Map();
+
+    this.candidates.forEach(candidate => {
+      const result = this.evaluateGuess(word, candidate);
+      const key = result.join(',');
+      if (!groups.has(key)) {
+        groups.set(key, { result, words: [] });
+      }
+      groups.get(key).words.push(candidate);
+    });
+
+    const best = Array.from(groups.values()).sort((a, b) => this.compareGroups(a, b))[0];
+
+    this.candidates = best.words;
+    this.targetWord = best.words[0];
+    this.candidateHistory.push({
+      word,
+      result: [...best.result],
+      remaining: [...best.words]
+    });
+
+    return best.result;
+  }
+
+  /**
+   * 分组排序：单词多的优先，其次绿色少、黄色少的优先，最后按模式字符串排序保证结果稳定
+   */
+  compareGroups(a, b) {
+    const count = (group, status) => group.result.filter(s => s === status).length;
+
+    return (b.words.length - a.words.length) ||
+      (count(a, 'correct') - count(b, 'correct')) ||
+      (count(a, 'present') - count(b, 'present')) ||
+      a.result.join(',').localeCompare(b.result.join(','));
+  }
+
+  /**
+   * 恢复已保存的进度：重新计算每次猜测后的候选词
+   */
+  restoreProgress(guesses = [], currentGuess = '') {
+    this.candidates = this.getInitialCandidates();
+    this.candidateHistory = [];
+    guesses.forEach(guess => this.narrowCandidates(guess.word));
+
+    super.restoreProgress(guesses, currentGuess);
+  }
+
+  /**
+   * 获取每次猜测后剩下的候选词（用于赛后回顾）
+   */
+  getCandidateHistory() {
+    return this.candidateHistory.map(entry => ({
+      ...entry,
+      result: [...entry.result],
+      remaining: [...entry.remaining]
+    }));
+  }
+
+  /**
+   * 获取游戏状态
+   */
+  getGameState() {
+    return {
+      ...super.getGameState(),
+      remainingCandidates: this.candidates.length
+    };
+  }
+}
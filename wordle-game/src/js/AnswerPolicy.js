@@ -0,0 +1,98 @@
+// 单词标签（保存在单词元数据的 tags 中，词库包使用同样的名称）
+export const WORD_TAGS = {
+  PROPER_NOUN: 'proper-noun', // 人名、地名等专有名词
+  PLURAL: 'plural',           // 复数形式
+  PAST_TENSE: 'past-tense',   // 过去式 / 过去分词
+  OFFENSIVE: 'offensive',     // 冒犯性词语
+  OBSCURE: 'obscure'          // 生僻词、缩写
+};
+
+/**
+ * 答案规则 - 根据单词标签决定单词能否作为答案、能否用来猜测
+ *
+ * - guessOnlyTags: 带这些标签的单词只能用来猜测，不会成为答案
+ * - blockedTags:   带这些标签的单词既不会成为答案，也不能用来猜测
+ */
+export class AnswerPolicy {
+  constructor(options = {}) {
+    this.id = options.id || 'custom';
+    this.name = options.name || this.id;
+    this.guessOnlyTags = new Set(options.guessOnlyTags || []);
+    this.blockedTags = new Set(options.blockedTags || []);
+  }
+
+  /**
+   * 单词能否作为答案
+   */
+  allowsAnswer(metadata) {
+    return this.getTags(metadata).every(tag => !this.guessOnlyTags.has(tag) && !this.blockedTags.has(tag));
+  }
+
+  /**
+   * 单词能否用来猜测
+   */
+  allowsGuess(metadata) {
+    return this.getTags(metadata).every(tag => !this.blockedTags.has(tag));
+  }
+
+  /**
+   * 读取元数据中的标签
+   */
+  getTags(metadata) {
+    return metadata && Array.isArray(metadata.tags) ? metadata.tags : [];
+  }
+
+  /**
+   * 导出为普通对象（可以保存到设置中，再传给 getAnswerPolicy 恢复）
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      guessOnlyTags: Array.from(this.guessOnlyTags),
+      blockedTags: Array.from(this.blockedTags)
+    };
+  }
+}
+
+// 默认答案规则
+export const DEFAULT_ANSWER_POLICY = 'standard';
+
+// 内置答案规则
+export const ANSWER_POLICIES = {
+  // 标准：答案只用常见的原形单词
+  standard: new AnswerPolicy({
+    id: 'standard',
+    name: '标准',
+    guessOnlyTags: [WORD_TAGS.PROPER_NOUN, WORD_TAGS.PLURAL, WORD_TAGS.PAST_TENSE, WORD_TAGS.OFFENSIVE, WORD_TAGS.OBSCURE]
+  }),
+
+  // 宽松：复数、过去式和生僻词也可以作为答案
+  relaxed: new AnswerPolicy({
+    id: 'relaxed',
+    name: '宽松',
+    guessOnlyTags: [WORD_TAGS.PROPER_NOUN, WORD_TAGS.OFFENSIVE]
+  }),
+
+  // 家庭：在标准规则的基础上禁止猜测冒犯性词语
+  family: new AnswerPolicy({
+    id: 'family',
+    name: '家庭',
+    guessOnlyTags: [WORD_TAGS.PROPER_NOUN, WORD_TAGS.PLURAL, WORD_TAGS.PAST_TENSE, WORD_TAGS.OBSCURE],
+    blockedTags: [WORD_TAGS.OFFENSIVE]
+  })
+};
+
+/**
+ * 获取答案规则（可以传入规则、内置规则的 id 或规则定义，未指定时使用默认规则）
+ */
+export function getAnswerPolicy(policy = DEFAULT_ANSWER_POLICY) {
+  if (policy instanceof AnswerPolicy) return policy;
+  if (policy && typeof policy === 'object') return new AnswerPolicy(policy);
+
+  const id = policy || DEFAULT_ANSWER_POLICY;
+  if (!Object.prototype.hasOwnProperty.call(ANSWER_POLICIES, id)) {
+    throw new Error(`不支持的答案规则: ${policy}`);
+  }
+  return ANSWER_POLICIES[id];
+}
@@ -0,0 +1,86 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 每日谜题 - 根据本地日历日期从固定的答案列表（语言包的 daily 列表）中选出当天的单词
+ *
+ * 从第 options.firstPuzzleNumber 期开始每期按顺序使用列表中的一个单词，不循环：
+ * 某一期的答案只由它在列表中的位置决定，在列表末尾追加单词不会改变之前的谜题。
+ * 列表之外的日期（第一期之前或列表已用完）没有答案，获取答案时抛出错误。
+ * 答案不受答案规则、难度和词库包的影响，所以同一天同一种语言所有玩家的谜题相同。
+ */
+export class DailyPuzzle {
+  constructor(dailyWords = [], options = {}) {
+    this.options = {
+      epoch: new Date(2025, 0, 1), // 第1期谜题的日期（本地时区）
+      firstPuzzleNumber: 1, // 答案列表中第一个单词的期号
+      ...options
+    };
+
+    this.answers = dailyWords.map(word => word.toUpperCase());
+  }
+
+  /**
+   * 计算日期距离起始日期的天数（按本地日历日计算，不受夏令时影响）
+   */
+  getDayIndex(date = new Date()) {
+    const epoch = this.options.epoch;
+    const dayUTC = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    const epochUTC = Date.UTC(epoch.getFullYear(), epoch.getMonth(), epoch.getDate());
+    return Math.round((dayUTC - epochUTC) / MS_PER_DAY);
+  }
+
+  /**
+   * 获取谜题编号（起始日期为第1期）
+   */
+  getPuzzleNumber(date = new Date()) {
+    return this.getDayIndex(date) + 1;
+  }
+
+  /**
+   * 获取指定日期的答案，列表中没有这一期时抛出错误
+   */
+  getWordForDate(date = new Date()) {
+    const puzzleNumber = this.getPuzzleNumber(date);
+    const index = puzzleNumber - this.options.firstPuzzleNumber;
+    if (index < 0) {
+      throw new Error(`没有第 ${puzzleNumber} 期每日谜题的答案`);
+    }
+    if (index >= this.answers.length) {
+      throw new Error(`每日谜题的答案已用完，没有第 ${puzzleNumber} 期的答案`);
+    }
+    return this.answers[index];
+  }
+
+  /**
+   * 获取指定日期的谜题信息
+   */
+  getPuzzle(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+
+    return {
+      puzzleNumber: this.getPuzzleNumber(date),
+      word: this.getWordForDate(date),
+      date: `${date.getFullYear()}-${month}-${day}`
+    };
+  }
+
+  /**
+   * 距离下一期谜题（本地时间零点）的毫秒数
+   */
+  getTimeUntilNextPuzzle(now = new Date()) {
+    const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    return nextMidnight.getTime() - now.getTime();
+  }
+
+  /**
+   * 将倒计时格式化为 HH:MM:SS
+   */
+  formatCountdown(milliseconds) {
+    const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return [hours, minutes, seconds].map(value => String(value).padStart(2, '0')).join(':');
+  }
+}
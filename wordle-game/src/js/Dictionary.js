@@ -0,0 +1,152 @@
+import { createDefaultCache } from './LexiconLoader.js';
+
+// 词典包在缓存中的键（与词库包共用缓存）
+const CACHE_KEY = 'dictionary';
+
+/**
+ * 解析词典包：{ words: [{ word, partOfSpeech, definition, gloss, example }] }，返回 Map(单词 → 词条)
+ */
+export function parseDictionary(text) {
+  const data = JSON.parse(text);
+  if (!data || !Array.isArray(data.words)) {
+    throw new Error('词典包格式错误');
+  }
+
+  const entries = new Map();
+  data.words.forEach(item => {
+    if (!item || !item.word) return;
+    entries.set(String(item.word).toUpperCase(), {
+      partOfSpeech: item.partOfSpeech || null,
+      definition: item.definition || '',
+      gloss: item.gloss || '',
+      example: item.example || ''
+    });
+  });
+  return entries;
+}
+
+/**
+ * 离线词典 - 查询单词的词性、英文释义、中文释义和例句
+ *
+ * 词典包不打进启动代码，第一次查询时才下载，下载后写入缓存；离线时使用缓存中的词典包。
+ * 都不可用时查询结果为null，调用方只显示单词本身。
+ */
+export class Dictionary {
+  constructor(options = {}) {
+    this.options = {
+      url: null, // 词典包地址，null 表示没有词典
+      fetch: (...args) => fetch(...args),
+      cache: undefined,
+      ...options
+    };
+
+    this.cache = this.options.cache === undefined ? createDefaultCache() : this.options.cache;
+    this.entries = null; // 加载词典包的 Promise，第一次查询时创建
+  }
+
+  /**
+   * 加载词典包（只加载一次），失败时得到空词典
+   */
+  load() {
+    if (!this.entries) {
+      this.entries = this.fetchEntries();
+    }
+    return this.entries;
+  }
+
+  /**
+   * 下载词典包并写入缓存，下载失败时读取缓存
+   */
+  async fetchEntries() {
+    if (!this.options.url) {
+      return new Map();
+    }
+
+    try {
+      const response = await this.options.fetch(this.options.url);
+      if (!response || !response.ok) {
+        throw new Error(`无法加载 ${this.options.url}`);
+      }
+      const text = await response.text();
+      const entries = parseDictionary(text);
+      await this.writeCache(text);
+      return entries;
+    } catch {
+      return this.loadFromCache();
+    }
+  }
+
+  /**
+   * 从缓存读取词典包，缓存不可用或内容无效时返回空词典
+   */
+  async loadFromCache() {
+    try {
+      const cached = this.cache ? await this.cache.get(this.getCacheKey()) : null;
+      return cached ? parseDictionary(cached.text) : new Map();
+    } catch {
+      return new Map();
+    }
+  }
+
+  /**
+   * 写入缓存（写入失败不影响查询）
+   */
+  async writeCache(text) {
+    if (!this.cache) return;
+    try {
+      await this.cache.set(this.getCacheKey(), { url: this.options.url, text });
+    } catch (error) {
+      console.warn('缓存词典包失败:', error);
+    }
+  }
+
+  /**
+   * 缓存键：不同语言的词典包分别缓存
+   */
+  getCacheKey() {
+    return `${CACHE_KEY}:${this.options.url}`;
+  }
+
+  /**
+   * 查询单词，词典中没有时返回null
+   */
+  async lookup(word) {
+    if (typeof word !== 'string' || !word) return null;
+
+    const entries = await this.load();
+    const entry = entries.get(word.toUpperCase());
+    return entry ? { word: word.toUpperCase(), ...entry } : null;
+  }
+}
+
+// 词性的中文名称
+const PART_OF_SPEECH_NAMES = {
+  noun: '名词',
+  verb: '动词',
+  adj: '形容词'
+};
+
+/**
+ * 把词条显示在元素中：单词、词性和中文释义一行，英文释义一行，例句一行；没有词条时隐藏元素
+ */
+export function renderDefinition(element, entry) {
+  element.innerHTML = '';
+  element.classList.toggle('hidden', !entry);
+  if (!entry) return;
+
+  const headline = [entry.word, PART_OF_SPEECH_NAMES[entry.partOfSpeech] || entry.partOfSpeech, entry.gloss]
+    .filter(Boolean)
+    .join(' · ');
+  const lines = [
+    { className: 'definition-headline', text: headline },
+    { className: 'definition-text', text: entry.definition },
+    { className: 'definition-example', text: entry.example ? `“${entry.example}”` : '' }
+  ];
+
+  lines.filter(line => line.text).forEach(line => {
+    const paragraph = document.createElement('p');
+    paragraph.className = line.className;
+    paragraph.textContent = line.text;
+    element.appendChild(paragraph);
+  });
+}
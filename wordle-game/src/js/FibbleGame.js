@@ -0,0 +1,107 @@
+import { WordleGame } from './WordleGame.js';
+import { SeededRandom } from './SeededRandom.js';
+
+// 格子可能显示的状态
+const TILE_STATES = ['correct', 'present', 'absent'];
+
+/**
+ * Fibble 说谎模式引擎 - 每行反馈中恰好有一个格子是错的
+ *
+ * 说谎的格子和谎报的状态由种子随机数决定（种子 + 行号），相同种子和猜测可以完整重放；
+ * 猜中答案的那一行不说谎。真实结果保存在 trueResult / lieIndex 中，游戏结束后再揭示。
+ */
+export class FibbleGame extends WordleGame {
+  constructor(wordList = [], options = {}) {
+    super(wordList, {
+      ...options,
+      mode: 'fibble',
+      hardMode: false, // 反馈不可靠，困难模式没有意义
+      maxGuesses: options.maxGuesses || 9
+    });
+  }
+
+  /**
+   * 初始化游戏（没有指定种子时生成新种子）
+   */
+  initializeGame() {
+    this.seed = this.options.seed || `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    super.initializeGame();
+  }
+
+  /**
+   * 生成一次猜测记录：在真实结果上加入一个谎言
+   */
+  createGuess(word) {
+    const guess = super.createGuess(word);
+
+    // 猜中时游戏结束，最后一行不说谎
+    if (this.isTargetWord(word)) {
+      return guess;
+    }
+
+    const lie = this.applyLie(guess.result, this.guesses.length);
+    return {
+      ...guess,
+      result: lie.result,
+      trueResult: guess.result,
+      lieIndex: lie.index
+    };
+  }
+
+  /**
+   * 按种子和行号选出说谎的格子，并换成另一个状态
+   */
+  applyLie(result, rowIndex) {
+    const random = new SeededRandom(`${this.seed}:${rowIndex}`);
+    const index = random.nextInt(result.length);
+    const otherStates = TILE_STATES.filter(state => state !== result[index]);
+
+    const lyingResult = [...result];
+    lyingResult[index] = otherStates[random.nextInt(otherStates.length)];
+    return { index, result: lyingResult };
+  }
+
+  /**
+   * Fibble 模式不支持困难模式
+   */
+  setHardMode() {
+    return false;
+  }
+
+  /**
+   * 获取每一行的谎言（猜中的那一行为null）
+   */
+  getLies() {
+    return this.guesses.map((guess, row) => {
+      if (guess.lieIndex === undefined) return null;
+      return {
+        row,
+        index: guess.lieIndex,
+        letter: guess.word[guess.lieIndex],
+        shown: guess.result[guess.lieIndex],
+        actual: guess.trueResult[guess.lieIndex]
+      };
+    });
+  }
+
+  /**
+   * 复制一次猜测记录（包括真实结果）
+   */
+  copyGuess(guess) {
+    const copy = super.copyGuess(guess);
+    if (guess.trueResult) {
+      copy.trueResult = [...guess.trueResult];
+    }
+    return copy;
+  }
+
+  /**
+   * 获取游戏状态
+   */
+  getGameState() {
+    return {
+      ...super.getGameState(),
+      seed: this.seed
+    };
+  }
+}
@@ -8,6 +8,7 @@ export class GameBoard {
       maxGuesses: 6,
       wordLength: 5,
       animations: true,
+      suspectMarking: false,
       ...options
     };
 
@@ -33,14 +34,44 @@ export class GameBoard {
   createBoard() {
     this.boardElement = document.createElement('div');
     this.boardElement.className = 'game-board';
+    this.createRows();
+    this.container.appendChild(this.boardElement);
+  }
+
+  /**
+   * 按当前行数和单词长度创建所有行
+   */
+  createRows() {
+    this.boardElement.style.setProperty('--word-length', this.options.wordLength);
+    this.boardElement.style.setProperty('--max-guesses', this.options.maxGuesses);
 
     for (let row = 0; row < this.options.maxGuesses; row++) {
       const rowElement = this.createRow(row);
       this.boardElement.appendChild(rowElement);
       this.rows.push(rowElement);
     }
+  }
 
-    this.container.appendChild(this.boardElement);
+  /**
+   * 调整棋盘尺寸（单词长度或最大猜测次数变化时重建行）
+   */
+  resize(options = {}) {
+    const wordLength = options.wordLength || this.options.wordLength;
+    const maxGuesses = options.maxGuesses || this.options.maxGuesses;
+
+    if (wordLength === this.options.wordLength && maxGuesses === this.options.maxGuesses) {
+      this.reset();
+      return;
+    }
+
+    this.options.wordLength = wordLength;
+    this.options.maxGuesses = maxGuesses;
+
+    this.rows.forEach(rowElement => rowElement.remove());
+    this.rows = [];
+    this.currentRow = 0;
+    this.currentCol = 0;
+    this.createRows();
   }
 
   /**
@@ -75,8 +106,12 @@ export class GameBoard {
    * 绑定事件
    */
   bindEvents() {
-    // 键盘事件
-    document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    // 键盘事件（保存引用以便销毁时移除）
+    this.boundKeyDown = (e) => this.handleKeyDown(e);
+    document.addEventListener('keydown', this.boundKeyDown);
+
+    // 点击已揭示的格子标记怀疑（Fibble 模式）
+    this.boardElement.addEventListener('click', (e) => this.handleTileClick(e));
 
     // 触摸事件支持
     if ('ontouchstart' in window) {
@@ -88,8 +123,8 @@ export class GameBoard {
    * 处理键盘输入
    */
   handleKeyDown(event) {
-    // 阻止默认行为，避免页面滚动等
-    if (event.key.match(/^[a-zA-Z]$/) || event.key === 'Enter' || event.key === 'Backspace') {
+    // 阻止默认行为，避免页面滚动等（任何语言的单个字母）
+    if (/^\p{L}$/u.test(event.key) || event.key === 'Enter' || event.key === 'Backspace') {
       event.preventDefault();
     }
 
@@ -98,6 +133,49 @@ export class GameBoard {
     }
   }
 
+  /**
+   * 处理格子点击：开启怀疑标记时切换已揭示格子的标记
+   */
+  handleTileClick(event) {
+    if (!this.options.suspectMarking) return;
+
+    const tile = event.target.closest('.game-tile');
+    if (tile && tile.classList.contains('revealed')) {
+      tile.classList.toggle('suspect');
+    }
+  }
+
+  /**
+   * 开启/关闭怀疑标记
+   */
+  setSuspectMarking(enabled) {
+    this.options.suspectMarking = enabled;
+    this.boardElement.classList.toggle('suspect-marking', enabled);
+  }
+
+  /**
+   * 获取玩家标记为怀疑的格子
+   */
+  getSuspectedTiles() {
+    return Array.from(this.boardElement.querySelectorAll('.game-tile.suspect')).map(tile => ({
+      row: parseInt(tile.dataset.row, 10),
+      col: parseInt(tile.dataset.col, 10)
+    }));
+  }
+
+  /**
+   * 揭示每一行说谎的格子（lies 中为null的行跳过）
+   */
+  markLies(lies) {
+    lies.forEach(lie => {
+      if (!lie) return;
+      const tile = this.getTile(lie.row, lie.index);
+      if (tile) {
+        tile.classList.add('lie');
+      }
+    });
+  }
+
   /**
    * 处理触摸开始
    */
@@ -222,6 +300,48 @@ export class GameBoard {
     }, result.length * 100 + 300);
   }
 
+  /**
+   * 直接填充一行结果（无动画，用于恢复进度）
+   */
+  fillRow(rowIndex, word, result) {
+    const rowElement = this.rows[rowIndex];
+    if (!rowElement) return;
+
+    const tiles = rowElement.querySelectorAll('.game-tile');
+    result.forEach((status, index) => {
+      const tile = tiles[index];
+      if (tile) {
+        tile.className = 'game-tile';
+        tile.classList.add('revealed', status);
+        tile.textContent = word[index];
+      }
+    });
+  }
+
+  /**
+   * 恢复棋盘：已提交的猜测和正在输入的字母
+   */
+  restore(guesses, currentGuess = '') {
+    this.reset();
+
+    guesses.forEach((guess, rowIndex) => {
+      this.fillRow(rowIndex, guess.word, guess.result);
+    });
+
+    this.currentRow = Math.min(guesses.length, this.options.maxGuesses - 1);
+    this.currentCol = 0;
+
+    if (guesses.length < this.options.maxGuesses) {
+      currentGuess.split('').forEach(letter => {
+        const tile = this.getTile(this.currentRow, this.currentCol);
+        if (tile) {
+          tile.textContent = letter.toUpperCase();
+          this.currentCol++;
+        }
+      });
+    }
+  }
+
   /**
    * 显示错误信息
    */
@@ -329,7 +449,7 @@ export class GameBoard {
    * 销毁棋盘
    */
   destroy() {
-    document.removeEventListener('keydown', this.handleKeyDown);
+    document.removeEventListener('keydown', this.boundKeyDown);
     if (this.boardElement && this.boardElement.parentNode) {
       this.boardElement.parentNode.removeChild(this.boardElement);
     }
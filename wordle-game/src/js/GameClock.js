@@ -0,0 +1,105 @@
+/**
+ * 可暂停的游戏时钟
+ * 设置 duration 时作为倒计时使用（getRemaining / isExpired），否则只计算已用时间
+ */
+export class GameClock {
+  constructor(options = {}) {
+    this.options = {
+      duration: null,
+      now: () => Date.now(),
+      ...options
+    };
+
+    this.state = 'idle'; // idle, running, paused
+    this.accumulated = 0;
+    this.startedAt = null;
+  }
+
+  /**
+   * 开始计时
+   */
+  start() {
+    if (this.state === 'running') return false;
+    this.state = 'running';
+    this.startedAt = this.options.now();
+    return true;
+  }
+
+  /**
+   * 暂停计时
+   */
+  pause() {
+    if (this.state !== 'running') return false;
+    this.accumulated += this.options.now() - this.startedAt;
+    this.startedAt = null;
+    this.state = 'paused';
+    return true;
+  }
+
+  /**
+   * 继续计时
+   */
+  resume() {
+    if (this.state !== 'paused') return false;
+    return this.start();
+  }
+
+  /**
+   * 重置时钟
+   */
+  reset() {
+    this.state = 'idle';
+    this.accumulated = 0;
+    this.startedAt = null;
+  }
+
+  /**
+   * 是否正在计时
+   */
+  isRunning() {
+    return this.state === 'running';
+  }
+
+  /**
+   * 是否已暂停
+   */
+  isPaused() {
+    return this.state === 'paused';
+  }
+
+  /**
+   * 获取已用时间（毫秒，不包括暂停的时间）
+   */
+  getElapsed() {
+    if (this.state === 'running') {
+      return this.accumulated + (this.options.now() - this.startedAt);
+    }
+    return this.accumulated;
+  }
+
+  /**
+   * 获取倒计时剩余时间（没有设置 duration 时返回null）
+   */
+  getRemaining() {
+    if (this.options.duration === null) return null;
+    return Math.max(0, this.options.duration - this.getElapsed());
+  }
+
+  /**
+   * 倒计时是否已结束
+   */
+  isExpired() {
+    return this.options.duration !== null && this.getRemaining() === 0;
+  }
+
+  /**
+   * 格式化时间为 MM:SS.d
+   */
+  formatTime(ms) {
+    const totalTenths = Math.floor(Math.max(0, ms) / 100);
+    const minutes = Math.floor(totalTenths / 600);
+    const seconds = Math.floor((totalTenths % 600) / 10);
+    const tenths = totalTenths % 10;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${tenths}`;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * 游戏锁 - 同一个存档的游戏同时只能在一个标签页中进行
+ *
+ * 打开页面或切换档案时用 request(key) 取得锁：已经有标签页在这个存档中游戏（用户输入过）时
+ * 它回复 busy，请求的标签页失去锁；还没有人游戏时请求的标签页持有锁，但之后的请求不会被拒绝。
+ * 用户在本标签页中操作（输入、开始新游戏、"在此继续"）时用 claim(key) 取得锁，
+ * 其他持有同一个存档锁的标签页失去锁。失去锁时调用 options.onLost(key)。
+ * 没有 options.sync 时锁总是在本标签页。
+ */
+export class GameLock {
+  constructor(options = {}) {
+    this.options = {
+      sync: null,
+      onLost: null,
+      ...options
+    };
+
+    this.key = null; // 持有锁的存档键
+    this.active = false; // 用户是否已经在本标签页中游戏
+    this.syncUnsubscribers = [];
+
+    const { sync } = this.options;
+    if (sync) {
+      this.syncUnsubscribers = [
+        sync.on('game-requested', (data) => {
+          if (this.holds(data.key) && this.active) {
+            sync.post('game-busy', { key: data.key });
+          }
+        }),
+        sync.on('game-busy', (data) => {
+          if (this.holds(data.key) && !this.active) {
+            this.lose();
+          }
+        }),
+        sync.on('game-claimed', (data) => {
+          if (this.holds(data.key)) {
+            this.lose();
+          }
+        })
+      ];
+    }
+  }
+
+  /**
+   * 是否持有某个存档的锁
+   */
+  holds(key) {
+    return this.key !== null && this.key === key;
+  }
+
+  /**
+   * 没有其他标签页正在游戏时取得锁
+   */
+  request(key) {
+    this.key = key;
+    this.active = false;
+    if (this.options.sync) {
+      this.options.sync.post('game-requested', { key });
+    }
+  }
+
+  /**
+   * 用户在本标签页中游戏：取得锁，其他标签页失去锁
+   */
+  claim(key) {
+    this.key = key;
+    this.active = true;
+    if (this.options.sync) {
+      this.options.sync.post('game-claimed', { key });
+    }
+  }
+
+  /**
+   * 释放锁（不通知其他标签页）
+   */
+  release() {
+    this.key = null;
+    this.active = false;
+  }
+
+  /**
+   * 另一个标签页取得了锁
+   */
+  lose() {
+    const { key } = this;
+    this.release();
+    if (this.options.onLost) {
+      this.options.onLost(key);
+    }
+  }
+
+  /**
+   * 停止接收其他标签页的消息
+   */
+  disconnect() {
+    this.syncUnsubscribers.forEach(unsubscribe => unsubscribe());
+    this.syncUnsubscribers = [];
+  }
+}
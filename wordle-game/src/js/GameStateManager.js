@@ -1,70 +1,103 @@
+import {
+  createDefaultState,
+  createDefaultStatistics,
+  createStatisticsBucket,
+  getDailyResultKey,
+  isMigratableState,
+  migrateState,
+  validateState
+} from './StateSchema.js';
+import { DEFAULT_LANGUAGE } from './LanguagePack.js';
+import { afterStorage, createStorageAdapter } from './StorageAdapter.js';
+import { applyGameResult, applyGameStatistics, mergeImportedState, mergeStates } from './StateMerge.js';
+import { createExport, createImportPreview, parseExport, serializeState } from './StateExport.js';
+
 /**
- * 游戏状态管理器 - 管理游戏的整体状态和持久化
+ * 游戏状态管理器 - 负责持久化和统计
+ * 游戏规则和状态转换由 WordleGame 引擎负责，这里只根据引擎事件记录结果
+ *
+ * 状态通过存储适配器读写（options.storage: 适配器实例或 local / indexeddb / memory / file）。
+ * 同步的适配器在构造时就加载完存档；异步的适配器要等 ready resolve 后再使用，之前的修改会被存档覆盖。
+ * 存储不可用或空间已满时游戏继续在内存中运行，错误保存在 storageError 中并通知 options.onStorageError。
+ *
+ * 传入 options.sync（TabSync）时与其他标签页共用存档：保存前先合并其他标签页写入的修改（见 StateMerge.js），
+ * 保存后通知其他标签页；收到其他标签页的通知时重新读取存档并调用 options.onRemoteChange。
  */
 export class GameStateManager {
-  constructor() {
-    this.state = {
-      currentGame: null,
-      gameHistory: [],
-      statistics: {
-        gamesPlayed: 0,
-        gamesWon: 0,
-        currentStreak: 0,
-        maxStreak: 0,
-        guessDistribution: [0, 0, 0, 0, 0, 0]
-      },
-      settings: {
-        hardMode: false,
-        darkTheme: false,
-        colorblindMode: false,
-        animations: true
-      },
-      achievements: [],
-      lastPlayed: null
+  constructor(options = {}) {
+    this.options = {
+      storage: undefined,
+      storageOptions: {},
+      storageKey: 'wordleGameState',
+      onStorageError: null,
+      sync: null,
+      onRemoteChange: null,
+      ...options
     };
 
-    this.loadState();
+    this.state = createDefaultState();
+    this.unsubscribers = [];
+    this.loaded = false;
+    this.storageError = null;
+    this.lastSerialized = null; // 上次读取或写入的存档，用来判断其他标签页是否保存过
+    this.storage = createStorageAdapter(this.options.storage, this.options.storageOptions);
+
+    this.syncUnsubscribe = this.options.sync
+      ? this.options.sync.on('state-changed', (data) => {
+        if (data.key === this.options.storageKey) this.refreshState();
+      })
+      : null;
+
+    this.ready = this.loadState();
   }
 
   /**
-   * 初始化新游戏
+   * 创建单个统计分组
    */
-  initializeNewGame(wordList = []) {
-    const gameState = {
-      id: this.generateGameId(),
-      targetWord: this.selectTargetWord(wordList),
-      currentGuess: '',
-      guesses: [],
-      gameStatus: 'playing',
-      maxGuesses: 6,
-      wordLength: 5,
-      startTime: Date.now(),
-      endTime: null,
-      usedLetters: new Set(),
-      wordList: wordList
-    };
+  createStatisticsBucket(maxGuesses = 6) {
+    return createStatisticsBucket(maxGuesses);
+  }
 
-    this.state.currentGame = gameState;
-    this.saveState();
-    return gameState;
+  /**
+   * 创建默认统计数据（总体统计 + 按单词长度分组 + 困难模式 + 按棋盘数量分组 + 按答案难度分组）
+   */
+  createDefaultStatistics() {
+    return createDefaultStatistics();
   }
 
   /**
-   * 生成游戏ID
+   * 跟踪游戏引擎：根据引擎事件保存当前游戏并在结束时更新统计
+   * 规则和状态转换只由 WordleGame 负责，这里只做持久化
    */
-  generateGameId() {
-    return `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  trackGame(game) {
+    this.untrackGame();
+
+    const recordSnapshot = (event) => {
+      this.state.currentGame = { ...event.state, lastUpdated: Date.now() };
+      this.saveState();
+    };
+
+    this.unsubscribers = [
+      game.on('start', recordSnapshot),
+      game.on('change', recordSnapshot),
+      game.on('guess', recordSnapshot),
+      game.on('end', (event) => {
+        recordSnapshot(event);
+        this.finalizeGame(event.state);
+      })
+    ];
+
+    this.state.currentGame = { ...game.getGameState(), lastUpdated: Date.now() };
+    this.saveState();
+    return this.state.currentGame;
   }
 
   /**
-   * 选择目标单词
+   * 停止跟踪当前游戏引擎
    */
-  selectTargetWord(wordList) {
-    if (wordList.length === 0) {
-      return 'WORLD'; // 默认单词
-    }
-    const randomIndex = Math.floor(Math.random() * wordList.length);
-    return wordList[randomIndex].toUpperCase();
+  untrackGame() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
   }
 
   /**
@@ -86,130 +119,273 @@ export class GameStateManager {
   }
 
   /**
-   * 提交猜测
+   * 完成游戏并更新统计
    */
-  submitGuess(guess) {
-    if (!this.state.currentGame || this.state.currentGame.gameStatus !== 'playing') {
-      throw new Error('游戏未在进行中');
+  finalizeGame(game) {
+    // 同一局游戏只统计一次
+    if (this.state.gameHistory.some(entry => entry.id === game.id)) {
+      return;
     }
 
-    const game = this.state.currentGame;
-
-    // 评估猜测
-    const result = this.evaluateGuess(guess, game.targetWord);
+    // 马拉松的单词计入马拉松会话，不计入经典模式统计
+    if (game.mode === 'marathon') {
+      this.recordMarathonWord(game);
+      return;
+    }
 
-    // 添加猜测记录
-    game.guesses.push({
-      word: guess,
-      result: result,
-      timestamp: Date.now()
-    });
+    // 添加到游戏历史
+    const entry = {
+      id: game.id,
+      targetWord: game.targetWord,
+      wordLength: game.wordLength || 5,
+      boardCount: game.boardCount || 1,
+      hardMode: Boolean(game.hardMode),
+      mode: game.mode || 'classic',
+      difficulty: game.difficulty || null,
+      puzzleNumber: game.puzzleNumber || null,
+      gameStatus: game.gameStatus,
+      guessCount: game.guesses.length,
+      duration: game.endTime - game.startTime,
+      date: new Date().toISOString().split('T')[0],
+      completedAt: game.endTime
+    };
+    this.state.gameHistory.unshift(entry);
 
-    // 更新已使用字母
-    guess.split('').forEach(letter => {
-      game.usedLetters.add(letter);
-    });
+    // 更新统计（总体、按单词长度、难度、棋盘数量和困难模式分组）
+    applyGameStatistics(this.state.statistics, entry, { maxGuesses: game.maxGuesses });
 
-    // 更新当前猜测
-    game.currentGuess = '';
+    // 每日谜题每天只记录一次完成结果
+    if (game.mode === 'daily' && game.puzzleNumber) {
+      this.recordDailyResult(game);
+    }
 
-    // 检查游戏状态
-    this.checkGameStatus(game);
+    // 检查成就
+    this.checkAchievements(game);
 
-    // 如果游戏结束，更新统计
-    if (game.gameStatus !== 'playing') {
-      this.finalizeGame(game);
-    }
+    // 更新最后游戏时间
+    this.state.lastPlayed = Date.now();
 
+    // 保存状态
     this.saveState();
-    return game;
   }
 
   /**
-   * 评估猜测结果
+   * 将游戏结果计入统计分组
    */
-  evaluateGuess(guess, targetWord) {
-    const result = new Array(5).fill('absent');
-    const targetLetters = targetWord.split('');
-    const guessLetters = guess.split('');
+  applyGameResult(stats, game) {
+    applyGameResult(stats, { gameStatus: game.gameStatus, guessCount: game.guesses.length });
+  }
 
-    // 第一遍：标记正确位置的字母
-    for (let i = 0; i < 5; i++) {
-      if (guessLetters[i] === targetLetters[i]) {
-        result[i] = 'correct';
-        targetLetters[i] = null;
-        guessLetters[i] = null;
-      }
+  /**
+   * 记录每日谜题结果
+   */
+  recordDailyResult(game) {
+    if (!this.state.dailyResults) {
+      this.state.dailyResults = {};
     }
 
-    // 第二遍：标记存在但位置错误的字母
-    for (let i = 0; i < 5; i++) {
-      if (guessLetters[i] !== null) {
-        const targetIndex = targetLetters.indexOf(guessLetters[i]);
-        if (targetIndex !== -1) {
-          result[i] = 'present';
-          targetLetters[targetIndex] = null;
-        }
-      }
+    this.state.dailyResults[getDailyResultKey(game.language, game.puzzleNumber)] = {
+      puzzleNumber: game.puzzleNumber,
+      language: game.language || DEFAULT_LANGUAGE,
+      targetWord: game.targetWord,
+      gameStatus: game.gameStatus,
+      guessCount: game.guesses.length,
+      completedAt: game.endTime
+    };
+  }
+
+  /**
+   * 放弃当前游戏：已经猜过的每日谜题记为失败，不能再从头开始
+   */
+  abandonCurrentGame() {
+    const game = this.state.currentGame;
+    if (!game || game.mode !== 'daily' || !game.puzzleNumber || game.gameStatus !== 'playing') {
+      return;
+    }
+    if (!game.guesses || game.guesses.length === 0) {
+      return;
     }
 
-    return result;
+    this.finalizeGame({ ...game, gameStatus: 'lost', endTime: Date.now() });
   }
 
   /**
-   * 检查游戏状态
+   * 获取某种语言的每日谜题结果
    */
-  checkGameStatus(game) {
-    const lastGuess = game.guesses[game.guesses.length - 1];
-    if (lastGuess && lastGuess.word === game.targetWord) {
-      game.gameStatus = 'won';
-      game.endTime = Date.now();
-    } else if (game.guesses.length >= game.maxGuesses) {
-      game.gameStatus = 'lost';
-      game.endTime = Date.now();
+  getDailyResult(puzzleNumber, language = DEFAULT_LANGUAGE) {
+    const dailyResults = this.state.dailyResults || {};
+    return dailyResults[getDailyResultKey(language, puzzleNumber)] || null;
+  }
+
+  /**
+   * 检查某种语言的每日谜题是否已完成
+   */
+  hasCompletedDaily(puzzleNumber, language = DEFAULT_LANGUAGE) {
+    return this.getDailyResult(puzzleNumber, language) !== null;
+  }
+
+  /**
+   * 开始马拉松：所有单词共用一个猜测次数池
+   */
+  startMarathon(guessPool = 30) {
+    // 之前未完成的马拉松先结束并保存总结
+    if (this.hasActiveMarathon()) {
+      this.finishMarathon();
     }
+
+    this.state.marathon = {
+      id: `marathon_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      guessPool,
+      remainingGuesses: guessPool,
+      words: [],
+      status: 'active', // active, finished
+      startedAt: Date.now(),
+      finishedAt: null
+    };
+    this.saveState();
+    return this.getMarathon();
   }
 
   /**
-   * 完成游戏并更新统计
+   * 获取当前马拉松会话
    */
-  finalizeGame(game) {
-    const stats = this.state.statistics;
-    stats.gamesPlayed++;
+  getMarathon() {
+    const marathon = this.state.marathon;
+    return marathon ? { ...marathon, words: marathon.words.map(word => ({ ...word })) } : null;
+  }
 
-    if (game.gameStatus === 'won') {
-      stats.gamesWon++;
-      stats.currentStreak++;
-      stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+  /**
+   * 是否有进行中的马拉松
+   */
+  hasActiveMarathon() {
+    return Boolean(this.state.marathon && this.state.marathon.status === 'active');
+  }
 
-      // 更新猜测分布
-      const guessCount = game.guesses.length;
-      if (guessCount >= 1 && guessCount <= 6) {
-        stats.guessDistribution[guessCount - 1]++;
-      }
-    } else {
-      stats.currentStreak = 0;
+  /**
+   * 记录马拉松中完成的一个单词，猜测次数用完时结束马拉松
+   */
+  recordMarathonWord(game) {
+    const marathon = this.state.marathon;
+    if (!marathon || marathon.status !== 'active' || marathon.id !== game.sessionId) {
+      return;
+    }
+    // 同一个单词只记录一次
+    if (marathon.words.some(word => word.gameId === game.id)) {
+      return;
     }
 
-    // 添加到游戏历史
-    this.state.gameHistory.unshift({
-      id: game.id,
+    marathon.words.push({
+      gameId: game.id,
       targetWord: game.targetWord,
       gameStatus: game.gameStatus,
-      guessCount: game.guesses.length,
-      duration: game.endTime - game.startTime,
-      date: new Date().toISOString().split('T')[0],
-      completedAt: game.endTime
+      guessCount: game.guesses.length
     });
+    marathon.remainingGuesses = Math.max(0, marathon.remainingGuesses - game.guesses.length);
 
-    // 检查成就
-    this.checkAchievements(game);
+    if (marathon.remainingGuesses === 0) {
+      this.finishMarathon();
+    } else {
+      this.saveState();
+    }
+  }
 
-    // 更新最后游戏时间
-    this.state.lastPlayed = Date.now();
+  /**
+   * 结束马拉松并保存总结
+   */
+  finishMarathon() {
+    const marathon = this.state.marathon;
+    if (!marathon || marathon.status !== 'active') {
+      return null;
+    }
+
+    marathon.status = 'finished';
+    marathon.finishedAt = Date.now();
+
+    const summary = this.getMarathonSummary(marathon);
+    if (!this.state.marathonHistory) {
+      this.state.marathonHistory = [];
+    }
+    this.state.marathonHistory.unshift(summary);
+    this.state.marathonHistory = this.state.marathonHistory.slice(0, 20);
+
+    this.saveState();
+    return summary;
+  }
+
+  /**
+   * 生成马拉松总结
+   */
+  getMarathonSummary(marathon = this.state.marathon) {
+    if (!marathon) return null;
+
+    const wordsSolved = marathon.words.filter(word => word.gameStatus === 'won').length;
+    return {
+      id: marathon.id,
+      guessPool: marathon.guessPool,
+      guessesUsed: marathon.guessPool - marathon.remainingGuesses,
+      wordsPlayed: marathon.words.length,
+      wordsSolved,
+      words: marathon.words.map(word => ({ ...word })),
+      duration: (marathon.finishedAt || Date.now()) - marathon.startedAt,
+      finishedAt: marathon.finishedAt
+    };
+  }
+
+  /**
+   * 获取马拉松最佳成绩（猜中单词最多的一次，相同时取较早的一次）
+   */
+  getBestMarathon() {
+    const history = this.state.marathonHistory || [];
+    return history.reduce((best, summary) =>
+      (!best || summary.wordsSolved >= best.wordsSolved ? summary : best), null);
+  }
+
+  /**
+   * 计时模式记录的键：倒计时按单词长度和分钟数，竞速按单词长度
+   */
+  getTimedRecordKey(summary) {
+    return summary.type === 'countdown'
+      ? `${summary.wordLength}-${summary.minutes}`
+      : String(summary.wordLength);
+  }
+
+  /**
+   * 记录计时模式成绩：倒计时保存最高得分，竞速保存完成全部单词的最短用时
+   */
+  recordTimedResult(summary) {
+    if (!this.state.timedRecords) {
+      this.state.timedRecords = { countdown: {}, speedrun: {} };
+    }
+
+    const records = this.state.timedRecords[summary.type];
+    const key = this.getTimedRecordKey(summary);
+    const previous = records[key] || null;
+    let isNewRecord = false;
+
+    if (summary.type === 'countdown') {
+      isNewRecord = summary.solved > 0 && (!previous || summary.solved > previous.bestScore);
+      if (isNewRecord) {
+        records[key] = { bestScore: summary.solved, achievedAt: Date.now() };
+      }
+    } else {
+      isNewRecord = summary.completed && (!previous || summary.elapsed < previous.bestTime);
+      if (isNewRecord) {
+        records[key] = { bestTime: summary.elapsed, achievedAt: Date.now() };
+      }
+    }
 
-    // 保存状态
     this.saveState();
+    return { record: records[key] || null, previous, isNewRecord };
+  }
+
+  /**
+   * 获取计时模式最佳成绩
+   */
+  getTimedRecord(type, options = {}) {
+    const timedRecords = this.state.timedRecords || {};
+    const records = timedRecords[type] || {};
+    const key = this.getTimedRecordKey({ type, wordLength: 5, minutes: 3, ...options });
+    return records[key] || null;
   }
 
   /**
@@ -286,20 +462,68 @@ export class GameStateManager {
   /**
    * 获取游戏统计
    */
-  getStatistics() {
-    const stats = this.state.statistics;
+  getStatistics(wordLength = null) {
+    let stats = this.state.statistics;
+    if (wordLength) {
+      const byWordLength = stats.byWordLength || {};
+      stats = byWordLength[wordLength] || this.createStatisticsBucket();
+    }
+
+    return {
+      ...stats,
+      winPercentage: stats.gamesPlayed > 0 ? Math.round((stats.gamesWon / stats.gamesPlayed) * 100) : 0,
+      averageGuesses: this.calculateAverageGuesses(wordLength),
+      hardModeWins: this.state.statistics.hardModeStats ? this.state.statistics.hardModeStats.gamesWon : 0,
+      difficultyStats: this.getDifficultyStatistics()
+    };
+  }
+
+  /**
+   * 获取按答案难度分组的统计（只包含玩过的难度，单棋盘游戏）
+   */
+  getDifficultyStatistics() {
+    const byDifficulty = this.state.statistics.byDifficulty || {};
+    const result = {};
+
+    Object.entries(byDifficulty).forEach(([difficulty, stats]) => {
+      const wonGames = this.state.gameHistory.filter(game =>
+        game.gameStatus === 'won' && game.difficulty === difficulty && (game.boardCount || 1) === 1
+      );
+      const totalGuesses = wonGames.reduce((sum, game) => sum + game.guessCount, 0);
+
+      result[difficulty] = {
+        ...stats,
+        winPercentage: stats.gamesPlayed > 0 ? Math.round((stats.gamesWon / stats.gamesPlayed) * 100) : 0,
+        averageGuesses: wonGames.length > 0 ? (totalGuesses / wonGames.length).toFixed(1) : 0
+      };
+    });
+    return result;
+  }
+
+  /**
+   * 获取多棋盘模式的统计（按棋盘数量）
+   */
+  getBoardCountStatistics(boardCount) {
+    const byBoardCount = this.state.statistics.byBoardCount || {};
+    const stats = byBoardCount[boardCount] || this.createStatisticsBucket(boardCount + 5);
+
     return {
       ...stats,
       winPercentage: stats.gamesPlayed > 0 ? Math.round((stats.gamesWon / stats.gamesPlayed) * 100) : 0,
-      averageGuesses: this.calculateAverageGuesses()
+      averageGuesses: this.calculateAverageGuesses(null, boardCount),
+      hardModeWins: 0
     };
   }
 
   /**
    * 计算平均猜测次数
    */
-  calculateAverageGuesses() {
-    const wonGames = this.state.gameHistory.filter(game => game.gameStatus === 'won');
+  calculateAverageGuesses(wordLength = null, boardCount = 1) {
+    const wonGames = this.state.gameHistory.filter(game =>
+      game.gameStatus === 'won' &&
+      (game.boardCount || 1) === boardCount &&
+      (!wordLength || (game.wordLength || 5) === wordLength)
+    );
     if (wonGames.length === 0) return 0;
 
     const totalGuesses = wonGames.reduce((sum, game) => sum + game.guessCount, 0);
@@ -343,14 +567,9 @@ export class GameStateManager {
    * 重置统计
    */
   resetStatistics() {
-    this.state.statistics = {
-      gamesPlayed: 0,
-      gamesWon: 0,
-      currentStreak: 0,
-      maxStreak: 0,
-      guessDistribution: [0, 0, 0, 0, 0, 0]
-    };
+    this.state.statistics = this.createDefaultStatistics();
     this.state.achievements = [];
+    this.state.timedRecords = { countdown: {}, speedrun: {} };
     this.saveState();
   }
 
@@ -358,106 +577,202 @@ export class GameStateManager {
    * 重置所有数据
    */
   resetAll() {
-    this.state = {
-      currentGame: null,
-      gameHistory: [],
-      statistics: {
-        gamesPlayed: 0,
-        gamesWon: 0,
-        currentStreak: 0,
-        maxStreak: 0,
-        guessDistribution: [0, 0, 0, 0, 0, 0]
-      },
-      settings: {
-        hardMode: false,
-        darkTheme: false,
-        colorblindMode: false,
-        animations: true
-      },
-      achievements: [],
-      lastPlayed: null
-    };
+    this.state = createDefaultState();
     this.saveState();
   }
 
   /**
-   * 保存状态到本地存储
+   * 保存状态到存储，返回 Promise<是否保存成功>（存档加载完成后才写入，避免覆盖还没读取的存档）
+   * 与其他标签页同步时先读取存档，其他标签页保存过就先合并它们的修改
    */
   saveState() {
+    if (!this.loaded) {
+      return this.ready.then(() => this.saveState());
+    }
+    if (!this.options.sync) {
+      return this.writeState();
+    }
+
+    return Promise.resolve(afterStorage(this.readStoredState(), (serializedState) => {
+      this.mergeStoredState(serializedState);
+      return this.writeState();
+    }));
+  }
+
+  /**
+   * 把当前状态写入存储，成功后通知其他标签页
+   */
+  writeState() {
     try {
-      const serializedState = JSON.stringify(this.state, (key, value) => {
-        // 处理Set对象
-        if (value instanceof Set) {
-          return { __type__: 'Set', values: Array.from(value) };
-        }
-        return value;
-      });
-      localStorage.setItem('wordleGameState', serializedState);
+      const serializedState = serializeState(this.state);
+      return Promise.resolve(this.storage.setItem(this.options.storageKey, serializedState))
+        .then(() => {
+          this.lastSerialized = serializedState;
+          if (this.options.sync) {
+            this.options.sync.post('state-changed', { key: this.options.storageKey });
+          }
+          return true;
+        })
+        .catch(error => this.handleStorageError(error, '保存游戏状态失败:'));
     } catch (error) {
-      console.error('保存游戏状态失败:', error);
+      return Promise.resolve(this.handleStorageError(error, '保存游戏状态失败:'));
     }
   }
 
   /**
-   * 从本地存储加载状态
+   * 从存储加载状态，返回 Promise<状态>（同步的适配器在调用时就完成加载）
    */
   loadState() {
+    let serializedState;
     try {
-      const serializedState = localStorage.getItem('wordleGameState');
-      if (serializedState) {
-        const loadedState = JSON.parse(serializedState, (key, value) => {
-          // 恢复Set对象
-          if (value && value.__type__ === 'Set') {
-            return new Set(value.values);
-          }
-          return value;
-        });
+      serializedState = this.storage.getItem(this.options.storageKey);
+    } catch (error) {
+      this.handleStorageError(error, '读取游戏状态失败:');
+      serializedState = null;
+    }
 
-        // 验证状态结构
-        if (this.isValidState(loadedState)) {
-          this.state = loadedState;
+    if (serializedState && typeof serializedState.then === 'function') {
+      return serializedState
+        .catch(error => {
+          this.handleStorageError(error, '读取游戏状态失败:');
+          return null;
+        })
+        .then(value => this.applySavedState(value));
+    }
+    return Promise.resolve(this.applySavedState(serializedState));
+  }
 
-          // 恢复当前游戏的usedLetters Set
-          if (this.state.currentGame && !this.state.currentGame.usedLetters) {
-            this.state.currentGame.usedLetters = new Set();
-          }
-        }
+  /**
+   * 读取存储中的存档（同步或异步），读取失败时返回上次读取或写入的存档
+   */
+  readStoredState() {
+    try {
+      const serializedState = this.storage.getItem(this.options.storageKey);
+      return serializedState && typeof serializedState.then === 'function'
+        ? serializedState.catch(() => this.lastSerialized)
+        : serializedState;
+    } catch {
+      return this.lastSerialized;
+    }
+  }
+
+  /**
+   * 其他标签页保存过存档时把本标签页的修改合并到它们的存档中，返回是否合并
+   */
+  mergeStoredState(serializedState) {
+    if (!serializedState || serializedState === this.lastSerialized) {
+      return false;
+    }
+
+    try {
+      this.state = mergeStates(migrateState(JSON.parse(serializedState)), this.state, this.getBaselineState());
+      this.lastSerialized = serializedState;
+      return true;
+    } catch (error) {
+      console.error('合并其他标签页的游戏状态失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 本标签页上次读取或写入的存档（没有或无法迁移时返回null）
+   */
+  getBaselineState() {
+    try {
+      return this.lastSerialized ? migrateState(JSON.parse(this.lastSerialized)) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 其他标签页保存后重新读取存档（保留本标签页还没保存的修改），有变化时调用 options.onRemoteChange
+   */
+  refreshState() {
+    if (!this.loaded) {
+      return this.ready.then(() => this.refreshState());
+    }
+
+    return Promise.resolve(afterStorage(this.readStoredState(), (serializedState) => {
+      const changed = this.mergeStoredState(serializedState);
+      if (changed && this.options.onRemoteChange) {
+        this.options.onRemoteChange(this.state);
+      }
+      return changed;
+    }));
+  }
+
+  /**
+   * 停止跟踪游戏并不再接收其他标签页的通知
+   */
+  disconnect() {
+    this.untrackGame();
+    if (this.syncUnsubscribe) {
+      this.syncUnsubscribe();
+      this.syncUnsubscribe = null;
+    }
+  }
+
+  /**
+   * 使用读取到的存档（旧版本的存档先迁移到当前版本，无法迁移时保留默认状态）
+   */
+  applySavedState(serializedState) {
+    this.lastSerialized = serializedState || null;
+    try {
+      if (serializedState) {
+        // 不是对象或版本比当前版本新的存档会抛出错误
+        this.state = migrateState(JSON.parse(serializedState));
       }
     } catch (error) {
       console.error('加载游戏状态失败:', error);
     }
+
+    this.loaded = true;
+    return this.state;
+  }
+
+  /**
+   * 记录存储错误并通知调用方（游戏继续在内存中运行），返回false
+   */
+  handleStorageError(error, message) {
+    console.error(message, error);
+    this.storageError = error;
+    if (this.options.onStorageError) {
+      this.options.onStorageError(error);
+    }
+    return false;
   }
 
   /**
-   * 验证状态结构
+   * 验证状态结构：字段类型正确、能迁移到当前版本的存档都有效（缺少的字段在迁移时补齐）
    */
   isValidState(state) {
-    return state &&
-           typeof state === 'object' &&
-           'statistics' in state &&
-           'settings' in state &&
-           'achievements' in state;
+    return isMigratableState(state) && validateState(state).length === 0;
   }
 
   /**
-   * 导出状态
+   * 导出状态（带格式版本和校验和的导出文件，见 StateExport.js）
    */
   exportState() {
-    return JSON.stringify(this.state);
+    return createExport(this.state);
   }
 
   /**
-   * 导入状态
+   * 预览导入文件会带来的变化，文件无效时抛出错误
+   */
+  previewImport(serializedState) {
+    return createImportPreview(this.state, parseExport(serializedState).state);
+  }
+
+  /**
+   * 导入状态：检查导出文件后与当前数据合并（按游戏 id 合并历史并重新计入统计，保留当前的设置和游戏）
    */
   importState(serializedState) {
     try {
-      const importedState = JSON.parse(serializedState);
-      if (this.isValidState(importedState)) {
-        this.state = importedState;
-        this.saveState();
-        return true;
-      }
-      return false;
+      const { state } = parseExport(serializedState);
+      this.state = mergeImportedState(this.state, state);
+      this.saveState();
+      return true;
     } catch (error) {
       console.error('导入状态失败:', error);
       return false;
@@ -1,3 +1,6 @@
+import { DIFFICULTY_LEVELS, DIFFICULTY_NAMES } from './WordDifficulty.js';
+import { renderDefinition } from './Dictionary.js';
+
 /**
  * 游戏统计显示组件
  */
@@ -92,7 +95,7 @@ export class GameStats {
   /**
    * 显示详细统计弹窗
    */
-  showDetailedStats(statistics) {
+  showDetailedStats(statistics, history = []) {
     if (this.modalElement) {
       this.closeModal();
     }
@@ -135,6 +138,8 @@ export class GameStats {
               </div>
             </div>
 
+            <div class="hard-mode-summary">困难模式胜场：${statistics.hardModeWins || 0}</div>
+
             <div class="guess-distribution">
               <h3>猜测分布</h3>
               <div class="distribution-bars">
@@ -155,6 +160,8 @@ export class GameStats {
               </div>
             </div>
 
+            ${this.generateDifficultyHTML(statistics.difficultyStats || {})}
+
             <div class="stats-achievements">
               <h3>成就</h3>
               <div class="achievements-grid">
@@ -166,6 +173,13 @@ export class GameStats {
       </div>
     `;
 
+    // 最近的游戏可能来自导入的文件，用 textContent 写入
+    const historyElement = this.createHistoryElement(history);
+    if (historyElement) {
+      const achievements = this.modalElement.querySelector('.stats-achievements');
+      achievements.parentNode.insertBefore(historyElement, achievements);
+    }
+
     document.body.appendChild(this.modalElement);
 
     // 添加显示动画
@@ -181,6 +195,85 @@ export class GameStats {
     });
   }
 
+  /**
+   * 生成按答案难度分组的统计HTML（没有玩过选定难度的游戏时不显示）
+   */
+  generateDifficultyHTML(difficultyStats) {
+    const levels = DIFFICULTY_LEVELS.filter(level => difficultyStats[level]);
+    if (levels.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="difficulty-stats">
+        <h3>按难度</h3>
+        ${levels.map(level => {
+          const stats = difficultyStats[level];
+          return `
+            <div class="difficulty-row" data-difficulty="${level}">
+              <span class="difficulty-name">${DIFFICULTY_NAMES[level]}</span>
+              <span class="difficulty-detail">${stats.gamesPlayed} 局 · 胜率 ${stats.winPercentage}% · 平均 ${stats.averageGuesses} 次</span>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * 创建最近游戏的元素（答案的释义由 showDefinitions 补上），没有游戏时返回null
+   */
+  createHistoryElement(history) {
+    if (history.length === 0) {
+      return null;
+    }
+
+    const createElement = (tag, className, text = '') => {
+      const element = document.createElement(tag);
+      element.className = className;
+      element.textContent = text;
+      return element;
+    };
+
+    const container = createElement('div', 'stats-history');
+    container.appendChild(createElement('h3', '', '最近的游戏'));
+    history.forEach(game => {
+      const row = createElement('div', 'history-row');
+      row.dataset.word = String(game.targetWord || '');
+
+      const summary = createElement('div', 'history-summary');
+      summary.appendChild(createElement('span', 'history-word', String(game.targetWord || '')));
+      const result = game.gameStatus === 'won' ? `✓ ${game.guessCount} 次` : '✗';
+      summary.appendChild(createElement('span', 'history-result', `${result} · ${game.date}`));
+
+      row.appendChild(summary);
+      row.appendChild(createElement('div', 'history-definition hidden'));
+      container.appendChild(row);
+    });
+    return container;
+  }
+
+  /**
+   * 在最近的游戏中显示答案的释义（definitions: Map(单词 → 词条)，多棋盘游戏的每个答案各显示一条）
+   */
+  showDefinitions(definitions) {
+    if (!this.modalElement) return;
+
+    this.modalElement.querySelectorAll('.history-row').forEach(row => {
+      const container = row.querySelector('.history-definition');
+      container.innerHTML = '';
+      row.dataset.word.split(', ').forEach(word => {
+        const entry = definitions.get(word);
+        if (!entry) return;
+        const item = document.createElement('div');
+        item.className = 'definition-item';
+        renderDefinition(item, entry);
+        container.appendChild(item);
+      });
+      container.classList.toggle('hidden', container.children.length === 0);
+    });
+  }
+
   /**
    * 生成成就HTML
    */
@@ -0,0 +1,274 @@
+/**
+ * 语言包 - 定义一种语言的字母表、规范化规则和键盘布局
+ *
+ * 语言包定义的字段：
+ * - alphabet:     单词中允许出现的大写字母
+ * - label:        中文名称，用于提示信息
+ * - locale:       大写转换使用的区域设置（例如土耳其语 i 大写为 İ）
+ * - upperCase:    在区域大写转换之前单独处理的字母（例如德语 ß 应变成一个字母 ẞ，而不是 SS）
+ * - fold:         输入时折叠到字母表中的字母（例如法语 É 按 E 输入和保存）
+ * - equivalents:  反馈时视为同一个字母（例如俄语 Ё 与 Е）
+ * - keyboard:     键盘布局，每行一个字符串（回车和退格键由 VirtualKeyboard 添加）
+ * - words:        内置单词表（英语使用 WordValidator 自带的单词表）
+ * - defaultWords: 单词表中没有对应长度的单词时使用的默认目标词
+ * - daily:        每日谜题的答案，从第 dailyStart 期开始每期按顺序使用一个单词，不循环。
+ *                 只能在末尾追加（修改或调换已有的单词会改变已经发布的谜题），用完之前要追加新单词
+ * - dailyStart:   daily 中第一个单词的期号
+ * - lexicon:      词库包地址，null 表示只使用内置单词表
+ * - dictionary:   词典包地址（释义和例句），null 表示没有词典
+ */
+export class LanguagePack {
+  constructor(definition) {
+    this.id = definition.id;
+    this.name = definition.name;
+    this.label = definition.label || definition.name;
+    this.locale = definition.locale || definition.id;
+    this.alphabet = definition.alphabet;
+    this.upperCase = definition.upperCase || {};
+    this.fold = definition.fold || {};
+    this.equivalents = definition.equivalents || {};
+    this.keyboard = definition.keyboard;
+    this.lexicon = definition.lexicon || null;
+    this.dictionary = definition.dictionary || null;
+    this.letters = new Set(this.alphabet.split(''));
+    this.adjacentKeys = null;
+
+    this.words = definition.words ? definition.words.map(word => this.normalizeWord(word)) : null;
+    this.daily = (definition.daily || []).map(word => this.normalizeWord(word));
+    this.dailyStart = definition.dailyStart || 1;
+    this.defaultWords = {};
+    Object.entries(definition.defaultWords || {}).forEach(([length, word]) => {
+      this.defaultWords[length] = this.normalizeWord(word);
+    });
+  }
+
+  /**
+   * 按语言规则转换为大写
+   */
+  toUpperCase(text) {
+    return Array.from(text.normalize('NFC'))
+      .map(char => this.upperCase[char] || char)
+      .join('')
+      .toLocaleUpperCase(this.locale);
+  }
+
+  /**
+   * 规范化单个输入字母，不属于字母表时返回null
+   */
+  normalizeLetter(letter) {
+    if (typeof letter !== 'string' || letter.length === 0) return null;
+
+    const upperLetter = this.toUpperCase(letter);
+    const folded = this.fold[upperLetter] || upperLetter;
+    return this.letters.has(folded) ? folded : null;
+  }
+
+  /**
+   * 规范化单词：大写并折叠字母（不检查字母是否属于字母表）
+   */
+  normalizeWord(word) {
+    return Array.from(this.toUpperCase(word))
+      .map(char => this.fold[char] || char)
+      .join('');
+  }
+
+  /**
+   * 检查单词是否只由字母表中的字母组成
+   */
+  isWord(word) {
+    return typeof word === 'string' && word.length > 0 &&
+      word.split('').every(letter => this.letters.has(letter));
+  }
+
+  /**
+   * 是否有这个长度的单词表（只有默认目标词的长度不提供）；使用 WordValidator 自带单词表的语言支持所有长度
+   */
+  supportsWordLength(wordLength) {
+    return !this.words || this.words.some(word => word.length === wordLength);
+  }
+
+  /**
+   * 反馈比较时使用的字母（等价字母返回同一个字母）
+   */
+  feedbackLetter(letter) {
+    return this.equivalents[letter] || letter;
+  }
+
+  /**
+   * 获取默认目标词（没有时返回null）
+   */
+  getDefaultWord(wordLength) {
+    return this.defaultWords[wordLength] || null;
+  }
+
+  /**
+   * 获取虚拟键盘布局：回车键在最后一行开头，退格键在最后一行末尾
+   */
+  getKeyboardLayout() {
+    return this.keyboard.map((row, index) => {
+      const keys = row.split('');
+      return index === this.keyboard.length - 1 ? ['ENTER', ...keys, 'BACK'] : keys;
+    });
+  }
+
+  /**
+   * 每个字母在键盘上相邻的字母（同一行左右两个，上一行和下一行各两个），用于判断输入错误
+   */
+  getAdjacentKeys() {
+    if (this.adjacentKeys) return this.adjacentKeys;
+
+    this.adjacentKeys = new Map();
+    this.keyboard.forEach((row, rowIndex) => {
+      row.split('').forEach((letter, column) => {
+        const neighbors = [row[column - 1], row[column + 1]];
+        const above = this.keyboard[rowIndex - 1];
+        const below = this.keyboard[rowIndex + 1];
+        if (above) neighbors.push(above[column], above[column + 1]);
+        if (below) neighbors.push(below[column - 1], below[column]);
+        this.adjacentKeys.set(letter, new Set(neighbors.filter(Boolean)));
+      });
+    });
+    return this.adjacentKeys;
+  }
+}
+
+// 默认语言
+export const DEFAULT_LANGUAGE = 'en';
+
+// 内置语言包
+export const LANGUAGE_PACKS = {
+  en: new LanguagePack({
+    id: 'en',
+    name: 'English',
+    label: '英文',
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    keyboard: ['QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'],
+    lexicon: 'lexicon/',
+    dictionary: 'dictionary/en.json',
+    // 第 657 期（2026-10-19）起每种语言使用固定的答案列表
+    dailyStart: 657,
+    daily: [
+      'ANGER', 'HEART', 'SHARE', 'DRINK', 'ALBUM', 'SHIRT', 'GRAPE', 'PLANE', 'TIGER', 'JUICE',
+      'HOTEL', 'NOISE', 'ROYAL', 'FRUIT', 'FAITH', 'BENCH', 'CREAM', 'FLASH', 'ROUND', 'PEACE',
+      'WHEEL', 'SOUND', 'ALIEN', 'OLIVE', 'TEACH', 'SHELF', 'FRESH', 'STORY', 'FUNNY', 'CHAIR',
+      'SWEET', 'RADIO', 'TASTE', 'LEMON', 'TRUTH', 'DANCE', 'STONE', 'DREAM', 'WATCH', 'BRAVE',
+      'YOUNG', 'SMOKE', 'ARENA', 'PHONE', 'MONTH', 'GHOST', 'DRESS', 'SPACE', 'GLASS', 'CRASH',
+      'BOARD', 'TRUST', 'CHARM', 'CHEST', 'JUDGE', 'GIANT', 'GRACE', 'STORM', 'LOGIC', 'NIGHT',
+      'WATER', 'PAPER', 'NURSE', 'SPORT', 'SLEEP', 'MOUSE', 'PLANT', 'PAINT', 'COAST', 'MONEY',
+      'SHAPE', 'OCEAN', 'TRUCK', 'PIANO', 'SUGAR', 'COACH', 'ANGEL', 'SCORE', 'GRASS', 'PILOT',
+      'TOUCH', 'MOVIE', 'RIVER', 'QUEEN', 'EMPTY', 'CRAFT', 'MATCH', 'FIELD', 'NOVEL', 'BLOOD',
+      'LUNCH', 'BRAIN', 'CLOUD', 'LUCKY', 'FLOOR', 'STAGE', 'WHALE', 'CURVE', 'ALARM', 'ZEBRA',
+      'ACTOR', 'STEAM', 'SCALE', 'GUEST', 'HONEY', 'GLOBE', 'HAPPY', 'BREAD', 'BROWN', 'BLAME',
+      'GUIDE', 'CROWN', 'CABLE', 'TRAIN', 'CROWD', 'VOICE', 'WORLD', 'GREEN', 'KNIFE', 'FRAME',
+      'MOUTH', 'EAGLE', 'ADULT', 'LIGHT', 'CLOCK', 'YOUTH', 'MAGIC', 'EARTH', 'BEACH', 'MUSIC',
+      'PEACH', 'ANGLE', 'TOWER', 'LAUGH', 'IMAGE', 'QUIET', 'HORSE', 'SMILE', 'CHILD', 'ENJOY',
+      'METAL', 'HOUSE', 'APPLE', 'TABLE'
+    ]
+  }),
+
+  es: new LanguagePack({
+    id: 'es',
+    name: 'Español',
+    label: '西班牙语',
+    alphabet: 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ',
+    // Ñ 是独立的字母，重音符号不影响反馈
+    fold: { Á: 'A', É: 'E', Í: 'I', Ó: 'O', Ú: 'U', Ü: 'U' },
+    keyboard: ['QWERTYUIOP', 'ASDFGHJKLÑ', 'ZXCVBNM'],
+    words: [
+      'ÁRBOL', 'ÁNGEL', 'AÑEJO', 'BAÑOS', 'BARCO', 'CAMPO', 'CARTA', 'CIELO', 'DUEÑO', 'FUEGO',
+      'GATOS', 'HIELO', 'LECHE', 'LIBRO', 'LIMÓN', 'MESAS', 'MONTE', 'MUNDO', 'NEGRO', 'NIÑOS',
+      'NOCHE', 'NUBES', 'PERRO', 'PIANO', 'PLATO', 'PLAYA', 'RATÓN', 'RELOJ', 'SILLA', 'SUEÑO',
+      'TIGRE', 'VERDE'
+    ],
+    dailyStart: 657,
+    daily: [
+      'CARTA', 'BAÑOS', 'AÑEJO', 'NOCHE', 'NUBES', 'BARCO', 'HIELO', 'PLATO', 'FUEGO', 'PERRO',
+      'LIMÓN', 'MUNDO', 'SILLA', 'TIGRE', 'NIÑOS', 'RATÓN', 'GATOS', 'NEGRO', 'MESAS', 'LIBRO',
+      'LECHE', 'CIELO', 'SUEÑO', 'ÁRBOL', 'MONTE', 'PLAYA', 'ÁNGEL', 'PIANO', 'DUEÑO', 'CAMPO',
+      'RELOJ', 'VERDE'
+    ],
+    defaultWords: { 4: 'CASA', 5: 'MUNDO', 6: 'CAMINO', 7: 'PALABRA', 8: 'ALFABETO' }
+  }),
+
+  de: new LanguagePack({
+    id: 'de',
+    name: 'Deutsch',
+    label: '德语',
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÜẞ',
+    // Umlaute 和 ẞ 是独立的字母
+    upperCase: { ß: 'ẞ' },
+    keyboard: ['QWERTZUIOPÜ', 'ASDFGHJKLÖÄ', 'YXCVBNMẞ'],
+    words: [
+      'APFEL', 'BÄUME', 'BLUME', 'BRIEF', 'BÜHNE', 'FEUER', 'FLUSS', 'GRÖßE', 'GRÜßE', 'HÖHLE',
+      'HUNDE', 'INSEL', 'KATZE', 'KÜCHE', 'LAMPE', 'LÖWEN', 'MÜNZE', 'MUSIK', 'NACHT', 'SCHUH',
+      'SPIEL', 'STERN', 'STUHL', 'TISCH', 'TÜREN', 'VATER', 'VÖGEL', 'WOLKE'
+    ],
+    dailyStart: 657,
+    daily: [
+      'FEUER', 'BÄUME', 'BLUME', 'VATER', 'MÜNZE', 'BRIEF', 'HUNDE', 'GRÖßE', 'GRÜßE', 'SCHUH',
+      'KATZE', 'LAMPE', 'TÜREN', 'VÖGEL', 'MUSIK', 'STUHL', 'LÖWEN', 'BÜHNE', 'TISCH', 'STERN',
+      'NACHT', 'SPIEL', 'APFEL', 'FLUSS', 'WOLKE', 'INSEL', 'KÜCHE', 'HÖHLE'
+    ],
+    defaultWords: { 4: 'WORT', 5: 'SPIEL', 6: 'RÄTSEL', 7: 'SPIELER', 8: 'ALPHABET' }
+  }),
+
+  fr: new LanguagePack({
+    id: 'fr',
+    name: 'Français',
+    label: '法语',
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    // 重音字母按不带重音的字母输入和比较
+    fold: {
+      À: 'A', Â: 'A', Ä: 'A', Ç: 'C', É: 'E', È: 'E', Ê: 'E', Ë: 'E',
+      Î: 'I', Ï: 'I', Ô: 'O', Ö: 'O', Ù: 'U', Û: 'U', Ü: 'U', Ÿ: 'Y'
+    },
+    keyboard: ['AZERTYUIOP', 'QSDFGHJKLM', 'WXCVBN'],
+    words: [
+      'ARBRE', 'CHATS', 'CHIEN', 'ÉCOLE', 'ÉLÈVE', 'FLEUR', 'FORÊT', 'FRÈRE', 'HÔTEL', 'JAUNE',
+      'JOUER', 'LIVRE', 'MONDE', 'NEIGE', 'NUAGE', 'PLAGE', 'PLUIE', 'POMME', 'PORTE', 'RÊVES',
+      'ROUGE', 'SUCRE', 'TABLE', 'TEMPS', 'TRAIN', 'VERTE', 'VILLE'
+    ],
+    dailyStart: 657,
+    daily: [
+      'ÉCOLE', 'MONDE', 'POMME', 'ÉLÈVE', 'VILLE', 'CHATS', 'PLAGE', 'TRAIN', 'CHIEN', 'JAUNE',
+      'RÊVES', 'FRÈRE', 'PORTE', 'LIVRE', 'NUAGE', 'TEMPS', 'VERTE', 'PLUIE', 'TABLE', 'NEIGE',
+      'JOUER', 'FORÊT', 'HÔTEL', 'SUCRE', 'ARBRE', 'ROUGE', 'FLEUR'
+    ],
+    defaultWords: { 4: 'MOTS', 5: 'MONDE', 6: 'JOUEUR', 7: 'LETTRES', 8: 'ALPHABET' }
+  }),
+
+  ru: new LanguagePack({
+    id: 'ru',
+    name: 'Русский',
+    label: '俄语',
+    alphabet: 'АБВГДЕЁЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ',
+    // Ё 可以单独输入，反馈时与 Е 视为同一个字母
+    equivalents: { Ё: 'Е' },
+    keyboard: ['ЙЦУКЕНГШЩЗХЪ', 'ФЫВАПРОЛДЖЭ', 'ЯЧСМИТЬБЮЁ'],
+    words: [
+      'ВЕСНА', 'ВЕТЕР', 'ВИШНЯ', 'ВРЕМЯ', 'ГОРОД', 'ГРУША', 'ДИВАН', 'ДОЖДЬ', 'ЗАМОК', 'ЗЕМЛЯ',
+      'КНИГА', 'КОШКА', 'ЛИМОН', 'ЛОДКА', 'МЕСТО', 'ОЗЕРО', 'ОСЕНЬ', 'ПАРТА', 'ПЕСНЯ', 'ПОЕЗД',
+      'ПОЛЁТ', 'ПТИЦА', 'РУЧКА', 'СЛОВО', 'ТРАВА', 'ШКОЛА'
+    ],
+    dailyStart: 657,
+    daily: [
+      'КНИГА', 'ВРЕМЯ', 'ПОЛЁТ', 'ЗЕМЛЯ', 'ГОРОД', 'ШКОЛА', 'ВЕТЕР', 'МЕСТО', 'СЛОВО', 'ВИШНЯ',
+      'ЗАМОК', 'ДИВАН', 'ДОЖДЬ', 'ПАРТА', 'КОШКА', 'ЛОДКА', 'РУЧКА', 'ТРАВА', 'ОЗЕРО', 'ПТИЦА',
+      'ЛИМОН', 'ГРУША', 'ОСЕНЬ', 'ПЕСНЯ', 'ВЕСНА', 'ПОЕЗД'
+    ],
+    defaultWords: { 4: 'ИГРА', 5: 'СЛОВО', 6: 'ИГРОКИ', 7: 'АЛФАВИТ', 8: 'ТЕТРАДКА' }
+  })
+};
+
+/**
+ * 获取语言包（可以传入语言包或语言代码，未指定时使用默认语言）
+ */
+export function getLanguagePack(language = DEFAULT_LANGUAGE) {
+  if (language instanceof LanguagePack) return language;
+
+  const id = language || DEFAULT_LANGUAGE;
+  if (!Object.prototype.hasOwnProperty.call(LANGUAGE_PACKS, id)) {
+    throw new Error(`不支持的语言: ${language}`);
+  }
+  return LANGUAGE_PACKS[id];
+}
@@ -0,0 +1,320 @@
+// 词库包缓存使用的键名前缀 / IndexedDB 数据库名
+const CACHE_NAME = 'wordle-lexicon';
+
+// 缓存索引的键：记录缓存中的词库包属于哪个版本
+const INDEX_KEY = '__index__';
+
+/**
+ * 计算文本的校验和（32位 FNV-1a，8位十六进制）
+ */
+export function computeChecksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * 解析一行词库记录：'单词 [词性] [词频] [标签] [难度]'，未知的字段用 - 占位
+ */
+export function parseLexiconLine(line) {
+  const [word, partOfSpeech = '-', frequency = '-', tags = '-', difficulty = '-'] = line.trim().split(/\s+/);
+  return {
+    word: word.toUpperCase(),
+    metadata: {
+      frequency: frequency === '-' ? null : Number(frequency),
+      partOfSpeech: partOfSpeech === '-' ? null : partOfSpeech,
+      tags: tags === '-' ? [] : tags.split(','),
+      difficulty: difficulty === '-' ? null : Number(difficulty)
+    }
+  };
+}
+
+/**
+ * 把一条词库记录格式化为一行文本（parseLexiconLine 的逆操作）
+ */
+export function formatLexiconLine({ word, metadata = {} }) {
+  const fields = [
+    metadata.partOfSpeech || '-',
+    typeof metadata.frequency === 'number' ? String(metadata.frequency) : '-',
+    metadata.tags && metadata.tags.length > 0 ? metadata.tags.join(',') : '-',
+    typeof metadata.difficulty === 'number' ? String(metadata.difficulty) : '-'
+  ];
+  // 去掉末尾的占位字段
+  while (fields.length > 0 && fields[fields.length - 1] === '-') {
+    fields.pop();
+  }
+  return [word, ...fields].join(' ');
+}
+
+/**
+ * 解析词库包内容（text: 每行一条记录，# 开头为注释；json: { words: [...] }）
+ */
+export function parseLexiconPack(text, format = 'text') {
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    const words = Array.isArray(data) ? data : data.words;
+    if (!Array.isArray(words)) {
+      throw new Error('词库包格式错误');
+    }
+
+    return words.map(item => {
+      if (typeof item === 'string') {
+        return parseLexiconLine(item);
+      }
+      return {
+        word: String(item.word).toUpperCase(),
+        metadata: {
+          frequency: typeof item.frequency === 'number' ? item.frequency : null,
+          partOfSpeech: item.partOfSpeech || null,
+          tags: Array.isArray(item.tags) ? [...item.tags] : [],
+          difficulty: typeof item.difficulty === 'number' ? item.difficulty : null
+        }
+      };
+    });
+  }
+
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => parseLexiconLine(line));
+}
+
+/**
+ * localStorage 缓存：每个词库包一个键
+ */
+class LocalStorageCache {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async get(id) {
+    const value = this.storage.getItem(`${CACHE_NAME}:${id}`);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(id, value) {
+    this.storage.setItem(`${CACHE_NAME}:${id}`, JSON.stringify(value));
+  }
+}
+
+/**
+ * IndexedDB 缓存：词库包保存在 packs 对象仓库中
+ */
+class IndexedDBCache {
+  constructor(indexedDB) {
+    this.indexedDB = indexedDB;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(CACHE_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('packs');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async request(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction('packs', mode).objectStore('packs'));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async get(id) {
+    return (await this.request('readonly', store => store.get(id))) || null;
+  }
+
+  async set(id, value) {
+    await this.request('readwrite', store => store.put(value, id));
+  }
+}
+
+/**
+ * 选择可用的缓存：优先 IndexedDB，其次 localStorage，都不可用时不缓存
+ */
+export function createDefaultCache() {
+  if (typeof indexedDB !== 'undefined') {
+    return new IndexedDBCache(indexedDB);
+  }
+  if (typeof localStorage !== 'undefined') {
+    return new LocalStorageCache(localStorage);
+  }
+  return null;
+}
+
+/**
+ * 词库包加载器 - 从构建产物中异步加载词库包
+ *
+ * 先读取 manifest.json（版本号和每个词库包的地址、格式、校验和），缓存中版本和校验和一致的词库包直接使用，
+ * 否则用 fetch 下载并校验后写入缓存。离线或校验失败时使用缓存中最近一次完整加载的词库包；
+ * 缓存也不可用时返回 source: 'embedded'，由调用方继续使用内置单词表。
+ */
+export class LexiconLoader {
+  constructor(options = {}) {
+    this.options = {
+      baseUrl: 'lexicon/',
+      manifest: 'manifest.json',
+      fetch: (...args) => fetch(...args),
+      cache: undefined,
+      onProgress: null,
+      ...options
+    };
+
+    this.cache = this.options.cache === undefined ? createDefaultCache() : this.options.cache;
+  }
+
+  /**
+   * 加载所有词库包
+   */
+  async load() {
+    try {
+      const manifest = await this.fetchManifest();
+      const packs = [];
+      const downloads = [];
+
+      for (const [index, pack] of manifest.packs.entries()) {
+        const result = await this.loadPack(manifest.version, pack);
+        packs.push(result.pack);
+        if (result.cacheEntry) {
+          downloads.push({ id: pack.id, value: result.cacheEntry });
+        }
+        this.reportProgress(index + 1, manifest.packs.length, pack.id);
+      }
+
+      // 全部词库包都校验通过后才写入缓存，避免缓存中混入不同版本
+      await this.writeCache(manifest.version, downloads, manifest.packs.map(pack => pack.id));
+
+      return {
+        source: downloads.length > 0 ? 'network' : 'cache',
+        version: manifest.version,
+        packs
+      };
+    } catch (error) {
+      return this.loadFromCache(error);
+    }
+  }
+
+  /**
+   * 下载并检查清单
+   */
+  async fetchManifest() {
+    const manifest = JSON.parse(await this.fetchText(this.options.manifest));
+    if (!manifest || typeof manifest.version !== 'number' || !Array.isArray(manifest.packs)) {
+      throw new Error('词库清单格式错误');
+    }
+    return manifest;
+  }
+
+  /**
+   * 加载单个词库包：缓存中版本和校验和一致时直接使用，否则下载并校验
+   */
+  async loadPack(version, pack) {
+    const cached = await this.readCache(pack.id);
+    if (cached && cached.version === version && cached.checksum === pack.checksum) {
+      return { pack: this.createPack(pack, version, cached.text, 'cache'), cacheEntry: null };
+    }
+
+    const text = await this.fetchText(pack.url);
+    if (computeChecksum(text) !== pack.checksum) {
+      throw new Error(`词库包 ${pack.id} 校验失败`);
+    }
+
+    return {
+      pack: this.createPack(pack, version, text, 'network'),
+      cacheEntry: { version, checksum: pack.checksum, format: pack.format, list: pack.list, text }
+    };
+  }
+
+  /**
+   * 无法从网络加载时使用缓存：缓存索引中的词库包必须全部存在且校验通过
+   */
+  async loadFromCache(error) {
+    const embedded = { source: 'embedded', version: null, packs: [], error: error.message };
+    const index = await this.readCache(INDEX_KEY);
+    if (!index || !Array.isArray(index.ids) || index.ids.length === 0) {
+      return embedded;
+    }
+
+    const packs = [];
+    for (const id of index.ids) {
+      const cached = await this.readCache(id);
+      if (!cached || cached.version !== index.version || computeChecksum(cached.text) !== cached.checksum) {
+        return embedded;
+      }
+      packs.push(this.createPack({ id, ...cached }, index.version, cached.text, 'cache'));
+    }
+
+    this.reportProgress(packs.length, packs.length, null);
+    return { source: 'cache', version: index.version, packs, error: error.message };
+  }
+
+  /**
+   * 解析词库包
+   */
+  createPack(pack, version, text, source) {
+    return {
+      id: pack.id,
+      list: pack.list || 'allowed',
+      version,
+      source,
+      entries: parseLexiconPack(text, pack.format)
+    };
+  }
+
+  /**
+   * 下载文本内容
+   */
+  async fetchText(path) {
+    const response = await this.options.fetch(`${this.options.baseUrl}${path}`);
+    if (!response || !response.ok) {
+      throw new Error(`无法加载 ${path}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * 读取缓存（缓存不可用或读取失败时返回null）
+   */
+  async readCache(id) {
+    if (!this.cache) return null;
+    try {
+      return await this.cache.get(id);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 写入新下载的词库包，并更新缓存索引（当前版本包含哪些词库包）
+   */
+  async writeCache(version, downloads, ids) {
+    if (!this.cache) return;
+    try {
+      for (const { id, value } of downloads) {
+        await this.cache.set(id, value);
+      }
+      await this.cache.set(INDEX_KEY, { version, ids });
+    } catch (error) {
+      console.warn('缓存词库包失败:', error);
+    }
+  }
+
+  /**
+   * 报告加载进度
+   */
+  reportProgress(loaded, total, packId) {
+    if (typeof this.options.onProgress === 'function') {
+      this.options.onProgress({ loaded, total, pack: packId });
+    }
+  }
+}
@@ -0,0 +1,223 @@
+import { WordleGame } from './WordleGame.js';
+
+// 支持的棋盘数量：Dordle / Quordle / Octordle
+export const BOARD_COUNTS = [2, 4, 8];
+
+// 字母状态优先级（correct > present > absent > unused）
+const LETTER_STATE_RANK = {
+  unused: 0,
+  absent: 1,
+  present: 2,
+  correct: 3
+};
+
+/**
+ * 多棋盘游戏引擎 - 同时猜多个目标单词（Dordle / Quordle / Octordle）
+ *
+ * 每个棋盘是一个独立的 WordleGame，每次猜测都交给所有尚未解开的棋盘评估；
+ * 允许的猜测次数为棋盘数量 + 5，全部棋盘解开才算获胜。事件与 WordleGame 相同。
+ */
+export class MultiBoardGame extends WordleGame {
+  constructor(wordList = [], options = {}) {
+    const boardCount = options.boardCount || 2;
+    if (!BOARD_COUNTS.includes(boardCount)) {
+      throw new Error(`棋盘数量必须是${BOARD_COUNTS.join('、')}之一`);
+    }
+
+    super(wordList, {
+      ...options,
+      boardCount,
+      hardMode: false, // 多棋盘模式不支持困难模式
+      maxGuesses: options.maxGuesses || boardCount + 5
+    });
+  }
+
+  /**
+   * 初始化游戏：为每个棋盘选择不同的目标单词
+   */
+  initializeGame() {
+    this.boardCount = this.options.boardCount;
+    this.targetWords = this.selectTargetWords();
+    this.boards = this.targetWords.map(targetWord => new WordleGame(this.wordList, {
+      wordLength: this.wordLength,
+      maxGuesses: this.maxGuesses,
+      language: this.language,
+      targetWord
+    }));
+
+    this.id = this.generateGameId();
+    this.targetWord = this.targetWords.join(', ');
+    this.currentGuess = '';
+    this.guesses = [];
+    this.gameStatus = 'playing';
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.usedLetters.clear();
+    this.emit('start');
+  }
+
+  /**
+   * 选择互不相同的目标单词（恢复游戏时沿用已保存的目标单词）
+   */
+  selectTargetWords() {
+    const fixedTargetWords = (this.options.targetWords || []).map(word => this.language.normalizeWord(word));
+    if (fixedTargetWords.length === this.boardCount) {
+      return fixedTargetWords;
+    }
+
+    const candidates = [...new Set(this.wordList
+      .filter(word => word.length === this.wordLength)
+      .map(word => this.language.normalizeWord(word)))];
+    const targetWords = [];
+
+    while (targetWords.length < this.boardCount && candidates.length > 0) {
+      const randomIndex = Math.floor(Math.random() * candidates.length);
+      targetWords.push(candidates.splice(randomIndex, 1)[0]);
+    }
+
+    // 单词不够时用默认单词补齐
+    while (targetWords.length < this.boardCount) {
+      targetWords.push(this.getDefaultTargetWord());
+    }
+
+    return targetWords;
+  }
+
+  /**
+   * 提交猜测：评估所有尚未解开的棋盘
+   */
+  submitGuess() {
+    if (this.gameStatus !== 'playing' || this.isPaused()) return false;
+    if (this.currentGuess.length !== this.wordLength) return false;
+
+    // 验证是否是有效单词
+    if (!this.isValidWord(this.currentGuess)) return false;
+
+    const guess = {
+      word: this.currentGuess,
+      results: this.scoreGuess(this.currentGuess),
+      timestamp: Date.now()
+    };
+    this.guesses.push(guess);
+
+    // 更新已使用字母
+    this.currentGuess.split('').forEach(letter => {
+      this.usedLetters.add(letter);
+    });
+
+    // 检查游戏状态
+    this.checkGameStatus();
+
+    // 清空当前猜测
+    this.currentGuess = '';
+
+    this.emit('guess', { guess });
+    if (this.gameStatus !== 'playing') {
+      this.emit('end');
+    }
+
+    return true;
+  }
+
+  /**
+   * 将猜测交给每个尚未解开的棋盘，返回各棋盘的结果（已解开的棋盘为null）
+   */
+  scoreGuess(word) {
+    return this.boards.map(board => {
+      if (board.gameStatus !== 'playing') return null;
+
+      board.currentGuess = word;
+      board.submitGuess();
+      return board.guesses[board.guesses.length - 1].result;
+    });
+  }
+
+  /**
+   * 多棋盘模式不支持困难模式
+   */
+  setHardMode() {
+    return false;
+  }
+
+  /**
+   * 恢复已保存的进度：按顺序把猜测重新交给各个棋盘
+   */
+  restoreProgress(guesses = [], currentGuess = '') {
+    this.boards.forEach(board => board.resetGame());
+    this.guesses = guesses.map(guess => ({
+      ...guess,
+      results: this.scoreGuess(guess.word)
+    }));
+
+    this.usedLetters.clear();
+    this.guesses.forEach(guess => {
+      guess.word.split('').forEach(letter => this.usedLetters.add(letter));
+    });
+
+    this.gameStatus = 'playing';
+    this.checkGameStatus();
+
+    this.currentGuess = this.gameStatus === 'playing'
+      ? this.language.normalizeWord(currentGuess).slice(0, this.wordLength)
+      : '';
+  }
+
+  /**
+   * 检查游戏状态：全部棋盘解开为胜利，用完猜测次数为失败
+   */
+  checkGameStatus() {
+    if (this.boards.every(board => board.gameStatus === 'won')) {
+      this.gameStatus = 'won';
+      this.endTime = Date.now();
+    } else if (this.guesses.length >= this.maxGuesses) {
+      this.gameStatus = 'lost';
+      this.endTime = Date.now();
+    }
+  }
+
+  /**
+   * 复制一次猜测记录（每个棋盘各有一组结果）
+   */
+  copyGuess(guess) {
+    return {
+      ...guess,
+      results: guess.results.map(result => (result ? [...result] : null))
+    };
+  }
+
+  /**
+   * 获取字母在每个棋盘上的状态
+   */
+  getLetterStates(letter) {
+    const upperLetter = this.language.normalizeLetter(letter) || letter;
+
+    return this.boards.map(board => {
+      let best = 'unused';
+      board.guesses.forEach(guess => {
+        guess.word.split('').forEach((guessLetter, index) => {
+          const state = guess.result[index];
+          if (guessLetter === upperLetter && LETTER_STATE_RANK[state] > LETTER_STATE_RANK[best]) {
+            best = state;
+          }
+        });
+      });
+      return best;
+    });
+  }
+
+  /**
+   * 获取游戏状态
+   */
+  getGameState() {
+    return {
+      ...super.getGameState(),
+      boardCount: this.boardCount,
+      targetWords: [...this.targetWords],
+      boards: this.boards.map(board => ({
+        targetWord: board.targetWord,
+        gameStatus: board.gameStatus,
+        guessCount: board.guesses.length
+      }))
+    };
+  }
+}
@@ -0,0 +1,349 @@
+import { GameStateManager } from './GameStateManager.js';
+import { afterStorage, createStorageAdapter } from './StorageAdapter.js';
+
+// 默认档案（之前的单用户存档会移到这个档案中）
+export const DEFAULT_PROFILE_ID = 'default';
+export const DEFAULT_PROFILE_NAME = '玩家';
+
+// 档案名称的最大长度
+export const MAX_PROFILE_NAME_LENGTH = 20;
+
+/**
+ * 玩家档案管理器 - 同一设备上的多个玩家各自保存统计、设置、历史和成就
+ *
+ * 档案列表和当前档案保存在 options.storageKey 中，每个档案的游戏状态保存在
+ * `${options.stateKey}:${档案id}` 中，由 createStateManager 创建的 GameStateManager 读写。
+ * 第一次加载时如果还没有档案列表，就创建默认档案并把之前 options.stateKey 中的单用户存档移过去。
+ * 与 GameStateManager 相同，同步的存储适配器在构造时就加载完成，异步的要等 ready resolve。
+ *
+ * 多个标签页共用档案列表：每次修改都在写入前重新读取存储中的列表并把修改应用上去，
+ * 指定 options.sync（TabSync）时写入后通知其他标签页，收到通知的标签页重新读取列表并调用
+ * options.onRemoteChange({ activeProfileDeleted })。当前档案是每个标签页自己的。
+ */
+export class ProfileManager {
+  constructor(options = {}) {
+    this.options = {
+      storage: undefined,
+      storageOptions: {},
+      storageKey: 'wordleProfiles',
+      stateKey: 'wordleGameState',
+      onStorageError: null,
+      sync: null,
+      onRemoteChange: null,
+      ...options
+    };
+
+    this.profiles = [];
+    this.activeProfileId = null;
+    this.loaded = false;
+    this.storageError = null;
+    this.storage = createStorageAdapter(this.options.storage, this.options.storageOptions);
+    this.syncUnsubscribe = null;
+
+    if (this.options.sync) {
+      this.syncUnsubscribe = this.options.sync.on('profiles-changed', (data) => {
+        if (data.key === this.options.storageKey) {
+          this.handleRemoteChange();
+        }
+      });
+    }
+
+    this.ready = Promise.resolve(this.load());
+  }
+
+  /**
+   * 加载档案列表，没有档案列表时迁移之前的单用户存档
+   */
+  load() {
+    return afterStorage(this.read(this.options.storageKey), saved => {
+      const index = this.parseIndex(saved);
+      if (index) {
+        this.profiles = index.profiles;
+        this.activeProfileId = index.activeProfileId;
+      }
+      const migrated = index ? null : this.migrateSingleUserState();
+
+      return afterStorage(migrated, () => {
+        this.loaded = true;
+        return this.getProfiles();
+      });
+    });
+  }
+
+  /**
+   * 解析保存的档案列表，格式错误时返回null
+   */
+  parseIndex(saved) {
+    if (!saved) return null;
+    try {
+      const index = JSON.parse(saved);
+      const profiles = Array.isArray(index.profiles)
+        ? index.profiles.filter(profile => profile && profile.id && typeof profile.name === 'string')
+        : [];
+      if (profiles.length === 0) {
+        throw new Error('档案列表为空');
+      }
+      const active = profiles.some(profile => profile.id === index.activeProfileId);
+      return { profiles, activeProfileId: active ? index.activeProfileId : profiles[0].id };
+    } catch (error) {
+      console.error('加载档案列表失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 创建默认档案，并把之前的单用户存档移到默认档案中（写入成功后才删除原来的存档）
+   */
+  migrateSingleUserState() {
+    this.profiles = [this.createProfileEntry(DEFAULT_PROFILE_ID, DEFAULT_PROFILE_NAME)];
+    this.activeProfileId = DEFAULT_PROFILE_ID;
+
+    const singleUserKey = this.options.stateKey;
+    return afterStorage(this.read(singleUserKey), savedState => {
+      const moved = savedState
+        ? afterStorage(this.write(this.getStateKey(DEFAULT_PROFILE_ID), savedState),
+          written => (written ? this.remove(singleUserKey) : false))
+        : null;
+      return afterStorage(moved, () => this.saveProfiles());
+    });
+  }
+
+  /**
+   * 获取所有档案
+   */
+  getProfiles() {
+    return this.profiles.map(profile => ({ ...profile }));
+  }
+
+  /**
+   * 获取当前档案
+   */
+  getActiveProfile() {
+    return { ...this.getProfile(this.activeProfileId) };
+  }
+
+  /**
+   * 获取档案，不存在时抛出错误
+   */
+  getProfile(profileId) {
+    const profile = this.profiles.find(item => item.id === profileId);
+    if (!profile) {
+      throw new Error(`档案不存在: ${profileId}`);
+    }
+    return profile;
+  }
+
+  /**
+   * 获取档案的游戏状态在存储中的键
+   */
+  getStateKey(profileId = this.activeProfileId) {
+    return `${this.options.stateKey}:${profileId}`;
+  }
+
+  /**
+   * 为当前档案创建状态管理器（使用同一个存储适配器）
+   */
+  createStateManager(options = {}) {
+    return new GameStateManager({
+      storage: this.storage,
+      storageKey: this.getStateKey(),
+      ...options
+    });
+  }
+
+  /**
+   * 新建档案（不会切换到新档案）
+   */
+  createProfile(name) {
+    const profile = this.createProfileEntry(this.generateProfileId(), this.normalizeName(name));
+    this.updateProfiles(profiles => [...profiles.filter(item => item.id !== profile.id), profile]);
+    return { ...profile };
+  }
+
+  /**
+   * 重命名档案
+   */
+  renameProfile(profileId, name) {
+    this.getProfile(profileId);
+    const normalized = this.normalizeName(name, profileId);
+    this.updateProfiles(profiles => profiles.map(item => (item.id === profileId ? { ...item, name: normalized } : item)));
+    return { ...this.getProfile(profileId) };
+  }
+
+  /**
+   * 删除档案和它的游戏状态；删除当前档案时切换到第一个档案，返回删除后的当前档案
+   */
+  deleteProfile(profileId) {
+    this.getProfile(profileId);
+    if (this.profiles.length === 1) {
+      throw new Error('至少需要保留一个档案');
+    }
+
+    if (this.activeProfileId === profileId) {
+      this.activeProfileId = this.profiles.find(profile => profile.id !== profileId).id;
+    }
+    this.remove(this.getStateKey(profileId));
+    this.updateProfiles(profiles => profiles.filter(profile => profile.id !== profileId));
+    return this.getActiveProfile();
+  }
+
+  /**
+   * 切换当前档案（之后需要用 createStateManager 重新创建状态管理器）
+   */
+  switchProfile(profileId) {
+    this.getProfile(profileId);
+    this.activeProfileId = profileId;
+    this.saveProfiles();
+    return this.getActiveProfile();
+  }
+
+  /**
+   * 检查档案名称：去掉首尾空格后不能为空、不能太长、不能与其他档案重名（不区分大小写）
+   */
+  normalizeName(name, profileId = null) {
+    const normalized = String(name || '').trim();
+    if (!normalized) {
+      throw new Error('档案名称不能为空');
+    }
+    if (normalized.length > MAX_PROFILE_NAME_LENGTH) {
+      throw new Error(`档案名称不能超过${MAX_PROFILE_NAME_LENGTH}个字符`);
+    }
+    const duplicate = this.profiles.some(profile =>
+      profile.id !== profileId && profile.name.toLowerCase() === normalized.toLowerCase());
+    if (duplicate) {
+      throw new Error(`档案名称已存在: ${normalized}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * 创建档案记录
+   */
+  createProfileEntry(id, name) {
+    return { id, name, createdAt: Date.now() };
+  }
+
+  /**
+   * 生成档案ID
+   */
+  generateProfileId() {
+    return `profile_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * 修改档案列表（change 接收档案列表，返回修改后的新列表）并保存
+   */
+  updateProfiles(change) {
+    this.profiles = change(this.profiles);
+    return this.saveProfiles(change);
+  }
+
+  /**
+   * 保存档案列表：先重新读取存储中的列表（其他标签页可能已经修改过），把 change 应用上去再写入，
+   * 写入成功后通知其他标签页
+   */
+  saveProfiles(change = profiles => profiles) {
+    const storageKey = this.options.storageKey;
+    return afterStorage(this.read(storageKey), saved => {
+      const index = saved ? this.parseIndex(saved) : null;
+      if (index) {
+        this.profiles = change(index.profiles);
+      }
+
+      const written = this.write(storageKey, JSON.stringify({
+        activeProfileId: this.activeProfileId,
+        profiles: this.profiles
+      }));
+      return afterStorage(written, result => {
+        if (result && this.options.sync) {
+          this.options.sync.post('profiles-changed', { key: storageKey });
+        }
+        return result;
+      });
+    });
+  }
+
+  /**
+   * 重新读取档案列表；当前档案已被其他标签页删除时改用存储中的当前档案，
+   * 返回 { activeProfileDeleted }
+   */
+  refreshProfiles() {
+    return afterStorage(this.read(this.options.storageKey), saved => {
+      const index = this.parseIndex(saved);
+      if (!index) {
+        return { activeProfileDeleted: false };
+      }
+
+      this.profiles = index.profiles;
+      const activeProfileDeleted = !this.profiles.some(profile => profile.id === this.activeProfileId);
+      if (activeProfileDeleted) {
+        this.activeProfileId = index.activeProfileId;
+      }
+      return { activeProfileDeleted };
+    });
+  }
+
+  /**
+   * 其他标签页修改了档案列表
+   */
+  handleRemoteChange() {
+    return afterStorage(this.refreshProfiles(), change => {
+      if (this.options.onRemoteChange) {
+        this.options.onRemoteChange(change);
+      }
+      return change;
+    });
+  }
+
+  /**
+   * 停止接收其他标签页的通知
+   */
+  disconnect() {
+    if (this.syncUnsubscribe) {
+      this.syncUnsubscribe();
+      this.syncUnsubscribe = null;
+    }
+  }
+
+  /**
+   * 读取存储，失败时返回null
+   */
+  read(key) {
+    return this.run(storage => storage.getItem(key), null, '读取档案失败:');
+  }
+
+  /**
+   * 写入存储，返回是否成功
+   */
+  write(key, value) {
+    return afterStorage(this.run(storage => storage.setItem(key, value), false, '保存档案失败:'), result => result !== false);
+  }
+
+  /**
+   * 删除存储中的键，返回是否成功
+   */
+  remove(key) {
+    return afterStorage(this.run(storage => storage.removeItem(key), false, '删除档案失败:'), result => result !== false);
+  }
+
+  /**
+   * 执行存储操作（同步或异步），出错时记录错误并返回 fallback
+   */
+  run(operation, fallback, message) {
+    const handleError = (error) => {
+      console.error(message, error);
+      this.storageError = error;
+      if (this.options.onStorageError) {
+        this.options.onStorageError(error);
+      }
+      return fallback;
+    };
+
+    try {
+      const result = operation(this.storage);
+      return result && typeof result.then === 'function' ? result.catch(handleError) : result;
+    } catch (error) {
+      return handleError(error);
+    }
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * 可复现的伪随机数生成器（mulberry32算法）
+ * 相同的种子总是产生相同的随机序列
+ */
+export class SeededRandom {
+  constructor(seed = Date.now()) {
+    this.seed = seed;
+    this.state = this.hashSeed(seed);
+  }
+
+  /**
+   * 将任意种子（数字或字符串）转换为32位整数
+   */
+  hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * 返回 [0, 1) 区间的随机数
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * 返回 [0, max) 区间的随机整数
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * 返回打乱顺序后的新数组（Fisher-Yates）
+   */
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = this.nextInt(i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+}
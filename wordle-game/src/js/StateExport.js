@@ -0,0 +1,120 @@
+import { computeChecksum } from './LexiconLoader.js';
+import { getSchemaVersion, migrateState, validateState } from './StateSchema.js';
+import { mergeImportedState } from './StateMerge.js';
+
+/**
+ * 玩家数据的导出文件 - 带格式版本和校验和，导入时检查结构并与当前数据合并
+ *
+ * 文件内容：{ format, version, schemaVersion, exportedAt, checksum, state }，
+ * checksum 是 state 序列化后（不缩进）的 FNV-1a 校验和。
+ * 加入导出格式之前导出的文件就是保存的状态本身，仍然可以导入（没有校验和）。
+ */
+
+// 导出文件格式标识和当前格式版本
+export const EXPORT_FORMAT = 'wordle-game-export';
+export const EXPORT_VERSION = 1;
+
+/**
+ * 序列化状态（Set 保存为 { __type__: 'Set', values }，迁移时转换为数组）
+ */
+export function serializeState(state) {
+  return JSON.stringify(state, (key, value) => {
+    if (value instanceof Set) {
+      return { __type__: 'Set', values: Array.from(value) };
+    }
+    return value;
+  });
+}
+
+/**
+ * 生成导出文件的内容
+ */
+export function createExport(state, options = {}) {
+  const serializedState = serializeState(state);
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    schemaVersion: getSchemaVersion(state),
+    exportedAt: options.exportedAt || Date.now(),
+    checksum: computeChecksum(serializedState),
+    state: JSON.parse(serializedState)
+  }, null, 2);
+}
+
+/**
+ * 解析导出文件：检查格式、版本、校验和和存档结构，返回 { state（已迁移到当前版本）, exportedAt, schemaVersion }
+ * 文件无效时抛出错误
+ */
+export function parseExport(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('导入文件不是有效的 JSON');
+  }
+  if (!file || typeof file !== 'object' || Array.isArray(file)) {
+    throw new Error('导入文件格式错误');
+  }
+
+  // 加入导出格式之前的文件就是保存的状态
+  const legacy = file.format === undefined;
+  if (legacy && !('statistics' in file) && !('gameHistory' in file)) {
+    throw new Error('导入文件不是游戏数据');
+  }
+  if (!legacy) {
+    if (file.format !== EXPORT_FORMAT) {
+      throw new Error(`不支持的导出格式: ${file.format}`);
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+      throw new Error(`无效的导出文件版本: ${file.version}`);
+    }
+    if (file.version > EXPORT_VERSION) {
+      throw new Error(`导出文件版本 ${file.version} 比当前版本 ${EXPORT_VERSION} 新`);
+    }
+    if (computeChecksum(JSON.stringify(file.state)) !== file.checksum) {
+      throw new Error('校验和不匹配，导出文件可能已损坏或被修改');
+    }
+  }
+
+  const savedState = legacy ? file : file.state;
+  const errors = validateState(savedState);
+  if (errors.length > 0) {
+    throw new Error(`存档数据无效: ${errors.slice(0, 3).join('；')}`);
+  }
+
+  return {
+    state: migrateState(savedState),
+    exportedAt: legacy ? null : file.exportedAt || null,
+    schemaVersion: getSchemaVersion(savedState)
+  };
+}
+
+/**
+ * 预览导入会带来的变化（两个参数都是当前版本的状态）
+ */
+export function createImportPreview(current, imported) {
+  const merged = mergeImportedState(current, imported);
+  const currentGames = new Set(current.gameHistory.map(entry => entry.id));
+  const currentAchievements = new Set(current.achievements.map(achievement => achievement.id));
+  const currentMarathons = new Set(current.marathonHistory.map(summary => summary.id));
+  const summarize = state => ({
+    gamesPlayed: state.statistics.gamesPlayed,
+    gamesWon: state.statistics.gamesWon,
+    maxStreak: state.statistics.maxStreak
+  });
+
+  return {
+    newGames: imported.gameHistory.filter(entry => !currentGames.has(entry.id)).length,
+    duplicateGames: imported.gameHistory.filter(entry => currentGames.has(entry.id)).length,
+    newAchievements: merged.achievements
+      .filter(achievement => !currentAchievements.has(achievement.id))
+      .map(achievement => achievement.name || achievement.id),
+    newDailyResults: Object.keys(merged.dailyResults).length - Object.keys(current.dailyResults).length,
+    newMarathons: merged.marathonHistory.filter(summary => !currentMarathons.has(summary.id)).length,
+    improvedTimedRecords: Object.keys(merged.timedRecords).reduce((count, type) =>
+      count + Object.keys(merged.timedRecords[type]).filter(key =>
+        JSON.stringify(merged.timedRecords[type][key]) !== JSON.stringify((current.timedRecords[type] || {})[key])
+      ).length, 0),
+    statistics: { before: summarize(current), after: summarize(merged) }
+  };
+}
@@ -0,0 +1,286 @@
+import { createDefaultState, createDefaultStatistics, createStatisticsBucket, getDailyResultKey } from './StateSchema.js';
+
+/**
+ * 合并同一存档的两份修改 - 多个标签页同时打开游戏、或导入另一台设备的数据时，
+ * 统计按完成的游戏合并而不是互相覆盖
+ */
+
+/**
+ * 将一局游戏的结果计入统计分组（result 包含 gameStatus 和 guessCount）
+ */
+export function applyGameResult(stats, result) {
+  stats.gamesPlayed++;
+
+  if (result.gameStatus === 'won') {
+    stats.gamesWon++;
+    stats.currentStreak++;
+    stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+
+    // 更新猜测分布
+    const guessCount = result.guessCount;
+    if (guessCount >= 1 && guessCount <= stats.guessDistribution.length) {
+      stats.guessDistribution[guessCount - 1]++;
+    }
+  } else {
+    stats.currentStreak = 0;
+  }
+}
+
+/**
+ * 将一局游戏（游戏历史记录的格式）计入总体统计和对应的分组统计
+ * 多棋盘游戏只计入按棋盘数量的统计；options.maxGuesses 未指定时多棋盘的猜测次数为棋盘数量 + 5
+ */
+export function applyGameStatistics(statistics, entry, options = {}) {
+  const wordLength = entry.wordLength || 5;
+  const boardCount = entry.boardCount || 1;
+  const applyToGroup = (group, key, bucketSize) => {
+    if (!statistics[group]) {
+      statistics[group] = {};
+    }
+    if (!statistics[group][key]) {
+      statistics[group][key] = createStatisticsBucket(bucketSize);
+    }
+    applyGameResult(statistics[group][key], entry);
+  };
+
+  if (boardCount > 1) {
+    // 多棋盘模式按棋盘数量单独统计，不计入经典模式统计
+    applyToGroup('byBoardCount', boardCount, options.maxGuesses || boardCount + 5);
+  } else {
+    applyGameResult(statistics, entry);
+    applyToGroup('byWordLength', wordLength);
+
+    // 选了答案难度的游戏再按难度统计
+    if (entry.difficulty) {
+      applyToGroup('byDifficulty', entry.difficulty);
+    }
+  }
+
+  // 困难模式单独记录
+  if (entry.hardMode) {
+    if (!statistics.hardModeStats) {
+      statistics.hardModeStats = createStatisticsBucket();
+    }
+    applyGameResult(statistics.hardModeStats, entry);
+  }
+}
+
+/**
+ * 计时模式成绩是否比另一个成绩好（倒计时比得分，竞速比用时）
+ */
+function isBetterTimedRecord(type, record, other) {
+  if (!other) return true;
+  return type === 'countdown' ? record.bestScore > other.bestScore : record.bestTime < other.bestTime;
+}
+
+/**
+ * 把 other 中不在 knownGames 中的游戏按完成时间计入 merged 的统计和游戏历史（直接修改 merged）
+ */
+function mergeGames(merged, other, knownGames) {
+  const newGames = other.gameHistory
+    .filter(entry => !knownGames.has(entry.id))
+    .sort((a, b) => (a.completedAt || 0) - (b.completedAt || 0));
+  newGames.forEach(entry => applyGameStatistics(merged.statistics, entry));
+  merged.gameHistory = [...newGames.map(entry => ({ ...entry })), ...merged.gameHistory]
+    .sort((a, b) => (b.completedAt || 0) - (a.completedAt || 0));
+}
+
+/**
+ * 把 other 中 merged 还没有的记录加入 merged（直接修改 merged）：
+ * 成就、每日谜题结果和马拉松记录取并集，计时模式记录保留更好的成绩
+ */
+function mergeRecords(merged, other) {
+  const achievementIds = new Set(merged.achievements.map(achievement => achievement.id));
+  other.achievements.forEach(achievement => {
+    if (!achievementIds.has(achievement.id)) {
+      merged.achievements.push({ ...achievement });
+    }
+  });
+
+  // 同一种语言同一天的每日谜题先保存的结果有效
+  Object.values(other.dailyResults).forEach(result => {
+    const key = getDailyResultKey(result.language, result.puzzleNumber);
+    if (!merged.dailyResults[key]) {
+      merged.dailyResults[key] = { ...result };
+    }
+  });
+
+  Object.keys(other.timedRecords).forEach(type => {
+    const records = merged.timedRecords[type] || {};
+    Object.entries(other.timedRecords[type]).forEach(([key, record]) => {
+      if (isBetterTimedRecord(type, record, records[key])) {
+        records[key] = { ...record };
+      }
+    });
+    merged.timedRecords[type] = records;
+  });
+
+  const marathonIds = new Set(merged.marathonHistory.map(summary => summary.id));
+  merged.marathonHistory = [
+    ...merged.marathonHistory,
+    ...other.marathonHistory.filter(summary => !marathonIds.has(summary.id))
+  ]
+    .sort((a, b) => (b.finishedAt || 0) - (a.finishedAt || 0))
+    .slice(0, 20);
+
+  merged.lastPlayed = Math.max(merged.lastPlayed || 0, other.lastPlayed || 0) || null;
+}
+
+/**
+ * 把本标签页的修改合并到存储中的最新存档（三个参数都是当前版本的状态）
+ *
+ * stored 是存储中的最新存档，local 是本标签页的状态，baseline 是本标签页上次读取或写入的存档
+ * （为空时按默认状态计算）。以 stored 为基础：
+ * - 本标签页新完成的游戏（baseline 和 stored 中都没有）按完成时间计入统计和游戏历史
+ * - 成就、每日谜题结果和马拉松记录取并集，计时模式记录保留更好的成绩
+ * - 本标签页改过的设置项、当前游戏和马拉松使用本标签页的值，其余使用 stored 的值
+ * 本标签页的重置和清理不会合并，它们在写入前由其他标签页的刷新覆盖。
+ */
+export function mergeStates(stored, local, baseline = null) {
+  const base = baseline || createDefaultState();
+  const merged = JSON.parse(JSON.stringify(stored));
+  const knownGames = new Set([...base.gameHistory, ...stored.gameHistory].map(entry => entry.id));
+  mergeGames(merged, local, knownGames);
+  mergeRecords(merged, local);
+
+  Object.keys(local.settings).forEach(key => {
+    if (JSON.stringify(local.settings[key]) !== JSON.stringify(base.settings[key])) {
+      merged.settings[key] = local.settings[key];
+    }
+  });
+
+  ['currentGame', 'marathon'].forEach(field => {
+    if (JSON.stringify(local[field]) !== JSON.stringify(base[field])) {
+      merged[field] = local[field] ? JSON.parse(JSON.stringify(local[field])) : local[field];
+    }
+  });
+
+  return merged;
+}
+
+// 按键分组的统计
+const STATISTICS_GROUP_NAMES = ['byWordLength', 'byBoardCount', 'byDifficulty'];
+
+/**
+ * 统计中所有分组的位置：[分组名, 键]，总体统计为 [null, null]，困难模式为 ['hardModeStats', null]
+ */
+function getBucketPaths(statistics) {
+  const paths = [[null, null], ['hardModeStats', null]];
+  STATISTICS_GROUP_NAMES.forEach(group => {
+    Object.keys(statistics[group] || {}).forEach(key => paths.push([group, key]));
+  });
+  return paths;
+}
+
+/**
+ * 获取统计分组，不存在时返回null（指定 bucketSize 时创建）
+ */
+function getBucket(statistics, [group, key], bucketSize = 0) {
+  if (group === null) return statistics;
+  if (key === null) {
+    if (!statistics[group] && bucketSize) statistics[group] = createStatisticsBucket(bucketSize);
+    return statistics[group] || null;
+  }
+  if (!statistics[group]) {
+    if (!bucketSize) return null;
+    statistics[group] = {};
+  }
+  if (!statistics[group][key] && bucketSize) {
+    statistics[group][key] = createStatisticsBucket(bucketSize);
+  }
+  return statistics[group][key] || null;
+}
+
+/**
+ * 按游戏历史重新计算统计（从最早完成的游戏开始计入）
+ */
+function rebuildStatistics(history) {
+  const statistics = createDefaultStatistics();
+  [...history]
+    .sort((a, b) => (a.completedAt || 0) - (b.completedAt || 0))
+    .forEach(entry => applyGameStatistics(statistics, entry));
+  return statistics;
+}
+
+/**
+ * 统计中已经不在游戏历史中的游戏（cleanupOldData 清理掉的旧历史），按分组返回 [{ path, bucket }]
+ *
+ * 清理只删除最早完成的游戏，所以另一方历史中比本方最早的历史记录还早、本方历史中没有的游戏
+ * 可能就是本方清理掉的游戏（例如重新导入清理之前的导出文件），先从本方的统计中扣除，避免重复计入。
+ */
+function getUntrackedGames(state, other) {
+  const knownGames = new Set(state.gameHistory.map(entry => entry.id));
+  const oldest = Math.min(...state.gameHistory.map(entry => entry.completedAt || 0));
+  const trimmed = other.gameHistory.filter(entry => !knownGames.has(entry.id) && (entry.completedAt || 0) < oldest);
+  const known = rebuildStatistics([...state.gameHistory, ...trimmed]);
+
+  return getBucketPaths(state.statistics).map(path => {
+    const recorded = getBucket(state.statistics, path);
+    const counted = getBucket(known, path) || createStatisticsBucket(recorded.guessDistribution.length);
+    return {
+      path,
+      bucket: {
+        gamesPlayed: Math.max(0, recorded.gamesPlayed - counted.gamesPlayed),
+        gamesWon: Math.max(0, recorded.gamesWon - counted.gamesWon),
+        currentStreak: recorded.currentStreak,
+        maxStreak: recorded.maxStreak,
+        guessDistribution: recorded.guessDistribution.map((count, index) =>
+          Math.max(0, count - (counted.guessDistribution[index] || 0)))
+      }
+    };
+  });
+}
+
+/**
+ * 不在游戏历史中的游戏局数（经典模式和多棋盘模式）
+ */
+function countUntrackedGames(untracked) {
+  return untracked
+    .filter(({ path: [group] }) => group === null || group === 'byBoardCount')
+    .reduce((sum, { bucket }) => sum + bucket.gamesPlayed, 0);
+}
+
+/**
+ * 把清理掉的旧游戏计入按历史重新计算的统计（直接修改 statistics）
+ *
+ * 旧游戏的顺序已经无法知道：整个历史都没有失败时，连胜可能从旧游戏延续下来，取记录的连胜；
+ * 最大连胜取两者中较大的。
+ */
+function addUntrackedGames(statistics, untracked) {
+  untracked.forEach(({ path, bucket }) => {
+    if (bucket.gamesPlayed === 0) return;
+
+    const stats = getBucket(statistics, path, bucket.guessDistribution.length);
+    const unbroken = stats.currentStreak === stats.gamesPlayed;
+    stats.gamesPlayed += bucket.gamesPlayed;
+    stats.gamesWon += bucket.gamesWon;
+    bucket.guessDistribution.forEach((count, index) => {
+      if (index < stats.guessDistribution.length) stats.guessDistribution[index] += count;
+    });
+    if (unbroken) {
+      stats.currentStreak = Math.max(stats.currentStreak, bucket.currentStreak);
+    }
+    stats.maxStreak = Math.max(stats.maxStreak, bucket.maxStreak, stats.currentStreak);
+  });
+}
+
+/**
+ * 合并导入的数据（两个参数都是当前版本的状态），返回新的状态
+ *
+ * 游戏历史按 id 取并集，统计（总体、按单词长度、棋盘数量、难度和困难模式）按合并后的历史
+ * 从最早的游戏开始重新计算；已经不在任何一方历史中的游戏只能从统计中得到，取两方中这类游戏
+ * 较多的一方计入（两方通常来自同一份存档，清理掉的是同一批游戏）。
+ * 成就、每日谜题结果和马拉松记录取并集，计时模式记录保留更好的成绩；
+ * 设置、当前游戏和马拉松保留 current 的。
+ */
+export function mergeImportedState(current, imported) {
+  const merged = JSON.parse(JSON.stringify(current));
+  mergeGames(merged, imported, new Set(current.gameHistory.map(entry => entry.id)));
+  mergeRecords(merged, imported);
+
+  const untracked = [getUntrackedGames(current, imported), getUntrackedGames(imported, current)]
+    .sort((a, b) => countUntrackedGames(b) - countUntrackedGames(a))[0];
+  merged.statistics = rebuildStatistics(merged.gameHistory);
+  addUntrackedGames(merged.statistics, untracked);
+  return merged;
+}
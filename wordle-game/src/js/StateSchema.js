@@ -0,0 +1,465 @@
+import { DEFAULT_LANGUAGE, LANGUAGE_PACKS } from './LanguagePack.js';
+
+/**
+ * 存档结构 - 默认状态、存档版本号和按顺序执行的迁移
+ *
+ * 保存的状态带有 schemaVersion。加载时从存档的版本开始依次执行之后的迁移（没有版本号的存档来自
+ * 加入版本号之前，按版本 0 处理），最后按默认状态逐个字段补齐缺失或类型错误的字段。
+ * 没有版本号的存档可能是之前任何一种结构，所以每个迁移只处理还没有升级过的字段。
+ * 导入的存档在迁移前先用 validateState 检查字段类型，迁移时补齐默认值不会掩盖导入文件中的错误。
+ */
+
+// 当前存档版本（等于最后一个迁移的版本号）
+export const STATE_SCHEMA_VERSION = 11;
+
+/**
+ * 创建单个统计分组
+ */
+export function createStatisticsBucket(maxGuesses = 6) {
+  return {
+    gamesPlayed: 0,
+    gamesWon: 0,
+    currentStreak: 0,
+    maxStreak: 0,
+    guessDistribution: new Array(maxGuesses).fill(0)
+  };
+}
+
+/**
+ * 创建默认统计数据（总体统计 + 按单词长度分组 + 困难模式 + 按棋盘数量分组 + 按答案难度分组）
+ */
+export function createDefaultStatistics() {
+  return {
+    ...createStatisticsBucket(),
+    byWordLength: {},
+    hardModeStats: createStatisticsBucket(),
+    byBoardCount: {},
+    byDifficulty: {}
+  };
+}
+
+/**
+ * 创建默认设置
+ */
+export function createDefaultSettings() {
+  return {
+    hardMode: false,
+    darkTheme: false,
+    colorblindMode: false,
+    animations: true,
+    wordLength: 5,
+    boardCount: 1,
+    countdownMinutes: 3,
+    language: 'en',
+    answerPolicy: 'standard',
+    difficulty: null
+  };
+}
+
+/**
+ * 每日谜题结果在 dailyResults 中的键：每种语言有自己的每日谜题，同一天的期号相同
+ */
+export function getDailyResultKey(language, puzzleNumber) {
+  return `${language || DEFAULT_LANGUAGE}:${puzzleNumber}`;
+}
+
+/**
+ * 创建默认状态
+ */
+export function createDefaultState() {
+  return {
+    schemaVersion: STATE_SCHEMA_VERSION,
+    currentGame: null,
+    gameHistory: [],
+    statistics: createDefaultStatistics(),
+    settings: createDefaultSettings(),
+    achievements: [],
+    dailyResults: {},
+    timedRecords: { countdown: {}, speedrun: {} },
+    marathon: null,
+    marathonHistory: [],
+    lastPlayed: null
+  };
+}
+
+/**
+ * 是否是普通对象（不是数组或 null）
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 给游戏历史中缺少某个字段的记录补上默认值
+ */
+function fillHistory(state, field, value) {
+  if (!Array.isArray(state.gameHistory)) return;
+  state.gameHistory.forEach(entry => {
+    if (isObject(entry) && !(field in entry)) {
+      entry[field] = value;
+    }
+  });
+}
+
+/**
+ * 补上缺少的设置
+ */
+function fillSetting(state, field, value) {
+  if (!isObject(state.settings)) state.settings = {};
+  if (!(field in state.settings)) state.settings[field] = value;
+}
+
+/**
+ * 补上缺少的统计分组
+ */
+function fillStatistics(state, field, value) {
+  if (!isObject(state.statistics)) state.statistics = {};
+  if (!isObject(state.statistics[field])) state.statistics[field] = value;
+}
+
+// 按版本号排列的迁移：migrate 把上一个版本的状态升级到 version（直接修改传入的状态）
+export const STATE_MIGRATIONS = [
+  {
+    version: 1,
+    description: '单词长度：4-8个字母，统计按长度分组',
+    migrate(state) {
+      fillSetting(state, 'wordLength', 5);
+      // 之前的游戏都是5个字母，总体统计就是5个字母的统计
+      if (isObject(state.statistics) && !isObject(state.statistics.byWordLength)) {
+        const { gamesPlayed = 0, gamesWon = 0, currentStreak = 0, maxStreak = 0, guessDistribution } = state.statistics;
+        state.statistics.byWordLength = {
+          5: {
+            gamesPlayed,
+            gamesWon,
+            currentStreak,
+            maxStreak,
+            guessDistribution: Array.isArray(guessDistribution) ? [...guessDistribution] : createStatisticsBucket().guessDistribution
+          }
+        };
+      }
+      fillHistory(state, 'wordLength', 5);
+    }
+  },
+  {
+    version: 2,
+    description: '困难模式：单独统计困难模式胜场',
+    migrate(state) {
+      fillStatistics(state, 'hardModeStats', createStatisticsBucket());
+      fillHistory(state, 'hardMode', false);
+    }
+  },
+  {
+    version: 3,
+    description: '每日谜题：记录每期谜题的结果',
+    migrate(state) {
+      if (!isObject(state.dailyResults)) state.dailyResults = {};
+      fillHistory(state, 'mode', 'classic');
+      fillHistory(state, 'puzzleNumber', null);
+    }
+  },
+  {
+    version: 4,
+    description: '游戏引擎：当前游戏改为 WordleGame.getGameState 的快照',
+    migrate(state) {
+      const game = state.currentGame;
+      if (!isObject(game)) return;
+
+      // 之前的当前游戏用 Set 保存已用字母，并带着整个单词列表
+      const usedLetters = game.usedLetters;
+      if (isObject(usedLetters) && usedLetters.__type__ === 'Set') {
+        game.usedLetters = Array.isArray(usedLetters.values) ? [...usedLetters.values] : [];
+      } else if (!Array.isArray(usedLetters)) {
+        game.usedLetters = [];
+      }
+      delete game.wordList;
+      if (!game.mode) game.mode = 'classic';
+      if (!('hardMode' in game)) game.hardMode = false;
+    }
+  },
+  {
+    version: 5,
+    description: '多棋盘模式：按棋盘数量统计',
+    migrate(state) {
+      fillSetting(state, 'boardCount', 1);
+      fillStatistics(state, 'byBoardCount', {});
+      fillHistory(state, 'boardCount', 1);
+    }
+  },
+  {
+    version: 6,
+    description: '计时模式：倒计时时长和最佳成绩',
+    migrate(state) {
+      fillSetting(state, 'countdownMinutes', 3);
+      if (!isObject(state.timedRecords)) state.timedRecords = {};
+      ['countdown', 'speedrun'].forEach(type => {
+        if (!isObject(state.timedRecords[type])) state.timedRecords[type] = {};
+      });
+    }
+  },
+  {
+    version: 7,
+    description: '马拉松模式：进行中的马拉松和历史记录',
+    migrate(state) {
+      if (!('marathon' in state)) state.marathon = null;
+      if (!Array.isArray(state.marathonHistory)) state.marathonHistory = [];
+    }
+  },
+  {
+    version: 8,
+    description: '多语言：之前的游戏都是英语',
+    migrate(state) {
+      fillSetting(state, 'language', 'en');
+      if (isObject(state.currentGame) && !state.currentGame.language) {
+        state.currentGame.language = 'en';
+      }
+    }
+  },
+  {
+    version: 9,
+    description: '答案规则',
+    migrate(state) {
+      fillSetting(state, 'answerPolicy', 'standard');
+    }
+  },
+  {
+    version: 10,
+    description: '答案难度：按难度统计',
+    migrate(state) {
+      fillSetting(state, 'difficulty', null);
+      fillStatistics(state, 'byDifficulty', {});
+      fillHistory(state, 'difficulty', null);
+    }
+  },
+  {
+    version: 11,
+    description: '每日谜题按语言记录：之前的结果都是英语',
+    migrate(state) {
+      if (!isObject(state.dailyResults)) return;
+
+      const dailyResults = {};
+      Object.entries(state.dailyResults).forEach(([puzzleNumber, result]) => {
+        if (!isObject(result)) return;
+        const number = result.puzzleNumber !== undefined ? result.puzzleNumber : Number(puzzleNumber);
+        const language = result.language || 'en';
+        dailyResults[getDailyResultKey(language, number)] = { ...result, puzzleNumber: number, language };
+      });
+      state.dailyResults = dailyResults;
+    }
+  }
+];
+
+/**
+ * 按默认值逐个字段补齐：缺少或类型不同的字段使用默认值，默认值是对象时递归补齐，
+ * 默认值为 null 的字段保留保存的值
+ */
+function fillDefaults(value, defaults) {
+  if (!isObject(defaults)) {
+    if (defaults === null) {
+      return value === undefined ? null : value;
+    }
+    if (Array.isArray(defaults)) {
+      return Array.isArray(value) ? value : defaults;
+    }
+    return typeof value === typeof defaults ? value : defaults;
+  }
+
+  if (!isObject(value)) {
+    return defaults;
+  }
+
+  const result = { ...value };
+  Object.entries(defaults).forEach(([key, defaultValue]) => {
+    result[key] = fillDefaults(value[key], defaultValue);
+  });
+  return result;
+}
+
+/**
+ * 获取存档的版本号（没有版本号的存档来自加入版本号之前，按版本 0 处理）
+ */
+export function getSchemaVersion(state) {
+  return isObject(state) && state.schemaVersion !== undefined ? state.schemaVersion : 0;
+}
+
+/**
+ * 检查存档能否迁移：必须是对象，版本号是不超过当前版本的非负整数
+ */
+export function isMigratableState(state) {
+  if (!isObject(state)) return false;
+  const version = getSchemaVersion(state);
+  return Number.isInteger(version) && version >= 0 && version <= STATE_SCHEMA_VERSION;
+}
+
+/**
+ * 把任意版本的存档升级到当前版本，返回新的状态（不修改传入的存档）
+ */
+export function migrateState(state) {
+  if (!isObject(state)) {
+    throw new Error('存档格式错误');
+  }
+
+  const version = getSchemaVersion(state);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`无效的存档版本: ${version}`);
+  }
+  if (version > STATE_SCHEMA_VERSION) {
+    throw new Error(`存档版本 ${version} 比当前版本 ${STATE_SCHEMA_VERSION} 新`);
+  }
+
+  const migrated = JSON.parse(JSON.stringify(state));
+  STATE_MIGRATIONS
+    .filter(migration => migration.version > version)
+    .forEach(migration => {
+      migration.migrate(migrated);
+      migrated.schemaVersion = migration.version;
+    });
+
+  const filled = fillDefaults(migrated, createDefaultState());
+  filled.schemaVersion = STATE_SCHEMA_VERSION;
+  return filled;
+}
+
+// 导入存档时检查的字段类型。任何版本的存档都要通过检查，所以只检查存在的字段（缺少的字段在迁移时补齐），
+// required 中的字段必须存在
+const COUNT = { type: 'count' };
+const STATISTICS_BUCKET = {
+  type: 'object',
+  properties: {
+    gamesPlayed: COUNT,
+    gamesWon: COUNT,
+    currentStreak: COUNT,
+    maxStreak: COUNT,
+    guessDistribution: { type: 'array', items: COUNT }
+  }
+};
+const STATISTICS_GROUPS = { type: 'object', values: STATISTICS_BUCKET };
+
+// 答案单词可以使用的字母（所有语言包字母表的并集；多棋盘游戏的答案用 ', ' 连接）
+const ANSWER_LETTERS = new Set(Object.values(LANGUAGE_PACKS).flatMap(pack => pack.alphabet.split('')));
+const ANSWER_SEPARATOR = ', ';
+
+export const STATE_VALIDATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    schemaVersion: COUNT,
+    currentGame: { type: 'object', nullable: true },
+    gameHistory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'gameStatus'],
+        properties: {
+          id: { type: 'string' },
+          targetWord: { type: 'string', nullable: true, letters: ANSWER_LETTERS, separator: ANSWER_SEPARATOR },
+          date: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+          gameStatus: { type: 'string', enum: ['won', 'lost'] },
+          guessCount: COUNT,
+          wordLength: COUNT,
+          boardCount: COUNT,
+          hardMode: { type: 'boolean' },
+          completedAt: { type: 'number' }
+        }
+      }
+    },
+    statistics: {
+      type: 'object',
+      properties: {
+        ...STATISTICS_BUCKET.properties,
+        byWordLength: STATISTICS_GROUPS,
+        hardModeStats: STATISTICS_BUCKET,
+        byBoardCount: STATISTICS_GROUPS,
+        byDifficulty: STATISTICS_GROUPS
+      }
+    },
+    settings: { type: 'object' },
+    achievements: {
+      type: 'array',
+      items: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } }
+    },
+    dailyResults: { type: 'object', values: { type: 'object' } },
+    timedRecords: { type: 'object', values: { type: 'object', values: { type: 'object' } } },
+    marathon: { type: 'object', nullable: true },
+    marathonHistory: {
+      type: 'array',
+      items: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } }
+    },
+    lastPlayed: { type: 'number', nullable: true }
+  }
+};
+
+// 字段类型的中文名称
+const TYPE_NAMES = {
+  count: '非负整数',
+  number: '数字',
+  string: '字符串',
+  boolean: '布尔值',
+  object: '对象',
+  array: '数组'
+};
+
+/**
+ * 值是否符合类型
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'count':
+      return Number.isInteger(value) && value >= 0;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return isObject(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * 按结构检查一个值，把错误（'字段路径: 说明'）加入 errors
+ */
+function checkSchema(value, schema, path, errors) {
+  const label = path || '存档';
+  if (value === null && schema.nullable) return;
+  if (!matchesType(value, schema.type)) {
+    errors.push(`${label}: 应为${TYPE_NAMES[schema.type]}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: 应为 ${schema.enum.join(' / ')} 之一`);
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${label}: 格式错误`);
+  }
+  if (schema.letters) {
+    const words = schema.separator ? value.split(schema.separator) : [value];
+    const valid = words.every(word => word.length > 0 && Array.from(word).every(letter => schema.letters.has(letter)));
+    if (!valid) errors.push(`${label}: 包含字母表以外的字符`);
+  }
+
+  if (schema.items) {
+    value.forEach((item, index) => checkSchema(item, schema.items, `${path}[${index}]`, errors));
+  }
+  (schema.required || []).forEach(key => {
+    if (!(key in value)) errors.push(`${path ? `${path}.` : ''}${key}: 缺少字段`);
+  });
+  Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+    if (value[key] !== undefined) {
+      checkSchema(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+    }
+  });
+  if (schema.values) {
+    Object.entries(value).forEach(([key, item]) => {
+      checkSchema(item, schema.values, path ? `${path}.${key}` : key, errors);
+    });
+  }
+}
+
+/**
+ * 检查存档（任何版本）的字段类型，返回错误列表（没有错误时为空数组）
+ */
+export function validateState(state) {
+  const errors = [];
+  checkSchema(state, STATE_VALIDATION_SCHEMA, '', errors);
+  return errors;
+}
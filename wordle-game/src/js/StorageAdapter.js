@@ -0,0 +1,256 @@
+/**
+ * 存储适配器 - GameStateManager 通过它保存和读取序列化后的状态
+ *
+ * 适配器提供 getItem / setItem / removeItem（值是字符串，不存在时 getItem 返回 null）。
+ * localStorage 和内存存储同步返回结果，IndexedDB 和文件存储返回 Promise，调用方两种都要支持。
+ * 存储不可用（隐私浏览、没有权限）或空间已满时抛出错误（或返回被拒绝的 Promise）。
+ */
+
+/**
+ * 把浏览器存储抛出的错误转换为中文说明
+ */
+function toStorageError(error) {
+  if (error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED')) {
+    return new Error('存储空间已满');
+  }
+  return new Error(`存储不可用: ${error && error.message ? error.message : error}`);
+}
+
+/**
+ * 内存存储：不会持久化，用于测试和没有存储的环境
+ */
+export class MemoryStorageAdapter {
+  constructor(options = {}) {
+    this.items = new Map(Object.entries(options.items || {}));
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * localStorage 存储（默认）
+ */
+export class LocalStorageAdapter {
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined ? options.storage : LocalStorageAdapter.getGlobalStorage();
+  }
+
+  /**
+   * 获取全局 localStorage（隐私浏览等情况下访问它会抛出错误）
+   */
+  static getGlobalStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 执行一次存储操作，把浏览器的错误转换为中文说明
+   */
+  run(operation) {
+    if (!this.storage) {
+      throw new Error('存储不可用: localStorage 不存在');
+    }
+    try {
+      return operation(this.storage);
+    } catch (error) {
+      throw toStorageError(error);
+    }
+  }
+
+  getItem(key) {
+    const value = this.run(storage => storage.getItem(key));
+    return value === undefined ? null : value;
+  }
+
+  setItem(key, value) {
+    this.run(storage => storage.setItem(key, String(value)));
+  }
+
+  removeItem(key) {
+    this.run(storage => storage.removeItem(key));
+  }
+}
+
+/**
+ * IndexedDB 存储：状态保存在 state 对象仓库中
+ */
+export class IndexedDBStorageAdapter {
+  constructor(options = {}) {
+    this.options = {
+      indexedDB: typeof indexedDB !== 'undefined' ? indexedDB : null,
+      name: 'wordle-game',
+      storeName: 'state',
+      ...options
+    };
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      const { indexedDB: factory, name, storeName } = this.options;
+      this.db = new Promise((resolve, reject) => {
+        if (!factory) {
+          reject(new Error('存储不可用: IndexedDB 不存在'));
+          return;
+        }
+        const request = factory.open(name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(toStorageError(request.error));
+      });
+      // 打开失败后下次重新尝试
+      this.db.catch(() => {
+        this.db = null;
+      });
+    }
+    return this.db;
+  }
+
+  async request(mode, operation) {
+    const db = await this.open();
+    const { storeName } = this.options;
+    return new Promise((resolve, reject) => {
+      try {
+        const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(toStorageError(request.error));
+      } catch (error) {
+        reject(toStorageError(error));
+      }
+    });
+  }
+
+  async getItem(key) {
+    const value = await this.request('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    await this.request('readwrite', store => store.put(String(value), key));
+  }
+
+  async removeItem(key) {
+    await this.request('readwrite', store => store.delete(key));
+  }
+}
+
+/**
+ * Node 文件存储：每个键保存为目录中的一个文件，用于命令行和无界面运行
+ * 写入先写临时文件再重命名，并按调用顺序依次执行，避免读到写了一半的文件
+ */
+export class FileStorageAdapter {
+  constructor(options = {}) {
+    this.options = {
+      dir: '.wordle-game',
+      fs: null, // fs/promises 模块，未指定时在第一次使用时加载
+      ...options
+    };
+    this.writes = Promise.resolve();
+  }
+
+  async getFs() {
+    if (!this.options.fs) {
+      this.options.fs = await import('fs/promises');
+    }
+    return this.options.fs;
+  }
+
+  /**
+   * 获取键对应的文件路径
+   */
+  getPath(key) {
+    return `${this.options.dir.replace(/\/+$/, '')}/${encodeURIComponent(key)}.json`;
+  }
+
+  /**
+   * 按顺序执行写入操作（前一次失败不影响后面的写入）
+   */
+  enqueue(operation) {
+    const result = this.writes.then(operation);
+    this.writes = result.catch(() => {});
+    return result;
+  }
+
+  async getItem(key) {
+    await this.writes;
+    const fs = await this.getFs();
+    try {
+      return await fs.readFile(this.getPath(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw toStorageError(error);
+    }
+  }
+
+  setItem(key, value) {
+    return this.enqueue(async () => {
+      const fs = await this.getFs();
+      const file = this.getPath(key);
+      try {
+        await fs.mkdir(this.options.dir, { recursive: true });
+        await fs.writeFile(`${file}.tmp`, String(value), 'utf8');
+        await fs.rename(`${file}.tmp`, file);
+      } catch (error) {
+        throw toStorageError(error);
+      }
+    });
+  }
+
+  removeItem(key) {
+    return this.enqueue(async () => {
+      const fs = await this.getFs();
+      try {
+        await fs.rm(this.getPath(key), { force: true });
+      } catch (error) {
+        throw toStorageError(error);
+      }
+    });
+  }
+}
+
+/**
+ * 存储操作完成后调用 callback：同步的结果直接传给 callback，Promise 在 resolve 后传给 callback
+ */
+export function afterStorage(result, callback) {
+  if (result && typeof result.then === 'function') {
+    return result.then(callback);
+  }
+  return callback(result);
+}
+
+// 默认存储方式
+export const DEFAULT_STORAGE_ADAPTER = 'local';
+
+// 内置存储适配器
+export const STORAGE_ADAPTERS = {
+  local: LocalStorageAdapter,
+  indexeddb: IndexedDBStorageAdapter,
+  memory: MemoryStorageAdapter,
+  file: FileStorageAdapter
+};
+
+/**
+ * 创建存储适配器（可以传入适配器实例或内置适配器的 id；未指定时有 localStorage 就用它，否则只保存在内存中）
+ */
+export function createStorageAdapter(adapter, options = {}) {
+  if (adapter && typeof adapter === 'object') return adapter;
+
+  const id = adapter || (LocalStorageAdapter.getGlobalStorage() ? DEFAULT_STORAGE_ADAPTER : 'memory');
+  if (!Object.prototype.hasOwnProperty.call(STORAGE_ADAPTERS, id)) {
+    throw new Error(`不支持的存储方式: ${adapter}`);
+  }
+  return new STORAGE_ADAPTERS[id](options);
+}
@@ -0,0 +1,131 @@
+/**
+ * 标签页同步 - 同一浏览器中打开的多个游戏标签页互相发送消息
+ *
+ * 优先使用 BroadcastChannel；不支持时把消息写入 localStorage，其他标签页通过 storage 事件收到；
+ * 两者都不可用（例如 Node 中运行）时消息不会发送，每个实例独立运行。
+ * 消息格式为 { type, tabId, data, sentAt }，发送消息的标签页自己不会收到。
+ */
+export class TabSync {
+  constructor(options = {}) {
+    this.options = {
+      name: 'wordle-game',
+      BroadcastChannel: typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null,
+      window: typeof window !== 'undefined' ? window : null,
+      tabId: null,
+      ...options
+    };
+
+    this.tabId = this.options.tabId || `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.listeners = new Map();
+    this.channel = null;
+    this.storageListener = null;
+    this.connect();
+  }
+
+  /**
+   * 连接到 BroadcastChannel，不支持时监听 storage 事件
+   */
+  connect() {
+    const { BroadcastChannel: Channel, window: win, name } = this.options;
+
+    if (Channel) {
+      this.channel = new Channel(name);
+      this.channel.onmessage = (event) => this.receive(event.data);
+    } else if (win && this.getStorage()) {
+      this.storageListener = (event) => {
+        if (event.key === this.getMessageKey() && event.newValue) {
+          try {
+            this.receive(JSON.parse(event.newValue));
+          } catch (error) {
+            console.error('解析标签页消息失败:', error);
+          }
+        }
+      };
+      win.addEventListener('storage', this.storageListener);
+    }
+  }
+
+  /**
+   * 获取 localStorage（访问被禁止时返回null）
+   */
+  getStorage() {
+    try {
+      return this.options.window.localStorage || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 通过 storage 事件发送消息时使用的键
+   */
+  getMessageKey() {
+    return `${this.options.name}:message`;
+  }
+
+  /**
+   * 是否能和其他标签页通信
+   */
+  isConnected() {
+    return Boolean(this.channel || this.storageListener);
+  }
+
+  /**
+   * 向其他标签页发送消息
+   */
+  post(type, data = {}) {
+    const message = { type, tabId: this.tabId, data, sentAt: Date.now() };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else if (this.storageListener) {
+        // 只有值变化时才会触发 storage 事件，sentAt 和 tabId 保证每条消息都不同
+        this.getStorage().setItem(this.getMessageKey(), JSON.stringify(message));
+      }
+    } catch (error) {
+      console.error('发送标签页消息失败:', error);
+    }
+    return message;
+  }
+
+  /**
+   * 收到其他标签页的消息时调用对应类型的监听器
+   */
+  receive(message) {
+    if (!message || message.tabId === this.tabId) return;
+
+    const listeners = this.listeners.get(message.type) || [];
+    listeners.forEach(callback => callback(message.data, message));
+  }
+
+  /**
+   * 监听某种类型的消息，返回取消监听的函数
+   */
+  on(type, callback) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(callback);
+
+    return () => {
+      const listeners = this.listeners.get(type) || [];
+      this.listeners.set(type, listeners.filter(listener => listener !== callback));
+    };
+  }
+
+  /**
+   * 断开连接并移除所有监听器
+   */
+  close() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    if (this.storageListener) {
+      this.options.window.removeEventListener('storage', this.storageListener);
+      this.storageListener = null;
+    }
+    this.listeners.clear();
+  }
+}
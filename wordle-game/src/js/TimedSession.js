@@ -0,0 +1,154 @@
+import { WordleGame } from './WordleGame.js';
+import { GameClock } from './GameClock.js';
+import { getLanguagePack } from './LanguagePack.js';
+
+export const TIMED_MODES = ['countdown', 'speedrun'];
+
+// 竞速模式固定的单词数量
+export const SPEEDRUN_WORD_COUNT = 10;
+
+/**
+ * 计时模式会话 - 多个 WordleGame 共用同一个可暂停的时钟
+ * - countdown: 在限定时间内猜中尽可能多的单词
+ * - speedrun:  尽快完成固定的10个单词
+ */
+export class TimedSession {
+  constructor(wordList = [], options = {}) {
+    this.options = {
+      type: 'countdown',
+      minutes: 3,
+      wordLength: 5,
+      wordCount: SPEEDRUN_WORD_COUNT,
+      now: () => Date.now(),
+      ...options
+    };
+
+    if (!TIMED_MODES.includes(this.options.type)) {
+      throw new Error(`未知的计时模式: ${this.options.type}`);
+    }
+
+    this.type = this.options.type;
+    this.wordLength = this.options.wordLength;
+    this.language = getLanguagePack(this.options.language);
+    this.wordList = [...new Set(wordList
+      .filter(word => word.length === this.wordLength)
+      .map(word => this.language.normalizeWord(word)))];
+    this.clock = new GameClock({
+      duration: this.type === 'countdown' ? this.options.minutes * 60 * 1000 : null,
+      now: this.options.now
+    });
+    this.targetWords = this.type === 'speedrun' ? this.selectTargetWords(this.options.wordCount) : [];
+    this.results = [];
+    this.currentGame = null;
+    this.finished = false;
+  }
+
+  /**
+   * 为竞速模式选择互不相同的目标单词
+   */
+  selectTargetWords(count) {
+    const candidates = [...this.wordList];
+    const targetWords = [];
+
+    while (targetWords.length < count && candidates.length > 0) {
+      const randomIndex = Math.floor(Math.random() * candidates.length);
+      targetWords.push(candidates.splice(randomIndex, 1)[0]);
+    }
+
+    return targetWords;
+  }
+
+  /**
+   * 开始下一个单词（第一局开始时启动时钟），会话结束时返回null
+   */
+  nextGame() {
+    if (this.isFinished()) return null;
+
+    const options = {
+      wordLength: this.wordLength,
+      mode: this.type,
+      language: this.language,
+      clock: this.clock
+    };
+    if (this.type === 'speedrun') {
+      options.targetWord = this.targetWords[this.results.length];
+    }
+
+    this.currentGame = new WordleGame(this.wordList, options);
+    if (this.clock.state === 'idle') {
+      this.clock.start();
+    }
+    return this.currentGame;
+  }
+
+  /**
+   * 记录一局的结果
+   */
+  recordResult(game = this.currentGame) {
+    this.results.push({
+      targetWord: game.targetWord,
+      gameStatus: game.gameStatus,
+      guessCount: game.guesses.length,
+      elapsed: this.clock.getElapsed()
+    });
+    this.currentGame = null;
+  }
+
+  /**
+   * 会话是否结束：倒计时到时，或竞速模式完成所有单词
+   */
+  isFinished() {
+    if (this.finished) return true;
+    if (this.type === 'countdown') {
+      return this.clock.isExpired();
+    }
+    return this.results.length >= this.targetWords.length;
+  }
+
+  /**
+   * 结束会话并停止计时
+   */
+  finish() {
+    this.clock.pause();
+    this.finished = true;
+  }
+
+  /**
+   * 暂停计时
+   */
+  pause() {
+    return this.currentGame ? this.currentGame.pause() : false;
+  }
+
+  /**
+   * 继续计时
+   */
+  resume() {
+    return this.currentGame ? this.currentGame.resume() : false;
+  }
+
+  /**
+   * 猜中的单词数
+   */
+  getSolvedCount() {
+    return this.results.filter(result => result.gameStatus === 'won').length;
+  }
+
+  /**
+   * 获取会话总结（用于记录最佳成绩）
+   */
+  getSummary() {
+    const solved = this.getSolvedCount();
+
+    return {
+      type: this.type,
+      wordLength: this.wordLength,
+      minutes: this.type === 'countdown' ? this.options.minutes : null,
+      wordCount: this.type === 'speedrun' ? this.targetWords.length : null,
+      solved,
+      elapsed: this.clock.getElapsed(),
+      completed: this.type === 'speedrun' && solved === this.targetWords.length,
+      results: this.results.map(result => ({ ...result }))
+    };
+  }
+}
@@ -1,11 +1,15 @@
+import { getLanguagePack } from './LanguagePack.js';
+
 /**
  * 虚拟键盘组件
+ * 指定 options.language 时使用语言包的键盘布局，物理键盘输入也按语言包规则转换
  */
 export class VirtualKeyboard {
   constructor(containerElement, options = {}) {
     this.container = containerElement;
     this.options = {
       layout: 'qwerty',
+      language: null,
       onClick: null,
       letterStates: new Map(),
       ...options
@@ -13,6 +17,7 @@ export class VirtualKeyboard {
 
     this.keyboardElement = null;
     this.keys = new Map();
+    this.language = getLanguagePack(this.options.language);
 
     this.layouts = {
       qwerty: [
@@ -40,7 +45,9 @@ export class VirtualKeyboard {
     this.keyboardElement = document.createElement('div');
     this.keyboardElement.className = 'keyboard';
 
-    const layout = this.layouts[this.options.layout];
+    const layout = this.options.language
+      ? this.language.getKeyboardLayout()
+      : this.layouts[this.options.layout];
 
     layout.forEach((row, rowIndex) => {
       const rowElement = document.createElement('div');
@@ -55,6 +62,14 @@ export class VirtualKeyboard {
       this.keyboardElement.appendChild(rowElement);
     });
 
+    // 点击事件绑定在键盘元素上，重建键盘时一起重新绑定
+    this.keyboardElement.addEventListener('click', (e) => {
+      const keyElement = e.target.closest('.key');
+      if (keyElement) {
+        this.handleKeyClick(keyElement.dataset.key);
+      }
+    });
+
     this.container.appendChild(this.keyboardElement);
   }
 
@@ -99,12 +114,6 @@ export class VirtualKeyboard {
    * 绑定事件
    */
   bindEvents() {
-    this.keyboardElement.addEventListener('click', (e) => {
-      if (e.target.classList.contains('key')) {
-        this.handleKeyClick(e.target.dataset.key);
-      }
-    });
-
     // 支持键盘事件
     document.addEventListener('keydown', (e) => this.handlePhysicalKey(e));
   }
@@ -135,8 +144,9 @@ export class VirtualKeyboard {
       keyValue = 'ENTER';
     } else if (event.key === 'Backspace') {
       keyValue = 'BACK';
-    } else if (event.key.match(/^[a-zA-Z]$/)) {
-      keyValue = event.key.toUpperCase();
+    } else {
+      // 功能键（Shift、Tab 等）不属于字母表，会得到 null
+      keyValue = this.language.normalizeLetter(event.key);
     }
 
     if (keyValue && this.keys.has(keyValue)) {
@@ -145,11 +155,18 @@ export class VirtualKeyboard {
     }
   }
 
+  /**
+   * 把字母转换为按键值
+   */
+  normalizeKey(letter) {
+    return this.language.normalizeLetter(letter) || letter;
+  }
+
   /**
    * 更新按键状态
    */
   updateKeyState(letter, state) {
-    const keyElement = this.keys.get(letter.toUpperCase());
+    const keyElement = this.keys.get(this.normalizeKey(letter));
     if (keyElement) {
       // 移除旧状态
       keyElement.classList.remove('correct', 'present', 'absent');
@@ -160,10 +177,37 @@ export class VirtualKeyboard {
       }
 
       // 更新状态映射
-      this.options.letterStates.set(letter.toUpperCase(), state);
+      this.options.letterStates.set(this.normalizeKey(letter), state);
     }
   }
 
+  /**
+   * 更新按键在各个棋盘上的状态（多棋盘模式下按键被分成多个色块）
+   */
+  updateKeySegments(letter, states) {
+    const keyElement = this.keys.get(this.normalizeKey(letter));
+    if (!keyElement) return;
+
+    let segmentsElement = keyElement.querySelector('.key-segments');
+    if (!segmentsElement) {
+      segmentsElement = document.createElement('span');
+      segmentsElement.className = 'key-segments';
+      keyElement.appendChild(segmentsElement);
+      keyElement.classList.add('has-segments');
+    }
+
+    // 2个棋盘左右分开，4个棋盘分成四格，8个棋盘分成两行四列
+    const columns = states.length > 2 ? states.length / 2 : states.length;
+    segmentsElement.style.setProperty('--segment-columns', columns);
+    segmentsElement.innerHTML = '';
+
+    states.forEach(state => {
+      const segment = document.createElement('span');
+      segment.className = `key-segment ${state}`;
+      segmentsElement.appendChild(segment);
+    });
+  }
+
   /**
    * 批量更新按键状态
    */
@@ -177,7 +221,7 @@ export class VirtualKeyboard {
    * 获取按键状态
    */
   getKeyState(letter) {
-    return this.options.letterStates.get(letter.toUpperCase()) || 'unused';
+    return this.options.letterStates.get(this.normalizeKey(letter)) || 'unused';
   }
 
   /**
@@ -225,6 +269,7 @@ export class VirtualKeyboard {
     this.options.letterStates.clear();
     this.keys.forEach(keyElement => {
       keyElement.className = 'key';
+      keyElement.querySelectorAll('.key-segments').forEach(segments => segments.remove());
       if (keyElement.dataset.key === 'ENTER' || keyElement.dataset.key === 'BACK') {
         keyElement.classList.add('key-wide');
       }
@@ -241,6 +286,16 @@ export class VirtualKeyboard {
     }
   }
 
+  /**
+   * 切换语言：使用语言包的键盘布局并清除按键状态
+   */
+  setLanguage(language) {
+    this.options.language = language;
+    this.language = getLanguagePack(language);
+    this.options.letterStates.clear();
+    this.rebuildKeyboard();
+  }
+
   /**
    * 重建键盘
    */
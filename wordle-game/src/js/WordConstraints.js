@@ -0,0 +1,147 @@
+/**
+ * 单词约束 - 根据绿 / 黄 / 灰反馈筛选单词
+ *
+ * 约束对象的格式：
+ * - greens:    已确定的字母，数组（按位置，未知为null）或 { 位置: 字母 }
+ * - yellows:   { 字母: [不在的位置] }，字母一定出现在单词中
+ * - grays:     不在单词中的字母；同一个字母也是绿色或黄色时表示它只出现已知的次数
+ * - minCounts: { 字母: 最少出现次数 }
+ * - maxCounts: { 字母: 最多出现次数 }
+ */
+
+/**
+ * 根据一组猜测记录（{ word, result }）生成约束，正确处理重复字母
+ */
+export function createConstraints(guesses = []) {
+  const greens = [];
+  const yellows = {};
+  const minCounts = {};
+  const maxCounts = {};
+  const wordLength = guesses.length > 0 ? guesses[0].word.length : 0;
+
+  guesses.forEach(({ word, result }) => {
+    const found = {};
+    const hasAbsent = new Set();
+
+    word.split('').forEach((letter, index) => {
+      if (result[index] === 'correct') {
+        greens[index] = letter;
+        found[letter] = (found[letter] || 0) + 1;
+      } else {
+        // 黄色和灰色都说明字母不在这个位置
+        yellows[letter] = yellows[letter] || [];
+        if (!yellows[letter].includes(index)) yellows[letter].push(index);
+
+        if (result[index] === 'present') {
+          found[letter] = (found[letter] || 0) + 1;
+        } else {
+          hasAbsent.add(letter);
+        }
+      }
+    });
+
+    Object.entries(found).forEach(([letter, count]) => {
+      minCounts[letter] = Math.max(minCounts[letter] || 0, count);
+    });
+    hasAbsent.forEach(letter => {
+      const count = found[letter] || 0;
+      maxCounts[letter] = Math.min(maxCounts[letter] === undefined ? count : maxCounts[letter], count);
+    });
+  });
+
+  // 一次都没出现过的字母归为灰色；位置限制只对出现在单词中的字母有意义
+  const grays = Object.keys(maxCounts).filter(letter => maxCounts[letter] === 0).sort();
+  grays.forEach(letter => {
+    delete maxCounts[letter];
+    delete yellows[letter];
+  });
+  Object.values(yellows).forEach(positions => positions.sort((a, b) => a - b));
+
+  return {
+    greens: Array.from({ length: wordLength }, (_, index) => greens[index] || null),
+    yellows,
+    grays,
+    minCounts,
+    maxCounts
+  };
+}
+
+/**
+ * 把约束编译成匹配函数，筛选大量单词时只需编译一次
+ */
+export function compileConstraints(constraints = {}, wordLength = 5) {
+  const fixed = new Array(wordLength).fill(null);
+  const excluded = Array.from({ length: wordLength }, () => new Set());
+  const minCounts = new Map();
+  const maxCounts = new Map();
+
+  const checkPosition = (position) => {
+    if (!Number.isInteger(position) || position < 0 || position >= wordLength) {
+      throw new Error(`位置必须在0到${wordLength - 1}之间`);
+    }
+    return position;
+  };
+  const raiseMin = (letter, count) => minCounts.set(letter, Math.max(minCounts.get(letter) || 0, count));
+  const lowerMax = (letter, count) => maxCounts.set(
+    letter,
+    Math.min(maxCounts.has(letter) ? maxCounts.get(letter) : Infinity, count)
+  );
+
+  // 绿色字母
+  const greens = constraints.greens || [];
+  const greenCounts = {};
+  Object.entries(greens).forEach(([position, letter]) => {
+    if (!letter) return;
+    const upperLetter = letter.toUpperCase();
+    fixed[checkPosition(Number(position))] = upperLetter;
+    greenCounts[upperLetter] = (greenCounts[upperLetter] || 0) + 1;
+  });
+  Object.entries(greenCounts).forEach(([letter, count]) => raiseMin(letter, count));
+
+  // 黄色字母
+  Object.entries(constraints.yellows || {}).forEach(([letter, positions]) => {
+    const upperLetter = letter.toUpperCase();
+    (positions || []).forEach(position => excluded[checkPosition(position)].add(upperLetter));
+    raiseMin(upperLetter, 1);
+  });
+
+  // 出现次数
+  Object.entries(constraints.minCounts || {}).forEach(([letter, count]) => raiseMin(letter.toUpperCase(), count));
+  Object.entries(constraints.maxCounts || {}).forEach(([letter, count]) => lowerMax(letter.toUpperCase(), count));
+
+  // 灰色字母：已知出现的次数就是最多次数
+  Array.from(constraints.grays || []).forEach(letter => {
+    const upperLetter = letter.toUpperCase();
+    lowerMax(upperLetter, minCounts.get(upperLetter) || 0);
+  });
+
+  const countedLetters = Array.from(new Set([...minCounts.keys(), ...maxCounts.keys()]));
+
+  return (word) => {
+    if (word.length !== wordLength) return false;
+
+    for (let i = 0; i < wordLength; i++) {
+      if (fixed[i] !== null && word[i] !== fixed[i]) return false;
+      if (excluded[i].has(word[i])) return false;
+    }
+
+    for (const letter of countedLetters) {
+      let count = 0;
+      for (let i = 0; i < wordLength; i++) {
+        if (word[i] === letter) count++;
+      }
+      if (count < (minCounts.get(letter) || 0)) return false;
+      if (maxCounts.has(letter) && count > maxCounts.get(letter)) return false;
+    }
+
+    return true;
+  };
+}
+
+/**
+ * 检查单个单词是否满足约束
+ */
+export function matchesConstraints(word, constraints = {}) {
+  const upperWord = word.toUpperCase();
+  return compileConstraints(constraints, upperWord.length)(upperWord);
+}
@@ -0,0 +1,158 @@
+import { SeededRandom } from './SeededRandom.js';
+
+// 难度等级（从易到难）
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard', 'expert'];
+
+// 难度等级的中文名称
+export const DIFFICULTY_NAMES = {
+  easy: '简单',
+  medium: '中等',
+  hard: '困难',
+  expert: '专家'
+};
+
+// 难度分数（0-100，同样长度的答案单词中模拟猜测次数的百分位）低于上限时属于该等级，expert 没有上限
+// 按长度分别排名是因为长单词的候选词少，模拟猜测次数普遍更低
+export const DIFFICULTY_THRESHOLDS = {
+  easy: 25,
+  medium: 50,
+  hard: 75
+};
+
+// 模拟中没有在限定次数内猜出的单词按这个猜测次数计分
+const FAILED_GUESS_SCORE = 8;
+
+/**
+ * 计算反馈模式：每个位置 2 表示绿色、1 表示黄色、0 表示灰色（重复字母的处理与游戏相同）
+ */
+export function getFeedbackPattern(guess, target) {
+  const result = new Array(guess.length).fill(0);
+  const remaining = new Map();
+
+  for (let i = 0; i < guess.length; i++) {
+    if (guess[i] === target[i]) {
+      result[i] = 2;
+    } else {
+      remaining.set(target[i], (remaining.get(target[i]) || 0) + 1);
+    }
+  }
+
+  for (let i = 0; i < guess.length; i++) {
+    if (result[i] === 0 && remaining.get(guess[i]) > 0) {
+      result[i] = 1;
+      remaining.set(guess[i], remaining.get(guess[i]) - 1);
+    }
+  }
+
+  return result.join('');
+}
+
+/**
+ * 检查难度等级，未指定时返回null（表示不限难度）
+ */
+export function normalizeDifficulty(difficulty) {
+  if (!difficulty) return null;
+  if (!DIFFICULTY_LEVELS.includes(difficulty)) {
+    throw new Error(`不支持的难度: ${difficulty}`);
+  }
+  return difficulty;
+}
+
+/**
+ * 根据难度分数获取难度等级，没有分数时返回null
+ */
+export function getDifficultyLevel(score) {
+  if (typeof score !== 'number') return null;
+  if (score < DIFFICULTY_THRESHOLDS.easy) return 'easy';
+  if (score < DIFFICULTY_THRESHOLDS.medium) return 'medium';
+  if (score < DIFFICULTY_THRESHOLDS.hard) return 'hard';
+  return 'expert';
+}
+
+/**
+ * 模拟玩家猜一个目标词：每次从仍符合所有反馈的单词中随机猜一个（相当于困难模式下没有策略的玩家）
+ * 返回平均猜测次数（只算猜出的局）、失败率和难度分数（失败按 FAILED_GUESS_SCORE 次计算的平均猜测次数）
+ *
+ * options.players 是模拟的局数，options.seed 让结果可以复现
+ */
+export function simulateSolves(target, words, options = {}) {
+  const { players = 20, maxGuesses = 6, seed = 'difficulty' } = options;
+  const random = new SeededRandom(`${seed}:${target}`);
+  const pool = words.filter(word => word.length === target.length);
+  if (!pool.includes(target)) pool.push(target);
+
+  let solvedGames = 0;
+  let solvedGuesses = 0;
+  let totalScore = 0;
+
+  for (let player = 0; player < players; player++) {
+    let candidates = pool;
+    let guesses = 0;
+    let won = false;
+
+    while (!won && guesses < maxGuesses) {
+      const guess = candidates[random.nextInt(candidates.length)];
+      guesses++;
+      if (guess === target) {
+        won = true;
+      } else {
+        const pattern = getFeedbackPattern(guess, target);
+        candidates = candidates.filter(word => getFeedbackPattern(guess, word) === pattern);
+      }
+    }
+
+    if (won) {
+      solvedGames++;
+      solvedGuesses += guesses;
+      totalScore += guesses;
+    } else {
+      totalScore += FAILED_GUESS_SCORE;
+    }
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    averageGuesses: solvedGames > 0 ? round(solvedGuesses / solvedGames) : null,
+    failureRate: round(1 - solvedGames / players),
+    score: round(totalScore / players)
+  };
+}
+
+/**
+ * 为一组答案单词模拟猜测，返回 Map(单词 → simulateSolves 的结果)
+ */
+export function rateWords(targets, words, options = {}) {
+  const ratings = new Map();
+  targets.forEach(target => {
+    ratings.set(target, simulateSolves(target, words, options));
+  });
+  return ratings;
+}
+
+/**
+ * 把模拟结果换算为难度分数：同样长度的单词按模拟分数排名，取0-100的百分位（分数相同的单词排名相同）
+ */
+export function rankDifficulty(ratings) {
+  const byLength = new Map();
+  ratings.forEach((rating, word) => {
+    if (!byLength.has(word.length)) byLength.set(word.length, []);
+    byLength.get(word.length).push({ word, score: rating.score });
+  });
+
+  const difficulties = new Map();
+  byLength.forEach(entries => {
+    entries.sort((a, b) => a.score - b.score);
+    let start = 0;
+    while (start < entries.length) {
+      let end = start;
+      while (end + 1 < entries.length && entries[end + 1].score === entries[start].score) end++;
+
+      const rank = entries.length > 1 ? ((start + end) / 2) / (entries.length - 1) : 0.5;
+      for (let i = start; i <= end; i++) {
+        difficulties.set(entries[i].word, Math.round(rank * 100));
+      }
+      start = end + 1;
+    }
+  });
+  return difficulties;
+}
@@ -0,0 +1,257 @@
+import { WordValidator } from './WordValidator.js';
+import { MIN_WORD_LENGTH, MAX_WORD_LENGTH } from './WordleGame.js';
+import { computeChecksum, formatLexiconLine, parseLexiconLine, parseLexiconPack } from './LexiconLoader.js';
+
+/**
+ * 根据文件扩展名判断单词表格式（txt / csv / json）
+ */
+export function detectFormat(fileName) {
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  return ['csv', 'json'].includes(extension) ? extension : 'txt';
+}
+
+/**
+ * 拆分一行 CSV（支持双引号包围的字段和 "" 转义）
+ */
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * 解析 CSV：第一行包含 word 列时按表头读取 frequency / partOfSpeech / tags（标签用 ; 或 | 分隔），
+ * 否则每行第一列是单词
+ */
+function parseCsv(text) {
+  const rows = text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => splitCsvLine(line));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const column = (name) => header.indexOf(name.toLowerCase());
+  if (column('word') === -1) {
+    return rows.map(row => ({ word: row[0], metadata: {} }));
+  }
+
+  const field = (row, name) => {
+    const index = column(name);
+    return index === -1 || !row[index] ? null : row[index];
+  };
+  return rows.slice(1).map(row => {
+    const frequency = field(row, 'frequency');
+    const tags = field(row, 'tags');
+    return {
+      word: field(row, 'word') || '',
+      metadata: {
+        frequency: frequency === null ? null : Number(frequency),
+        partOfSpeech: field(row, 'partOfSpeech'),
+        tags: tags ? tags.split(/[;|]/).map(tag => tag.trim()).filter(Boolean) : []
+      }
+    };
+  });
+}
+
+/**
+ * 单词表管理工具 - 导入、去重、规范化、检查和比较单词表，生成游戏可以加载的词库包
+ *
+ * 单词的规范化和检查都交给 WordValidator（addWordList / importWords / exportWords），
+ * 所以结果与游戏中的验证规则一致，也支持其他语言包。
+ */
+export class WordListCurator {
+  constructor(options = {}) {
+    this.options = {
+      language: undefined,
+      wordLength: null, // 只接受这个长度的单词；null 表示接受游戏支持的所有长度
+      ...options
+    };
+
+    this.validator = new WordValidator({ language: this.options.language });
+    this.language = this.validator.language;
+  }
+
+  /**
+   * 解析单词表文件内容（txt: 词库记录格式，每行一条；csv；json: 词库包格式或字符串数组）
+   */
+  parse(text, format = 'txt') {
+    if (format === 'csv') {
+      return parseCsv(text);
+    }
+    if (format === 'json') {
+      return parseLexiconPack(text, 'json');
+    }
+    if (format !== 'txt') {
+      throw new Error(`不支持的单词表格式: ${format}`);
+    }
+
+    return text.split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => parseLexiconLine(line));
+  }
+
+  /**
+   * 整理单词记录：规范化、去重并检查长度和字符
+   * 返回按长度和字母表排序的有效单词（保留第一次出现时的元数据）、重复的单词和无效的单词及原因
+   */
+  curate(entries) {
+    const normalized = new Map();
+    const duplicates = [];
+    const invalid = [];
+
+    entries.forEach(({ word, metadata }) => {
+      const normalizedWord = this.language.normalizeWord(String(word).trim());
+      if (normalized.has(normalizedWord)) {
+        duplicates.push(normalizedWord);
+        return;
+      }
+      normalized.set(normalizedWord, metadata || {});
+    });
+
+    // 按长度分组交给 WordValidator 检查，它会拒绝字母表以外的字符
+    const byLength = new Map();
+    normalized.forEach((_, word) => {
+      const lengthError = this.checkLength(word);
+      if (lengthError) {
+        invalid.push({ word, reason: lengthError });
+        return;
+      }
+      if (!byLength.has(word.length)) byLength.set(word.length, []);
+      byLength.get(word.length).push(word);
+    });
+
+    this.validator.importWords([]);
+    byLength.forEach((words, wordLength) => {
+      this.validator.setWordLength(wordLength);
+      this.validator.addWordList(words).results.forEach((result, index) => {
+        if (!result.valid) {
+          invalid.push({ word: words[index], reason: result.reason });
+        }
+      });
+    });
+
+    // 与 public/lexicon 中的词库包相同：先按长度，再按字母表顺序
+    const words = this.validator.exportWords().sort((a, b) => a.length - b.length);
+    return {
+      words,
+      entries: words.map(word => ({ word, metadata: normalized.get(word) })),
+      duplicates,
+      invalid
+    };
+  }
+
+  /**
+   * 检查单词长度，符合要求时返回null
+   */
+  checkLength(word) {
+    const { wordLength } = this.options;
+    if (wordLength) {
+      return word.length === wordLength ? null : `单词必须是${wordLength}个字母`;
+    }
+    if (word.length < MIN_WORD_LENGTH || word.length > MAX_WORD_LENGTH) {
+      return `单词长度必须在${MIN_WORD_LENGTH}到${MAX_WORD_LENGTH}之间`;
+    }
+    return null;
+  }
+
+  /**
+   * 比较两个单词表（先规范化），返回新增、删除和共有的单词
+   */
+  diff(before, after) {
+    const normalize = (words) => new Set(words.map(word => this.language.normalizeWord(String(word).trim())));
+    const beforeWords = normalize(before);
+    const afterWords = normalize(after);
+    const sorted = (words) => Array.from(words).sort();
+
+    return {
+      added: sorted([...afterWords].filter(word => !beforeWords.has(word))),
+      removed: sorted([...beforeWords].filter(word => !afterWords.has(word))),
+      unchanged: sorted([...afterWords].filter(word => beforeWords.has(word)))
+    };
+  }
+
+  /**
+   * 生成词库包文件内容和清单条目（format: text 或 json，与 public/lexicon 中的词库包相同）
+   */
+  createPack(entries, options = {}) {
+    const { id, list = 'allowed', format = 'text' } = options;
+    if (!id) {
+      throw new Error('词库包必须有 id');
+    }
+    if (!['text', 'json'].includes(format)) {
+      throw new Error(`不支持的词库包格式: ${format}`);
+    }
+
+    let text;
+    if (format === 'json') {
+      const lines = entries.map(({ word, metadata = {} }) => {
+        const item = {
+          word,
+          frequency: typeof metadata.frequency === 'number' ? metadata.frequency : null,
+          partOfSpeech: metadata.partOfSpeech || null,
+          tags: metadata.tags || []
+        };
+        // 只有评过难度的单词才写入难度字段
+        if (typeof metadata.difficulty === 'number') {
+          item.difficulty = metadata.difficulty;
+        }
+        return `    ${JSON.stringify(item)}`;
+      });
+      text = `{\n  "words": [\n${lines.join(',\n')}\n  ]\n}\n`;
+    } else {
+      const header = list === 'answer'
+        ? '# 答案单词：单词 [词性] [词频] [标签] [难度]，未知字段用 - 占位'
+        : '# 允许猜测的单词：单词 [词性] [词频] [标签]，未知字段用 - 占位';
+      text = `${[header, ...entries.map(entry => formatLexiconLine(entry))].join('\n')}\n`;
+    }
+
+    const fileName = `${id}.${format === 'json' ? 'json' : 'txt'}`;
+    return {
+      fileName,
+      text,
+      manifestEntry: { id, url: fileName, format, list, checksum: computeChecksum(text) }
+    };
+  }
+
+  /**
+   * 把词库包加入清单：替换同 id 的词库包，内容有变化时版本号加一（缓存会因此重新下载）
+   */
+  updateManifest(manifest, manifestEntry) {
+    const current = manifest || { version: 0, packs: [] };
+    const existing = current.packs.find(pack => pack.id === manifestEntry.id);
+    if (existing && JSON.stringify(existing) === JSON.stringify(manifestEntry)) {
+      return current;
+    }
+
+    const packs = existing
+      ? current.packs.map(pack => (pack.id === manifestEntry.id ? manifestEntry : pack))
+      : [...current.packs, manifestEntry];
+
+    return { ...current, version: (current.version || 0) + 1, packs };
+  }
+}
@@ -0,0 +1,591 @@
+/**
+ * 紧凑词典 - 用最小化的字母树（DAWG）保存大量单词
+ *
+ * 共享前缀和后缀的单词共用节点，所有边保存在一个 Uint32Array 中，每条边占 32 位：
+ * - 第 0-5 位：字母在字母表中的序号（默认字母表为 A-Z，最多 64 个字母）
+ * - 第 6 位：  经过这条边后构成一个完整单词
+ * - 第 7 位：  这是当前节点的最后一条边
+ * - 第 8-31 位：子节点第一条边的下标（0 表示没有子节点）
+ *
+ * 下标 0 是占位边，根节点的边从下标 1 开始。添加和删除的单词先记录在两个小集合中，
+ * 调用 compact() 时再重新生成 DAWG。接口与 Set 兼容（has / add / delete / size / 迭代）。
+ */
+
+const LETTER_MASK = 0x3f;
+const END_FLAG = 0x40;
+const LAST_FLAG = 0x80;
+const CHILD_SHIFT = 256; // 2^8
+const MAX_EDGES = 2 ** 24;
+const MAX_LETTERS = LETTER_MASK + 1;
+
+const DEFAULT_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// 序列化格式：'WTRI' + 版本号 + 单词数 + 边数 + 字母数 + 字母表（UTF-16）+ 边（小端序）
+const MAGIC = 'WTRI';
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 20;
+
+// 随机取词时因为单词已删除而重试的次数，超过后改为逐个筛选
+const RANDOM_RETRIES = 32;
+
+/**
+ * 用排好序的单词增量构造最小化字母树，返回边数组（codeOf 返回字母的序号）
+ */
+function buildEdges(sortedWords, codeOf) {
+  const root = { edges: [], end: false };
+  const register = new Map();
+  const unchecked = [];
+  const ids = new Map();
+  let previous = '';
+
+  // 合并与已登记节点等价的节点（从最深处开始，直到剩下 depth 个未检查的节点）
+  const minimize = (depth) => {
+    while (unchecked.length > depth) {
+      const { parent, child } = unchecked.pop();
+      const key = (child.end ? '1' : '0') + child.edges.map(([letter, node]) => `${letter}:${ids.get(node)}`).join(',');
+      const existing = register.get(key);
+      if (existing) {
+        parent.edges[parent.edges.length - 1][1] = existing;
+      } else {
+        ids.set(child, ids.size);
+        register.set(key, child);
+      }
+    }
+  };
+
+  sortedWords.forEach(word => {
+    let common = 0;
+    while (common < word.length && common < previous.length && word[common] === previous[common]) {
+      common++;
+    }
+    minimize(common);
+
+    let node = unchecked.length > 0 ? unchecked[unchecked.length - 1].child : root;
+    for (let i = common; i < word.length; i++) {
+      const child = { edges: [], end: false };
+      node.edges.push([codeOf(word[i]), child]);
+      unchecked.push({ parent: node, child });
+      node = child;
+    }
+    node.end = true;
+    previous = word;
+  });
+  minimize(0);
+
+  // 为每个有子节点的节点分配连续的边
+  const offsets = new Map();
+  const order = [root];
+  let total = 1;
+  for (let i = 0; i < order.length; i++) {
+    const node = order[i];
+    offsets.set(node, total);
+    total += node.edges.length;
+    node.edges.forEach(([, child]) => {
+      if (child.edges.length > 0 && !offsets.has(child)) {
+        offsets.set(child, 0);
+        order.push(child);
+      }
+    });
+  }
+  if (total > MAX_EDGES) {
+    throw new Error('词典太大，无法压缩保存');
+  }
+
+  const edges = new Uint32Array(total);
+  order.forEach(node => {
+    const start = offsets.get(node);
+    node.edges.forEach(([letter, child], index) => {
+      const flags = (child.end ? END_FLAG : 0) | (index === node.edges.length - 1 ? LAST_FLAG : 0);
+      const childStart = child.edges.length > 0 ? offsets.get(child) : 0;
+      edges[start + index] = childStart * CHILD_SHIFT + flags + letter;
+    });
+  });
+  return edges;
+}
+
+/**
+ * Uint8Array 与 base64 互相转换（浏览器和 Node 都提供 btoa / atob）
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * 把查询模式转换为每个位置允许的字母：
+ * 字符串中的 ? 或 . 表示任意字母；数组中每一项可以是 null（任意）、字母串或字母集合
+ */
+function parsePattern(pattern) {
+  const positions = typeof pattern === 'string' ? pattern.toUpperCase().split('') : Array.from(pattern);
+  return positions.map(item => {
+    if (item === null || item === undefined || item === '' || item === '?' || item === '.') {
+      return null;
+    }
+    return new Set(typeof item === 'string' ? item.toUpperCase().split('') : Array.from(item));
+  });
+}
+
+export class WordTrie {
+  constructor(words = [], options = {}) {
+    this.options = {
+      alphabet: DEFAULT_ALPHABET,
+      ...options
+    };
+
+    if (this.options.alphabet.length > MAX_LETTERS) {
+      throw new Error(`字母表最多包含${MAX_LETTERS}个字母`);
+    }
+    this.alphabet = this.options.alphabet;
+    this.letterCodes = new Map(this.alphabet.split('').map((letter, index) => [letter, index]));
+
+    this.edges = new Uint32Array(1);
+    this.baseSize = 0;
+    this.added = new Set();
+    this.removed = new Set();
+    this.counts = new Map(); // 剩余字母数 => 每个节点下的单词数量（按需计算）
+    this.rebuild(words);
+  }
+
+  /**
+   * 从单词列表创建词典
+   */
+  static from(words, options = {}) {
+    return new WordTrie(words, options);
+  }
+
+  /**
+   * 从 toBytes() 生成的二进制数据恢复词典
+   */
+  static fromBytes(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const magic = String.fromCharCode(data[0], data[1], data[2], data[3]);
+
+    if (data.byteLength < HEADER_SIZE || magic !== MAGIC || view.getUint32(4, true) !== FORMAT_VERSION) {
+      throw new Error('词典数据格式错误');
+    }
+
+    const wordCount = view.getUint32(8, true);
+    const edgeCount = view.getUint32(12, true);
+    const letterCount = view.getUint32(16, true);
+    const edgesOffset = HEADER_SIZE + letterCount * 2;
+    if (edgeCount < 1 || letterCount > MAX_LETTERS || data.byteLength !== edgesOffset + edgeCount * 4) {
+      throw new Error('词典数据格式错误');
+    }
+
+    let alphabet = '';
+    for (let i = 0; i < letterCount; i++) {
+      alphabet += String.fromCharCode(view.getUint16(HEADER_SIZE + i * 2, true));
+    }
+
+    const trie = new WordTrie([], { alphabet });
+    trie.edges = new Uint32Array(edgeCount);
+    for (let i = 0; i < edgeCount; i++) {
+      trie.edges[i] = view.getUint32(edgesOffset + i * 4, true);
+      if (Math.floor(trie.edges[i] / CHILD_SHIFT) >= edgeCount) {
+        throw new Error('词典数据格式错误');
+      }
+    }
+    if (edgeCount > 1 && !(trie.edges[edgeCount - 1] & LAST_FLAG)) {
+      throw new Error('词典数据格式错误');
+    }
+    trie.baseSize = wordCount;
+    return trie;
+  }
+
+  /**
+   * 从 serialize() 生成的 base64 字符串恢复词典
+   */
+  static deserialize(text) {
+    let bytes;
+    try {
+      bytes = base64ToBytes(text);
+    } catch {
+      throw new Error('词典数据格式错误');
+    }
+    return WordTrie.fromBytes(bytes);
+  }
+
+  /**
+   * 单词数量
+   */
+  get size() {
+    return this.baseSize - this.removed.size + this.added.size;
+  }
+
+  /**
+   * 检查单词是否在词典中
+   */
+  has(word) {
+    if (typeof word !== 'string') return false;
+    if (this.added.has(word)) return true;
+    return !this.removed.has(word) && this.baseHas(word);
+  }
+
+  /**
+   * 添加单词
+   */
+  add(word) {
+    this.checkWord(word);
+    if (this.removed.has(word)) {
+      this.removed.delete(word);
+    } else if (!this.baseHas(word)) {
+      this.added.add(word);
+    }
+    return this;
+  }
+
+  /**
+   * 删除单词，返回单词原来是否存在
+   */
+  delete(word) {
+    if (this.added.delete(word)) return true;
+    if (typeof word !== 'string' || this.removed.has(word) || !this.baseHas(word)) return false;
+    this.removed.add(word);
+    return true;
+  }
+
+  /**
+   * 清空词典
+   */
+  clear() {
+    this.rebuild([]);
+  }
+
+  /**
+   * 把添加和删除的单词合并进 DAWG
+   */
+  compact() {
+    if (this.added.size > 0 || this.removed.size > 0) {
+      this.rebuild(Array.from(this));
+    }
+    return this;
+  }
+
+  /**
+   * 用一组单词重新生成 DAWG
+   */
+  rebuild(words) {
+    const sorted = Array.from(new Set(Array.from(words, word => this.checkWord(word))))
+      .sort((a, b) => this.compareWords(a, b));
+    this.edges = buildEdges(sorted, letter => this.letterCodes.get(letter));
+    this.baseSize = sorted.length;
+    this.added.clear();
+    this.removed.clear();
+    this.counts.clear();
+  }
+
+  /**
+   * 检查单词只包含字母表中的字母
+   */
+  checkWord(word) {
+    if (typeof word !== 'string' || word.length === 0 ||
+      !word.split('').every(letter => this.letterCodes.has(letter))) {
+      throw new Error('单词包含字母表以外的字符');
+    }
+    return word;
+  }
+
+  /**
+   * 按字母表顺序比较两个单词
+   */
+  compareWords(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+      if (a[i] !== b[i]) {
+        return this.letterCodes.get(a[i]) - this.letterCodes.get(b[i]);
+      }
+    }
+    return a.length - b.length;
+  }
+
+  /**
+   * 字母的序号（不在字母表中时返回-1）
+   */
+  letterCode(letter) {
+    const code = this.letterCodes.get(letter);
+    return code === undefined ? -1 : code;
+  }
+
+  /**
+   * 按字母表顺序遍历所有单词（之后是尚未合并的新单词）
+   */
+  *[Symbol.iterator]() {
+    yield* this.search('', -1, null);
+  }
+
+  *keys() {
+    yield* this;
+  }
+
+  *values() {
+    yield* this;
+  }
+
+  forEach(callback, thisArg) {
+    for (const word of this) {
+      callback.call(thisArg, word, word, this);
+    }
+  }
+
+  /**
+   * 遍历指定长度的所有单词（只访问深度不超过该长度的节点）
+   */
+  *wordsOfLength(length) {
+    yield* this.search('', length, null);
+  }
+
+  /**
+   * 是否有单词以 prefix 开头
+   */
+  hasPrefix(prefix) {
+    const upperPrefix = prefix.toUpperCase();
+    return !this.search(upperPrefix, -1, null).next().done;
+  }
+
+  /**
+   * 获取以 prefix 开头的单词（options.length 限制单词长度，options.limit 限制数量）
+   */
+  wordsWithPrefix(prefix, options = {}) {
+    const { length = -1, limit = Infinity } = options;
+    return this.take(this.search(prefix.toUpperCase(), length, null), limit);
+  }
+
+  /**
+   * 按模式查找单词，例如 'CR?NE'、'..A..' 或 ['C', 'RL', null, null, 'E']
+   */
+  match(pattern, options = {}) {
+    const { limit = Infinity } = options;
+    const allowed = parsePattern(pattern);
+    return this.take(this.search('', allowed.length, allowed), limit);
+  }
+
+  /**
+   * 随机获取一个指定长度的单词（每个单词的概率相同），没有时返回null
+   */
+  randomWord(length, random = Math.random) {
+    const baseCount = this.countWords(1, length);
+    const added = Array.from(this.added).filter(word => word.length === length);
+    const total = baseCount + added.length;
+    if (total === 0) return null;
+
+    for (let attempt = 0; attempt < RANDOM_RETRIES; attempt++) {
+      const index = Math.floor(random() * total);
+      if (index >= baseCount) return added[index - baseCount];
+
+      const word = this.wordAt(length, index);
+      if (!this.removed.has(word)) return word;
+    }
+
+    // 大部分单词已删除时直接筛选
+    const words = Array.from(this.wordsOfLength(length));
+    return words.length > 0 ? words[Math.floor(random() * words.length)] : null;
+  }
+
+  /**
+   * 随机获取 count 个不重复的指定长度单词
+   */
+  sample(count, length, random = Math.random) {
+    const ofLength = (words) => Array.from(words).filter(word => word.length === length).length;
+    const available = this.countWords(1, length) - ofLength(this.removed) + ofLength(this.added);
+    if (count * 2 >= available) {
+      const words = Array.from(this.wordsOfLength(length));
+      for (let i = words.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [words[i], words[j]] = [words[j], words[i]];
+      }
+      return words.slice(0, count);
+    }
+
+    const picked = new Set();
+    while (picked.size < count) {
+      picked.add(this.randomWord(length, random));
+    }
+    return Array.from(picked);
+  }
+
+  /**
+   * 导出为二进制数据（会先合并尚未压缩的改动）
+   */
+  toBytes() {
+    this.compact();
+    const edgesOffset = HEADER_SIZE + this.alphabet.length * 2;
+    const bytes = new Uint8Array(edgesOffset + this.edges.length * 4);
+    const view = new DataView(bytes.buffer);
+
+    for (let i = 0; i < MAGIC.length; i++) {
+      bytes[i] = MAGIC.charCodeAt(i);
+    }
+    view.setUint32(4, FORMAT_VERSION, true);
+    view.setUint32(8, this.baseSize, true);
+    view.setUint32(12, this.edges.length, true);
+    view.setUint32(16, this.alphabet.length, true);
+    for (let i = 0; i < this.alphabet.length; i++) {
+      view.setUint16(HEADER_SIZE + i * 2, this.alphabet.charCodeAt(i), true);
+    }
+    this.edges.forEach((edge, index) => view.setUint32(edgesOffset + index * 4, edge, true));
+    return bytes;
+  }
+
+  /**
+   * 导出为 base64 字符串
+   */
+  serialize() {
+    return bytesToBase64(this.toBytes());
+  }
+
+  /**
+   * 检查单词是否在 DAWG 中（不考虑未合并的改动）
+   */
+  baseHas(word) {
+    let start = 1;
+    for (let i = 0; i < word.length; i++) {
+      const edge = this.findEdge(start, this.letterCode(word[i]));
+      if (edge === -1) return false;
+      if (i === word.length - 1) return (this.edges[edge] & END_FLAG) !== 0;
+      start = Math.floor(this.edges[edge] / CHILD_SHIFT);
+    }
+    return false;
+  }
+
+  /**
+   * 在节点的边中查找字母，返回边的下标（没有时返回-1）
+   */
+  findEdge(start, letter) {
+    if (start === 0 || start >= this.edges.length) return -1;
+    for (let i = start; ; i++) {
+      const edge = this.edges[i];
+      if ((edge & LETTER_MASK) === letter) return i;
+      if (edge & LAST_FLAG) return -1;
+    }
+  }
+
+  /**
+   * 按字母顺序查找以 prefix 开头的单词，length 为 -1 时不限长度，allowed 为每个位置允许的字母
+   */
+  *search(prefix, length, allowed) {
+    const accepts = (word) => (length < 0 || word.length === length) &&
+      word.startsWith(prefix) &&
+      (!allowed || word.split('').every((letter, index) => !allowed[index] || allowed[index].has(letter)));
+
+    // 找到前缀对应的节点
+    let start = 1;
+    for (let i = 0; i < prefix.length && start !== 0; i++) {
+      const edge = this.findEdge(start, this.letterCode(prefix[i]));
+      if (edge === -1) {
+        start = 0;
+        break;
+      }
+      if (i === prefix.length - 1 && (this.edges[edge] & END_FLAG) && accepts(prefix) && !this.removed.has(prefix)) {
+        yield prefix;
+      }
+      start = Math.floor(this.edges[edge] / CHILD_SHIFT);
+    }
+
+    // 深度优先遍历：倒序压栈，出栈时按字母顺序
+    const stack = [];
+    const pushNode = (nodeStart, word) => {
+      if (nodeStart === 0 || nodeStart >= this.edges.length || (length >= 0 && word.length >= length)) return;
+      let last = nodeStart;
+      while (!(this.edges[last] & LAST_FLAG)) last++;
+      for (let i = last; i >= nodeStart; i--) {
+        stack.push([i, word]);
+      }
+    };
+    pushNode(start, prefix);
+
+    while (stack.length > 0) {
+      const [index, before] = stack.pop();
+      const edge = this.edges[index];
+      const letter = this.alphabet[edge & LETTER_MASK];
+      const position = before.length;
+      if (allowed && allowed[position] && !allowed[position].has(letter)) continue;
+
+      const word = before + letter;
+      if ((edge & END_FLAG) && (length < 0 || word.length === length) && !this.removed.has(word)) {
+        yield word;
+      }
+      pushNode(Math.floor(edge / CHILD_SHIFT), word);
+    }
+
+    for (const word of this.added) {
+      if (accepts(word)) yield word;
+    }
+  }
+
+  /**
+   * 从迭代器中取出最多 limit 个单词
+   */
+  take(iterator, limit) {
+    const words = [];
+    if (limit <= 0) return words;
+    for (const word of iterator) {
+      words.push(word);
+      if (words.length >= limit) break;
+    }
+    return words;
+  }
+
+  /**
+   * 统计节点下还需 remaining 个字母构成的单词数量（不考虑未合并的改动，结果按剩余长度缓存）
+   */
+  countWords(start, remaining) {
+    if (start === 0 || start >= this.edges.length || remaining <= 0) return 0;
+    if (!this.counts.has(remaining)) {
+      this.counts.set(remaining, new Map());
+    }
+    const cache = this.counts.get(remaining);
+    if (cache.has(start)) return cache.get(start);
+
+    let count = 0;
+    for (let i = start; ; i++) {
+      const edge = this.edges[i];
+      count += remaining === 1
+        ? ((edge & END_FLAG) ? 1 : 0)
+        : this.countWords(Math.floor(edge / CHILD_SHIFT), remaining - 1);
+      if (edge & LAST_FLAG) break;
+    }
+
+    cache.set(start, count);
+    return count;
+  }
+
+  /**
+   * 获取指定长度的第 index 个单词（按字母顺序，不考虑未合并的改动）
+   */
+  wordAt(length, index) {
+    let start = 1;
+    let word = '';
+    let remaining = index;
+
+    for (let depth = 0; depth < length; depth++) {
+      for (let i = start; ; i++) {
+        const edge = this.edges[i];
+        const count = depth === length - 1
+          ? ((edge & END_FLAG) ? 1 : 0)
+          : this.countWords(Math.floor(edge / CHILD_SHIFT), length - depth - 1);
+
+        if (remaining < count) {
+          word += this.alphabet[edge & LETTER_MASK];
+          start = Math.floor(edge / CHILD_SHIFT);
+          break;
+        }
+        remaining -= count;
+        if (edge & LAST_FLAG) return null;
+      }
+    }
+    return word;
+  }
+}
@@ -1,10 +1,254 @@
+import { LexiconLoader, parseLexiconLine } from './LexiconLoader.js';
+import { compileConstraints } from './WordConstraints.js';
+import { WordTrie } from './WordTrie.js';
+import { getLanguagePack } from './LanguagePack.js';
+import { WORD_TAGS, getAnswerPolicy } from './AnswerPolicy.js';
+import { getDifficultyLevel } from './WordDifficulty.js';
+
+// 内置的精选答案列表（词库包无法加载时使用）：只从这里挑选目标单词，其余单词只能用来猜测
+// 格式：'单词 词性 词频 标签 难度'，词频为 Zipf 值（约1~7，越大越常用），多个标签用逗号分隔，没有标签时用 - 占位
+// 难度是 rate-difficulty.js 模拟猜测得到的0-100分数（见 WordDifficulty.js），与答案词库包相同
+const ANSWER_ENTRIES = [
+  // 5个字母
+  'ACTOR noun 4.5 people 1', 'ADULT noun 4.6 people 14', 'ALARM noun 4.3 - 55', 'ALBUM noun 4.9 music 11',
+  'ALIEN noun 4.5 - 4', 'ANGEL noun 4.6 - 36', 'ANGER noun 4.3 emotion 86', 'ANGLE noun 4.5 - 59',
+  'APPLE noun 4.8 food 91', 'ARENA noun 4.3 sport 44', 'BEACH noun 4.9 nature 93', 'BENCH noun 4.2 - 27',
+  'BLAME verb 4.5 - 71', 'BLOOD noun 5.0 body 86', 'BOARD noun 5.2 - 49', 'BRAIN noun 4.9 body 80',
+  'BRAVE adj 4.4 emotion 99', 'BREAD noun 4.6 food 68', 'BROWN adj 4.9 color 97', 'CABLE noun 4.5 tech 55',
+  'CHAIR noun 4.7 home 11', 'CHARM noun 4.3 - 31', 'CHEST noun 4.6 body 49', 'CHILD noun 5.1 people 22',
+  'CLOCK noun 4.5 time 80', 'CLOUD noun 4.6 weather 44', 'COACH noun 4.8 sport 24', 'COAST noun 4.7 nature 36',
+  'CRAFT noun 4.5 art 59', 'CRASH noun 4.6 - 55', 'CREAM noun 4.6 food 77', 'CROWD noun 4.6 people 77',
+  'CROWN noun 4.5 - 86', 'CURVE noun 4.2 - 16', 'DANCE noun 4.9 music 4', 'DREAM noun 5.0 - 63', 'DRESS noun 4.8 - 44',
+  'DRINK verb 4.9 food 55', 'EAGLE noun 4.3 animal 88', 'EARTH noun 4.9 nature 11', 'EMPTY adj 4.6 - 36',
+  'ENJOY verb 4.9 emotion 59', 'FAITH noun 4.8 - 49', 'FIELD noun 5.0 - 68', 'FLASH noun 4.5 - 27',
+  'FLOOR noun 4.9 home 31', 'FRAME noun 4.6 - 91', 'FRESH adj 4.8 food 13', 'FRUIT noun 4.6 food 0',
+  'FUNNY adj 5.0 emotion 55', 'GHOST noun 4.6 - 20', 'GIANT adj 4.8 - 31', 'GLASS noun 4.8 - 44',
+  'GLOBE noun 4.1 place 44', 'GRACE noun 4.5 - 98', 'GRAPE noun 3.6 food 97', 'GRASS noun 4.5 nature 36',
+  'GREEN adj 5.2 color 49', 'GUEST noun 4.7 people 49', 'GUIDE noun 4.9 - 74', 'HAPPY adj 5.5 emotion 20',
+  'HEART noun 5.2 body 71', 'HONEY noun 4.8 food 44', 'HORSE noun 4.8 animal 63', 'HOTEL noun 4.9 travel 1',
+  'HOUSE noun 5.6 home 4', 'IMAGE noun 5.0 - 20', 'JUDGE noun 4.9 people 49', 'JUICE noun 4.5 food 83',
+  'KNIFE noun 4.5 home 74', 'LAUGH verb 4.7 emotion 8', 'LEMON noun 4.3 food 8', 'LIGHT noun 5.3 - 99',
+  'LOGIC noun 4.3 - 16', 'LUCKY adj 4.8 emotion 16', 'LUNCH noun 4.8 food 4', 'MAGIC noun 4.8 - 16',
+  'MATCH noun 5.0 sport 95', 'METAL noun 4.6 science 26', 'MONEY noun 5.6 money 26', 'MONTH noun 5.3 time 31',
+  'MOUSE noun 4.3 animal 77', 'MOUTH noun 4.7 body 95', 'MOVIE noun 5.1 art 66', 'MUSIC noun 5.3 music 2',
+  'NIGHT noun 5.6 time 100', 'NOISE noun 4.6 - 59', 'NOVEL noun 4.5 art 36', 'NURSE noun 4.5 people 8',
+  'OCEAN noun 4.6 nature 4', 'OLIVE noun 4.0 food 74', 'PAINT noun 4.6 art 40', 'PAPER noun 5.1 - 91',
+  'PEACE noun 4.9 - 68', 'PEACH noun 3.9 food 44', 'PHONE noun 5.3 tech 8', 'PIANO noun 4.4 music 22',
+  'PILOT noun 4.6 people,travel 16', 'PLANE noun 4.8 travel 84', 'PLANT noun 4.9 nature 27',
+  'QUEEN noun 4.8 people 63', 'QUIET adj 4.7 - 36', 'RADIO noun 5.0 tech 40', 'RIVER noun 4.9 nature 63',
+  'ROUND adj 5.0 - 88', 'ROYAL adj 4.8 - 71', 'SCALE noun 4.7 - 66', 'SCORE noun 5.0 sport 77', 'SHAPE noun 4.8 - 71',
+  'SHARE verb 5.2 - 94', 'SHELF noun 4.0 home 80', 'SHIRT noun 4.6 - 14', 'SLEEP verb 5.1 - 16',
+  'SMILE noun 4.8 emotion 68', 'SMOKE noun 4.7 - 82', 'SOUND noun 5.1 music 96', 'SPACE noun 5.2 science 63',
+  'SPORT noun 4.7 sport 36', 'STAGE noun 5.0 art 83', 'STEAM noun 4.3 - 31', 'STONE noun 4.8 nature 63',
+  'STORM noun 4.8 weather 74', 'STORY noun 5.3 - 86', 'SUGAR noun 4.6 food 8', 'SWEET adj 4.9 food 22',
+  'TABLE noun 5.0 home 55', 'TASTE noun 4.8 food 49', 'TEACH verb 4.7 work 55', 'TIGER noun 4.3 animal 40',
+  'TOUCH verb 5.0 - 31', 'TOWER noun 4.7 place 77', 'TRAIN noun 5.0 travel 31', 'TRUCK noun 4.8 travel 44',
+  'TRUST verb 5.1 - 22', 'TRUTH noun 5.0 - 80', 'VOICE noun 5.1 - 59', 'WATCH verb 5.3 - 93',
+  'WATER noun 5.4 nature 90',
+  'WHALE noun 4.0 animal 59', 'WHEEL noun 4.6 - 49', 'WORLD noun 5.8 place 24', 'YOUNG adj 5.4 - 6',
+  'YOUTH noun 4.7 people 84', 'ZEBRA noun 3.3 animal 40',
+  // 4个字母
+  'ACID noun 4.2 science 4', 'BABY noun 5.2 people 91', 'BEAR noun 4.6 animal 99', 'BIRD noun 4.7 animal 28',
+  'BLUE adj 5.2 color 25', 'BOAT noun 4.8 travel 60', 'BONE noun 4.5 body 92', 'BOOK noun 5.3 - 86',
+  'BOWL noun 4.5 food,home 36', 'CAKE noun 4.7 food 94', 'CALM adj 4.5 emotion 15', 'CAMP noun 4.7 travel 22',
+  'CITY noun 5.4 place 28', 'COAT noun 4.6 - 63', 'COOK verb 4.6 food 82', 'CROP noun 4.3 nature 3',
+  'DARK adj 5.0 - 63', 'DESK noun 4.5 work 20', 'DISH noun 4.4 food 13', 'DOOR noun 5.1 home 36', 'DUST noun 4.4 - 41',
+  'EDGE noun 4.8 - 54', 'FARM noun 4.7 nature 84', 'FISH noun 4.9 animal,food 71', 'FLAT adj 4.6 - 10',
+  'FOOD noun 5.4 food 97', 'FOOT noun 5.0 body 88', 'GIFT noun 4.8 - 49', 'GOLD noun 5.0 color 88',
+  'GOLF noun 4.6 sport 67', 'HAIR noun 5.0 body 46', 'HAND noun 5.5 body 54', 'HILL noun 4.8 nature 58',
+  'HOME noun 5.8 home 88', 'HOPE verb 5.4 emotion 46', 'IDEA noun 5.3 - 1', 'IRON noun 4.7 science 0',
+  'JOKE noun 4.8 - 97', 'JUMP verb 4.7 - 41', 'KING noun 5.1 people 67', 'KNEE noun 4.4 body 14',
+  'LAKE noun 4.8 nature 60', 'LIFE noun 5.8 - 65', 'MILK noun 4.8 food 44', 'MOON noun 4.8 nature 41',
+  'NOSE noun 4.6 body 54', 'PARK noun 5.0 place 72', 'PINK adj 4.7 color 54', 'POEM noun 4.4 art 17',
+  'POOL noun 4.8 - 81', 'RAIN noun 4.8 weather 38', 'RICE noun 4.6 food 84', 'RING noun 4.9 - 28',
+  'ROAD noun 5.1 travel 17', 'ROCK noun 5.0 nature 49', 'ROOF noun 4.5 home 20', 'ROSE noun 4.6 nature 63',
+  'SAIL verb 4.1 travel 46', 'SALT noun 4.5 food 9', 'SAND noun 4.6 nature 69', 'SEED noun 4.4 nature 33',
+  'SHIP noun 4.9 travel 12', 'SHOE noun 4.4 - 22', 'SNOW noun 4.7 weather 4', 'SOFT adj 4.7 - 31',
+  'SONG noun 5.1 music 33', 'STAR noun 5.1 nature 6', 'TALE noun 4.3 - 78', 'TREE noun 5.0 nature 25',
+  'TRIP noun 4.9 travel 8', 'TUNE noun 4.3 music 36', 'WAVE noun 4.7 nature 95', 'WIND noun 4.8 weather 76',
+  'WINE noun 4.8 food 100', 'WING noun 4.5 animal 78', 'WOOD noun 4.8 nature 72', 'WORD noun 5.3 - 74',
+  'YARD noun 4.6 home 79', 'ZERO noun 4.6 number 54',
+  // 6个字母
+  'ANIMAL noun 4.9 animal 24', 'ANSWER noun 5.1 - 46', 'ARTIST noun 4.9 art 4', 'BATTLE noun 5.0 - 70',
+  'BEAUTY noun 4.8 - 70', 'BOTTLE noun 4.8 food 85', 'BRANCH noun 4.6 nature 4', 'BREATH noun 4.6 body 88',
+  'BRIDGE noun 4.9 travel 24', 'BRIGHT adj 4.8 - 33', 'BUTTON noun 4.7 tech 28', 'CAMERA noun 4.9 tech 33',
+  'CASTLE noun 4.6 place 28', 'CHANCE noun 5.3 - 98', 'CHOICE noun 5.1 - 96', 'CHURCH noun 5.0 place 4',
+  'CIRCLE noun 4.7 - 82', 'COFFEE noun 4.9 food 58', 'COPPER noun 4.3 science 90', 'CORNER noun 4.8 - 40',
+  'COTTON noun 4.3 - 11', 'DESERT noun 4.4 nature 40', 'DESIGN noun 5.2 art 46', 'DINNER noun 5.0 food 93',
+  'DOCTOR noun 5.0 people 58', 'DOUBLE adj 5.0 - 51', 'ENERGY noun 5.0 science 85', 'ENGINE noun 4.8 tech 58',
+  'FABRIC noun 4.3 - 18', 'FAMILY noun 5.6 people 33', 'FATHER noun 5.1 people 100', 'FINGER noun 4.5 body 85',
+  'FLIGHT noun 4.9 travel 37', 'FOREST noun 4.8 nature 58', 'FRIEND noun 5.4 people 11',
+  'FUTURE noun 5.3 time 66', 'GARDEN noun 4.9 home,nature 85', 'GENTLE adj 4.3 - 66', 'GOLDEN adj 4.8 color 18',
+  'HEALTH noun 5.3 body 95', 'HONEST adj 4.9 - 58', 'ISLAND noun 4.9 nature 0', 'LETTER noun 5.0 - 89',
+  'LIQUID noun 4.4 science 33', 'LISTEN verb 5.1 music 8', 'MARKET noun 5.2 money 82', 'MEMORY noun 4.9 - 75',
+  'MIRROR noun 4.5 home 4', 'MOMENT noun 5.2 time 58', 'MOTHER noun 5.4 people 40',
+  'MUSEUM noun 4.6 art,place 21', 'NATURE noun 5.0 nature 46', 'ORANGE adj 4.7 color,food 18',
+  'PALACE noun 4.4 place 40', 'PEOPLE noun 6.2 people 95', 'PLANET noun 4.6 science 1',
+  'PLAYER noun 5.3 sport 79', 'POCKET noun 4.5 - 58', 'PRINCE noun 4.8 people 18', 'REASON noun 5.4 - 51',
+  'RESCUE verb 4.5 - 18', 'SCHOOL noun 5.6 place 10', 'SCREEN noun 5.0 tech 8', 'SEASON noun 5.3 time 46',
+  'SECRET noun 5.0 - 14', 'SILVER adj 4.7 color 33', 'SIMPLE adj 5.2 - 28', 'SISTER noun 5.0 people 75',
+  'SPIRIT noun 4.9 - 66', 'SPRING noun 5.0 nature,time 70', 'SQUARE noun 4.8 - 58', 'STREAM noun 4.6 nature 51',
+  'STREET noun 5.2 place 79', 'STUDIO noun 4.8 art 24', 'SUMMER noun 5.2 time 99', 'SYMBOL noun 4.4 - 40',
+  'TALENT noun 4.6 - 28', 'TENNIS noun 4.5 sport 73', 'TICKET noun 4.8 travel 66', 'TRAVEL verb 5.0 travel 75',
+  'VALLEY noun 4.7 nature 46', 'WINDOW noun 5.0 home 14', 'WINTER noun 4.9 time,weather 92',
+  'WONDER verb 4.9 - 79', 'YELLOW adj 4.8 color 58',
+  // 7个字母
+  'ACADEMY noun 4.5 place 32', 'AIRPORT noun 4.6 travel 7', 'ANCIENT adj 4.8 - 32', 'BALANCE noun 4.9 - 41',
+  'BATTERY noun 4.6 tech 65', 'BEDROOM noun 4.6 home 74', 'BROTHER noun 5.1 people 90',
+  'CABINET noun 4.5 home 21', 'CAPTAIN noun 4.9 people 56', 'CEILING noun 4.2 home 93',
+  'CENTURY noun 5.0 time 79', 'CHAPTER noun 4.8 - 85', 'CHICKEN noun 4.9 animal,food 41',
+  'CLIMATE noun 4.8 weather 27', 'CLOTHES noun 4.8 - 3', 'COLLEGE noun 5.2 place 27', 'COMFORT noun 4.6 - 15',
+  'CONCERT noun 4.7 music 96', 'COUNTRY noun 5.5 place 56', 'CRYSTAL noun 4.4 science 15',
+  'CULTURE noun 5.0 - 48', 'DIAMOND noun 4.6 - 41', 'DIGITAL adj 5.0 tech 7', 'DISPLAY noun 4.9 tech 10',
+  'ECONOMY noun 5.0 money 27', 'EVENING noun 4.8 time 94', 'EXAMPLE noun 5.3 - 41', 'FACTORY noun 4.6 work 7',
+  'FASHION noun 4.9 art 56', 'FEELING noun 5.1 emotion 79', 'FICTION noun 4.6 art 76', 'FREEDOM noun 4.9 - 27',
+  'GALLERY noun 4.7 art 88', 'HISTORY noun 5.3 time 15', 'HOLIDAY noun 4.9 time,travel 21',
+  'HUSBAND noun 5.0 people 0', 'JOURNEY noun 4.8 travel 56', 'JUSTICE noun 5.0 - 70',
+  'KINGDOM noun 4.6 place 21', 'KITCHEN noun 4.9 home 65', 'LIBRARY noun 4.9 place 35',
+  'MACHINE noun 4.9 tech 21', 'MESSAGE noun 5.1 - 56', 'MINERAL noun 4.2 science 62', 'MISSION noun 5.0 - 85',
+  'MONITOR noun 4.6 tech 1', 'MORNING noun 5.3 time 91', 'MYSTERY noun 4.6 - 82', 'NETWORK noun 5.1 tech 56',
+  'PATTERN noun 4.7 - 74', 'PICTURE noun 5.2 art 74', 'PLASTIC noun 4.7 - 7', 'PROBLEM noun 5.5 - 12',
+  'PROTEIN noun 4.6 food,science 48', 'QUALITY noun 5.2 - 82', 'RAILWAY noun 4.5 travel 65',
+  'SCIENCE noun 5.1 science 96', 'SILENCE noun 4.6 - 56', 'STATION noun 5.1 travel 41',
+  'STUDENT noun 5.1 people,work 70', 'SUPPORT noun 5.4 - 21', 'TEACHER noun 5.0 people,work 65',
+  'THEATER noun 4.6 art 99', 'TRAFFIC noun 4.8 travel 48', 'VILLAGE noun 4.9 place 35',
+  'WEATHER noun 5.0 weather 88', 'WEDDING noun 4.9 people 100', 'WEEKEND noun 5.1 time 48',
+  'WELCOME verb 5.1 - 35',
+  // 8个字母
+  'ACCIDENT noun 4.7 - 94', 'AIRCRAFT noun 4.6 travel 37', 'BASEBALL noun 4.7 sport 57',
+  'BATHROOM noun 4.6 home 57', 'BIRTHDAY noun 5.0 time 1', 'BUILDING noun 5.1 place 11',
+  'BUSINESS noun 5.6 money,work 82', 'CALENDAR noun 4.5 time 7', 'CAMPAIGN noun 5.0 - 65',
+  'CHAMPION noun 4.7 sport 15', 'CHEMICAL noun 4.6 science 21', 'CHILDREN noun 5.6 people,plural 65',
+  'CLOTHING noun 4.6 - 65', 'COMPUTER noun 5.0 tech 77', 'CONCRETE noun 4.4 - 15', 'CREATIVE adj 4.9 art 21',
+  'CUSTOMER noun 5.0 money 37', 'DATABASE noun 4.6 tech 7', 'DAUGHTER noun 5.0 people 93',
+  'DAYLIGHT noun 4.0 time 45', 'DEADLINE noun 4.4 work 45', 'DIALOGUE noun 4.4 - 11',
+  'DISCOUNT noun 4.8 money 45', 'DISTANCE noun 4.8 - 29', 'DOCUMENT noun 4.9 - 29', 'ELECTRIC adj 4.7 science 52',
+  'EMPLOYEE noun 4.8 work 4', 'ENGINEER noun 4.6 people,work 21', 'ENVELOPE noun 4.0 - 11',
+  'EXERCISE noun 4.9 body,sport 97', 'FESTIVAL noun 4.9 music 65', 'FOOTBALL noun 5.2 sport 65',
+  'FREQUENT adj 4.5 - 82', 'FRIENDLY adj 4.9 - 82', 'GRATEFUL adj 4.6 emotion 86', 'HARDWARE noun 4.6 tech 77',
+  'HERITAGE noun 4.6 - 37', 'HOSPITAL noun 5.0 place 29', 'KEYBOARD noun 4.3 tech 29', 'LANGUAGE noun 5.1 - 29',
+  'LAUGHTER noun 4.2 emotion 90', 'LIFETIME noun 4.7 time 82', 'MAGAZINE noun 4.8 - 74', 'MATERIAL noun 5.0 - 88',
+  'MEDICINE noun 4.7 body,science 65', 'MIDNIGHT noun 4.6 time 21', 'MOUNTAIN noun 4.8 nature 52',
+  'NOTEBOOK noun 4.3 - 65', 'PAINTING noun 4.6 art 99', 'PASSWORD noun 4.8 tech 11', 'PLATFORM noun 4.9 tech 45',
+  'PLEASURE noun 4.7 emotion 37', 'PORTRAIT noun 4.4 art 4', 'POSITIVE adj 5.0 - 21',
+  'PRINCESS noun 4.6 people 86', 'QUESTION noun 5.4 - 96', 'SANDWICH noun 4.4 food 74',
+  'SCHEDULE noun 4.8 time,work 0', 'SHOULDER noun 4.6 body 29', 'SOFTWARE noun 5.0 tech 90',
+  'SUNSHINE noun 4.3 weather 65', 'SURPRISE noun 4.9 emotion 45', 'TOMORROW noun 5.3 time 45',
+  'TRIANGLE noun 4.1 - 74', 'UMBRELLA noun 4.1 weather 52', 'UNIVERSE noun 4.7 science 37',
+  'VACATION noun 4.6 travel 100', 'WILDLIFE noun 4.5 animal,nature 57', 'WORKSHOP noun 4.6 work 52'
+];
+
+// 内置单词表的标签：标准答案规则下带这些标签的单词只能用来猜测（见 AnswerPolicy.js）
+const EMBEDDED_TAGS = {
+  [WORD_TAGS.PROPER_NOUN]: [
+    'BILLY', 'CALIF', 'CHINA', 'HARRY', 'HENRY', 'JAPAN', 'JIMMY', 'JONES', 'LEWIS', 'MARIA',
+    'PARIS', 'PETER', 'ROGER', 'ROMAN', 'SIMON', 'SMITH', 'TERRY', 'TEXAS', 'OXFORD', 'PHOENIX',
+    'BENJAMIN', 'FRANKLIN'
+  ],
+  [WORD_TAGS.PLURAL]: [
+    'BASES', 'LINKS', 'LIVES', 'NEEDS', 'TAXES', 'TEARS', 'TEETH', 'TIMES', 'WOMEN', 'LEAVES',
+    'LIGHTS', 'NIGHTS', 'THANKS', 'CLASSES', 'REMAINS', 'CHILDREN', 'EARNINGS', 'PROCEEDS', 'SALARIES', 'SCIENCES'
+  ],
+  [WORD_TAGS.PAST_TENSE]: [
+    // 不规则动词
+    'AROSE', 'BEGAN', 'BROKE', 'BUILT', 'CHOSE', 'DEALT', 'DRANK', 'DRAWN', 'DROVE', 'FOUND',
+    'GIVEN', 'GROWN', 'KNOWN', 'MEANT', 'SHOWN', 'SPENT', 'SPOKE', 'STOOD', 'STUCK', 'TAKEN',
+    'THREW', 'WROTE', 'GREW', 'HELD', 'KNEW', 'SAID', 'SOLD', 'TOLD', 'TOOK', 'WENT', 'WERE',
+    'WORE', 'BECAME', 'BROKEN', 'CAUGHT', 'DRIVEN', 'FALLEN', 'FOUGHT', 'PROVEN', 'SOUGHT',
+    'SPOKEN', 'STOLEN', 'TAUGHT', 'THROWN', 'BROUGHT', 'WRITTEN',
+    // 规则动词
+    'DATED', 'FIXED', 'MIXED', 'MOVED', 'NOTED', 'SIZED', 'TRIED', 'BACKED', 'CLOSED', 'FAILED',
+    'FORCED', 'HANDED', 'HEADED', 'KILLED', 'LINKED', 'MARKED', 'PACKED', 'PICKED', 'RAISED',
+    'SIGNED', 'VARIED', 'ADVISED', 'APPLIED', 'ASSUMED', 'CHECKED', 'DECIDED', 'DIVIDED',
+    'LEARNED', 'PAINTED', 'POINTED', 'RELATED', 'REMOVED', 'STUDIED', 'TOUCHED', 'ACCEPTED',
+    'ACHIEVED', 'ACQUIRED', 'ADJUSTED', 'AFFECTED', 'ATTACHED', 'COMPOSED', 'EXTENDED',
+    'FEATURED', 'FINISHED', 'INCLUDED', 'MEASURED', 'OBTAINED', 'PRODUCED', 'PROVIDED',
+    'RECEIVED', 'REMAINED', 'REPEATED', 'RESIGNED', 'RESTORED', 'SELECTED'
+  ],
+  [WORD_TAGS.OBSCURE]: ['CALIF', 'UNDUE', 'EFFICACY', 'FOOTHILL', 'GENOMICS', 'INTRANET'],
+  // 内置单词表中没有冒犯性词语，自定义单词和词库包可以使用这个标签
+  [WORD_TAGS.OFFENSIVE]: []
+};
+
+// 按单词索引的内置标签
+const EMBEDDED_WORD_TAGS = new Map();
+Object.entries(EMBEDDED_TAGS).forEach(([tag, words]) => {
+  words.forEach(word => {
+    EMBEDDED_WORD_TAGS.set(word, [...(EMBEDDED_WORD_TAGS.get(word) || []), tag]);
+  });
+});
+
+/**
+ * 获取内置单词的元数据（专有名词是名词，其他单词不记录词性）
+ */
+function createEmbeddedMetadata(word) {
+  const tags = EMBEDDED_WORD_TAGS.get(word) || [];
+  return {
+    partOfSpeech: tags.includes(WORD_TAGS.PROPER_NOUN) ? 'noun' : null,
+    tags
+  };
+}
+
+/**
+ * 计算两个单词之间的输入错误距离（带权重的编辑距离）
+ * 按错相邻键（adjacentKeys 来自语言包的键盘布局）和交换相邻字母各算0.5，其他替换、插入、删除各算1
+ */
+function typoDistance(a, b, adjacentKeys) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      let substitution = 1;
+      if (a[i - 1] === b[j - 1]) {
+        substitution = 0;
+      } else if (adjacentKeys.has(a[i - 1]) && adjacentKeys.get(a[i - 1]).has(b[j - 1])) {
+        substitution = 0.5;
+      }
+
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + substitution
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 0.5);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
 /**
  * 单词验证器 - 验证猜测的单词是否有效
+ *
+ * 维护两份词表：validWords 是所有允许猜测的单词，answerWords 是其中可以作为答案的精选单词。
+ * validWords 使用紧凑的 WordTrie 保存（接口与 Set 相同），可以容纳十万级的完整词典。
+ * 每个单词都带有元数据（词频、词性、标签），通过 getWordMetadata 获取。
+ * 创建时使用内置单词表，调用 loadLexicon 后替换为异步加载的词库包。
+ * options.language 指定语言包：字母表、大写规则和键盘布局都来自语言包，其他语言使用语言包的内置单词表。
+ * options.answerPolicy 指定答案规则：根据单词标签决定哪些答案单词可以成为目标词、哪些单词不能猜测。
  */
 export class WordValidator {
-  constructor() {
-    this.validWords = new Set();
+  constructor(options = {}) {
+    this.wordLength = options.wordLength || 5;
+    this.language = getLanguagePack(options.language);
+    this.answerPolicy = getAnswerPolicy(options.answerPolicy);
+    this.validWords = new WordTrie([], { alphabet: this.language.alphabet });
+    this.answerWords = new Set();
+    this.wordMetadata = new Map();
+    this.lexiconSource = 'embedded'; // embedded, cache, network
+    this.lexiconVersion = null;
     this.commonWords = new Set([
+      // 5个字母
       'ABOUT', 'ABOVE', 'ABUSE', 'ACTOR', 'ACUTE', 'ADMIT', 'ADOPT', 'ADULT', 'AFTER', 'AGAIN',
       'AGENT', 'AGREE', 'AHEAD', 'ALARM', 'ALBUM', 'ALERT', 'ALIEN', 'ALIGN', 'ALIVE', 'ALLOW',
       'ALONE', 'ALONG', 'ALTER', 'ANGEL', 'ANGER', 'ANGLE', 'ANGRY', 'APART', 'APPLE', 'APPLY',
@@ -58,11 +302,248 @@ export class WordValidator {
       'VIDEO', 'VIRUS', 'VISIT', 'VITAL', 'VOCAL', 'VOICE', 'WASTE', 'WATCH', 'WATER', 'WHEEL',
       'WHERE', 'WHICH', 'WHILE', 'WHITE', 'WHOLE', 'WHOSE', 'WOMAN', 'WOMEN', 'WORLD', 'WORRY',
       'WORSE', 'WORST', 'WORTH', 'WOULD', 'WOUND', 'WRITE', 'WRONG', 'WROTE', 'YIELD', 'YOUNG',
-      'YOUTH'
+      'YOUTH',
+      // 5个字母（补充）
+      'ADIEU', 'AISLE', 'AROSE', 'AUDIO', 'BAGEL', 'BASIN', 'BEAST', 'BERRY', 'BLAND', 'BLAST',
+      'BLEND', 'BLOOM', 'BLUSH', 'BRASS', 'BRICK', 'BRINE', 'BRUSH', 'CANDY', 'CARGO', 'CHALK',
+      'CHANT', 'CHEEK', 'CHESS', 'CHILL', 'CIDER', 'CLOTH', 'CLOWN', 'COMET', 'CORAL', 'COUCH',
+      'CRANE', 'CRATE', 'CREEK', 'CRISP', 'CRUMB', 'CRUST', 'DAISY', 'DEPOT', 'DIARY', 'DITCH',
+      'DRAIN', 'DRIFT', 'EAGLE', 'FEAST', 'FERRY', 'FLAME', 'FLOUR', 'FLUTE', 'FORGE', 'FROST',
+      'GHOST', 'GLARE', 'GLOVE', 'GRAPE', 'GRILL', 'GRIND', 'HABIT', 'HAVEN', 'HONEY', 'HUMOR',
+      'IRATE', 'IVORY', 'JELLY', 'JUICE', 'KNIFE', 'LATTE', 'LEAFY', 'LINEN', 'LODGE', 'LOYAL',
+      'MANGO', 'MAPLE', 'MARSH', 'MEDAL', 'MERCY', 'MOIST', 'NIECE', 'NOBLE', 'OLIVE', 'ONION',
+      'OPERA', 'ORBIT', 'OTTER', 'PASTA', 'PEACH', 'PEARL', 'PLAZA', 'PLUMB', 'POLAR', 'PUPIL',
+      'RAVEN', 'REIGN', 'ROAST', 'RUSTY', 'SALAD', 'SAUCE', 'SCARF', 'SHADE', 'SHEEP', 'SHORE',
+      'SKATE', 'SLANT', 'SLATE', 'SNAKE', 'SPICE', 'SPOON', 'STAIR', 'STARE', 'STEAL', 'STOVE',
+      'SWIFT', 'SWORD', 'TEARS', 'TIGER', 'TOAST', 'TORCH', 'TRACE', 'TULIP', 'VAPOR', 'VIVID',
+      'WAGON', 'WHALE', 'WHEAT', 'WITCH', 'YACHT', 'ZEBRA',
+      // 4个字母
+      'ABLE', 'ACID', 'AREA', 'ARMY', 'AWAY', 'BABY', 'BACK', 'BALL', 'BAND', 'BANK',
+      'BASE', 'BATH', 'BEAR', 'BEAT', 'BEEF', 'BELL', 'BELT', 'BEST', 'BIRD', 'BLOW',
+      'BLUE', 'BOAT', 'BODY', 'BOMB', 'BOND', 'BONE', 'BOOK', 'BOOT', 'BORN', 'BOSS',
+      'BOTH', 'BOWL', 'BURN', 'BUSY', 'CAKE', 'CALL', 'CALM', 'CAMP', 'CARD', 'CARE',
+      'CASE', 'CASH', 'CELL', 'CHIP', 'CITY', 'CLUB', 'COAL', 'COAT', 'CODE', 'COLD',
+      'COOK', 'COOL', 'COPY', 'CORE', 'COST', 'CREW', 'CROP', 'DARK', 'DATA', 'DATE',
+      'DEAL', 'DEAR', 'DEBT', 'DEEP', 'DESK', 'DIET', 'DISH', 'DOOR', 'DOWN', 'DRAW',
+      'DROP', 'DRUG', 'DUST', 'DUTY', 'EARN', 'EASE', 'EAST', 'EASY', 'EDGE', 'ELSE',
+      'EVEN', 'EVER', 'EXIT', 'FACE', 'FACT', 'FAIL', 'FAIR', 'FALL', 'FARM', 'FAST',
+      'FEAR', 'FEEL', 'FILE', 'FILL', 'FILM', 'FIND', 'FINE', 'FIRE', 'FIRM', 'FISH',
+      'FLAT', 'FLOW', 'FOOD', 'FOOT', 'FORM', 'FREE', 'FUEL', 'FULL', 'FUND', 'GAIN',
+      'GAME', 'GATE', 'GIFT', 'GIRL', 'GIVE', 'GLAD', 'GOAL', 'GOLD', 'GOLF', 'GOOD',
+      'GRAY', 'GREW', 'GROW', 'HAIR', 'HALF', 'HALL', 'HAND', 'HANG', 'HARD', 'HARM',
+      'HEAD', 'HEAR', 'HEAT', 'HELD', 'HELP', 'HERO', 'HIGH', 'HILL', 'HOLD', 'HOLE',
+      'HOME', 'HOPE', 'HOST', 'HOUR', 'HUGE', 'HUNT', 'IDEA', 'INCH', 'IRON', 'ITEM',
+      'JOIN', 'JOKE', 'JUMP', 'JURY', 'JUST', 'KEEN', 'KEEP', 'KICK', 'KIND', 'KING',
+      'KNEE', 'KNEW', 'KNOW', 'LACK', 'LADY', 'LAKE', 'LAND', 'LANE', 'LAST', 'LATE',
+      'LEAD', 'LEFT', 'LESS', 'LIFE', 'LIFT', 'LIKE', 'LINE', 'LINK', 'LIST', 'LIVE',
+      'LOAD', 'LOAN', 'LOCK', 'LONG', 'LOOK', 'LORD', 'LOSE', 'LOSS', 'LOST', 'LOVE',
+      'LUCK', 'MAIL', 'MAIN', 'MAKE', 'MALE', 'MANY', 'MARK', 'MASS', 'MEAL', 'MEAN',
+      'MEAT', 'MEET', 'MENU', 'MILD', 'MILE', 'MILK', 'MIND', 'MINE', 'MISS', 'MODE',
+      'MOOD', 'MOON', 'MORE', 'MOST', 'MOVE', 'MUCH', 'MUST', 'NAME', 'NAVY', 'NEAR',
+      'NECK', 'NEED', 'NEWS', 'NEXT', 'NICE', 'NINE', 'NOSE', 'NOTE', 'OKAY', 'ONCE',
+      'ONLY', 'OPEN', 'OVER', 'PACE', 'PACK', 'PAGE', 'PAIN', 'PAIR', 'PARK', 'PART',
+      'PASS', 'PAST', 'PATH', 'PEAK', 'PICK', 'PINK', 'PIPE', 'PLAN', 'PLAY', 'PLOT',
+      'PLUS', 'POEM', 'POET', 'POLL', 'POOL', 'POOR', 'PORT', 'POST', 'PULL', 'PURE',
+      'PUSH', 'RACE', 'RAIN', 'RANK', 'RARE', 'RATE', 'READ', 'REAL', 'REST', 'RICE',
+      'RICH', 'RIDE', 'RING', 'RISE', 'RISK', 'ROAD', 'ROCK', 'ROLE', 'ROLL', 'ROOF',
+      'ROOM', 'ROOT', 'ROPE', 'ROSE', 'RULE', 'RUSH', 'SAFE', 'SAID', 'SAIL', 'SALE',
+      'SALT', 'SAME', 'SAND', 'SAVE', 'SEAT', 'SEED', 'SEEK', 'SEEM', 'SELL', 'SEND',
+      'SHIP', 'SHOE', 'SHOP', 'SHOT', 'SHOW', 'SHUT', 'SICK', 'SIDE', 'SIGN', 'SING',
+      'SITE', 'SIZE', 'SKIN', 'SLIP', 'SLOW', 'SNOW', 'SOFT', 'SOIL', 'SOLD', 'SOLE',
+      'SONG', 'SOON', 'SORT', 'SOUL', 'SPOT', 'STAR', 'STAY', 'STEP', 'STOP', 'SUCH',
+      'SUIT', 'SURE', 'TAKE', 'TALE', 'TALK', 'TALL', 'TANK', 'TAPE', 'TASK', 'TEAM',
+      'TELL', 'TEND', 'TERM', 'TEST', 'TEXT', 'THAN', 'THAT', 'THEM', 'THEN', 'THEY',
+      'THIN', 'THIS', 'THUS', 'TIDE', 'TIME', 'TINY', 'TOLD', 'TONE', 'TOOK', 'TOOL',
+      'TOUR', 'TOWN', 'TREE', 'TRIP', 'TRUE', 'TUNE', 'TURN', 'TYPE', 'UNIT', 'UPON',
+      'USED', 'USER', 'VAST', 'VERY', 'VIEW', 'VOTE', 'WAGE', 'WAIT', 'WAKE', 'WALK',
+      'WALL', 'WANT', 'WARM', 'WARN', 'WASH', 'WAVE', 'WEAK', 'WEAR', 'WEEK', 'WELL',
+      'WENT', 'WERE', 'WEST', 'WHAT', 'WHEN', 'WHOM', 'WIDE', 'WIFE', 'WILD', 'WILL',
+      'WIND', 'WINE', 'WING', 'WIRE', 'WISE', 'WISH', 'WITH', 'WOOD', 'WORD', 'WORE',
+      'WORK', 'YARD', 'YEAR', 'ZERO', 'ZONE',
+      // 6个字母
+      'ACCEPT', 'ACCESS', 'ACROSS', 'ACTION', 'ACTIVE', 'ADVICE', 'AFFECT', 'AFFORD', 'AFRAID',
+      'AGENCY', 'AGENDA', 'ALMOST', 'ALWAYS', 'AMOUNT', 'ANIMAL', 'ANNUAL', 'ANSWER', 'ANYONE',
+      'ANYWAY', 'APPEAR', 'ARRIVE', 'ARTIST', 'ASPECT', 'ASSUME', 'ATTACK', 'ATTEND', 'AUTHOR',
+      'AVENUE', 'BACKED', 'BATTLE', 'BEAUTY', 'BECAME', 'BECOME', 'BEFORE', 'BEHALF', 'BEHIND',
+      'BELIEF', 'BELONG', 'BETTER', 'BEYOND', 'BORDER', 'BOTTLE', 'BOTTOM', 'BRANCH', 'BREATH',
+      'BRIDGE', 'BRIGHT', 'BROKEN', 'BUDGET', 'BURDEN', 'BUTTON', 'CAMERA', 'CANCER', 'CANNOT',
+      'CARBON', 'CAREER', 'CASTLE', 'CAUGHT', 'CENTER', 'CENTRE', 'CHANCE', 'CHANGE', 'CHARGE',
+      'CHOICE', 'CHOOSE', 'CHURCH', 'CIRCLE', 'CLIENT', 'CLOSED', 'CLOSER', 'COFFEE', 'COLUMN',
+      'COMBAT', 'COMING', 'COMMON', 'COPPER', 'CORNER', 'COTTON', 'COUPLE', 'COURSE', 'CREATE',
+      'CREDIT', 'CRISIS', 'CUSTOM', 'DAMAGE', 'DANGER', 'DEALER', 'DEBATE', 'DECADE', 'DECIDE',
+      'DEFEAT', 'DEFEND', 'DEFINE', 'DEGREE', 'DEMAND', 'DEPEND', 'DEPUTY', 'DESERT', 'DESIGN',
+      'DESIRE', 'DETAIL', 'DETECT', 'DEVICE', 'DIFFER', 'DINNER', 'DIRECT', 'DOCTOR', 'DOLLAR',
+      'DOMAIN', 'DOUBLE', 'DRIVEN', 'DRIVER', 'DURING', 'EASILY', 'EATING', 'EFFECT', 'EFFORT',
+      'EIGHTH', 'EITHER', 'ELEVEN', 'EMERGE', 'EMPIRE', 'EMPLOY', 'ENDING', 'ENERGY', 'ENGAGE',
+      'ENGINE', 'ENOUGH', 'ENSURE', 'ENTIRE', 'ENTITY', 'EQUITY', 'ESCAPE', 'ESTATE', 'ETHNIC',
+      'EXCEED', 'EXCEPT', 'EXCESS', 'EXPAND', 'EXPECT', 'EXPERT', 'EXPORT', 'EXTEND', 'EXTENT',
+      'FABRIC', 'FACING', 'FACTOR', 'FAILED', 'FAIRLY', 'FALLEN', 'FAMILY', 'FAMOUS', 'FATHER',
+      'FELLOW', 'FEMALE', 'FIGURE', 'FILING', 'FINGER', 'FINISH', 'FISCAL', 'FLIGHT', 'FLYING',
+      'FOLLOW', 'FORCED', 'FOREST', 'FORGET', 'FORMAL', 'FORMAT', 'FORMER', 'FOSTER', 'FOUGHT',
+      'FOURTH', 'FRIEND', 'FUTURE', 'GARDEN', 'GATHER', 'GENDER', 'GENTLE', 'GLOBAL', 'GOLDEN',
+      'GROUND', 'GROWTH', 'GUILTY', 'HANDED', 'HANDLE', 'HAPPEN', 'HARDLY', 'HEADED', 'HEALTH',
+      'HEIGHT', 'HIDDEN', 'HOLDER', 'HONEST', 'IMPACT', 'IMPORT', 'INCOME', 'INDEED', 'INJURY',
+      'INSIDE', 'INTEND', 'INTENT', 'INVEST', 'ISLAND', 'ITSELF', 'JERSEY', 'JUNIOR', 'KILLED',
+      'LABOUR', 'LATEST', 'LATTER', 'LAUNCH', 'LAWYER', 'LEADER', 'LEAGUE', 'LEAVES', 'LEGACY',
+      'LENGTH', 'LESSON', 'LETTER', 'LIGHTS', 'LIKELY', 'LINKED', 'LIQUID', 'LISTEN', 'LITTLE',
+      'LIVING', 'LOSING', 'LUXURY', 'MAINLY', 'MAKING', 'MANAGE', 'MANNER', 'MANUAL', 'MARGIN',
+      'MARINE', 'MARKED', 'MARKET', 'MASTER', 'MATTER', 'MEDIUM', 'MEMBER', 'MEMORY', 'MENTAL',
+      'MERELY', 'METHOD', 'MIDDLE', 'MINUTE', 'MIRROR', 'MOBILE', 'MODERN', 'MODEST', 'MOMENT',
+      'MOTHER', 'MOTION', 'MOVING', 'MURDER', 'MUSEUM', 'MUTUAL', 'MYSELF', 'NARROW', 'NATION',
+      'NATIVE', 'NATURE', 'NEARBY', 'NEARLY', 'NIGHTS', 'NOBODY', 'NORMAL', 'NOTICE', 'NOTION',
+      'NUMBER', 'OBJECT', 'OBTAIN', 'OFFICE', 'OFFSET', 'ONLINE', 'OPTION', 'ORANGE', 'ORIGIN',
+      'OUTPUT', 'OXFORD', 'PACKED', 'PALACE', 'PARENT', 'PARTLY', 'PATENT', 'PEOPLE', 'PERIOD',
+      'PERMIT', 'PERSON', 'PHRASE', 'PICKED', 'PLANET', 'PLAYER', 'PLEASE', 'PLENTY', 'POCKET',
+      'POLICE', 'POLICY', 'PREFER', 'PRETTY', 'PRINCE', 'PRISON', 'PROFIT', 'PROPER', 'PROVEN',
+      'PUBLIC', 'PURSUE', 'RAISED', 'RANDOM', 'RARELY', 'RATHER', 'RATING', 'READER', 'REALLY',
+      'REASON', 'RECALL', 'RECENT', 'RECORD', 'REDUCE', 'REFORM', 'REGARD', 'REGION', 'RELATE',
+      'RELIEF', 'REMAIN', 'REMOTE', 'REMOVE', 'REPAIR', 'REPEAT', 'REPORT', 'RESCUE', 'RESORT',
+      'RESULT', 'RETAIL', 'RETAIN', 'RETURN', 'REVEAL', 'REVIEW', 'REWARD', 'RIDING', 'RISING',
+      'ROBUST', 'RULING', 'SAFELY', 'SAFETY', 'SALARY', 'SAMPLE', 'SAVING', 'SAYING', 'SCHEME',
+      'SCHOOL', 'SCREEN', 'SCRIPT', 'SEARCH', 'SEASON', 'SECOND', 'SECRET', 'SECTOR', 'SECURE',
+      'SEEING', 'SELECT', 'SELLER', 'SENIOR', 'SERIES', 'SERVER', 'SETTLE', 'SEVERE', 'SHOULD',
+      'SIGNAL', 'SIGNED', 'SILENT', 'SILVER', 'SIMPLE', 'SIMPLY', 'SINGLE', 'SISTER', 'SLIGHT',
+      'SMOOTH', 'SOCIAL', 'SOLELY', 'SOUGHT', 'SOURCE', 'SPEECH', 'SPIRIT', 'SPOKEN', 'SPREAD',
+      'SPRING', 'SQUARE', 'STABLE', 'STATUS', 'STEADY', 'STOLEN', 'STRAIN', 'STREAM', 'STREET',
+      'STRESS', 'STRICT', 'STRIKE', 'STRING', 'STRONG', 'STRUCK', 'STUDIO', 'SUBMIT', 'SUDDEN',
+      'SUFFER', 'SUMMER', 'SUMMIT', 'SUPPLY', 'SURELY', 'SURVEY', 'SWITCH', 'SYMBOL', 'SYSTEM',
+      'TAKING', 'TALENT', 'TARGET', 'TAUGHT', 'TENANT', 'TENDER', 'TENNIS', 'THANKS', 'THEORY',
+      'THIRTY', 'THOUGH', 'THREAT', 'THROWN', 'TICKET', 'TIMELY', 'TIMING', 'TISSUE', 'TOWARD',
+      'TRAVEL', 'TREATY', 'TRYING', 'TWELVE', 'TWENTY', 'UNIQUE', 'UNLESS', 'UNLIKE', 'UPDATE',
+      'USEFUL', 'VALLEY', 'VARIED', 'VENDOR', 'VERSUS', 'VICTIM', 'VISION', 'VISUAL', 'VOLUME',
+      'WALKER', 'WEALTH', 'WEEKLY', 'WEIGHT', 'WHOLLY', 'WINDOW', 'WINNER', 'WINTER', 'WITHIN',
+      'WONDER', 'WORKER', 'WRITER', 'YELLOW',
+      // 7个字母
+      'ABILITY', 'ABSENCE', 'ACADEMY', 'ACCOUNT', 'ACCUSED', 'ACHIEVE', 'ACQUIRE', 'ADDRESS',
+      'ADVANCE', 'ADVERSE', 'ADVISED', 'ADVISER', 'AGAINST', 'AIRLINE', 'AIRPORT', 'ALCOHOL',
+      'ALLEGED', 'ALREADY', 'ANALYST', 'ANCIENT', 'ANOTHER', 'ANXIETY', 'ANXIOUS', 'ANYBODY',
+      'APPLIED', 'ARRANGE', 'ARRIVAL', 'ARTICLE', 'ASSUMED', 'ATTEMPT', 'ATTRACT', 'AUCTION',
+      'AVERAGE', 'BACKING', 'BALANCE', 'BANKING', 'BARRIER', 'BATTERY', 'BEARING', 'BEATING',
+      'BECAUSE', 'BEDROOM', 'BELIEVE', 'BENEATH', 'BENEFIT', 'BESIDES', 'BETWEEN', 'BILLION',
+      'BINDING', 'BROTHER', 'BROUGHT', 'BURNING', 'CABINET', 'CALIBER', 'CALLING', 'CAPABLE',
+      'CAPITAL', 'CAPTAIN', 'CARRIER', 'CAUTION', 'CEILING', 'CENTRAL', 'CENTURY', 'CERTAIN',
+      'CHAMBER', 'CHANNEL', 'CHAPTER', 'CHARITY', 'CHARTER', 'CHECKED', 'CHICKEN', 'CHRONIC',
+      'CIRCUIT', 'CLASSES', 'CLASSIC', 'CLIMATE', 'CLOSING', 'CLOTHES', 'COLLECT', 'COLLEGE',
+      'COMBINE', 'COMFORT', 'COMMAND', 'COMMENT', 'COMPACT', 'COMPANY', 'COMPARE', 'COMPETE',
+      'COMPLEX', 'CONCEPT', 'CONCERN', 'CONCERT', 'CONDUCT', 'CONFIRM', 'CONNECT', 'CONSENT',
+      'CONSIST', 'CONTACT', 'CONTAIN', 'CONTENT', 'CONTEST', 'CONTEXT', 'CONTROL', 'CONVERT',
+      'CORRECT', 'COUNCIL', 'COUNSEL', 'COUNTER', 'COUNTRY', 'CRUCIAL', 'CRYSTAL', 'CULTURE',
+      'CURRENT', 'CUTTING', 'DEALING', 'DECIDED', 'DECLINE', 'DEFAULT', 'DEFENCE', 'DEFICIT',
+      'DELIVER', 'DENSITY', 'DEPOSIT', 'DESKTOP', 'DESPITE', 'DESTROY', 'DEVELOP', 'DEVOTED',
+      'DIAMOND', 'DIGITAL', 'DISCUSS', 'DISEASE', 'DISPLAY', 'DISPUTE', 'DISTANT', 'DIVERSE',
+      'DIVIDED', 'DRAWING', 'DRIVING', 'DYNAMIC', 'EASTERN', 'ECONOMY', 'EDITION', 'ELDERLY',
+      'ELEMENT', 'ENGAGED', 'ENHANCE', 'ESSENCE', 'EVENING', 'EVIDENT', 'EXACTLY', 'EXAMINE',
+      'EXAMPLE', 'EXCITED', 'EXCLUDE', 'EXHIBIT', 'EXPENSE', 'EXPLAIN', 'EXPLORE', 'EXPRESS',
+      'EXTREME', 'FACTORY', 'FACULTY', 'FAILING', 'FAILURE', 'FASHION', 'FEATURE', 'FEDERAL',
+      'FEELING', 'FICTION', 'FIFTEEN', 'FIGHTER', 'FINANCE', 'FINDING', 'FISHING', 'FITNESS',
+      'FOREIGN', 'FOREVER', 'FORMULA', 'FORTUNE', 'FORWARD', 'FREEDOM', 'FURTHER', 'GALLERY',
+      'GATEWAY', 'GENERAL', 'GENETIC', 'GENUINE', 'GETTING', 'GREATER', 'GREATLY', 'HANGING',
+      'HEADING', 'HEALTHY', 'HEARING', 'HEAVILY', 'HELPFUL', 'HELPING', 'HERSELF', 'HIGHWAY',
+      'HIMSELF', 'HISTORY', 'HOLDING', 'HOLIDAY', 'HOUSING', 'HOWEVER', 'HUNDRED', 'HUSBAND',
+      'ILLEGAL', 'ILLNESS', 'IMAGINE', 'IMAGING', 'IMPROVE', 'INCLUDE', 'INITIAL', 'INQUIRY',
+      'INSIGHT', 'INSTALL', 'INSTANT', 'INSTEAD', 'INTENSE', 'INTERIM', 'INVOLVE', 'JOURNAL',
+      'JOURNEY', 'JUSTICE', 'JUSTIFY', 'KEEPING', 'KILLING', 'KINGDOM', 'KITCHEN', 'KNOWING',
+      'LANDING', 'LARGELY', 'LASTING', 'LEADING', 'LEARNED', 'LEISURE', 'LIBERAL', 'LIBERTY',
+      'LIBRARY', 'LICENSE', 'LIMITED', 'LISTING', 'LOGICAL', 'LOYALTY', 'MACHINE', 'MANAGER',
+      'MARRIED', 'MASSIVE', 'MAXIMUM', 'MEANING', 'MEASURE', 'MEDICAL', 'MEETING', 'MENTION',
+      'MESSAGE', 'MILLION', 'MINERAL', 'MINIMAL', 'MINIMUM', 'MISSING', 'MISSION', 'MISTAKE',
+      'MIXTURE', 'MONITOR', 'MONTHLY', 'MORNING', 'MYSTERY', 'NATURAL', 'NEITHER', 'NERVOUS',
+      'NETWORK', 'NEUTRAL', 'NOTABLE', 'NOTHING', 'NOWHERE', 'NUCLEAR', 'NURSING', 'OBVIOUS',
+      'OFFENCE', 'OFFICER', 'ONGOING', 'OPENING', 'OPERATE', 'OPINION', 'OPTICAL', 'ORGANIC',
+      'OUTCOME', 'OUTDOOR', 'OUTLOOK', 'OUTSIDE', 'OVERALL', 'PACKAGE', 'PAINTED', 'PARKING',
+      'PARTIAL', 'PARTNER', 'PASSAGE', 'PASSING', 'PASSION', 'PASSIVE', 'PATIENT', 'PATTERN',
+      'PAYMENT', 'PENALTY', 'PENDING', 'PENSION', 'PERCENT', 'PERFECT', 'PERFORM', 'PERHAPS',
+      'PHOENIX', 'PICKING', 'PICTURE', 'PIONEER', 'PLASTIC', 'POINTED', 'POPULAR', 'PORTION',
+      'POVERTY', 'PRECISE', 'PREDICT', 'PREMIER', 'PREMIUM', 'PREPARE', 'PRESENT', 'PREVENT',
+      'PRIMARY', 'PRINTER', 'PRIVACY', 'PRIVATE', 'PROBLEM', 'PROCEED', 'PROCESS', 'PRODUCE',
+      'PRODUCT', 'PROFILE', 'PROGRAM', 'PROJECT', 'PROMISE', 'PROMOTE', 'PROTECT', 'PROTEIN',
+      'PROTEST', 'PROVIDE', 'PUBLISH', 'PURPOSE', 'PUSHING', 'QUALIFY', 'QUALITY', 'QUARTER',
+      'RADICAL', 'RAILWAY', 'READILY', 'READING', 'REALITY', 'REALIZE', 'RECEIPT', 'RECEIVE',
+      'RECOVER', 'REFLECT', 'REGULAR', 'RELATED', 'RELEASE', 'REMAINS', 'REMOVAL', 'REMOVED',
+      'REPLACE', 'REQUEST', 'REQUIRE', 'RESERVE', 'RESOLVE', 'RESPECT', 'RESPOND', 'RESTORE',
+      'REVENUE', 'REVERSE', 'ROUTINE', 'RUNNING', 'SATISFY', 'SCIENCE', 'SECTION', 'SEGMENT',
+      'SENATOR', 'SERVICE', 'SESSION', 'SETTING', 'SEVENTH', 'SEVERAL', 'SHORTLY', 'SHOWING',
+      'SILENCE', 'SIMILAR', 'SITTING', 'SIXTEEN', 'SKILLED', 'SMOKING', 'SOCIETY', 'SOMEHOW',
+      'SOMEONE', 'SPEAKER', 'SPECIAL', 'SPECIES', 'SPONSOR', 'STATION', 'STORAGE', 'STRANGE',
+      'STRETCH', 'STUDENT', 'STUDIED', 'SUBJECT', 'SUCCEED', 'SUCCESS', 'SUGGEST', 'SUMMARY',
+      'SUPPORT', 'SUPPOSE', 'SUPREME', 'SURFACE', 'SURGERY', 'SURPLUS', 'SURVIVE', 'SUSPECT',
+      'SUSTAIN', 'TEACHER', 'TEENAGE', 'TENSION', 'THEATER', 'THERAPY', 'THEREBY',
+      'THOUGHT', 'THROUGH', 'TONIGHT', 'TOTALLY', 'TOUCHED', 'TOWARDS', 'TRAFFIC', 'TROUBLE',
+      'TURNING', 'TYPICAL', 'UNIFORM', 'UNKNOWN', 'UNUSUAL', 'UPGRADE', 'USUALLY',
+      'VARIETY', 'VARIOUS', 'VEHICLE', 'VENTURE', 'VERSION', 'VETERAN', 'VICTORY', 'VIEWING',
+      'VILLAGE', 'VIOLENT', 'VIRTUAL', 'VISIBLE', 'WAITING', 'WALKING', 'WARNING', 'WARRANT',
+      'WEATHER', 'WEBSITE', 'WEDDING', 'WEEKEND', 'WELCOME', 'WELFARE', 'WESTERN', 'WHEREAS',
+      'WHETHER', 'WILLING', 'WINNING', 'WITHOUT', 'WITNESS', 'WORKING', 'WRITING', 'WRITTEN',
+      // 8个字母
+      'ABSOLUTE', 'ABSTRACT', 'ACADEMIC', 'ACCEPTED', 'ACCIDENT', 'ACCURACY', 'ACCURATE', 'ACHIEVED',
+      'ACQUIRED', 'ACTIVITY', 'ACTUALLY', 'ADDITION', 'ADEQUATE', 'ADJACENT', 'ADJUSTED', 'ADVANCED',
+      'ADVISORY', 'ADVOCATE', 'AFFECTED', 'AIRCRAFT', 'ALLIANCE', 'ALTHOUGH', 'ALUMINUM', 'ANALYSIS',
+      'ANNOUNCE', 'ANYTHING', 'ANYWHERE', 'APPARENT', 'APPENDIX', 'APPROACH', 'APPROVAL', 'ARGUMENT',
+      'ARTISTIC', 'ASSEMBLY', 'ASSUMING', 'ATTACHED', 'ATTITUDE', 'ATTORNEY', 'AUDIENCE', 'AVIATION',
+      'BACHELOR', 'BACTERIA', 'BASEBALL', 'BATHROOM', 'BECOMING', 'BENJAMIN', 'BIRTHDAY', 'BOUNDARY',
+      'BREAKING', 'BREEDING', 'BUILDING', 'BULLETIN', 'BUSINESS', 'CALENDAR', 'CAMPAIGN', 'CAPACITY',
+      'CASUALTY', 'CATCHING', 'CATEGORY', 'CHAMPION', 'CHEMICAL', 'CHILDREN', 'CIRCULAR', 'CIVILIAN',
+      'CLEARING', 'CLINICAL', 'CLOTHING', 'COLLAPSE', 'COLONIAL', 'COLORFUL', 'COMMENCE', 'COMMERCE',
+      'COMPLAIN', 'COMPLETE', 'COMPOSED', 'COMPOUND', 'COMPRISE', 'COMPUTER', 'CONCLUDE', 'CONCRETE',
+      'CONFLICT', 'CONFUSED', 'CONGRESS', 'CONSIDER', 'CONSTANT', 'CONSUMER', 'CONTINUE', 'CONTRACT',
+      'CONTRARY', 'CONTRAST', 'CONVINCE', 'CORRIDOR', 'COVERAGE', 'COVERING', 'CREATION', 'CREATIVE',
+      'CRIMINAL', 'CRITICAL', 'CROSSING', 'CULTURAL', 'CURRENCY', 'CUSTOMER', 'DATABASE', 'DAUGHTER',
+      'DAYLIGHT', 'DEADLINE', 'DECIDING', 'DECISION', 'DECREASE', 'DEFERRED', 'DEFINITE', 'DELICATE',
+      'DELIVERY', 'DESCRIBE', 'DESIGNER', 'DETAILED', 'DIABETES', 'DIALOGUE', 'DIAMETER', 'DIRECTLY',
+      'DIRECTOR', 'DISABLED', 'DISASTER', 'DISCLOSE', 'DISCOUNT', 'DISCOVER', 'DISORDER', 'DISPOSAL',
+      'DISTANCE', 'DISTINCT', 'DISTRICT', 'DIVIDEND', 'DIVISION', 'DOCTRINE', 'DOCUMENT', 'DOMESTIC',
+      'DOMINANT', 'DOMINATE', 'DOUBLING', 'DRAMATIC', 'DRESSING', 'DROPPING', 'DURATION', 'DYNAMICS',
+      'EARNINGS', 'ECONOMIC', 'EDUCATED', 'EFFICACY', 'EIGHTEEN', 'ELECTION', 'ELECTRIC', 'ELIGIBLE',
+      'EMERGING', 'EMPHASIS', 'EMPLOYEE', 'ENDEAVOR', 'ENGAGING', 'ENGINEER', 'ENORMOUS', 'ENTIRELY',
+      'ENTRANCE', 'ENVELOPE', 'EQUALITY', 'EQUATION', 'ESTIMATE', 'EVALUATE', 'EVENTUAL', 'EVERYDAY',
+      'EVERYONE', 'EVIDENCE', 'EXCHANGE', 'EXCITING', 'EXERCISE', 'EXPLICIT', 'EXPOSURE', 'EXTENDED',
+      'EXTERNAL', 'FACILITY', 'FAMILIAR', 'FEATURED', 'FEEDBACK', 'FESTIVAL', 'FINISHED', 'FIREWALL',
+      'FLAGSHIP', 'FLEXIBLE', 'FLOATING', 'FOOTBALL', 'FOOTHILL', 'FORECAST', 'FOREMOST', 'FORMERLY',
+      'FOURTEEN', 'FRACTION', 'FRANKLIN', 'FREQUENT', 'FRIENDLY', 'FRONTIER', 'FUNCTION', 'GENERATE',
+      'GENEROUS', 'GENOMICS', 'GOODWILL', 'GORGEOUS', 'GOVERNOR', 'GRADUATE', 'GRAPHICS', 'GRATEFUL',
+      'GUARDIAN', 'GUIDANCE', 'HANDLING', 'HARDWARE', 'HERITAGE', 'HIGHLAND', 'HISTORIC', 'HOMELESS',
+      'HOMEPAGE', 'HOSPITAL', 'HUMANITY', 'IDENTIFY', 'IDENTITY', 'IDEOLOGY', 'IMPERIAL', 'INCIDENT',
+      'INCLUDED', 'INCREASE', 'INDICATE', 'INDIRECT', 'INDUSTRY', 'INFORMAL', 'INFORMED', 'INHERENT',
+      'INITIATE', 'INNOCENT', 'INSPIRED', 'INSTANCE', 'INTEGRAL', 'INTENDED', 'INTERACT', 'INTEREST',
+      'INTERIOR', 'INTERNAL', 'INTERVAL', 'INTIMATE', 'INTRANET', 'INVASION', 'INVENTOR', 'INVESTOR',
+      'INVOLVED', 'ISOLATED', 'JUDGMENT', 'JUDICIAL', 'JUNCTION', 'KEYBOARD', 'LANDLORD', 'LANGUAGE',
+      'LAUGHTER', 'LEARNING', 'LEVERAGE', 'LIFETIME', 'LIKEWISE', 'LIMITING', 'LITERARY', 'LOCATION',
+      'MAGAZINE', 'MAGNETIC', 'MAINTAIN', 'MAJORITY', 'MARGINAL', 'MARRIAGE', 'MATERIAL', 'MATURITY',
+      'MAXIMIZE', 'MEANTIME', 'MEASURED', 'MEDICINE', 'MEDIEVAL', 'MEMORIAL', 'MERCHANT', 'MIDNIGHT',
+      'MILITARY', 'MINISTER', 'MINORITY', 'MOMENTUM', 'MORTGAGE', 'MOTIVATE', 'MOUNTAIN', 'MOVEMENT',
+      'MULTIPLE', 'NATIONAL', 'NEGATIVE', 'NINETEEN', 'NORTHERN', 'NOTEBOOK', 'NUMEROUS', 'OBSTACLE',
+      'OBTAINED', 'OCCASION', 'OCCUPIED', 'OFFERING', 'OFFICIAL', 'OFFSHORE', 'OPERATOR', 'OPPONENT',
+      'OPPOSITE', 'OPTIMISM', 'OPTIONAL', 'ORDINARY', 'ORGANIZE', 'ORIENTED', 'ORIGINAL', 'OVERCOME',
+      'OVERLOOK', 'OVERSEAS', 'OVERSIZE', 'OVERVIEW', 'PAINTING', 'PARALLEL', 'PARENTAL', 'PASSWORD',
+      'PATIENCE', 'PEACEFUL', 'PERCEIVE', 'PERSONAL', 'PERSUADE', 'PHYSICAL', 'PLANNING', 'PLATFORM',
+      'PLEASANT', 'PLEASURE', 'POLITICS', 'PORTABLE', 'PORTRAIT', 'POSITION', 'POSITIVE', 'POSSIBLE',
+      'POSSIBLY', 'PRACTICE', 'PRESENCE', 'PRESERVE', 'PRESSURE', 'PREVIOUS', 'PRINCESS', 'PRINTING',
+      'PRIORITY', 'PRISONER', 'PROBABLE', 'PROBABLY', 'PROCEEDS', 'PRODUCED', 'PRODUCER', 'PROFOUND',
+      'PROGRESS', 'PROPERTY', 'PROPOSAL', 'PROSPECT', 'PROTOCOL', 'PROVIDED', 'PROVIDER', 'PROVINCE',
+      'PUBLICLY', 'PURCHASE', 'QUANTITY', 'QUESTION', 'RATIONAL', 'REACTION', 'RECEIVED', 'RECEIVER',
+      'RECENTLY', 'RECOVERY', 'REGIONAL', 'REGISTER', 'RELATION', 'RELATIVE', 'RELEVANT', 'RELIABLE',
+      'RELIGION', 'REMAINED', 'REMEMBER', 'RENOWNED', 'REPEATED', 'REPORTER', 'RESEARCH', 'RESERVED',
+      'RESIDENT', 'RESIGNED', 'RESOURCE', 'RESPONSE', 'RESTORED', 'REVISION', 'ROTATION', 'SALARIES',
+      'SANDWICH', 'SCENARIO', 'SCHEDULE', 'SCIENCES', 'SCRUTINY', 'SEASONAL', 'SECONDLY', 'SECURITY',
+      'SELECTED', 'SENSIBLE', 'SENTENCE', 'SEPARATE', 'SEQUENCE', 'SHIPPING', 'SHOOTING', 'SHORTAGE',
+      'SHOULDER', 'SIMPLIFY', 'SITUATED', 'SLIGHTLY', 'SOFTWARE', 'SOLUTION', 'SOMEBODY', 'SOMEWHAT',
+      'SOUTHERN', 'SPEAKING', 'SPECIFIC', 'SPECTRUM', 'SPORTING', 'SQUADRON', 'STANDARD', 'STANDING',
+      'STERLING', 'STRAIGHT', 'STRATEGY', 'STRENGTH', 'STRIKING', 'STRUGGLE', 'STUNNING', 'SUITABLE',
+      'SUNSHINE', 'SURPRISE', 'SURVIVAL', 'SYMPATHY', 'SYNDROME', 'TACTICAL', 'TAXATION', 'TEACHING',
+      'TERMINAL', 'TERRIBLE', 'THINKING', 'THIRTEEN', 'THOROUGH', 'THOUSAND', 'TOGETHER', 'TOMORROW',
+      'TOUCHING', 'TRACKING', 'TRAINING', 'TRANSFER', 'TREASURY', 'TRIANGLE', 'TROPICAL', 'TURNOVER',
+      'ULTIMATE', 'UMBRELLA', 'UNIVERSE', 'UNLIKELY', 'VACATION', 'VALUABLE', 'VARIABLE', 'VERTICAL',
+      'VIRTUOUS', 'VOLATILE', 'WARRANTY', 'WHATEVER', 'WHENEVER', 'WHEREVER', 'WILDLIFE', 'WIRELESS',
+      'WORKSHOP', 'YOURSELF'
     ]);
 
-    // 初始化常用单词
-    this.commonWords.forEach(word => this.validWords.add(word));
+    // 其他语言的常用单词来自语言包（包括默认目标词）
+    if (this.language.words) {
+      this.commonWords = new Set([...this.language.words, ...Object.values(this.language.defaultWords)]);
+    }
+
+    // 初始化常用单词和答案列表
+    this.reset();
   }
 
   /**
@@ -73,13 +554,13 @@ export class WordValidator {
       return { valid: false, reason: '单词不能为空' };
     }
 
-    const upperWord = word.toUpperCase();
+    const upperWord = this.language.normalizeWord(word);
 
-    if (upperWord.length !== 5) {
-      return { valid: false, reason: '单词必须是5个字母' };
+    if (upperWord.length !== this.wordLength) {
+      return { valid: false, reason: `单词必须是${this.wordLength}个字母` };
     }
 
-    if (!/^[A-Z]{5}$/.test(upperWord)) {
+    if (!this.language.isWord(upperWord)) {
       return { valid: false, reason: '单词只能包含字母' };
     }
 
@@ -88,8 +569,9 @@ export class WordValidator {
 
   /**
    * 验证单词是否在有效单词列表中
+   * 不在列表中时附带拼写相近的建议（options.suggest 为 false 时不计算）
    */
-  validateWord(word) {
+  validateWord(word, options = {}) {
     const formatResult = this.validateFormat(word);
 
     if (!formatResult.valid) {
@@ -101,22 +583,46 @@ export class WordValidator {
     if (!this.validWords.has(normalizedWord)) {
       return {
         valid: false,
-        reason: '不是有效的英文单词',
-        word: normalizedWord
+        reason: `不是有效的${this.language.label}单词`,
+        word: normalizedWord,
+        suggestions: options.suggest === false ? [] : this.getCorrections(normalizedWord)
+      };
+    }
+
+    if (!this.answerPolicy.allowsGuess(this.wordMetadata.get(normalizedWord))) {
+      return {
+        valid: false,
+        reason: '当前规则不允许使用这个单词',
+        word: normalizedWord,
+        suggestions: options.suggest === false ? [] : this.getCorrections(normalizedWord)
       };
     }
 
     return {
       valid: true,
       word: normalizedWord,
-      isCommon: this.commonWords.has(normalizedWord)
+      isCommon: this.commonWords.has(normalizedWord),
+      list: this.isAnswerWord(normalizedWord) ? 'answer' : 'allowed',
+      metadata: this.getWordMetadata(normalizedWord)
     };
   }
 
   /**
-   * 添加自定义单词到验证列表
+   * 生成单词元数据（未提供的字段使用默认值）
    */
-  addCustomWord(word) {
+  createMetadata(metadata = {}) {
+    return {
+      frequency: typeof metadata.frequency === 'number' ? metadata.frequency : null,
+      partOfSpeech: metadata.partOfSpeech || null,
+      tags: Array.isArray(metadata.tags) ? [...metadata.tags] : [],
+      difficulty: typeof metadata.difficulty === 'number' ? metadata.difficulty : null
+    };
+  }
+
+  /**
+   * 添加自定义单词到验证列表（只能用来猜测）
+   */
+  addCustomWord(word, metadata = null) {
     const formatResult = this.validateFormat(word);
 
     if (!formatResult.valid) {
@@ -125,6 +631,9 @@ export class WordValidator {
 
     const normalizedWord = formatResult.word;
     this.validWords.add(normalizedWord);
+    if (metadata || !this.wordMetadata.has(normalizedWord)) {
+      this.wordMetadata.set(normalizedWord, this.createMetadata(metadata || {}));
+    }
 
     return {
       valid: true,
@@ -167,6 +676,8 @@ export class WordValidator {
 
     const normalizedWord = formatResult.word;
     const removed = this.validWords.delete(normalizedWord);
+    this.answerWords.delete(normalizedWord);
+    this.wordMetadata.delete(normalizedWord);
 
     if (removed) {
       return {
@@ -183,11 +694,102 @@ export class WordValidator {
     }
   }
 
+  /**
+   * 添加单词到答案列表（同时允许猜测）
+   */
+  addAnswerWord(word, metadata = null) {
+    const result = this.addCustomWord(word, metadata);
+    if (!result.valid) {
+      return result;
+    }
+
+    this.answerWords.add(result.word);
+    return {
+      valid: true,
+      word: result.word,
+      message: '单词已添加到答案列表'
+    };
+  }
+
+  /**
+   * 检查单词是否在答案列表中，并且当前答案规则允许它作为答案
+   */
+  isAnswerWord(word) {
+    if (typeof word !== 'string') return false;
+
+    const normalizedWord = this.language.normalizeWord(word);
+    return this.answerWords.has(normalizedWord) && this.validWords.has(normalizedWord) &&
+      this.answerPolicy.allowsAnswer(this.wordMetadata.get(normalizedWord));
+  }
+
+  /**
+   * 检查单词是否可以用来猜测（在单词表中，并且当前答案规则没有禁止它）
+   */
+  isGuessAllowed(word) {
+    return this.validWords.has(word) && this.answerPolicy.allowsGuess(this.wordMetadata.get(word));
+  }
+
+  /**
+   * 设置答案规则（内置规则的 id、规则定义或 AnswerPolicy）
+   */
+  setAnswerPolicy(policy) {
+    this.answerPolicy = getAnswerPolicy(policy);
+  }
+
+  /**
+   * 获取单词元数据，单词无效时返回null
+   */
+  getWordMetadata(word) {
+    if (typeof word !== 'string') return null;
+
+    const normalizedWord = this.language.normalizeWord(word);
+    if (!this.validWords.has(normalizedWord)) return null;
+
+    return this.createMetadata(this.wordMetadata.get(normalizedWord));
+  }
+
   /**
    * 检查单词是否有效
    */
   isValidWord(word) {
-    return this.validateWord(word).valid;
+    return this.validateWord(word, { suggest: false }).valid;
+  }
+
+  /**
+   * 获取拼写相近的有效单词（同样长度，考虑编辑距离、相邻键和交换字母）
+   * 按距离排序，距离相同时答案单词和常用单词优先
+   */
+  getCorrections(word, options = {}) {
+    const { limit = 5, maxDistance = 2 } = options;
+    if (!word || typeof word !== 'string') {
+      return [];
+    }
+
+    const upperWord = this.language.normalizeWord(word);
+    const adjacentKeys = this.language.getAdjacentKeys();
+    const candidates = [];
+
+    for (const candidate of this.validWords.wordsOfLength(upperWord.length)) {
+      if (candidate === upperWord || !this.answerPolicy.allowsGuess(this.wordMetadata.get(candidate))) continue;
+
+      const distance = typoDistance(upperWord, candidate, adjacentKeys);
+      if (distance <= maxDistance) {
+        candidates.push({ word: candidate, distance });
+      }
+    }
+
+    const frequency = (candidate) => {
+      const metadata = this.wordMetadata.get(candidate);
+      return (metadata && metadata.frequency) || 0;
+    };
+
+    return candidates
+      .sort((a, b) => (a.distance - b.distance) ||
+        (this.answerWords.has(b.word) - this.answerWords.has(a.word)) ||
+        (frequency(b.word) - frequency(a.word)) ||
+        a.word.localeCompare(b.word))
+      .slice(0, limit)
+      .map(candidate => candidate.word);
   }
 
   /**
@@ -198,26 +800,43 @@ export class WordValidator {
       return [];
     }
 
-    const upperPattern = partialWord.toUpperCase();
-    const suggestions = [];
+    return this.validWords.wordsWithPrefix(partialWord, { length: this.wordLength })
+      .filter(word => this.isGuessAllowed(word))
+      .slice(0, limit);
+  }
 
-    for (const word of this.validWords) {
-      if (word.startsWith(upperPattern)) {
-        suggestions.push(word);
-        if (suggestions.length >= limit) {
-          break;
-        }
+  /**
+   * 查找满足绿 / 黄 / 灰约束的所有单词（约束格式见 WordConstraints.js）
+   * options.list 为 'answer' 时只在答案列表中查找
+   */
+  findWords(constraints = {}, options = {}) {
+    const { wordLength = this.wordLength, list = 'allowed', limit = Infinity } = options;
+    const matches = compileConstraints(constraints, wordLength);
+    const source = list === 'answer' ? this.answerWords : this.validWords.wordsOfLength(wordLength);
+    const words = [];
+
+    const allowed = list === 'answer' ? (word) => this.isAnswerWord(word) : (word) => this.isGuessAllowed(word);
+    for (const word of source) {
+      if (matches(word) && allowed(word)) {
+        words.push(word);
       }
     }
 
-    return suggestions;
+    return words.sort().slice(0, limit);
   }
 
   /**
    * 获取随机单词
    */
   getRandomWord() {
-    const words = Array.from(this.validWords);
+    return this.validWords.randomWord(this.wordLength);
+  }
+
+  /**
+   * 从答案列表中获取随机单词
+   */
+  getRandomAnswer() {
+    const words = this.getAnswerWords();
     if (words.length === 0) {
       return null;
     }
@@ -225,6 +844,38 @@ export class WordValidator {
     return words[randomIndex];
   }
 
+  /**
+   * 设置单词长度
+   */
+  setWordLength(wordLength) {
+    this.wordLength = wordLength;
+  }
+
+  /**
+   * 获取指定长度的所有单词
+   */
+  getWordsByLength(wordLength = this.wordLength) {
+    return Array.from(this.validWords.wordsOfLength(wordLength));
+  }
+
+  /**
+   * 获取指定长度的答案单词，options.difficulty 只保留这个难度等级的单词（没有难度分数的单词不属于任何等级）
+   */
+  getAnswerWords(wordLength = this.wordLength, options = {}) {
+    const { difficulty = null } = options;
+    return Array.from(this.answerWords)
+      .filter(word => word.length === wordLength && this.isAnswerWord(word))
+      .filter(word => !difficulty || this.getWordDifficulty(word) === difficulty);
+  }
+
+  /**
+   * 获取单词的难度等级（easy / medium / hard / expert），没有难度分数时返回null
+   */
+  getWordDifficulty(word) {
+    const metadata = this.getWordMetadata(word);
+    return metadata ? getDifficultyLevel(metadata.difficulty) : null;
+  }
+
   /**
    * 获取单词统计信息
    */
@@ -233,7 +884,8 @@ export class WordValidator {
       totalWords: this.validWords.size,
       commonWords: this.commonWords.size,
       customWords: this.validWords.size - this.commonWords.size,
-      sampleWords: Array.from(this.validWords).slice(0, 10)
+      answerWords: Array.from(this.answerWords).filter(word => this.isAnswerWord(word)).length,
+      sampleWords: this.validWords.wordsWithPrefix('', { limit: 10 })
     };
   }
 
@@ -242,14 +894,75 @@ export class WordValidator {
    */
   reset() {
     this.validWords.clear();
-    this.commonWords.forEach(word => this.validWords.add(word));
+    this.answerWords.clear();
+    this.wordMetadata.clear();
+    this.lexiconSource = 'embedded';
+    this.lexiconVersion = null;
+
+    this.commonWords.forEach(word => {
+      this.validWords.add(word);
+      this.wordMetadata.set(word, this.createMetadata(createEmbeddedMetadata(word)));
+    });
+
+    // 英语使用带元数据的精选答案列表，其他语言的答案来自语言包
+    const answers = this.language.words
+      ? this.language.words.map(word => ({ word, metadata: {} }))
+      : ANSWER_ENTRIES.map(entry => parseLexiconLine(entry));
+    answers.forEach(({ word, metadata }) => {
+      this.validWords.add(word);
+      this.answerWords.add(word);
+      this.wordMetadata.set(word, this.createMetadata(metadata));
+    });
+
+    this.validWords.compact();
+  }
+
+  /**
+   * 异步加载词库包，加载失败时保留内置单词表
+   */
+  async loadLexicon(loader = new LexiconLoader()) {
+    const result = await loader.load();
+    this.applyLexicon(result);
+    return result;
+  }
+
+  /**
+   * 使用加载到的词库包替换单词表（先加载允许猜测的词库包，再加载答案词库包）
+   */
+  applyLexicon(result) {
+    if (!result || result.source === 'embedded' || result.packs.length === 0) {
+      return false;
+    }
+
+    this.validWords.clear();
+    this.answerWords.clear();
+    this.wordMetadata.clear();
+
+    const packs = [...result.packs].sort((a, b) => (a.list === 'answer') - (b.list === 'answer'));
+    packs.forEach(pack => {
+      pack.entries.forEach(({ word: entryWord, metadata }) => {
+        const word = this.language.normalizeWord(entryWord);
+        if (!this.language.isWord(word)) return;
+
+        this.validWords.add(word);
+        this.wordMetadata.set(word, this.createMetadata(metadata));
+        if (pack.list === 'answer') {
+          this.answerWords.add(word);
+        }
+      });
+    });
+    this.validWords.compact();
+
+    this.lexiconSource = result.source;
+    this.lexiconVersion = result.version;
+    return true;
   }
 
   /**
-   * 导出单词列表
+   * 导出单词列表（会先合并尚未压缩的改动，结果按字母表排序）
    */
   exportWords() {
-    return Array.from(this.validWords);
+    return Array.from(this.validWords.compact());
   }
 
   /**
@@ -258,6 +971,22 @@ export class WordValidator {
   importWords(words) {
     this.validWords.clear();
     const results = this.addWordList(words);
+    this.validWords.compact();
     return results;
   }
+
+  /**
+   * 导出紧凑词典（base64 字符串，不包含元数据）
+   */
+  exportDictionary() {
+    return this.validWords.serialize();
+  }
+
+  /**
+   * 导入 exportDictionary 导出的紧凑词典，替换所有允许猜测的单词
+   */
+  importDictionary(data) {
+    this.validWords = WordTrie.deserialize(data);
+    return this.validWords.size;
+  }
 }
\ No newline at end of file
@@ -1,9 +1,21 @@
 import { WordleGame } from './WordleGame.js';
+import { MultiBoardGame } from './MultiBoardGame.js';
+import { AbsurdleGame } from './AbsurdleGame.js';
+import { FibbleGame } from './FibbleGame.js';
 import { WordValidator } from './WordValidator.js';
-import { GameStateManager } from './GameStateManager.js';
+import { LexiconLoader } from './LexiconLoader.js';
+import { ProfileManager } from './ProfileManager.js';
+import { TabSync } from './TabSync.js';
+import { GameLock } from './GameLock.js';
 import { GameBoard } from './GameBoard.js';
 import { VirtualKeyboard } from './VirtualKeyboard.js';
 import { GameStats } from './GameStats.js';
+import { DailyPuzzle } from './DailyPuzzle.js';
+import { TimedSession } from './TimedSession.js';
+import { LANGUAGE_PACKS, DEFAULT_LANGUAGE } from './LanguagePack.js';
+import { ANSWER_POLICIES, DEFAULT_ANSWER_POLICY } from './AnswerPolicy.js';
+import { DIFFICULTY_LEVELS, DIFFICULTY_NAMES, normalizeDifficulty } from './WordDifficulty.js';
+import { Dictionary, renderDefinition } from './Dictionary.js';
 
 /**
  * Wordle游戏主控制器
@@ -11,8 +23,9 @@ import { GameStats } from './GameStats.js';
 export class WordleController {
   constructor(options = {}) {
     this.options = {
-      wordList: [],
       container: document.body,
+      loadLexicon: true, // 是否异步加载词库包（否则只使用内置单词表）
+      storage: undefined, // 存档的存储适配器（见 StorageAdapter.js），未指定时使用 localStorage
       ...options
     };
 
@@ -20,28 +33,176 @@ export class WordleController {
     this.game = null;
     this.validator = null;
     this.stateManager = null;
+    this.profileManager = null;
+    this.tabSync = null;
+    this.gameLock = null;
+    this.readOnly = false; // 当前游戏正在另一个标签页中进行时只显示不能输入
     this.board = null;
+    this.boardViews = [];
+    this.multiBoardGrid = null;
     this.keyboard = null;
     this.stats = null;
+    this.dailyPuzzle = null;
+    this.countdownTimer = null;
+    this.timedSession = null;
+    this.timerInterval = null;
+    this.nextWordTimer = null;
+    this.lexiconReady = null;
+    this.ready = null;
+    this.storageWarningShown = false;
 
     // DOM元素
     this.gameBoard = null;
     this.keyboardContainer = null;
     this.statsContainer = null;
     this.statusElement = null;
+    this.timerElement = null;
+    this.lexiconStatusElement = null;
+    this.suggestionElement = null;
     this.gameOverModal = null;
 
     this.init();
   }
 
   /**
-   * 初始化游戏
+   * 初始化游戏：读取档案列表和当前档案的存档后再创建组件（异步存储时 ready 在游戏开始后 resolve）
    */
   init() {
     this.createDOMStructure();
-    this.initializeComponents();
-    this.setupEventListeners();
-    this.startNewGame();
+    this.tabSync = new TabSync();
+    this.gameLock = new GameLock({
+      sync: this.tabSync,
+      onLost: (key) => this.handleRemoteClaim({ key })
+    });
+    this.profileManager = new ProfileManager({
+      storage: this.options.storage,
+      onStorageError: () => this.showStorageWarning(),
+      sync: this.tabSync,
+      onRemoteChange: (change) => this.handleProfilesChanged(change)
+    });
+
+    this.ready = this.whenLoaded(this.profileManager, () => {
+      this.stateManager = this.createStateManager();
+      return this.whenLoaded(this.stateManager, () => {
+        this.initializeComponents();
+        this.setupEventListeners();
+        this.resumeOrStartGame({ passive: true });
+      });
+    });
+  }
+
+  /**
+   * 管理器加载完成后调用 callback（同步存储时立即调用）
+   */
+  whenLoaded(manager, callback) {
+    if (manager.loaded) {
+      return Promise.resolve(callback());
+    }
+    return manager.ready.then(callback);
+  }
+
+  /**
+   * 为当前档案创建状态管理器
+   */
+  createStateManager() {
+    return this.profileManager.createStateManager({
+      onStorageError: () => this.showStorageWarning(),
+      sync: this.tabSync,
+      onRemoteChange: () => this.handleRemoteChange()
+    });
+  }
+
+  /**
+   * 开始跟踪当前游戏并取得游戏锁：同一个档案的游戏同时只能在一个标签页中进行
+   * options.passive 为 true 时（打开页面、切换档案）不接管另一个标签页中正在进行的游戏
+   */
+  claimGame(options = {}) {
+    this.readOnly = false;
+    this.setTakeOverVisible(false);
+    this.stateManager.trackGame(this.game);
+
+    const key = this.stateManager.options.storageKey;
+    if (options.passive) {
+      this.gameLock.request(key);
+    } else {
+      this.gameLock.claim(key);
+    }
+  }
+
+  /**
+   * 用户在本标签页中输入：第一次输入时取得游戏锁，之后打开的标签页只显示这局游戏
+   */
+  markPlaying() {
+    if (!this.timedSession && !this.gameLock.active) {
+      this.gameLock.claim(this.stateManager.options.storageKey);
+    }
+  }
+
+  /**
+   * 另一个标签页取得了同一个档案的游戏锁：本标签页停止保存当前游戏，只显示不能输入
+   * （计时模式的单词不保存为当前游戏，不受影响）
+   */
+  handleRemoteClaim(data) {
+    if (!this.stateManager || data.key !== this.stateManager.options.storageKey || this.readOnly || this.timedSession) {
+      return;
+    }
+
+    this.readOnly = true;
+    this.stateManager.untrackGame();
+    if (this.nextWordTimer) {
+      clearTimeout(this.nextWordTimer);
+      this.nextWordTimer = null;
+    }
+    this.hideGameOverModal();
+    this.hideSuggestions();
+    this.setInputEnabled(false);
+    this.setTakeOverVisible(true);
+    this.updateStatus('游戏正在另一个标签页中进行');
+  }
+
+  /**
+   * 其他标签页保存了存档：更新统计，只读时显示另一个标签页中的最新进度
+   */
+  handleRemoteChange() {
+    if (this.readOnly) {
+      const savedGame = this.stateManager.getCurrentGame();
+      if (savedGame && savedGame.gameStatus === 'playing') {
+        this.restoreGame(savedGame, { track: false });
+      }
+    }
+
+    if (this.stats) {
+      this.stats.updateStats(this.getCurrentStatistics());
+    }
+    this.updateSettingsControls();
+  }
+
+  /**
+   * 在本标签页继续游戏（另一个标签页会变为只读）
+   */
+  takeOver() {
+    this.readOnly = false;
+    this.setTakeOverVisible(false);
+    this.resumeOrStartGame();
+  }
+
+  /**
+   * 显示或隐藏"在此继续"按钮
+   */
+  setTakeOverVisible(visible) {
+    const takeOverBtn = this.options.container.querySelector('#take-over-btn');
+    if (takeOverBtn) {
+      takeOverBtn.classList.toggle('hidden', !visible);
+    }
+  }
+
+  /**
+   * 存储不可用或空间已满时提示一次，游戏继续进行但进度不会保存
+   */
+  showStorageWarning() {
+    if (this.storageWarningShown) return;
+    this.storageWarningShown = true;
+    this.updateStatus('无法保存游戏进度（存储不可用或空间已满）');
   }
 
   /**
@@ -53,6 +214,9 @@ export class WordleController {
     this.keyboardContainer = this.options.container.querySelector('#keyboard');
     this.statsContainer = this.options.container.querySelector('.game-info');
     this.statusElement = this.options.container.querySelector('#game-status');
+    this.timerElement = this.options.container.querySelector('#game-timer');
+    this.lexiconStatusElement = this.options.container.querySelector('#lexicon-status');
+    this.suggestionElement = this.options.container.querySelector('#suggestion-chips');
     this.gameOverModal = this.options.container.querySelector('#game-over-modal');
 
     // 如果没有找到元素，创建默认结构
@@ -75,21 +239,32 @@ export class WordleController {
    * 初始化组件
    */
   initializeComponents() {
+    const wordLength = this.getWordLengthSetting();
+
     // 初始化单词验证器
-    this.validator = new WordValidator();
+    this.validator = this.createValidator(wordLength);
+
+    // 初始化每日谜题（使用语言包中固定的答案顺序）
+    this.dailyPuzzle = this.createDailyPuzzle();
 
-    // 初始化状态管理器
-    this.stateManager = new GameStateManager();
+    // 词典在第一次显示释义时才加载
+    this.dictionary = new Dictionary({ url: this.validator.language.dictionary });
+
+    // 先用内置单词表开始游戏，词库包加载完成后替换
+    if (this.options.loadLexicon) {
+      this.loadLexicon();
+    }
 
     // 初始化游戏棋盘
     this.board = new GameBoard(this.gameBoard, {
       animations: true,
       maxGuesses: 6,
-      wordLength: 5
+      wordLength: wordLength
     });
 
     // 初始化虚拟键盘
     this.keyboard = new VirtualKeyboard(this.keyboardContainer, {
+      language: this.validator.language,
       onClick: (key) => this.handleKeyPress(key)
     });
 
@@ -100,8 +275,9 @@ export class WordleController {
 
     // 设置棋盘按键回调
     this.board.setOnKeyPress((event) => {
-      if (event.key.match(/^[a-zA-Z]$/)) {
-        this.handleKeyPress(event.key.toUpperCase());
+      const letter = this.validator.language.normalizeLetter(event.key);
+      if (letter) {
+        this.handleKeyPress(letter);
       } else if (event.key === 'Enter') {
         this.handleKeyPress('ENTER');
       } else if (event.key === 'Backspace') {
@@ -114,12 +290,166 @@ export class WordleController {
    * 设置事件监听器
    */
   setupEventListeners() {
+    // 玩家档案：切换、新建、重命名、删除
+    const profileSelect = this.options.container.querySelector('#profile-select');
+    if (profileSelect) {
+      profileSelect.addEventListener('change', () => this.switchProfile(profileSelect.value));
+    }
+
+    const newProfileBtn = this.options.container.querySelector('#new-profile-btn');
+    if (newProfileBtn) {
+      newProfileBtn.addEventListener('click', () => {
+        const name = window.prompt('新档案名称');
+        if (name !== null) this.createProfile(name);
+      });
+    }
+
+    const renameProfileBtn = this.options.container.querySelector('#rename-profile-btn');
+    if (renameProfileBtn) {
+      renameProfileBtn.addEventListener('click', () => {
+        const name = window.prompt('档案名称', this.profileManager.getActiveProfile().name);
+        if (name !== null) this.renameProfile(name);
+      });
+    }
+
+    const deleteProfileBtn = this.options.container.querySelector('#delete-profile-btn');
+    if (deleteProfileBtn) {
+      deleteProfileBtn.addEventListener('click', () => {
+        const { name } = this.profileManager.getActiveProfile();
+        if (window.confirm(`删除档案“${name}”和它的全部统计、历史和成就？`)) this.deleteProfile();
+      });
+    }
+
+    // 导出 / 导入当前档案的数据（导入时先预览再合并）
+    const exportDataBtn = this.options.container.querySelector('#export-data-btn');
+    if (exportDataBtn) {
+      exportDataBtn.addEventListener('click', () => this.exportData());
+    }
+
+    const importDataBtn = this.options.container.querySelector('#import-data-btn');
+    const importDataInput = this.options.container.querySelector('#import-data-input');
+    if (importDataBtn && importDataInput) {
+      importDataBtn.addEventListener('click', () => importDataInput.click());
+      importDataInput.addEventListener('change', () => {
+        const file = importDataInput.files[0];
+        importDataInput.value = '';
+        if (file) {
+          file.text()
+            .then(text => this.importData(text))
+            .catch(error => this.updateStatus(`导入失败: ${error.message}`));
+        }
+      });
+    }
+
+    // 在此继续：当前游戏正在另一个标签页中进行时把它接管到本标签页
+    const takeOverBtn = this.options.container.querySelector('#take-over-btn');
+    if (takeOverBtn) {
+      takeOverBtn.addEventListener('click', () => this.takeOver());
+    }
+
     // 新游戏按钮
     const newGameBtn = this.options.container.querySelector('#new-game-btn');
     if (newGameBtn) {
       newGameBtn.addEventListener('click', () => this.startNewGame());
     }
 
+    // 单词长度选择
+    const wordLengthSelect = this.options.container.querySelector('#word-length-select');
+    if (wordLengthSelect) {
+      wordLengthSelect.addEventListener('change', () => {
+        const wordLength = parseInt(wordLengthSelect.value, 10);
+        this.updateSettings({ wordLength });
+        this.startNewGame({ wordLength });
+      });
+    }
+
+    // 语言选择
+    const languageSelect = this.options.container.querySelector('#language-select');
+    if (languageSelect) {
+      languageSelect.addEventListener('change', () => this.setLanguage(languageSelect.value));
+    }
+
+    // 答案规则选择
+    const answerPolicySelect = this.options.container.querySelector('#answer-policy-select');
+    if (answerPolicySelect) {
+      answerPolicySelect.addEventListener('change', () => this.setAnswerPolicy(answerPolicySelect.value));
+    }
+
+    // 答案难度选择
+    const difficultySelect = this.options.container.querySelector('#difficulty-select');
+    if (difficultySelect) {
+      difficultySelect.addEventListener('change', () => this.setDifficulty(difficultySelect.value || null));
+    }
+
+    // 棋盘数量选择（经典 / Dordle / Quordle / Octordle）
+    const boardCountSelect = this.options.container.querySelector('#board-count-select');
+    if (boardCountSelect) {
+      boardCountSelect.addEventListener('change', () => {
+        const boardCount = parseInt(boardCountSelect.value, 10);
+        this.updateSettings({ boardCount });
+        this.startNewGame({ boardCount });
+      });
+    }
+
+    // 每日挑战按钮
+    const dailyBtn = this.options.container.querySelector('#daily-btn');
+    if (dailyBtn) {
+      dailyBtn.addEventListener('click', () => this.startDailyGame());
+    }
+
+    // Absurdle 对抗模式按钮
+    const absurdleBtn = this.options.container.querySelector('#absurdle-btn');
+    if (absurdleBtn) {
+      absurdleBtn.addEventListener('click', () => {
+        this.hideGameOverModal();
+        this.startNewGame({ mode: 'absurdle' });
+      });
+    }
+
+    // Fibble 说谎模式按钮
+    const fibbleBtn = this.options.container.querySelector('#fibble-btn');
+    if (fibbleBtn) {
+      fibbleBtn.addEventListener('click', () => {
+        this.hideGameOverModal();
+        this.startNewGame({ mode: 'fibble' });
+      });
+    }
+
+    // 马拉松按钮
+    const marathonBtn = this.options.container.querySelector('#marathon-btn');
+    if (marathonBtn) {
+      marathonBtn.addEventListener('click', () => this.startMarathon());
+    }
+
+    // 计时模式：倒计时分钟数、倒计时 / 竞速按钮和暂停按钮
+    const countdownMinutesSelect = this.options.container.querySelector('#countdown-minutes-select');
+    if (countdownMinutesSelect) {
+      countdownMinutesSelect.addEventListener('change', () => {
+        this.updateSettings({ countdownMinutes: parseInt(countdownMinutesSelect.value, 10) });
+      });
+    }
+
+    const countdownBtn = this.options.container.querySelector('#countdown-btn');
+    if (countdownBtn) {
+      countdownBtn.addEventListener('click', () => this.startTimedSession('countdown'));
+    }
+
+    const speedrunBtn = this.options.container.querySelector('#speedrun-btn');
+    if (speedrunBtn) {
+      speedrunBtn.addEventListener('click', () => this.startTimedSession('speedrun'));
+    }
+
+    const pauseBtn = this.options.container.querySelector('#pause-btn');
+    if (pauseBtn) {
+      pauseBtn.addEventListener('click', () => this.togglePause());
+    }
+
+    // 困难模式开关
+    const hardModeToggle = this.options.container.querySelector('#hard-mode-toggle');
+    if (hardModeToggle) {
+      hardModeToggle.addEventListener('change', () => this.toggleHardMode(hardModeToggle));
+    }
+
     // 提示按钮
     const hintBtn = this.options.container.querySelector('#hint-btn');
     if (hintBtn) {
@@ -131,7 +461,18 @@ export class WordleController {
     if (playAgainBtn) {
       playAgainBtn.addEventListener('click', () => {
         this.hideGameOverModal();
-        this.startNewGame();
+        // 计时模式和马拉松再玩一次时开始新的会话
+        if (this.timedSession) {
+          this.startTimedSession(this.timedSession.type);
+          return;
+        }
+        if (this.game && this.game.mode === 'marathon') {
+          this.startMarathon();
+          return;
+        }
+        // Absurdle / Fibble 模式再玩一次时保持原来的模式
+        const keepMode = this.game && ['absurdle', 'fibble'].includes(this.game.mode);
+        this.startNewGame(keepMode ? { mode: this.game.mode } : {});
       });
     }
 
@@ -144,45 +485,648 @@ export class WordleController {
 
     // 全局键盘事件监听器
     document.addEventListener('keydown', (event) => this.handleGlobalKeyPress(event));
+
+    this.updateProfileControls();
+    this.updateSettingsControls();
+  }
+
+  /**
+   * 按当前档案的设置更新设置控件
+   */
+  updateSettingsControls() {
+    const settings = this.stateManager.getSettings();
+    const setValue = (selector, value) => {
+      const element = this.options.container.querySelector(selector);
+      if (element) element.value = value;
+    };
+
+    this.updateWordLengthOptions();
+    setValue('#word-length-select', String(this.getWordLengthSetting()));
+    setValue('#language-select', this.validator.language.id);
+    setValue('#answer-policy-select', this.validator.answerPolicy.id);
+    setValue('#difficulty-select', this.getDifficultySetting() || '');
+    setValue('#board-count-select', String(settings.boardCount || 1));
+    setValue('#countdown-minutes-select', String(settings.countdownMinutes || 3));
+
+    const hardModeToggle = this.options.container.querySelector('#hard-mode-toggle');
+    if (hardModeToggle) {
+      hardModeToggle.checked = settings.hardMode;
+    }
+  }
+
+  /**
+   * 当前语言没有单词表的单词长度不能选择
+   */
+  updateWordLengthOptions() {
+    const wordLengthSelect = this.options.container.querySelector('#word-length-select');
+    if (!wordLengthSelect) return;
+
+    const language = LANGUAGE_PACKS[this.getLanguageSetting()];
+    Array.from(wordLengthSelect.options).forEach(option => {
+      option.disabled = !language.supportsWordLength(parseInt(option.value, 10));
+    });
+  }
+
+  /**
+   * 更新档案选择框
+   */
+  updateProfileControls() {
+    const profileSelect = this.options.container.querySelector('#profile-select');
+    if (!profileSelect) return;
+
+    profileSelect.innerHTML = '';
+    this.profileManager.getProfiles().forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    });
+    profileSelect.value = this.profileManager.getActiveProfile().id;
+
+    const deleteProfileBtn = this.options.container.querySelector('#delete-profile-btn');
+    if (deleteProfileBtn) {
+      deleteProfileBtn.disabled = this.profileManager.getProfiles().length <= 1;
+    }
+  }
+
+  /**
+   * 切换到另一个档案：保存当前游戏后加载该档案的存档和设置，恢复它未完成的游戏
+   */
+  switchProfile(profileId) {
+    this.stopTimedSession();
+    this.stopNextPuzzleCountdown();
+    this.hideGameOverModal();
+    if (this.nextWordTimer) {
+      clearTimeout(this.nextWordTimer);
+      this.nextWordTimer = null;
+    }
+    this.stateManager.disconnect();
+    this.gameLock.release();
+    this.readOnly = false;
+    this.setTakeOverVisible(false);
+
+    this.profileManager.switchProfile(profileId);
+    this.stateManager = this.createStateManager();
+    return this.whenLoaded(this.stateManager, () => {
+      const settings = this.stateManager.getSettings();
+      document.body.classList.toggle('dark-theme', Boolean(settings.darkTheme));
+      this.rebuildLanguageComponents();
+      this.updateProfileControls();
+      this.updateSettingsControls();
+      this.resumeOrStartGame({ passive: true });
+    });
+  }
+
+  /**
+   * 其他标签页修改了档案列表：更新档案选择框，本标签页的档案被删除时切换到剩下的档案
+   * （不再保存到被删除档案的存档）
+   */
+  handleProfilesChanged(change) {
+    if (!this.board) return Promise.resolve();
+
+    if (change.activeProfileDeleted) {
+      return this.switchProfile(this.profileManager.getActiveProfile().id)
+        .then(() => this.updateStatus('当前档案已在另一个标签页中删除'));
+    }
+    this.updateProfileControls();
+    return Promise.resolve();
+  }
+
+  /**
+   * 新建档案并切换到它
+   */
+  createProfile(name) {
+    try {
+      const profile = this.profileManager.createProfile(name);
+      return this.switchProfile(profile.id);
+    } catch (error) {
+      this.updateStatus(error.message);
+      return Promise.resolve();
+    }
+  }
+
+  /**
+   * 重命名当前档案
+   */
+  renameProfile(name) {
+    try {
+      this.profileManager.renameProfile(this.profileManager.getActiveProfile().id, name);
+      this.updateProfileControls();
+    } catch (error) {
+      this.updateStatus(error.message);
+    }
+  }
+
+  /**
+   * 删除当前档案并切换到剩下的第一个档案
+   */
+  deleteProfile() {
+    try {
+      const next = this.profileManager.deleteProfile(this.profileManager.getActiveProfile().id);
+      return this.switchProfile(next.id);
+    } catch (error) {
+      this.updateStatus(error.message);
+      return Promise.resolve();
+    }
+  }
+
+  /**
+   * 把当前档案的数据下载为导出文件
+   */
+  exportData() {
+    const { name } = this.profileManager.getActiveProfile();
+    const date = new Date().toISOString().split('T')[0];
+    const blob = new window.Blob([this.stateManager.exportState()], { type: 'application/json' });
+    const url = window.URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `wordle-${name}-${date}.json`;
+    link.click();
+    window.URL.revokeObjectURL(url);
+  }
+
+  /**
+   * 导入导出文件：显示会带来的变化，确认后合并到当前档案
+   */
+  importData(text) {
+    let preview;
+    try {
+      preview = this.stateManager.previewImport(text);
+    } catch (error) {
+      this.updateStatus(`导入失败: ${error.message}`);
+      return false;
+    }
+
+    const { before, after } = preview.statistics;
+    const lines = [
+      `新游戏 ${preview.newGames} 局（已有 ${preview.duplicateGames} 局相同的游戏不会重复计入）`,
+      `总局数 ${before.gamesPlayed} → ${after.gamesPlayed}，获胜 ${before.gamesWon} → ${after.gamesWon}，最长连胜 ${before.maxStreak} → ${after.maxStreak}`
+    ];
+    if (preview.newAchievements.length > 0) {
+      lines.push(`新成就: ${preview.newAchievements.join('、')}`);
+    }
+    if (preview.newDailyResults > 0 || preview.newMarathons > 0 || preview.improvedTimedRecords > 0) {
+      lines.push(`每日谜题 ${preview.newDailyResults} 个、马拉松 ${preview.newMarathons} 次、计时模式新纪录 ${preview.improvedTimedRecords} 个`);
+    }
+    if (!window.confirm(`将导入的数据合并到当前档案？\n\n${lines.join('\n')}`)) {
+      return false;
+    }
+
+    const imported = this.stateManager.importState(text);
+    this.updateStatus(imported ? '数据已导入' : '导入失败');
+    if (imported && this.stats) {
+      this.stats.updateStats(this.getCurrentStatistics());
+    }
+    return imported;
   }
 
   /**
    * 开始新游戏
    */
-  startNewGame() {
-    // 获取单词列表
-    const wordList = this.validator.exportWords().slice(0, 100); // 限制单词数量
+  startNewGame(options = {}) {
+    this.stopTimedSession();
+    if (this.nextWordTimer) {
+      clearTimeout(this.nextWordTimer);
+      this.nextWordTimer = null;
+    }
 
-    // 初始化新游戏
-    const gameState = this.stateManager.initializeNewGame(wordList);
+    // 切换到其他模式时结束进行中的马拉松
+    if (options.mode !== 'marathon' && this.stateManager.hasActiveMarathon()) {
+      this.stateManager.finishMarathon();
+    }
 
-    // 创建游戏实例
-    this.game = new WordleGame(wordList);
-    this.game.targetWord = gameState.targetWord;
+    // 放弃进行中的每日谜题记为失败，避免重新开始时再获得六次机会
+    this.stateManager.abandonCurrentGame();
+
+    const settings = this.stateManager.getSettings();
+    const wordLength = options.wordLength || this.getWordLengthSetting();
+    const mode = options.mode || 'classic';
+    // 每日谜题、Absurdle、Fibble 和马拉松始终是单棋盘
+    const singleBoard = ['daily', 'absurdle', 'fibble', 'marathon'].includes(options.mode);
+    const boardCount = singleBoard ? 1 : (options.boardCount || settings.boardCount || 1);
+
+    // 目标单词只从答案列表中选择；随机选词的经典和 Fibble 模式可以只选某个难度的单词
+    this.validator.setWordLength(wordLength);
+    const randomTarget = ['classic', 'fibble'].includes(mode) && !options.targetWord;
+    let difficulty = randomTarget ? normalizeDifficulty(options.difficulty || this.getDifficultySetting()) : null;
+    let wordList = this.validator.getAnswerWords(wordLength, { difficulty });
+    if (wordList.length === 0) {
+      // 词库包没有难度分数时不限难度
+      difficulty = null;
+      wordList = this.validator.getAnswerWords();
+    }
+
+    const gameOptions = {
+      wordLength,
+      hardMode: settings.hardMode,
+      mode,
+      difficulty,
+      puzzleNumber: options.puzzleNumber || null,
+      targetWord: options.targetWord || null,
+      maxGuesses: options.maxGuesses,
+      sessionId: options.sessionId || null,
+      language: this.validator.language
+    };
+
+    // 创建游戏实例，状态管理器根据引擎事件持久化
+    if (gameOptions.mode === 'absurdle') {
+      this.game = new AbsurdleGame(wordList, gameOptions);
+    } else if (gameOptions.mode === 'fibble') {
+      this.game = new FibbleGame(wordList, gameOptions);
+    } else if (boardCount > 1) {
+      this.game = new MultiBoardGame(wordList, { ...gameOptions, boardCount });
+    } else {
+      this.game = new WordleGame(wordList, gameOptions);
+    }
+    this.claimGame({ passive: options.passive });
 
     // 重置UI组件
-    this.board.reset();
+    this.setupBoards();
     this.keyboard.reset();
 
     // 更新状态显示
-    this.updateStatus('输入5个字母的单词');
+    this.updateStatus(`${this.getModeLabel()}输入${wordLength}个字母的单词`);
 
     // 更新统计显示
     if (this.stats) {
-      this.stats.updateStats(this.stateManager.getStatistics());
+      this.stats.updateStats(this.getCurrentStatistics());
     }
 
     // 启用输入
     this.setInputEnabled(true);
   }
 
+  /**
+   * 有未完成的游戏时恢复它，否则开始新游戏（options.passive 见 claimGame）
+   */
+  resumeOrStartGame(options = {}) {
+    const { passive } = options;
+    const savedGame = this.stateManager.getCurrentGame();
+    // Absurdle 在第一次猜测前还没有目标单词
+    const hasTarget = savedGame && (savedGame.targetWord || savedGame.mode === 'absurdle');
+    // 切换语言后不再恢复另一种语言的游戏
+    const sameLanguage = savedGame && (savedGame.language || DEFAULT_LANGUAGE) === this.validator.language.id;
+    if (savedGame && savedGame.gameStatus === 'playing' && hasTarget && sameLanguage) {
+      this.restoreGame(savedGame, { passive });
+    } else if (this.stateManager.hasActiveMarathon()) {
+      // 上一个马拉松单词已结束但还没开始下一个
+      this.startMarathonWord();
+    } else {
+      this.startNewGame({ passive });
+    }
+  }
+
+  /**
+   * 恢复已保存的游戏：无动画重放猜测、重建键盘状态和正在输入的字母
+   * options.track 为 false 时只显示游戏（游戏在另一个标签页中进行），options.passive 见 claimGame
+   */
+  restoreGame(savedGame, options = {}) {
+    const track = options.track !== false;
+    const wordLength = savedGame.wordLength || 5;
+
+    this.validator.setWordLength(wordLength);
+    const wordList = this.validator.getAnswerWords();
+
+    const gameOptions = {
+      wordLength,
+      hardMode: savedGame.hardMode,
+      mode: savedGame.mode,
+      difficulty: savedGame.difficulty || null,
+      puzzleNumber: savedGame.puzzleNumber,
+      targetWord: savedGame.targetWord,
+      maxGuesses: savedGame.maxGuesses,
+      sessionId: savedGame.sessionId,
+      id: savedGame.id,
+      startTime: savedGame.startTime,
+      language: this.validator.language
+    };
+    if (savedGame.mode === 'absurdle') {
+      this.game = new AbsurdleGame(wordList, gameOptions);
+    } else if (savedGame.mode === 'fibble') {
+      this.game = new FibbleGame(wordList, { ...gameOptions, seed: savedGame.seed });
+    } else if (savedGame.boardCount > 1) {
+      this.game = new MultiBoardGame(wordList, {
+        ...gameOptions,
+        boardCount: savedGame.boardCount,
+        targetWords: savedGame.targetWords
+      });
+    } else {
+      this.game = new WordleGame(wordList, gameOptions);
+    }
+    this.game.restoreProgress(savedGame.guesses, savedGame.currentGuess || '');
+    if (track) {
+      this.claimGame({ passive: options.passive });
+    }
+
+    // 重放到棋盘和键盘
+    this.setupBoards();
+    this.keyboard.reset();
+    if (this.isMultiBoard()) {
+      this.game.boards.forEach((board, index) => {
+        const currentGuess = board.gameStatus === 'playing' ? this.game.currentGuess : '';
+        this.boardViews[index].restore(board.guesses, currentGuess);
+      });
+      this.updateMultiBoardKeyboard();
+    } else {
+      this.board.restore(this.game.guesses, this.game.currentGuess);
+      if (this.showsKeyboardState()) {
+        this.game.guesses.forEach(guess => this.updateKeyboardState(guess.word, guess.result));
+      }
+    }
+
+    // 更新状态显示
+    const remaining = this.game.maxGuesses - this.game.guesses.length;
+    this.updateStatus(track
+      ? `${this.getModeLabel()}已恢复上次的游戏，还剩 ${remaining} 次机会`
+      : `游戏正在另一个标签页中进行，还剩 ${remaining} 次机会`);
+
+    if (this.stats) {
+      this.stats.updateStats(this.getCurrentStatistics());
+    }
+
+    this.setInputEnabled(track);
+  }
+
+  /**
+   * 是否是多棋盘游戏
+   */
+  isMultiBoard() {
+    return this.game instanceof MultiBoardGame;
+  }
+
+  /**
+   * 按当前游戏准备棋盘：经典模式使用主棋盘，多棋盘模式在网格中为每个目标单词创建一个棋盘
+   */
+  setupBoards() {
+    this.clearMultiBoards();
+    this.hideSuggestions();
+    const multiBoard = this.isMultiBoard();
+
+    this.gameBoard.classList.toggle('multi-board', multiBoard);
+    this.board.setSuspectMarking(this.game.mode === 'fibble');
+    this.board.boardElement.style.display = multiBoard ? 'none' : '';
+
+    if (!multiBoard) {
+      this.board.resize({ wordLength: this.game.wordLength, maxGuesses: this.game.maxGuesses });
+      this.boardViews = [this.board];
+      return;
+    }
+
+    this.multiBoardGrid = document.createElement('div');
+    this.multiBoardGrid.className = 'multi-board-grid';
+    this.multiBoardGrid.style.setProperty('--board-count', this.game.boardCount);
+    this.gameBoard.appendChild(this.multiBoardGrid);
+
+    this.boardViews = this.game.boards.map(() => new GameBoard(this.multiBoardGrid, {
+      animations: this.board.options.animations,
+      maxGuesses: this.game.maxGuesses,
+      wordLength: this.game.wordLength
+    }));
+  }
+
+  /**
+   * 移除多棋盘模式创建的棋盘
+   */
+  clearMultiBoards() {
+    this.boardViews
+      .filter(view => view !== this.board)
+      .forEach(view => view.destroy());
+    this.boardViews = [];
+
+    if (this.multiBoardGrid) {
+      this.multiBoardGrid.remove();
+      this.multiBoardGrid = null;
+    }
+  }
+
+  /**
+   * 异步加载词库包并显示加载进度；离线且没有缓存时继续使用内置单词表
+   */
+  loadLexicon() {
+    const validator = this.validator;
+    if (!validator.language.lexicon) {
+      // 这种语言没有词库包，只使用语言包自带的单词表
+      this.updateLexiconStatus('');
+      this.lexiconReady = Promise.resolve(null);
+      return this.lexiconReady;
+    }
+
+    const loader = new LexiconLoader({
+      baseUrl: validator.language.lexicon,
+      onProgress: ({ loaded, total }) => this.updateLexiconStatus(`词库加载中 ${loaded}/${total}`)
+    });
+
+    this.updateLexiconStatus('词库加载中…');
+    this.lexiconReady = validator.loadLexicon(loader).then(result => {
+      // 加载期间切换了语言，结果已经没有用了
+      if (validator !== this.validator) return result;
+
+      this.updateLexiconStatus(result.source === 'embedded' ? '离线：使用内置词库' : '');
+      return result;
+    });
+    return this.lexiconReady;
+  }
+
+  /**
+   * 按当前语言的答案列表创建每日谜题
+   */
+  createDailyPuzzle() {
+    const language = this.validator.language;
+    return new DailyPuzzle(language.daily, { firstPuzzleNumber: language.dailyStart });
+  }
+
+  /**
+   * 按当前设置创建单词验证器
+   */
+  createValidator(wordLength) {
+    const settings = this.stateManager.getSettings();
+    const answerPolicy = Object.prototype.hasOwnProperty.call(ANSWER_POLICIES, settings.answerPolicy)
+      ? settings.answerPolicy
+      : DEFAULT_ANSWER_POLICY;
+    return new WordValidator({ wordLength, language: this.getLanguageSetting(), answerPolicy });
+  }
+
+  /**
+   * 切换答案规则并开始新游戏（每日谜题的答案顺序不受答案规则影响）
+   */
+  setAnswerPolicy(policy) {
+    this.updateSettings({ answerPolicy: policy });
+    this.validator.setAnswerPolicy(policy);
+    this.startNewGame();
+  }
+
+  /**
+   * 读取设置中的答案难度，不支持时不限难度
+   */
+  getDifficultySetting() {
+    const difficulty = this.stateManager.getSettings().difficulty;
+    return DIFFICULTY_LEVELS.includes(difficulty) ? difficulty : null;
+  }
+
+  /**
+   * 切换答案难度（null 表示不限难度）并开始新游戏
+   */
+  setDifficulty(difficulty) {
+    this.updateSettings({ difficulty: normalizeDifficulty(difficulty) });
+    this.startNewGame();
+  }
+
+  /**
+   * 读取设置中的语言，不支持时使用默认语言
+   */
+  getLanguageSetting() {
+    const language = this.stateManager.getSettings().language;
+    return Object.prototype.hasOwnProperty.call(LANGUAGE_PACKS, language) ? language : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * 读取设置中的单词长度，当前语言没有这个长度的单词表时使用5个字母
+   */
+  getWordLengthSetting() {
+    const wordLength = this.stateManager.getSettings().wordLength || 5;
+    return LANGUAGE_PACKS[this.getLanguageSetting()].supportsWordLength(wordLength) ? wordLength : 5;
+  }
+
+  /**
+   * 切换语言：重新创建单词验证器、每日谜题和键盘布局，更新可以选择的单词长度，然后开始新游戏
+   */
+  setLanguage(language) {
+    this.updateSettings({ language });
+    this.rebuildLanguageComponents();
+    this.updateSettingsControls();
+    this.startNewGame();
+  }
+
+  /**
+   * 按当前设置重新创建单词验证器、每日谜题、词典和键盘布局
+   */
+  rebuildLanguageComponents() {
+    const wordLength = this.getWordLengthSetting();
+    this.validator = this.createValidator(wordLength);
+    this.dailyPuzzle = this.createDailyPuzzle();
+    this.dictionary = new Dictionary({ url: this.validator.language.dictionary });
+    this.keyboard.setLanguage(this.validator.language);
+
+    if (this.options.loadLexicon) {
+      this.loadLexicon();
+    } else {
+      this.updateLexiconStatus('');
+    }
+  }
+
+  /**
+   * 更新词库加载状态（空字符串时隐藏）
+   */
+  updateLexiconStatus(message) {
+    if (this.lexiconStatusElement) {
+      this.lexiconStatusElement.textContent = message;
+      this.lexiconStatusElement.classList.toggle('hidden', !message);
+    }
+  }
+
+  /**
+   * 获取仍在接收输入的棋盘（多棋盘模式下跳过已解开的棋盘）
+   */
+  getActiveBoards() {
+    if (!this.isMultiBoard()) {
+      return [this.board];
+    }
+    return this.boardViews.filter((view, index) => this.game.boards[index].gameStatus === 'playing');
+  }
+
+  /**
+   * 获取当前模式对应的统计
+   */
+  getCurrentStatistics() {
+    if (this.isMultiBoard()) {
+      return this.stateManager.getBoardCountStatistics(this.game.boardCount);
+    }
+    return this.stateManager.getStatistics(this.game ? this.game.wordLength : null);
+  }
+
+  /**
+   * 开始今天的每日谜题
+   */
+  startDailyGame() {
+    let puzzle;
+    try {
+      puzzle = this.dailyPuzzle.getPuzzle();
+    } catch (error) {
+      this.board.showError(error.message);
+      return;
+    }
+
+    // 每种语言的每日谜题每天只能完成一次
+    const language = this.validator.language.id;
+    if (this.stateManager.hasCompletedDaily(puzzle.puzzleNumber, language)) {
+      const result = this.stateManager.getDailyResult(puzzle.puzzleNumber, language);
+      this.board.showError(`每日谜题 #${puzzle.puzzleNumber} 今天已经完成了`);
+      this.showDailyCompletedModal(result);
+      return;
+    }
+
+    // 今天的每日谜题还在进行时继续它，不重新开始
+    this.hideGameOverModal();
+    const savedGame = this.stateManager.getCurrentGame();
+    if (savedGame && savedGame.mode === 'daily' && savedGame.gameStatus === 'playing'
+      && savedGame.puzzleNumber === puzzle.puzzleNumber && (savedGame.language || DEFAULT_LANGUAGE) === language) {
+      this.restoreGame(savedGame);
+      return;
+    }
+
+    this.startNewGame({
+      wordLength: 5,
+      mode: 'daily',
+      puzzleNumber: puzzle.puzzleNumber,
+      targetWord: puzzle.word
+    });
+  }
+
+  /**
+   * 获取当前模式的状态前缀
+   */
+  getModeLabel() {
+    const difficultyLabel = this.game && this.game.difficulty ? `${DIFFICULTY_NAMES[this.game.difficulty]}难度 · ` : '';
+    if (this.game && this.game.mode === 'daily') {
+      return `每日谜题 #${this.game.puzzleNumber} · `;
+    }
+    if (this.game && this.game.mode === 'absurdle') {
+      return 'Absurdle · ';
+    }
+    if (this.game && this.game.mode === 'fibble') {
+      return `Fibble · ${difficultyLabel}`;
+    }
+    if (this.game && this.game.mode === 'marathon') {
+      const marathon = this.stateManager.getMarathon();
+      const remaining = marathon ? marathon.remainingGuesses - this.game.guesses.length : 0;
+      const wordNumber = marathon ? marathon.words.length + 1 : 1;
+      return `马拉松 · 第 ${wordNumber} 个单词 · 总共剩余 ${remaining} 次 · `;
+    }
+    if (this.timedSession && this.game && this.game.mode === 'countdown') {
+      return `倒计时 · 已猜中 ${this.timedSession.getSolvedCount()} 个 · `;
+    }
+    if (this.timedSession && this.game && this.game.mode === 'speedrun') {
+      return `竞速 ${this.timedSession.results.length + 1}/${this.timedSession.targetWords.length} · `;
+    }
+    return difficultyLabel;
+  }
+
+  /**
+   * 键盘是否显示字母状态（Fibble 的反馈含有谎言，键盘不显示）
+   */
+  showsKeyboardState() {
+    return this.game.mode !== 'fibble';
+  }
+
   /**
    * 处理按键输入
    */
   handleKeyPress(key) {
-    if (!this.game || this.game.gameStatus !== 'playing') {
+    if (this.readOnly || !this.game || this.game.gameStatus !== 'playing' || this.game.isPaused()) {
       return;
     }
+    this.markPlaying();
 
     switch (key) {
       case 'BACK':
@@ -201,17 +1145,21 @@ export class WordleController {
    * 处理全局键盘输入
    */
   handleGlobalKeyPress(event) {
-    if (!this.game || this.game.gameStatus !== 'playing') {
+    if (this.readOnly || !this.game || this.game.gameStatus !== 'playing' || this.game.isPaused()) {
       return;
     }
 
+    // 按当前语言包转换输入的字母（例如法语 é 输入为 E）
+    const letter = this.validator.language.normalizeLetter(event.key);
+
     // 阻止默认行为，避免页面滚动等
-    if (event.key.match(/^[a-zA-Z]$/) || event.key === 'Enter' || event.key === 'Backspace') {
+    if (letter || event.key === 'Enter' || event.key === 'Backspace') {
       event.preventDefault();
+      this.markPlaying();
     }
 
-    if (event.key.match(/^[a-zA-Z]$/)) {
-      this.handleLetter(event.key.toUpperCase());
+    if (letter) {
+      this.handleLetter(letter);
     } else if (event.key === 'Enter') {
       this.handleSubmit();
     } else if (event.key === 'Backspace') {
@@ -223,9 +1171,10 @@ export class WordleController {
    * 处理字母输入
    */
   handleLetter(letter) {
+    this.hideSuggestions();
     if (this.game.addLetter(letter)) {
-      this.board.addLetter(letter);
-      this.updateStatus(`输入第 ${this.game.currentGuess.length}/5 个字母`);
+      this.getActiveBoards().forEach(board => board.addLetter(letter));
+      this.updateStatus(`输入第 ${this.game.currentGuess.length}/${this.game.wordLength} 个字母`);
     }
   }
 
@@ -233,9 +1182,10 @@ export class WordleController {
    * 处理删除
    */
   handleBackspace() {
+    this.hideSuggestions();
     if (this.game.removeLetter()) {
-      this.board.removeLetter();
-      this.updateStatus(`输入第 ${this.game.currentGuess.length}/5 个字母`);
+      this.getActiveBoards().forEach(board => board.removeLetter());
+      this.updateStatus(`输入第 ${this.game.currentGuess.length}/${this.game.wordLength} 个字母`);
     }
   }
 
@@ -244,19 +1194,77 @@ export class WordleController {
    */
   clearCurrentGuess() {
     // 清除游戏中的当前猜测
+    const activeBoards = this.getActiveBoards();
     while (this.game.currentGuess.length > 0) {
       this.game.removeLetter();
-      this.board.removeLetter();
+      activeBoards.forEach(board => board.removeLetter());
+    }
+    this.updateStatus(`输入${this.game.wordLength}个字母的单词`);
+  }
+
+  /**
+   * 过滤掉困难模式下不能使用的建议
+   */
+  getPlayableSuggestions(words) {
+    if (!this.game.hardMode) return words;
+    return words.filter(word => !this.game.getHardModeViolation(word));
+  }
+
+  /**
+   * 显示拼写建议，点击后替换当前输入
+   */
+  showSuggestions(words) {
+    if (!this.suggestionElement) return;
+
+    this.suggestionElement.innerHTML = '';
+    if (words.length === 0) {
+      this.suggestionElement.classList.add('hidden');
+      return;
     }
-    this.updateStatus('输入5个字母的单词');
+
+    const label = document.createElement('span');
+    label.textContent = '你是不是想输入：';
+    this.suggestionElement.appendChild(label);
+
+    words.forEach(word => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'suggestion-chip';
+      chip.dataset.word = word;
+      chip.textContent = word;
+      chip.addEventListener('click', () => this.applySuggestion(word));
+      this.suggestionElement.appendChild(chip);
+    });
+    this.suggestionElement.classList.remove('hidden');
+  }
+
+  /**
+   * 隐藏拼写建议
+   */
+  hideSuggestions() {
+    if (!this.suggestionElement) return;
+    this.suggestionElement.innerHTML = '';
+    this.suggestionElement.classList.add('hidden');
+  }
+
+  /**
+   * 用建议的单词替换当前输入（需要玩家再按回车提交）
+   */
+  applySuggestion(word) {
+    if (this.game.gameStatus !== 'playing' || this.game.isPaused()) return;
+
+    this.clearCurrentGuess();
+    word.split('').forEach(letter => this.handleLetter(letter));
+    this.hideSuggestions();
+    this.updateStatus(`按回车提交 ${word}`);
   }
 
   /**
    * 处理提交
    */
   handleSubmit() {
-    if (this.game.currentGuess.length !== 5) {
-      this.board.showError('请输入5个字母');
+    if (this.game.currentGuess.length !== this.game.wordLength) {
+      this.board.showError(`请输入${this.game.wordLength}个字母`);
       return;
     }
 
@@ -264,34 +1272,92 @@ export class WordleController {
     const validation = this.validator.validateWord(word);
 
     if (!validation.valid) {
+      // 保留当前输入，显示拼写相近的单词供玩家替换
       this.board.showError(validation.reason || '不是有效的单词');
-      // 清除当前猜测，让用户可以重新输入
-      this.clearCurrentGuess();
+      this.showSuggestions(this.getPlayableSuggestions(validation.suggestions || []));
       return;
     }
 
-    // 提交猜测到游戏逻辑
+    // 困难模式：检查是否使用了已揭示的提示
+    if (this.game.hardMode) {
+      const violation = this.game.getHardModeViolation(word);
+      if (violation) {
+        this.board.showError(violation);
+        return;
+      }
+    }
+
+    // 提交猜测到游戏引擎（状态管理器通过引擎事件记录）
     const gameResult = this.game.submitGuess(word);
     if (!gameResult) {
       this.board.showError('提交失败');
       return;
     }
 
-    // 提交猜测到状态管理器
-    const gameState = this.stateManager.submitGuess(word);
-
     // 显示结果
     const currentRow = this.game.guesses.length - 1;
-    const result = this.game.evaluateGuess(word, this.game.targetWord);
-    this.board.showGuessResult(currentRow, result, word);
+    if (this.isMultiBoard()) {
+      this.showMultiBoardResult(currentRow);
+    } else {
+      const result = this.game.guesses[currentRow].result;
+      this.board.showGuessResult(currentRow, result, word);
 
-    // 更新键盘状态
-    this.updateKeyboardState(word, result);
+      // 更新键盘状态
+      if (this.showsKeyboardState()) {
+        this.updateKeyboardState(word, result);
+      }
+    }
 
     // 检查游戏状态
     this.checkGameEnd();
   }
 
+  /**
+   * 在每个收到这次猜测的棋盘上显示结果，并更新分棋盘的键盘状态
+   */
+  showMultiBoardResult(rowIndex) {
+    const guess = this.game.guesses[rowIndex];
+
+    guess.results.forEach((result, index) => {
+      if (!result) return;
+
+      const view = this.boardViews[index];
+      view.showGuessResult(rowIndex, result, guess.word);
+      view.boardElement.classList.toggle('solved', this.game.boards[index].gameStatus === 'won');
+    });
+
+    this.updateMultiBoardKeyboard();
+  }
+
+  /**
+   * 多棋盘模式：按键显示每个棋盘上的字母状态
+   */
+  updateMultiBoardKeyboard() {
+    this.game.usedLetters.forEach(letter => {
+      this.keyboard.updateKeySegments(letter, this.game.getLetterStates(letter));
+    });
+  }
+
+  /**
+   * 切换困难模式（只能在一局开始前切换）
+   */
+  toggleHardMode(toggle) {
+    const hardMode = toggle.checked;
+
+    if (this.game && this.game.gameStatus === 'playing' && this.game.guesses.length > 0) {
+      toggle.checked = !hardMode;
+      this.board.showError('困难模式只能在一局开始前切换');
+      return;
+    }
+
+    this.updateSettings({ hardMode });
+
+    // 尚未猜测时立即应用到当前游戏
+    if (this.game && this.game.gameStatus === 'playing') {
+      this.game.setHardMode(hardMode);
+    }
+  }
+
   /**
    * 更新键盘状态
    */
@@ -322,14 +1388,303 @@ export class WordleController {
    * 检查游戏是否结束
    */
   checkGameEnd() {
+    if (this.timedSession && this.game.gameStatus !== 'playing') {
+      this.handleTimedGameEnd();
+      return;
+    }
+
+    if (this.game.mode === 'marathon' && this.game.gameStatus !== 'playing') {
+      this.handleMarathonWordEnd();
+      return;
+    }
+
     if (this.game.gameStatus === 'won') {
       this.handleGameWon();
     } else if (this.game.gameStatus === 'lost') {
       this.handleGameLost();
     } else {
       // 游戏继续
-      this.updateStatus(`还剩 ${this.game.maxGuesses - this.game.guesses.length} 次机会`);
+      this.updateStatus(`${this.getModeLabel()}还剩 ${this.game.maxGuesses - this.game.guesses.length} 次机会`);
+    }
+  }
+
+  /**
+   * 开始马拉松：所有单词共用一个猜测次数池，猜中后剩余的次数留给下一个单词
+   */
+  startMarathon() {
+    this.hideGameOverModal();
+    this.stopTimedSession();
+    this.stateManager.startMarathon();
+    this.startMarathonWord();
+  }
+
+  /**
+   * 开始马拉松中的下一个单词（棋盘按剩余次数重新初始化）
+   */
+  startMarathonWord() {
+    const marathon = this.stateManager.getMarathon();
+
+    this.startNewGame({
+      mode: 'marathon',
+      sessionId: marathon.id,
+      // 每个单词最多6次，次数池不足6次时以剩余次数为准
+      maxGuesses: Math.min(6, marathon.remainingGuesses)
+    });
+  }
+
+  /**
+   * 马拉松中一个单词结束：次数池用完时显示总结，否则开始下一个单词
+   */
+  handleMarathonWordEnd() {
+    const won = this.game.gameStatus === 'won';
+    const marathon = this.stateManager.getMarathon();
+    this.setInputEnabled(false);
+
+    if (!marathon || marathon.status === 'finished') {
+      const summary = this.stateManager.getMarathonSummary();
+      this.updateStatus(`马拉松结束，猜中了 ${summary.wordsSolved} 个单词`);
+      this.nextWordTimer = setTimeout(() => this.showMarathonSummary(summary), 1500);
+      return;
+    }
+
+    const message = won ? '猜中了！' : `答案是 ${this.game.targetWord}`;
+    this.updateStatus(`马拉松 · ${message} 次数池还剩 ${marathon.remainingGuesses} 次`);
+
+    // 等翻牌动画结束后开始下一个单词
+    this.nextWordTimer = setTimeout(() => this.startMarathonWord(), 1500);
+  }
+
+  /**
+   * 显示马拉松总结
+   */
+  showMarathonSummary(summary) {
+    this.nextWordTimer = null;
+    if (!this.gameOverModal) return;
+
+    const resultElement = this.gameOverModal.querySelector('#game-result');
+    const correctWordElement = this.gameOverModal.querySelector('#correct-word');
+
+    if (resultElement) {
+      resultElement.textContent = '🏃 马拉松结束';
+    }
+
+    if (correctWordElement) {
+      correctWordElement.textContent =
+        `${summary.guessPool} 次猜测中猜中了 ${summary.wordsSolved}/${summary.wordsPlayed} 个单词`;
+    }
+
+    const lines = summary.words.map((word, index) => {
+      const outcome = word.gameStatus === 'won' ? '✓' : '✗';
+      return `${index + 1}. ${word.targetWord} ${outcome} ${word.guessCount} 次`;
+    });
+    const best = this.stateManager.getBestMarathon();
+    if (best) {
+      lines.unshift(best.id === summary.id ? '🏆 新纪录！' : `最佳纪录：猜中 ${best.wordsSolved} 个单词`);
+    }
+    this.showGameReview(lines);
+
+    this.gameOverModal.classList.remove('hidden');
+  }
+
+  /**
+   * 开始计时模式会话（倒计时 / 竞速），计时模式的单词不作为可恢复的当前游戏保存
+   */
+  startTimedSession(type) {
+    this.hideGameOverModal();
+    this.stopTimedSession();
+
+    const settings = this.stateManager.getSettings();
+    const wordLength = this.getWordLengthSetting();
+    this.validator.setWordLength(wordLength);
+
+    this.timedSession = new TimedSession(this.validator.getAnswerWords(), {
+      type,
+      wordLength,
+      language: this.validator.language,
+      minutes: settings.countdownMinutes || 3
+    });
+    this.stateManager.untrackGame();
+    this.gameLock.release();
+    this.readOnly = false;
+    this.setTakeOverVisible(false);
+
+    this.setTimedControlsVisible(true);
+    this.startTimedGame();
+    this.timerInterval = setInterval(() => this.updateTimer(), 100);
+  }
+
+  /**
+   * 开始计时会话中的下一个单词
+   */
+  startTimedGame() {
+    this.nextWordTimer = null;
+    this.game = this.timedSession.nextGame();
+
+    this.setupBoards();
+    this.keyboard.reset();
+    this.updateStatus(`${this.getModeLabel()}输入${this.game.wordLength}个字母的单词`);
+    this.setInputEnabled(true);
+    this.updateTimer();
+  }
+
+  /**
+   * 计时模式中一个单词结束：记录结果，然后开始下一个单词或结束会话
+   */
+  handleTimedGameEnd() {
+    const won = this.game.gameStatus === 'won';
+    const message = won ? '猜中了！' : `答案是 ${this.game.targetWord}`;
+    this.timedSession.recordResult(this.game);
+    this.setInputEnabled(false);
+
+    if (this.timedSession.isFinished()) {
+      this.finishTimedSession();
+      return;
+    }
+
+    this.updateStatus(`${this.getModeLabel()}${message}`);
+
+    // 等翻牌动画结束后开始下一个单词
+    this.nextWordTimer = setTimeout(() => this.startTimedGame(), 1000);
+  }
+
+  /**
+   * 刷新计时器显示，倒计时到时结束会话
+   */
+  updateTimer() {
+    if (!this.timedSession) return;
+
+    const clock = this.timedSession.clock;
+    const time = this.timedSession.type === 'countdown' ? clock.getRemaining() : clock.getElapsed();
+    if (this.timerElement) {
+      this.timerElement.textContent = `⏱ ${clock.formatTime(time)}`;
+    }
+
+    if (!this.timedSession.finished && this.timedSession.isFinished()) {
+      this.finishTimedSession();
+    }
+  }
+
+  /**
+   * 暂停/继续计时
+   */
+  togglePause() {
+    if (!this.timedSession || this.timedSession.finished) return;
+
+    const pauseBtn = this.options.container.querySelector('#pause-btn');
+    if (this.timedSession.clock.isPaused()) {
+      if (!this.timedSession.resume()) return;
+      this.gameBoard.classList.remove('paused');
+      this.setInputEnabled(true);
+      if (pauseBtn) pauseBtn.textContent = '暂停';
+      this.updateStatus(`${this.getModeLabel()}继续`);
+    } else {
+      if (!this.timedSession.pause()) return;
+      this.gameBoard.classList.add('paused');
+      this.setInputEnabled(false);
+      if (pauseBtn) pauseBtn.textContent = '继续';
+      this.updateStatus(`${this.getModeLabel()}已暂停`);
+    }
+  }
+
+  /**
+   * 结束计时会话：停止计时、保存最佳成绩并显示结果
+   */
+  finishTimedSession() {
+    const session = this.timedSession;
+    session.finish();
+    this.clearTimedTimers();
+    this.updateTimer();
+    this.setInputEnabled(false);
+    this.setTimedControlsVisible(false, true);
+
+    const summary = session.getSummary();
+    const { record, isNewRecord } = this.stateManager.recordTimedResult(summary);
+    this.updateStatus(summary.type === 'countdown'
+      ? `时间到！猜中了 ${summary.solved} 个单词`
+      : `竞速结束，用时 ${session.clock.formatTime(summary.elapsed)}`);
+    this.showTimedResultModal(summary, record, isNewRecord);
+  }
+
+  /**
+   * 显示计时模式结果和最佳成绩
+   */
+  showTimedResultModal(summary, record, isNewRecord) {
+    if (!this.gameOverModal) return;
+
+    const clock = this.timedSession.clock;
+    const resultElement = this.gameOverModal.querySelector('#game-result');
+    const correctWordElement = this.gameOverModal.querySelector('#correct-word');
+
+    if (resultElement) {
+      if (summary.type === 'countdown') {
+        resultElement.textContent = '⏱ 时间到！';
+      } else {
+        resultElement.textContent = summary.completed ? '🏁 竞速完成！' : '🏁 竞速结束';
+      }
+    }
+
+    if (correctWordElement) {
+      correctWordElement.textContent = summary.type === 'countdown'
+        ? `${summary.minutes} 分钟内猜中 ${summary.solved} 个单词`
+        : `用时 ${clock.formatTime(summary.elapsed)}，猜中 ${summary.solved}/${summary.wordCount} 个单词`;
+    }
+
+    const lines = [];
+    if (isNewRecord) {
+      lines.push('🏆 新纪录！');
+    } else if (record) {
+      lines.push(summary.type === 'countdown'
+        ? `最高得分：${record.bestScore} 个`
+        : `最佳用时：${clock.formatTime(record.bestTime)}`);
+    }
+    summary.results.forEach(result => {
+      const outcome = result.gameStatus === 'won' ? `✓ ${result.guessCount} 次` : '✗';
+      lines.push(`${result.targetWord} ${outcome} ${clock.formatTime(result.elapsed)}`);
+    });
+    this.showGameReview(lines);
+
+    this.gameOverModal.classList.remove('hidden');
+  }
+
+  /**
+   * 停止并清除计时会话
+   */
+  stopTimedSession() {
+    if (!this.timedSession) return;
+
+    this.clearTimedTimers();
+    this.timedSession = null;
+    this.setTimedControlsVisible(false);
+  }
+
+  /**
+   * 清除计时器和切换单词的定时器
+   */
+  clearTimedTimers() {
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+    if (this.nextWordTimer) {
+      clearTimeout(this.nextWordTimer);
+      this.nextWordTimer = null;
+    }
+  }
+
+  /**
+   * 显示/隐藏计时器和暂停按钮（keepTimer 为true时保留最终用时）
+   */
+  setTimedControlsVisible(visible, keepTimer = false) {
+    if (this.timerElement) {
+      this.timerElement.classList.toggle('hidden', !visible && !keepTimer);
+    }
+
+    const pauseBtn = this.options.container.querySelector('#pause-btn');
+    if (pauseBtn) {
+      pauseBtn.classList.toggle('hidden', !visible);
+      pauseBtn.textContent = '暂停';
     }
+    this.gameBoard.classList.remove('paused');
   }
 
   /**
@@ -349,7 +1704,7 @@ export class WordleController {
 
     // 更新统计
     if (this.stats) {
-      this.stats.updateStats(this.stateManager.getStatistics());
+      this.stats.updateStats(this.getCurrentStatistics());
     }
   }
 
@@ -367,7 +1722,7 @@ export class WordleController {
 
     // 更新统计
     if (this.stats) {
-      this.stats.updateStats(this.stateManager.getStatistics());
+      this.stats.updateStats(this.getCurrentStatistics());
     }
   }
 
@@ -388,15 +1743,188 @@ export class WordleController {
       correctWordElement.textContent = won ? '你太厉害了！' : `答案是：${this.game.targetWord}`;
     }
 
+    if (this.game.mode === 'daily') {
+      if (resultElement) {
+        resultElement.textContent = `每日谜题 #${this.game.puzzleNumber} ${resultElement.textContent}`;
+      }
+      this.startNextPuzzleCountdown();
+    }
+
+    if (this.game.mode === 'absurdle') {
+      if (correctWordElement && !won) {
+        correctWordElement.textContent = `还剩 ${this.game.candidates.length} 个候选词，例如：${this.game.targetWord}`;
+      }
+      this.showCandidateReview();
+    }
+
+    if (this.game.mode === 'fibble') {
+      this.board.markLies(this.game.getLies());
+      this.showLieReview();
+    }
+
+    this.showAnswerDefinitions(this.isMultiBoard() ? this.game.targetWords : [this.game.targetWord]);
+    this.gameOverModal.classList.remove('hidden');
+  }
+
+  /**
+   * 在结束弹窗中显示答案的释义和例句（词典加载完成后再显示，词典中没有的单词不显示）
+   */
+  showAnswerDefinitions(words) {
+    const definitionElement = this.gameOverModal.querySelector('#word-definition');
+    if (!definitionElement) return Promise.resolve();
+
+    definitionElement.innerHTML = '';
+    definitionElement.classList.add('hidden');
+    const dictionary = this.dictionary;
+
+    return this.lookupDefinitions(words).then(definitions => {
+      // 等待期间切换了语言或关闭了弹窗
+      if (dictionary !== this.dictionary || this.gameOverModal.classList.contains('hidden')) return;
+
+      definitionElement.classList.remove('hidden');
+      words.forEach(word => {
+        if (!definitions.get(word)) return;
+        const item = document.createElement('div');
+        item.className = 'definition-item';
+        renderDefinition(item, definitions.get(word));
+        definitionElement.appendChild(item);
+      });
+      definitionElement.classList.toggle('hidden', definitionElement.children.length === 0);
+    });
+  }
+
+  /**
+   * 查询一组单词的释义，返回 Map(单词 → 词条或null)
+   */
+  async lookupDefinitions(words) {
+    const uniqueWords = Array.from(new Set(words.filter(Boolean)));
+    const entries = await Promise.all(uniqueWords.map(word => this.dictionary.lookup(word)));
+    return new Map(uniqueWords.map((word, index) => [word, entries[index]]));
+  }
+
+  /**
+   * Absurdle 赛后回顾：显示每次猜测后剩下的候选词
+   */
+  showCandidateReview() {
+    const maxShown = 10;
+    const lines = this.game.getCandidateHistory().map(entry => {
+      const remaining = entry.remaining.slice(0, maxShown).join(', ');
+      const more = entry.remaining.length > maxShown ? ' …' : '';
+      return `${entry.word} → 剩余 ${entry.remaining.length} 个：${remaining}${more}`;
+    });
+
+    this.showGameReview(lines);
+  }
+
+  /**
+   * Fibble 赛后回顾：揭示每一行说谎的格子
+   */
+  showLieReview() {
+    const stateLabels = { correct: '绿色', present: '黄色', absent: '灰色' };
+    const lines = this.game.getLies()
+      .filter(lie => lie)
+      .map(lie => {
+        const word = this.game.guesses[lie.row].word;
+        return `第${lie.row + 1}行 ${word}：第${lie.index + 1}个字母 ${lie.letter} ` +
+          `显示为${stateLabels[lie.shown]}，实际是${stateLabels[lie.actual]}`;
+      });
+
+    this.showGameReview(lines);
+  }
+
+  /**
+   * 在结束弹窗中显示赛后回顾
+   */
+  showGameReview(lines) {
+    const reviewElement = this.gameOverModal.querySelector('#game-review');
+    if (!reviewElement) return;
+
+    reviewElement.innerHTML = '';
+    lines.forEach(text => {
+      const line = document.createElement('p');
+      line.textContent = text;
+      reviewElement.appendChild(line);
+    });
+
+    reviewElement.classList.remove('hidden');
+  }
+
+  /**
+   * 显示已完成的每日谜题结果
+   */
+  showDailyCompletedModal(result) {
+    if (!this.gameOverModal || !result) return;
+
+    const resultElement = this.gameOverModal.querySelector('#game-result');
+    const correctWordElement = this.gameOverModal.querySelector('#correct-word');
+
+    if (resultElement) {
+      resultElement.textContent = `每日谜题 #${result.puzzleNumber} 已完成`;
+    }
+
+    if (correctWordElement) {
+      correctWordElement.textContent = result.gameStatus === 'won'
+        ? `你用 ${result.guessCount} 次猜中了 ${result.targetWord}`
+        : `答案是：${result.targetWord}`;
+    }
+
+    this.startNextPuzzleCountdown();
+    this.showAnswerDefinitions([result.targetWord]);
     this.gameOverModal.classList.remove('hidden');
   }
 
+  /**
+   * 在结束弹窗中显示下一期谜题倒计时
+   */
+  startNextPuzzleCountdown() {
+    const countdownElement = this.gameOverModal.querySelector('#next-puzzle-countdown');
+    if (!countdownElement) return;
+
+    const update = () => {
+      const remaining = this.dailyPuzzle.getTimeUntilNextPuzzle();
+      countdownElement.textContent = `下一个谜题：${this.dailyPuzzle.formatCountdown(remaining)}`;
+    };
+
+    this.stopNextPuzzleCountdown();
+    update();
+    countdownElement.classList.remove('hidden');
+    this.countdownTimer = setInterval(update, 1000);
+  }
+
+  /**
+   * 停止倒计时
+   */
+  stopNextPuzzleCountdown() {
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+    }
+
+    const countdownElement = this.gameOverModal
+      ? this.gameOverModal.querySelector('#next-puzzle-countdown')
+      : null;
+    if (countdownElement) {
+      countdownElement.classList.add('hidden');
+    }
+  }
+
   /**
    * 隐藏游戏结束弹窗
    */
   hideGameOverModal() {
+    this.stopNextPuzzleCountdown();
     if (this.gameOverModal) {
       this.gameOverModal.classList.add('hidden');
+
+      const reviewElement = this.gameOverModal.querySelector('#game-review');
+      if (reviewElement) {
+        reviewElement.classList.add('hidden');
+      }
+
+      const definitionElement = this.gameOverModal.querySelector('#word-definition');
+      if (definitionElement) {
+        definitionElement.classList.add('hidden');
+      }
     }
   }
 
@@ -405,8 +1933,15 @@ export class WordleController {
    */
   showDetailedStats() {
     if (this.stats) {
-      this.stats.showDetailedStats(this.stateManager.getStatistics());
+      const history = this.stateManager.getGameHistory();
+      this.stats.showDetailedStats(this.getCurrentStatistics(), history);
+
+      // 最近的游戏在词典加载完成后补上答案的释义
+      const words = [];
+      history.forEach(game => words.push(...String(game.targetWord || '').split(', ')));
+      return this.lookupDefinitions(words).then(definitions => this.stats.showDefinitions(definitions));
     }
+    return Promise.resolve();
   }
 
   /**
@@ -415,6 +1950,22 @@ export class WordleController {
   showHint() {
     if (!this.game || this.game.gameStatus !== 'playing') return;
 
+    if (this.isMultiBoard()) {
+      this.board.showError('多棋盘模式不支持提示');
+      return;
+    }
+
+    if (this.game.mode === 'absurdle') {
+      this.board.showError('Absurdle 模式没有固定答案，不支持提示');
+      return;
+    }
+
+    // Fibble 的键盘不显示字母状态，按键盘状态给的提示总是第一个字母
+    if (this.game.mode === 'fibble') {
+      this.board.showError('Fibble 模式每行都有一个谎言，不支持提示');
+      return;
+    }
+
     // 简单提示：显示一个正确位置的字母
     const targetWord = this.game.targetWord;
     const hints = [];
@@ -478,6 +2029,9 @@ export class WordleController {
     if (newSettings.animations !== undefined) {
       // 更新组件动画设置
       this.board.options.animations = newSettings.animations;
+      this.boardViews.forEach(view => {
+        view.options.animations = newSettings.animations;
+      });
     }
   }
 
@@ -494,9 +2048,16 @@ export class WordleController {
    */
   destroy() {
     // 清理组件
+    this.clearMultiBoards();
     if (this.board) this.board.destroy();
     if (this.keyboard) this.keyboard.destroy();
     if (this.stats) this.stats.destroy();
+    this.stopNextPuzzleCountdown();
+    this.stopTimedSession();
+    if (this.stateManager) this.stateManager.disconnect();
+    if (this.gameLock) this.gameLock.disconnect();
+    if (this.profileManager) this.profileManager.disconnect();
+    if (this.tabSync) this.tabSync.close();
 
     // 清理事件监听器
     this.removeEventListeners();
@@ -1,48 +1,145 @@
+import { createConstraints } from './WordConstraints.js';
+import { getLanguagePack } from './LanguagePack.js';
+import { normalizeDifficulty } from './WordDifficulty.js';
+
+export const MIN_WORD_LENGTH = 4;
+export const MAX_WORD_LENGTH = 8;
+
+// 单词列表中没有对应长度的单词、语言包也没有默认目标词时使用的默认目标词
+export const DEFAULT_TARGET_WORDS = {
+  4: 'WORD',
+  5: 'WORLD',
+  6: 'PLAYER',
+  7: 'PUZZLES',
+  8: 'ALPHABET'
+};
+
 /**
- * Wordle游戏核心逻辑类
+ * Wordle游戏核心逻辑类 - 唯一负责规则和状态转换的游戏引擎
+ *
+ * 状态变化通过事件通知外部（例如 GameStateManager 负责持久化和统计）：
+ * - start:  新一局开始
+ * - change: 当前输入或设置变化
+ * - guess:  提交了一次猜测
+ * - end:    游戏结束（won / lost）
  */
 export class WordleGame {
-  constructor(wordList = []) {
+  constructor(wordList = [], options = {}) {
+    const wordLength = options.wordLength || 5;
+    if (wordLength < MIN_WORD_LENGTH || wordLength > MAX_WORD_LENGTH) {
+      throw new Error(`单词长度必须在${MIN_WORD_LENGTH}到${MAX_WORD_LENGTH}之间`);
+    }
+
+    this.options = { ...options };
     this.wordList = wordList;
     this.targetWord = '';
     this.currentGuess = '';
     this.guesses = [];
-    this.maxGuesses = 6;
-    this.wordLength = 5;
+    this.maxGuesses = options.maxGuesses || 6;
+    this.wordLength = wordLength;
     this.gameStatus = 'playing'; // playing, won, lost
+    this.hardMode = Boolean(options.hardMode);
+    this.mode = options.mode || 'classic'; // classic, daily, absurdle, fibble, countdown, speedrun, marathon
+    this.puzzleNumber = options.puzzleNumber || null;
+    this.difficulty = normalizeDifficulty(options.difficulty); // 目标词的难度等级（null 表示不限难度）
+    this.sessionId = options.sessionId || null; // 所属的多单词会话（例如马拉松）
+    this.clock = options.clock || null; // 计时模式共用的 GameClock
+    this.language = getLanguagePack(options.language); // 字母表、大写和反馈规则
+    this.fixedTargetWord = options.targetWord ? this.language.normalizeWord(options.targetWord) : null;
     this.usedLetters = new Set();
+    this.listeners = new Map();
     this.initializeGame();
+
+    // 恢复已保存的游戏时沿用原来的ID和开始时间
+    if (options.id) this.id = options.id;
+    if (options.startTime) this.startTime = options.startTime;
   }
 
   /**
    * 初始化游戏
    */
   initializeGame() {
-    this.targetWord = this.selectRandomWord();
+    this.id = this.generateGameId();
+    this.targetWord = this.fixedTargetWord || this.selectRandomWord();
     this.currentGuess = '';
     this.guesses = [];
     this.gameStatus = 'playing';
+    this.startTime = Date.now();
+    this.endTime = null;
     this.usedLetters.clear();
+    this.emit('start');
+  }
+
+  /**
+   * 生成游戏ID
+   */
+  generateGameId() {
+    return `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * 订阅游戏事件，返回取消订阅的函数
+   */
+  on(eventName, callback) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set());
+    }
+    this.listeners.get(eventName).add(callback);
+    return () => this.off(eventName, callback);
+  }
+
+  /**
+   * 取消订阅游戏事件
+   */
+  off(eventName, callback) {
+    const callbacks = this.listeners.get(eventName);
+    if (callbacks) {
+      callbacks.delete(callback);
+    }
+  }
+
+  /**
+   * 触发游戏事件
+   */
+  emit(eventName, detail = {}) {
+    const callbacks = this.listeners.get(eventName);
+    if (!callbacks || callbacks.size === 0) return;
+
+    const event = { type: eventName, state: this.getGameState(), ...detail };
+    callbacks.forEach(callback => callback(event));
   }
 
   /**
    * 选择随机目标单词
    */
   selectRandomWord() {
-    if (this.wordList.length === 0) {
-      return 'WORLD'; // 默认单词
+    const candidates = this.wordList.filter(word => word.length === this.wordLength);
+    if (candidates.length === 0) {
+      return this.getDefaultTargetWord();
     }
-    const randomIndex = Math.floor(Math.random() * this.wordList.length);
-    return this.wordList[randomIndex].toUpperCase();
+    const randomIndex = Math.floor(Math.random() * candidates.length);
+    return this.language.normalizeWord(candidates[randomIndex]);
   }
 
   /**
-   * 添加字母到当前猜测
+   * 获取默认目标单词（优先使用语言包的默认单词）
+   */
+  getDefaultTargetWord() {
+    return this.language.getDefaultWord(this.wordLength) || DEFAULT_TARGET_WORDS[this.wordLength];
+  }
+
+  /**
+   * 添加字母到当前猜测（按语言包规则大写和折叠，不属于字母表的字符会被忽略）
    */
   addLetter(letter) {
-    if (this.gameStatus !== 'playing') return false;
+    if (this.gameStatus !== 'playing' || this.isPaused()) return false;
+
+    const normalizedLetter = this.language.normalizeLetter(letter);
+    if (!normalizedLetter) return false;
+
     if (this.currentGuess.length < this.wordLength) {
-      this.currentGuess += letter.toUpperCase();
+      this.currentGuess += normalizedLetter;
+      this.emit('change');
       return true;
     }
     return false;
@@ -52,9 +149,10 @@ export class WordleGame {
    * 删除最后一个字母
    */
   removeLetter() {
-    if (this.gameStatus !== 'playing') return false;
+    if (this.gameStatus !== 'playing' || this.isPaused()) return false;
     if (this.currentGuess.length > 0) {
       this.currentGuess = this.currentGuess.slice(0, -1);
+      this.emit('change');
       return true;
     }
     return false;
@@ -64,17 +162,17 @@ export class WordleGame {
    * 提交猜测
    */
   submitGuess() {
-    if (this.gameStatus !== 'playing') return false;
+    if (this.gameStatus !== 'playing' || this.isPaused()) return false;
     if (this.currentGuess.length !== this.wordLength) return false;
 
     // 验证是否是有效单词
     if (!this.isValidWord(this.currentGuess)) return false;
 
-    const result = this.evaluateGuess(this.currentGuess);
-    this.guesses.push({
-      word: this.currentGuess,
-      result: result
-    });
+    // 困难模式：必须使用已揭示的提示
+    if (this.hardMode && this.getHardModeViolation(this.currentGuess)) return false;
+
+    const guess = this.createGuess(this.currentGuess);
+    this.guesses.push(guess);
 
     // 更新已使用字母
     this.currentGuess.split('').forEach(letter => {
@@ -87,16 +185,92 @@ export class WordleGame {
     // 清空当前猜测
     this.currentGuess = '';
 
+    this.emit('guess', { guess });
+    if (this.gameStatus !== 'playing') {
+      this.emit('end');
+    }
+
+    return true;
+  }
+
+  /**
+   * 生成一次猜测记录（子类可以在这里调整显示给玩家的反馈）
+   */
+  createGuess(word) {
+    const guess = {
+      word,
+      result: this.evaluateGuess(word),
+      timestamp: Date.now()
+    };
+
+    // 计时模式记录猜测时时钟上的用时
+    if (this.clock) {
+      guess.elapsed = this.clock.getElapsed();
+    }
+    return guess;
+  }
+
+  /**
+   * 游戏时钟是否暂停
+   */
+  isPaused() {
+    return Boolean(this.clock && this.clock.isPaused());
+  }
+
+  /**
+   * 暂停游戏时钟（暂停期间不接受输入）
+   */
+  pause() {
+    if (!this.clock || this.gameStatus !== 'playing' || !this.clock.pause()) return false;
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * 继续游戏时钟
+   */
+  resume() {
+    if (!this.clock || !this.clock.resume()) return false;
+    this.emit('change');
     return true;
   }
 
   /**
-   * 评估猜测结果
+   * 切换困难模式（只能在第一次猜测之前切换）
    */
-  evaluateGuess(guess) {
+  setHardMode(enabled) {
+    if (this.guesses.length > 0) return false;
+    this.hardMode = Boolean(enabled);
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * 恢复已保存的进度（不重新验证已提交的猜测）
+   */
+  restoreProgress(guesses = [], currentGuess = '') {
+    this.guesses = guesses.map(guess => this.copyGuess(guess));
+
+    this.usedLetters.clear();
+    this.guesses.forEach(guess => {
+      guess.word.split('').forEach(letter => this.usedLetters.add(letter));
+    });
+
+    this.gameStatus = 'playing';
+    this.checkGameStatus();
+
+    this.currentGuess = this.gameStatus === 'playing'
+      ? this.language.normalizeWord(currentGuess).slice(0, this.wordLength)
+      : '';
+  }
+
+  /**
+   * 评估猜测结果（默认与当前目标单词比较，语言包中等价的字母视为相同）
+   */
+  evaluateGuess(guess, targetWord = this.targetWord) {
     const result = new Array(this.wordLength).fill('absent');
-    const targetLetters = this.targetWord.split('');
-    const guessLetters = guess.split('');
+    const targetLetters = targetWord.split('').map(letter => this.language.feedbackLetter(letter));
+    const guessLetters = guess.split('').map(letter => this.language.feedbackLetter(letter));
 
     // 第一遍：标记正确位置的字母
     for (let i = 0; i < this.wordLength; i++) {
@@ -121,24 +295,82 @@ export class WordleGame {
     return result;
   }
 
+  /**
+   * 根据已有猜测的反馈生成单词约束（可交给 WordValidator.findWords 查找可能的答案）
+   */
+  getConstraints() {
+    return createConstraints(this.guesses);
+  }
+
+  /**
+   * 检查困难模式约束，返回第一条违反的规则（没有违反时返回null）
+   * 绿色字母必须保持在原位置，黄色字母必须在猜测中再次使用
+   */
+  getHardModeViolation(guess) {
+    const feedbackWord = (word) => word.split('').map(letter => this.language.feedbackLetter(letter)).join('');
+    const upperGuess = feedbackWord(this.language.normalizeWord(guess));
+    const requiredCounts = new Map();
+
+    for (const previous of this.guesses) {
+      const rowCounts = new Map();
+      const previousWord = feedbackWord(previous.word);
+
+      for (let i = 0; i < previousWord.length; i++) {
+        const letter = previousWord[i];
+        const status = previous.result[i];
+
+        if (status === 'correct' && upperGuess[i] !== letter) {
+          return `第${i + 1}个字母必须是 ${letter}`;
+        }
+        if (status === 'correct' || status === 'present') {
+          rowCounts.set(letter, (rowCounts.get(letter) || 0) + 1);
+        }
+      }
+
+      rowCounts.forEach((count, letter) => {
+        requiredCounts.set(letter, Math.max(requiredCounts.get(letter) || 0, count));
+      });
+    }
+
+    for (const [letter, required] of requiredCounts) {
+      const actual = upperGuess.split('').filter(l => l === letter).length;
+      if (actual < required) {
+        return required > 1 ? `猜测中必须包含 ${required} 个 ${letter}` : `猜测中必须包含 ${letter}`;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * 检查游戏状态
    */
   checkGameStatus() {
     const lastGuess = this.guesses[this.guesses.length - 1];
-    if (lastGuess && lastGuess.word === this.targetWord) {
+    if (lastGuess && this.isTargetWord(lastGuess.word)) {
       this.gameStatus = 'won';
+      this.endTime = Date.now();
     } else if (this.guesses.length >= this.maxGuesses) {
       this.gameStatus = 'lost';
+      this.endTime = Date.now();
     }
   }
 
+  /**
+   * 检查单词是否就是目标单词（语言包中等价的字母视为相同）
+   */
+  isTargetWord(word, targetWord = this.targetWord) {
+    if (word.length !== targetWord.length) return false;
+    return word.split('').every((letter, index) =>
+      this.language.feedbackLetter(letter) === this.language.feedbackLetter(targetWord[index]));
+  }
+
   /**
    * 验证单词是否有效
    */
   isValidWord(word) {
-    // 简单验证：5个字母，只包含字母
-    return /^[A-Z]{5}$/.test(word);
+    // 简单验证：长度等于单词长度，只包含语言包字母表中的字母
+    return word.length === this.wordLength && this.language.isWord(word);
   }
 
   /**
@@ -146,22 +378,38 @@ export class WordleGame {
    */
   getGameState() {
     return {
+      id: this.id,
       targetWord: this.targetWord,
       currentGuess: this.currentGuess,
-      guesses: this.guesses,
+      guesses: this.guesses.map(guess => this.copyGuess(guess)),
       gameStatus: this.gameStatus,
       maxGuesses: this.maxGuesses,
       wordLength: this.wordLength,
+      hardMode: this.hardMode,
+      mode: this.mode,
+      language: this.language.id,
+      difficulty: this.difficulty,
+      puzzleNumber: this.puzzleNumber,
+      sessionId: this.sessionId,
       usedLetters: Array.from(this.usedLetters),
-      remainingGuesses: this.maxGuesses - this.guesses.length
+      remainingGuesses: this.maxGuesses - this.guesses.length,
+      startTime: this.startTime,
+      endTime: this.endTime
     };
   }
 
+  /**
+   * 复制一次猜测记录，避免外部修改引擎内部状态
+   */
+  copyGuess(guess) {
+    return { ...guess, result: [...guess.result] };
+  }
+
   /**
    * 获取字母状态
    */
   getLetterStatus(letter) {
-    const upperLetter = letter.toUpperCase();
+    const upperLetter = this.language.normalizeLetter(letter) || letter;
 
     // 检查所有猜测中的字母状态
     for (const guess of this.guesses) {
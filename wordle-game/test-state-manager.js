@@ -20,6 +20,7 @@ Object.defineProperty(global, 'localStorage', {
 });
 
 import { GameStateManager } from './src/js/GameStateManager.js';
+import { WordleGame } from './src/js/WordleGame.js';
 
 class TestRunner {
   constructor() {
@@ -74,31 +75,16 @@ class TestRunner {
       this.assertEquals(manager.state.achievements, []);
     });
 
-    this.test('initializeNewGame should create new game with default word', () => {
-      const game = manager.initializeNewGame();
-      this.assertTrue(game.id !== undefined);
-      this.assertEquals(game.targetWord, 'WORLD');
-      this.assertEquals(game.gameStatus, 'playing');
-      this.assertEquals(game.guesses, []);
-      this.assertEquals(game.maxGuesses, 6);
-      this.assertEquals(game.wordLength, 5);
-    });
-
-    this.test('initializeNewGame should create new game with word from list', () => {
-      const wordList = ['HELLO', 'WORLD', 'GAMES'];
-      const game = manager.initializeNewGame(wordList);
-      this.assertTrue(wordList.includes(game.targetWord));
-    });
-
-    this.test('generateGameId should generate unique game IDs', () => {
-      const id1 = manager.generateGameId();
-      const id2 = manager.generateGameId();
-      this.assertTrue(id1 !== id2);
-      this.assertTrue(/^game_\d+_[a-z0-9]+$/.test(id1));
+    this.test('trackGame should record engine state as current game', () => {
+      const game = new WordleGame([], { targetWord: 'HELLO' });
+      const current = manager.trackGame(game);
+      this.assertEquals(current.id, game.id);
+      this.assertEquals(current.targetWord, 'HELLO');
+      this.assertEquals(current.gameStatus, 'playing');
     });
 
     this.test('updateCurrentGame should update current game state', () => {
-      manager.initializeNewGame();
+      manager.trackGame(new WordleGame());
       const updates = { currentGuess: 'HELLO' };
       const updated = manager.updateCurrentGame(updates);
       this.assertEquals(updated.currentGuess, 'HELLO');
@@ -117,67 +103,18 @@ class TestRunner {
       this.assertTrue(threwError);
     });
 
-    this.test('submitGuess should submit valid guess', () => {
-      manager.initializeNewGame(['HELLO']);
-      manager.state.currentGame.targetWord = 'HELLO';
-
-      const game = manager.submitGuess('HELLO');
-      this.assertEquals(game.guesses.length, 1);
-      this.assertEquals(game.guesses[0].word, 'HELLO');
-      this.assertEquals(game.guesses[0].result, ['correct', 'correct', 'correct', 'correct', 'correct']);
-      this.assertEquals(game.gameStatus, 'won');
-    });
-
-    this.test('submitGuess should throw error if no current game', () => {
-      manager.state.currentGame = null;
-      let threwError = false;
-      try {
-        manager.submitGuess('TEST');
-      } catch (error) {
-        threwError = true;
-        this.assertEquals(error.message, '游戏未在进行中');
-      }
-      this.assertTrue(threwError);
-    });
-
-    this.test('evaluateGuess should evaluate guess correctly', () => {
-      const result = manager.evaluateGuess('WORLD', 'HELLO');
-      this.assertEquals(result, ['absent', 'present', 'absent', 'correct', 'absent']);
-    });
-
-    this.test('evaluateGuess should return all correct for perfect guess', () => {
-      const result = manager.evaluateGuess('HELLO', 'HELLO');
-      this.assertEquals(result, ['correct', 'correct', 'correct', 'correct', 'correct']);
-    });
-
-    this.test('checkGameStatus should set status to won for correct guess', () => {
-      const game = {
-        targetWord: 'HELLO',
-        guesses: [{
-          word: 'HELLO',
-          result: ['correct', 'correct', 'correct', 'correct', 'correct']
-        }],
-        maxGuesses: 6
-      };
-
-      manager.checkGameStatus(game);
-      this.assertEquals(game.gameStatus, 'won');
-      this.assertTrue(game.endTime !== undefined);
-    });
+    this.test('engine guesses should be recorded through events', () => {
+      const game = new WordleGame(['HELLO'], { targetWord: 'HELLO' });
+      manager.trackGame(game);
+      game.currentGuess = 'HELLO';
+      game.submitGuess();
 
-    this.test('checkGameStatus should set status to lost when max guesses reached', () => {
-      const game = {
-        targetWord: 'HELLO',
-        guesses: Array(6).fill({
-          word: 'WRONG',
-          result: ['absent', 'absent', 'absent', 'absent', 'absent']
-        }),
-        maxGuesses: 6
-      };
-
-      manager.checkGameStatus(game);
-      this.assertEquals(game.gameStatus, 'lost');
-      this.assertTrue(game.endTime !== undefined);
+      const current = manager.getCurrentGame();
+      this.assertEquals(current.guesses.length, 1);
+      this.assertEquals(current.guesses[0].word, 'HELLO');
+      this.assertEquals(current.guesses[0].result, ['correct', 'correct', 'correct', 'correct', 'correct']);
+      this.assertEquals(current.gameStatus, 'won');
+      this.assertEquals(manager.state.statistics.gamesWon, 1);
     });
 
     this.test('getStatistics should return statistics with calculated values', () => {
@@ -203,7 +140,7 @@ class TestRunner {
     });
 
     this.test('should save and load state from localStorage', () => {
-      manager.initializeNewGame(['TEST']);
+      manager.trackGame(new WordleGame(['TESTS']));
       const saved = localStorage.getItem('wordleGameState');
       this.assertTrue(saved !== undefined);
       this.assertTrue(JSON.parse(saved).currentGame !== undefined);
@@ -223,7 +160,7 @@ class TestRunner {
     });
 
     this.test('should reset all data', () => {
-      manager.initializeNewGame(['TEST']);
+      manager.trackGame(new WordleGame(['TESTS']));
       manager.state.statistics.gamesPlayed = 10;
       manager.resetAll();
 
@@ -233,7 +170,7 @@ class TestRunner {
     });
 
     this.test('should export and import state', () => {
-      manager.initializeNewGame(['TEST']);
+      manager.trackGame(new WordleGame(['TESTS']));
       manager.state.statistics.gamesPlayed = 5;
 
       const exported = manager.exportState();
@@ -0,0 +1,71 @@
+import { TabSync } from '../../src/js/TabSync.js';
+
+/**
+ * 最小的 BroadcastChannel 模拟：同名的频道互相收到消息（发送者自己收不到）
+ */
+export function createFakeBroadcastChannel() {
+  const channels = [];
+  return class FakeBroadcastChannel {
+    constructor(name) {
+      this.name = name;
+      this.onmessage = null;
+      channels.push(this);
+    }
+
+    postMessage(data) {
+      channels
+        .filter(channel => channel !== this && channel.name === this.name && channel.onmessage)
+        .forEach(channel => channel.onmessage({ data }));
+    }
+
+    close() {
+      channels.splice(channels.indexOf(this), 1);
+    }
+  };
+}
+
+/**
+ * 共用一个 localStorage 的窗口模拟：值变化时只有其他窗口收到 storage 事件（与浏览器相同）
+ */
+export function createFakeStorageWindows(count) {
+  const items = new Map();
+  const windows = [];
+
+  Array.from({ length: count }).forEach(() => {
+    const win = {
+      listeners: [],
+      localStorage: {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+          const oldValue = items.has(key) ? items.get(key) : null;
+          const newValue = String(value);
+          items.set(key, newValue);
+          if (oldValue === newValue) return;
+
+          windows
+            .filter(other => other !== win)
+            .forEach(other => other.listeners.forEach(listener => listener({ key, oldValue, newValue })));
+        }
+      },
+      addEventListener: (type, listener) => {
+        if (type === 'storage') {
+          win.listeners.push(listener);
+        }
+      },
+      removeEventListener: (type, listener) => {
+        win.listeners = win.listeners.filter(other => other !== listener);
+      }
+    };
+    windows.push(win);
+  });
+
+  return windows;
+}
+
+/**
+ * 创建共用一个模拟频道的多个标签页
+ */
+export function createTabs(count) {
+  const Channel = createFakeBroadcastChannel();
+  return Array.from({ length: count }, () => new TabSync({ BroadcastChannel: Channel }));
+}
@@ -0,0 +1,108 @@
+import { AbsurdleGame } from '../../src/js/AbsurdleGame.js';
+
+describe('AbsurdleGame', () => {
+  const testWordList = ['WORLD', 'HELLO', 'GAMES', 'CODES', 'TODAY', 'PLANT', 'STORM', 'BRAVE'];
+
+  const play = (game, word) => {
+    word.split('').forEach(letter => game.addLetter(letter));
+    return game.submitGuess();
+  };
+
+  describe('constructor', () => {
+    test('should not fix a target word at the start', () => {
+      const game = new AbsurdleGame(testWordList);
+      expect(game.mode).toBe('absurdle');
+      expect(game.targetWord).toBe('');
+      expect(game.candidates).toHaveLength(testWordList.length);
+    });
+
+    test('should ignore a provided target word', () => {
+      const game = new AbsurdleGame(testWordList, { targetWord: 'HELLO' });
+      expect(game.targetWord).toBe('');
+    });
+
+    test('should fall back to the default word when no candidates match', () => {
+      const game = new AbsurdleGame(testWordList, { wordLength: 4 });
+      expect(game.candidates).toEqual(['WORD']);
+    });
+  });
+
+  describe('narrowCandidates', () => {
+    test('should keep the largest feedback group', () => {
+      const game = new AbsurdleGame(['AAAAA', 'BBBBB', 'CCCCC', 'ABCDE']);
+      const result = game.narrowCandidates('AAAAA');
+
+      // AAAAA 单独一组、ABCDE 单独一组，BBBBB 和 CCCCC 全灰一组最大
+      expect(result).toEqual(['absent', 'absent', 'absent', 'absent', 'absent']);
+      expect(game.candidates).toEqual(['BBBBB', 'CCCCC']);
+    });
+
+    test('should prefer fewer green letters when groups are the same size', () => {
+      const game = new AbsurdleGame(['ABCDE', 'ABXYZ']);
+      const result = game.narrowCandidates('ABCDE');
+
+      expect(result).toEqual(['correct', 'correct', 'absent', 'absent', 'absent']);
+      expect(game.candidates).toEqual(['ABXYZ']);
+    });
+  });
+
+  describe('submitGuess', () => {
+    test('should score guesses against the kept group', () => {
+      const game = new AbsurdleGame(testWordList);
+      expect(play(game, 'HELLO')).toBe(true);
+
+      const guess = game.guesses[0];
+      game.candidates.forEach(candidate => {
+        expect(game.evaluateGuess('HELLO', candidate)).toEqual(guess.result);
+      });
+    });
+
+    test('should only be won once the player corners the game', () => {
+      const game = new AbsurdleGame(['ABCDE']);
+      play(game, 'ABCDE');
+      expect(game.gameStatus).toBe('won');
+    });
+
+    test('should never let the first guess win while other candidates remain', () => {
+      const game = new AbsurdleGame(testWordList);
+      play(game, 'WORLD');
+      expect(game.gameStatus).toBe('playing');
+      expect(game.candidates).not.toContain('WORLD');
+    });
+
+    test('should allow eight guesses by default', () => {
+      const game = new AbsurdleGame(testWordList);
+      expect(game.maxGuesses).toBe(8);
+    });
+  });
+
+  describe('getCandidateHistory', () => {
+    test('should record the remaining candidates after each guess', () => {
+      const game = new AbsurdleGame(testWordList);
+      play(game, 'HELLO');
+      play(game, 'STORM');
+
+      const history = game.getCandidateHistory();
+      expect(history).toHaveLength(2);
+      expect(history[0].word).toBe('HELLO');
+      expect(history[0].result).toEqual(game.guesses[0].result);
+      expect(history[1].remaining).toEqual(game.candidates);
+      expect(history[0].remaining.length).toBeGreaterThanOrEqual(history[1].remaining.length);
+    });
+  });
+
+  describe('restoreProgress', () => {
+    test('should rebuild candidates from saved guesses', () => {
+      const original = new AbsurdleGame(testWordList);
+      play(original, 'HELLO');
+      const state = original.getGameState();
+
+      const restored = new AbsurdleGame(testWordList);
+      restored.restoreProgress(state.guesses, '');
+
+      expect(restored.candidates).toEqual(original.candidates);
+      expect(restored.getCandidateHistory()).toEqual(original.getCandidateHistory());
+      expect(restored.getGameState().remainingCandidates).toBe(state.remainingCandidates);
+    });
+  });
+});
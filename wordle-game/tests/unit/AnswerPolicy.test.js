@@ -0,0 +1,50 @@
+import { ANSWER_POLICIES, AnswerPolicy, WORD_TAGS, getAnswerPolicy } from '../../src/js/AnswerPolicy.js';
+
+describe('AnswerPolicy', () => {
+  const tagged = (...tags) => ({ frequency: null, partOfSpeech: null, tags });
+
+  test('should keep guess-only tags out of the answers', () => {
+    const policy = ANSWER_POLICIES.standard;
+    expect(policy.allowsAnswer(tagged('food'))).toBe(true);
+    expect(policy.allowsAnswer(tagged(WORD_TAGS.PROPER_NOUN))).toBe(false);
+    expect(policy.allowsAnswer(tagged('food', WORD_TAGS.PLURAL))).toBe(false);
+    expect(policy.allowsGuess(tagged(WORD_TAGS.PROPER_NOUN))).toBe(true);
+  });
+
+  test('should block guesses with blocked tags', () => {
+    const policy = ANSWER_POLICIES.family;
+    expect(policy.allowsGuess(tagged(WORD_TAGS.OFFENSIVE))).toBe(false);
+    expect(policy.allowsAnswer(tagged(WORD_TAGS.OFFENSIVE))).toBe(false);
+    expect(ANSWER_POLICIES.standard.allowsGuess(tagged(WORD_TAGS.OFFENSIVE))).toBe(true);
+  });
+
+  test('should allow words without metadata', () => {
+    expect(ANSWER_POLICIES.standard.allowsAnswer(null)).toBe(true);
+    expect(ANSWER_POLICIES.family.allowsGuess(undefined)).toBe(true);
+  });
+
+  test('should let the relaxed policy use plurals and past tense', () => {
+    const policy = ANSWER_POLICIES.relaxed;
+    expect(policy.allowsAnswer(tagged(WORD_TAGS.PLURAL, WORD_TAGS.PAST_TENSE, WORD_TAGS.OBSCURE))).toBe(true);
+    expect(policy.allowsAnswer(tagged(WORD_TAGS.PROPER_NOUN))).toBe(false);
+  });
+
+  describe('getAnswerPolicy', () => {
+    test('should return built-in policies by id and default to standard', () => {
+      expect(getAnswerPolicy()).toBe(ANSWER_POLICIES.standard);
+      expect(getAnswerPolicy('family')).toBe(ANSWER_POLICIES.family);
+      expect(getAnswerPolicy(ANSWER_POLICIES.relaxed)).toBe(ANSWER_POLICIES.relaxed);
+    });
+
+    test('should create policies from definitions', () => {
+      const policy = getAnswerPolicy({ guessOnlyTags: ['slang'] });
+      expect(policy).toBeInstanceOf(AnswerPolicy);
+      expect(policy.allowsAnswer(tagged('slang'))).toBe(false);
+      expect(getAnswerPolicy(policy.toJSON()).toJSON()).toEqual(policy.toJSON());
+    });
+
+    test('should reject unknown policies', () => {
+      expect(() => getAnswerPolicy('strict')).toThrow('不支持的答案规则: strict');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { DailyPuzzle } from '../../src/js/DailyPuzzle.js';
+import { SeededRandom } from '../../src/js/SeededRandom.js';
+
+describe('DailyPuzzle', () => {
+  const answers = ['HELLO', 'WORLD', 'GAMES', 'CODES', 'TODAY', 'APPLE', 'BRAIN'];
+  let puzzle;
+
+  beforeEach(() => {
+    puzzle = new DailyPuzzle(answers, { epoch: new Date(2025, 0, 1) });
+  });
+
+  describe('getPuzzleNumber', () => {
+    test('should start at puzzle 1 on the epoch date', () => {
+      expect(puzzle.getPuzzleNumber(new Date(2025, 0, 1, 0, 0, 1))).toBe(1);
+      expect(puzzle.getPuzzleNumber(new Date(2025, 0, 1, 23, 59, 59))).toBe(1);
+    });
+
+    test('should increase by one per calendar day', () => {
+      expect(puzzle.getPuzzleNumber(new Date(2025, 0, 2))).toBe(2);
+      expect(puzzle.getPuzzleNumber(new Date(2025, 1, 1))).toBe(32);
+    });
+  });
+
+  describe('getWordForDate', () => {
+    test('should return the same word for the same day', () => {
+      const morning = puzzle.getWordForDate(new Date(2025, 0, 5, 8));
+      const evening = puzzle.getWordForDate(new Date(2025, 0, 5, 22));
+      expect(morning).toBe(evening);
+    });
+
+    test('should use the daily words in their order', () => {
+      expect(puzzle.getWordForDate(new Date(2025, 0, 1))).toBe('HELLO');
+      expect(puzzle.getWordForDate(new Date(2025, 0, 3))).toBe('GAMES');
+      expect(puzzle.getWordForDate(new Date(2025, 0, 7))).toBe('BRAIN');
+    });
+
+    test('should start the list at its first puzzle number', () => {
+      const later = new DailyPuzzle(answers, { epoch: new Date(2025, 0, 1), firstPuzzleNumber: 657 });
+      expect(later.getWordForDate(new Date(2026, 9, 19))).toBe('HELLO');
+      expect(later.getWordForDate(new Date(2026, 9, 20))).toBe('WORLD');
+      expect(() => later.getWordForDate(new Date(2026, 9, 18))).toThrow('没有第 656 期每日谜题的答案');
+    });
+
+    test('should keep earlier puzzles when words are appended', () => {
+      const dates = Array.from({ length: answers.length }, (_, day) => new Date(2025, 0, 1 + day));
+      const before = dates.map(date => puzzle.getWordForDate(date));
+
+      const appended = new DailyPuzzle([...answers, 'PLANT'], { epoch: new Date(2025, 0, 1) });
+      expect(dates.map(date => appended.getWordForDate(date))).toEqual(before);
+      expect(appended.getWordForDate(new Date(2025, 0, 8))).toBe('PLANT');
+    });
+
+    test('should fail instead of repeating answers once the list runs out', () => {
+      expect(() => puzzle.getWordForDate(new Date(2025, 0, 8))).toThrow('每日谜题的答案已用完，没有第 8 期的答案');
+      expect(() => new DailyPuzzle([]).getWordForDate()).toThrow('每日谜题的答案已用完');
+    });
+  });
+
+  describe('getPuzzle', () => {
+    test('should include puzzle number, word and local date', () => {
+      const info = puzzle.getPuzzle(new Date(2025, 0, 3, 12));
+      expect(info.puzzleNumber).toBe(3);
+      expect(answers).toContain(info.word);
+      expect(info.date).toBe('2025-01-03');
+    });
+  });
+
+  describe('countdown', () => {
+    test('should count down to local midnight', () => {
+      const now = new Date(2025, 0, 1, 23, 0, 0);
+      expect(puzzle.getTimeUntilNextPuzzle(now)).toBe(60 * 60 * 1000);
+    });
+
+    test('should format countdown as HH:MM:SS', () => {
+      expect(puzzle.formatCountdown(3723000)).toBe('01:02:03');
+      expect(puzzle.formatCountdown(-5)).toBe('00:00:00');
+    });
+  });
+
+  describe('SeededRandom', () => {
+    test('should produce the same sequence for the same seed', () => {
+      const a = new SeededRandom('seed');
+      const b = new SeededRandom('seed');
+      expect([a.next(), a.next(), a.next()]).toEqual([b.next(), b.next(), b.next()]);
+    });
+
+    test('should shuffle without losing items', () => {
+      const shuffled = new SeededRandom(42).shuffle(answers);
+      expect([...shuffled].sort()).toEqual([...answers].sort());
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import { Dictionary, parseDictionary, renderDefinition } from '../../src/js/Dictionary.js';
+import { WordValidator } from '../../src/js/WordValidator.js';
+
+describe('Dictionary', () => {
+  const dictionaryText = JSON.stringify({
+    words: [
+      { word: 'crane', partOfSpeech: 'noun', definition: 'A tall bird with long legs.', gloss: '鹤', example: 'A crane stood in the water.' }
+    ]
+  });
+
+  const respond = (text) => Promise.resolve({ ok: true, text: () => Promise.resolve(text) });
+
+  beforeEach(() => {
+    localStorage.clear();
+    global.fetch.mockReset();
+  });
+
+  describe('parseDictionary', () => {
+    test('should index entries by upper-case word', () => {
+      const entries = parseDictionary(dictionaryText);
+      expect(entries.get('CRANE')).toEqual({
+        partOfSpeech: 'noun',
+        definition: 'A tall bird with long legs.',
+        gloss: '鹤',
+        example: 'A crane stood in the water.'
+      });
+    });
+
+    test('should reject other formats', () => {
+      expect(() => parseDictionary('{}')).toThrow('词典包格式错误');
+    });
+  });
+
+  describe('lookup', () => {
+    test('should only download the pack on the first lookup', async () => {
+      global.fetch.mockImplementation(() => respond(dictionaryText));
+      const dictionary = new Dictionary({ url: 'dictionary/en.json' });
+      expect(global.fetch).not.toHaveBeenCalled();
+
+      const entry = await dictionary.lookup('crane');
+      await dictionary.lookup('SLATE');
+
+      expect(entry.word).toBe('CRANE');
+      expect(entry.gloss).toBe('鹤');
+      expect(await dictionary.lookup('SLATE')).toBeNull();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith('dictionary/en.json');
+    });
+
+    test('should use the cached pack when offline', async () => {
+      global.fetch.mockImplementation(() => respond(dictionaryText));
+      await new Dictionary({ url: 'dictionary/en.json' }).lookup('CRANE');
+
+      global.fetch.mockImplementation(() => Promise.reject(new Error('offline')));
+      const offline = new Dictionary({ url: 'dictionary/en.json' });
+      expect((await offline.lookup('CRANE')).definition).toBe('A tall bird with long legs.');
+    });
+
+    test('should return null without a pack or cache', async () => {
+      global.fetch.mockImplementation(() => Promise.reject(new Error('offline')));
+      expect(await new Dictionary({ url: 'dictionary/en.json' }).lookup('CRANE')).toBeNull();
+
+      global.fetch.mockReset();
+      expect(await new Dictionary().lookup('CRANE')).toBeNull();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renderDefinition', () => {
+    test('should show the word, definition and example', () => {
+      const element = document.createElement('div');
+      element.classList.add('hidden');
+      renderDefinition(element, { word: 'CRANE', ...parseDictionary(dictionaryText).get('CRANE') });
+
+      expect(element.classList.contains('hidden')).toBe(false);
+      expect(element.querySelector('.definition-headline').textContent).toBe('CRANE · 名词 · 鹤');
+      expect(element.querySelector('.definition-example').textContent).toBe('“A crane stood in the water.”');
+
+      renderDefinition(element, null);
+      expect(element.classList.contains('hidden')).toBe(true);
+      expect(element.children).toHaveLength(0);
+    });
+  });
+
+  describe('bundled pack', () => {
+    test('should define every built-in answer', () => {
+      const entries = parseDictionary(fs.readFileSync(path.resolve('public/dictionary/en.json'), 'utf8'));
+      const validator = new WordValidator();
+
+      [4, 5, 6, 7, 8].forEach(wordLength => {
+        validator.getAnswerWords(wordLength).forEach(word => {
+          const entry = entries.get(word);
+          expect(entry).toBeDefined();
+          expect(entry.definition && entry.gloss && entry.example).toBeTruthy();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { FibbleGame } from '../../src/js/FibbleGame.js';
+
+describe('FibbleGame', () => {
+  const testWordList = ['WORLD', 'HELLO', 'GAMES', 'CODES', 'TODAY'];
+
+  const play = (game, word) => {
+    word.split('').forEach(letter => game.addLetter(letter));
+    return game.submitGuess();
+  };
+
+  const createGame = (options = {}) => new FibbleGame(testWordList, {
+    targetWord: 'HELLO',
+    seed: 'test-seed',
+    ...options
+  });
+
+  describe('constructor', () => {
+    test('should use fibble mode with nine guesses', () => {
+      const game = createGame();
+      expect(game.mode).toBe('fibble');
+      expect(game.maxGuesses).toBe(9);
+      expect(game.seed).toBe('test-seed');
+    });
+
+    test('should generate a seed when none is given', () => {
+      const game = new FibbleGame(testWordList);
+      expect(game.seed).toBeTruthy();
+    });
+
+    test('should not allow hard mode', () => {
+      const game = createGame({ hardMode: true });
+      expect(game.hardMode).toBe(false);
+      expect(game.setHardMode(true)).toBe(false);
+    });
+  });
+
+  describe('lies', () => {
+    test('should change exactly one tile per row', () => {
+      const game = createGame();
+      ['WORLD', 'GAMES', 'CODES'].forEach(word => play(game, word));
+
+      game.guesses.forEach(guess => {
+        const differences = guess.result.filter((state, index) => state !== guess.trueResult[index]);
+        expect(differences).toHaveLength(1);
+        expect(guess.result[guess.lieIndex]).not.toBe(guess.trueResult[guess.lieIndex]);
+        expect(guess.trueResult).toEqual(game.evaluateGuess(guess.word));
+      });
+    });
+
+    test('should replay the same lies for the same seed', () => {
+      const first = createGame();
+      const second = createGame();
+      ['WORLD', 'GAMES'].forEach(word => {
+        play(first, word);
+        play(second, word);
+      });
+
+      expect(second.guesses.map(guess => guess.result)).toEqual(first.guesses.map(guess => guess.result));
+      expect(second.getLies()).toEqual(first.getLies());
+    });
+
+    test('should not lie on the winning row', () => {
+      const game = createGame();
+      play(game, 'HELLO');
+
+      expect(game.gameStatus).toBe('won');
+      expect(game.guesses[0].result).toEqual(['correct', 'correct', 'correct', 'correct', 'correct']);
+      expect(game.getLies()).toEqual([null]);
+    });
+  });
+
+  describe('getLies', () => {
+    test('should describe the lying tile of each row', () => {
+      const game = createGame();
+      play(game, 'WORLD');
+
+      const [lie] = game.getLies();
+      const guess = game.guesses[0];
+      expect(lie).toEqual({
+        row: 0,
+        index: guess.lieIndex,
+        letter: 'WORLD'[guess.lieIndex],
+        shown: guess.result[guess.lieIndex],
+        actual: guess.trueResult[guess.lieIndex]
+      });
+    });
+  });
+
+  describe('getGameState', () => {
+    test('should include the seed and true results for restoring', () => {
+      const game = createGame();
+      play(game, 'WORLD');
+
+      const state = game.getGameState();
+      const restored = createGame({ seed: state.seed });
+      restored.restoreProgress(state.guesses, '');
+
+      expect(state.seed).toBe('test-seed');
+      expect(restored.getLies()).toEqual(game.getLies());
+    });
+  });
+});
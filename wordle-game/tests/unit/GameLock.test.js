@@ -0,0 +1,78 @@
+import { GameLock } from '../../src/js/GameLock.js';
+import { createTabs } from '../helpers/tabs.js';
+
+describe('GameLock', () => {
+  let first;
+  let second;
+
+  beforeEach(() => {
+    const [firstTab, secondTab] = createTabs(2);
+    first = new GameLock({ sync: firstTab, onLost: jest.fn() });
+    second = new GameLock({ sync: secondTab, onLost: jest.fn() });
+  });
+
+  test('should keep the lock with the tab that is playing', () => {
+    first.request('state');
+    first.claim('state');
+
+    // 新打开的标签页不能接管正在进行的游戏
+    second.request('state');
+    expect(first.holds('state')).toBe(true);
+    expect(first.options.onLost).not.toHaveBeenCalled();
+    expect(second.holds('state')).toBe(false);
+    expect(second.options.onLost).toHaveBeenCalledWith('state');
+  });
+
+  test('should move the lock when the user continues in another tab', () => {
+    first.claim('state');
+    second.request('state');
+
+    second.claim('state');
+    expect(second.holds('state')).toBe(true);
+    expect(first.holds('state')).toBe(false);
+    expect(first.options.onLost).toHaveBeenCalledWith('state');
+  });
+
+  test('should let tabs share the lock until one of them is played', () => {
+    first.request('state');
+    second.request('state');
+    expect(first.holds('state')).toBe(true);
+    expect(second.holds('state')).toBe(true);
+
+    second.claim('state');
+    expect(first.holds('state')).toBe(false);
+    expect(first.options.onLost).toHaveBeenCalledTimes(1);
+  });
+
+  test('should ignore other saves', () => {
+    first.claim('state:alice');
+    second.request('state:bob');
+    second.claim('state:bob');
+
+    expect(first.holds('state:alice')).toBe(true);
+    expect(second.holds('state:bob')).toBe(true);
+    expect(first.options.onLost).not.toHaveBeenCalled();
+    expect(second.options.onLost).not.toHaveBeenCalled();
+  });
+
+  test('should not answer after release or disconnect', () => {
+    first.claim('state');
+    first.release();
+    second.request('state');
+    expect(second.holds('state')).toBe(true);
+
+    second.claim('state');
+    second.disconnect();
+    first.claim('state');
+    expect(second.holds('state')).toBe(true);
+    expect(second.options.onLost).not.toHaveBeenCalled();
+  });
+
+  test('should always hold the lock without other tabs', () => {
+    const lock = new GameLock();
+    lock.request('state');
+    expect(lock.holds('state')).toBe(true);
+    lock.claim('state');
+    expect(lock.active).toBe(true);
+  });
+});
@@ -1,4 +1,6 @@
 import { GameStateManager } from '../../src/js/GameStateManager.js';
+import { WordleGame } from '../../src/js/WordleGame.js';
+import { MultiBoardGame } from '../../src/js/MultiBoardGame.js';
 
 describe('GameStateManager', () => {
   let manager;
@@ -19,41 +21,62 @@ describe('GameStateManager', () => {
     });
   });
 
-  describe('initializeNewGame', () => {
-    test('should create new game with default word if no word list', () => {
-      const game = manager.initializeNewGame();
-      expect(game.id).toBeDefined();
-      expect(game.targetWord).toBe('WORLD');
-      expect(game.gameStatus).toBe('playing');
-      expect(game.guesses).toEqual([]);
-      expect(game.maxGuesses).toBe(6);
-      expect(game.wordLength).toBe(5);
+  describe('trackGame', () => {
+    let game;
+
+    beforeEach(() => {
+      game = new WordleGame(['HELLO'], { targetWord: 'HELLO' });
     });
 
-    test('should create new game with word from list', () => {
-      const wordList = ['HELLO', 'WORLD', 'GAMES'];
-      const game = manager.initializeNewGame(wordList);
-      expect(wordList).toContain(game.targetWord);
+    test('should record the engine state as current game', () => {
+      const current = manager.trackGame(game);
+      expect(current.id).toBe(game.id);
+      expect(current.targetWord).toBe('HELLO');
+      expect(current.gameStatus).toBe('playing');
+      expect(manager.getCurrentGame()).toBe(current);
     });
 
-    test('should set current game to new game', () => {
-      const game = manager.initializeNewGame();
-      expect(manager.state.currentGame).toBe(game);
+    test('should persist typed letters and guesses from engine events', () => {
+      manager.trackGame(game);
+      game.currentGuess = 'WORL';
+      game.addLetter('D');
+      expect(manager.getCurrentGame().currentGuess).toBe('WORLD');
+
+      game.submitGuess();
+      const current = manager.getCurrentGame();
+      expect(current.guesses).toHaveLength(1);
+      expect(current.guesses[0].word).toBe('WORLD');
+      expect(current.guesses[0].timestamp).toBeDefined();
+      expect(current.currentGuess).toBe('');
     });
-  });
 
-  describe('generateGameId', () => {
-    test('should generate unique game IDs', () => {
-      const id1 = manager.generateGameId();
-      const id2 = manager.generateGameId();
-      expect(id1).not.toBe(id2);
-      expect(id1).toMatch(/^game_\d+_[a-z0-9]+$/);
+    test('should finalize the game when the engine ends it', () => {
+      manager.trackGame(game);
+      game.currentGuess = 'HELLO';
+      game.submitGuess();
+
+      expect(manager.getCurrentGame().gameStatus).toBe('won');
+      expect(manager.state.statistics.gamesPlayed).toBe(1);
+      expect(manager.state.statistics.gamesWon).toBe(1);
+      expect(manager.getGameHistory()[0].id).toBe(game.id);
+    });
+
+    test('should stop listening to the previous game', () => {
+      manager.trackGame(game);
+      const nextGame = new WordleGame(['WORLD'], { targetWord: 'WORLD' });
+      manager.trackGame(nextGame);
+
+      game.currentGuess = 'HELLO';
+      game.submitGuess();
+
+      expect(manager.getCurrentGame().id).toBe(nextGame.id);
+      expect(manager.state.statistics.gamesPlayed).toBe(0);
     });
   });
 
   describe('updateCurrentGame', () => {
     test('should update current game state', () => {
-      manager.initializeNewGame();
+      manager.trackGame(new WordleGame());
       const updates = { currentGuess: 'HELLO' };
       const updated = manager.updateCurrentGame(updates);
       expect(updated.currentGuess).toBe('HELLO');
@@ -66,100 +89,24 @@ describe('GameStateManager', () => {
     });
   });
 
-  describe('submitGuess', () => {
-    beforeEach(() => {
-      manager.initializeNewGame(['HELLO']);
-      manager.state.currentGame.targetWord = 'HELLO';
-    });
-
-    test('should submit valid guess', () => {
-      const game = manager.submitGuess('HELLO');
-      expect(game.guesses).toHaveLength(1);
-      expect(game.guesses[0].word).toBe('HELLO');
-      expect(game.guesses[0].result).toEqual(['correct', 'correct', 'correct', 'correct', 'correct']);
-      expect(game.gameStatus).toBe('won');
-    });
-
-    test('should throw error if no current game', () => {
-      manager.state.currentGame = null;
-      expect(() => manager.submitGuess('TEST'))
-        .toThrow('游戏未在进行中');
-    });
-
-    test('should throw error if game not playing', () => {
-      manager.state.currentGame.gameStatus = 'won';
-      expect(() => manager.submitGuess('TEST'))
-        .toThrow('游戏未在进行中');
-    });
-
-    test('should update used letters', () => {
-      manager.submitGuess('HELLO');
-      expect(manager.state.currentGame.usedLetters.has('H')).toBe(true);
-      expect(manager.state.currentGame.usedLetters.has('E')).toBe(true);
-      expect(manager.state.currentGame.usedLetters.has('L')).toBe(true);
-      expect(manager.state.currentGame.usedLetters.has('O')).toBe(true);
-    });
-  });
-
-  describe('evaluateGuess', () => {
-    test('should evaluate guess correctly', () => {
-      const result = manager.evaluateGuess('WORLD', 'HELLO');
-      expect(result).toEqual(['absent', 'present', 'absent', 'correct', 'absent']);
-    });
-
-    test('should return all correct for perfect guess', () => {
-      const result = manager.evaluateGuess('HELLO', 'HELLO');
-      expect(result).toEqual(['correct', 'correct', 'correct', 'correct', 'correct']);
-    });
-  });
-
-  describe('checkGameStatus', () => {
-    test('should set status to won for correct guess', () => {
-      const game = {
-        targetWord: 'HELLO',
-        guesses: [{
-          word: 'HELLO',
-          result: ['correct', 'correct', 'correct', 'correct', 'correct']
-        }],
-        maxGuesses: 6
-      };
-
-      manager.checkGameStatus(game);
-      expect(game.gameStatus).toBe('won');
-      expect(game.endTime).toBeDefined();
-    });
-
-    test('should set status to lost when max guesses reached', () => {
+  describe('finalizeGame', () => {
+    test('should only count the same game once', () => {
       const game = {
+        id: 'same-game',
         targetWord: 'HELLO',
-        guesses: Array(6).fill({
-          word: 'WRONG',
-          result: ['absent', 'absent', 'absent', 'absent', 'absent']
-        }),
-        maxGuesses: 6
+        gameStatus: 'won',
+        guesses: [{ word: 'HELLO', result: [] }],
+        startTime: Date.now() - 1000,
+        endTime: Date.now()
       };
 
-      manager.checkGameStatus(game);
-      expect(game.gameStatus).toBe('lost');
-      expect(game.endTime).toBeDefined();
-    });
-
-    test('should keep playing if game not finished', () => {
-      const game = {
-        targetWord: 'HELLO',
-        guesses: [{
-          word: 'WORLD',
-          result: ['absent', 'absent', 'absent', 'absent', 'absent']
-        }],
-        maxGuesses: 6
-      };
+      manager.finalizeGame(game);
+      manager.finalizeGame(game);
 
-      manager.checkGameStatus(game);
-      expect(game.gameStatus).toBe('playing');
+      expect(manager.state.statistics.gamesPlayed).toBe(1);
+      expect(manager.state.gameHistory).toHaveLength(1);
     });
-  });
 
-  describe('finalizeGame', () => {
     test('should update statistics for won game', () => {
       const game = {
         id: 'test-game',
@@ -225,6 +172,164 @@ describe('GameStateManager', () => {
     });
   });
 
+  describe('daily results', () => {
+    test('should record completed daily puzzles', () => {
+      const game = new WordleGame([], { targetWord: 'HELLO', mode: 'daily', puzzleNumber: 7 });
+      manager.trackGame(game);
+      expect(manager.hasCompletedDaily(7)).toBe(false);
+
+      game.currentGuess = 'HELLO';
+      game.submitGuess();
+
+      expect(manager.hasCompletedDaily(7)).toBe(true);
+      expect(manager.getDailyResult(7).guessCount).toBe(1);
+      expect(manager.getGameHistory()[0].puzzleNumber).toBe(7);
+    });
+
+    test('should record the daily puzzle of each language separately', () => {
+      const english = new WordleGame([], { targetWord: 'HELLO', mode: 'daily', puzzleNumber: 7 });
+      manager.trackGame(english);
+      english.currentGuess = 'HELLO';
+      english.submitGuess();
+
+      expect(manager.hasCompletedDaily(7, 'en')).toBe(true);
+      expect(manager.hasCompletedDaily(7, 'es')).toBe(false);
+
+      const spanish = new WordleGame([], { targetWord: 'MUNDO', mode: 'daily', puzzleNumber: 7, language: 'es' });
+      manager.trackGame(spanish);
+      spanish.currentGuess = 'PERRO';
+      spanish.submitGuess();
+      spanish.currentGuess = 'MUNDO';
+      spanish.submitGuess();
+
+      expect(manager.getDailyResult(7, 'es')).toMatchObject({ language: 'es', targetWord: 'MUNDO', guessCount: 2 });
+      expect(manager.getDailyResult(7).targetWord).toBe('HELLO');
+      expect(Object.keys(manager.state.dailyResults)).toEqual(['en:7', 'es:7']);
+    });
+
+    test('should record an abandoned daily puzzle as lost', () => {
+      const game = new WordleGame([], { targetWord: 'HELLO', mode: 'daily', puzzleNumber: 7 });
+      manager.trackGame(game);
+      manager.abandonCurrentGame();
+      // 还没猜过时可以重新开始
+      expect(manager.hasCompletedDaily(7)).toBe(false);
+
+      game.currentGuess = 'WORLD';
+      game.submitGuess();
+      manager.abandonCurrentGame();
+
+      expect(manager.getDailyResult(7)).toMatchObject({ gameStatus: 'lost', guessCount: 1 });
+      expect(manager.getStatistics().gamesPlayed).toBe(1);
+      expect(manager.getStatistics().currentStreak).toBe(0);
+    });
+
+    test('should not record other abandoned games', () => {
+      const game = new WordleGame([], { targetWord: 'HELLO' });
+      manager.trackGame(game);
+      game.currentGuess = 'WORLD';
+      game.submitGuess();
+      manager.abandonCurrentGame();
+
+      expect(manager.getGameHistory()).toEqual([]);
+      expect(manager.state.dailyResults).toEqual({});
+    });
+
+    test('should not record classic games as daily results', () => {
+      const game = new WordleGame([], { targetWord: 'HELLO' });
+      manager.trackGame(game);
+      game.currentGuess = 'HELLO';
+      game.submitGuess();
+      expect(manager.state.dailyResults).toEqual({});
+    });
+  });
+
+  describe('marathon', () => {
+    const playMarathonWord = (marathon, guesses, solve = true) => {
+      const game = new WordleGame(['HELLO'], {
+        mode: 'marathon',
+        sessionId: marathon.id,
+        targetWord: 'HELLO',
+        maxGuesses: Math.min(6, manager.getMarathon().remainingGuesses)
+      });
+      manager.trackGame(game);
+      for (let i = 0; i < guesses; i++) {
+        const word = solve && i === guesses - 1 ? 'HELLO' : 'WORLD';
+        word.split('').forEach(letter => game.addLetter(letter));
+        game.submitGuess();
+      }
+      return game;
+    };
+
+    test('should carry left-over guesses into the next word', () => {
+      const marathon = manager.startMarathon(10);
+      playMarathonWord(marathon, 3);
+
+      const current = manager.getMarathon();
+      expect(current.remainingGuesses).toBe(7);
+      expect(current.words).toEqual([
+        expect.objectContaining({ targetWord: 'HELLO', gameStatus: 'won', guessCount: 3 })
+      ]);
+      expect(manager.hasActiveMarathon()).toBe(true);
+    });
+
+    test('should not count marathon words in classic statistics', () => {
+      const marathon = manager.startMarathon(10);
+      playMarathonWord(marathon, 2);
+
+      expect(manager.getStatistics().gamesPlayed).toBe(0);
+      expect(manager.getGameHistory()).toHaveLength(0);
+    });
+
+    test('should finish when the guess pool runs out', () => {
+      const marathon = manager.startMarathon(8);
+      playMarathonWord(marathon, 4);
+      playMarathonWord(marathon, 4, false);
+
+      expect(manager.hasActiveMarathon()).toBe(false);
+      const summary = manager.getMarathonSummary();
+      expect(summary.wordsPlayed).toBe(2);
+      expect(summary.wordsSolved).toBe(1);
+      expect(summary.guessesUsed).toBe(8);
+      expect(manager.getBestMarathon().id).toBe(marathon.id);
+    });
+
+    test('should ignore games from another session', () => {
+      manager.startMarathon(10);
+      playMarathonWord({ id: 'other' }, 2);
+
+      expect(manager.getMarathon().words).toHaveLength(0);
+    });
+
+    test('should finish an active marathon when a new one starts', () => {
+      const first = manager.startMarathon(10);
+      playMarathonWord(first, 2);
+      manager.startMarathon(10);
+
+      expect(manager.state.marathonHistory[0].id).toBe(first.id);
+      expect(manager.getMarathon().words).toHaveLength(0);
+    });
+  });
+
+  describe('timed records', () => {
+    test('should keep the best countdown score', () => {
+      const summary = { type: 'countdown', wordLength: 5, minutes: 3, solved: 4 };
+
+      expect(manager.recordTimedResult(summary).isNewRecord).toBe(true);
+      expect(manager.recordTimedResult({ ...summary, solved: 2 }).isNewRecord).toBe(false);
+      expect(manager.getTimedRecord('countdown', { minutes: 3 }).bestScore).toBe(4);
+      expect(manager.getTimedRecord('countdown', { minutes: 5 })).toBeNull();
+    });
+
+    test('should keep the fastest completed speed-run', () => {
+      const summary = { type: 'speedrun', wordLength: 5, completed: true, elapsed: 90000 };
+
+      manager.recordTimedResult(summary);
+      expect(manager.recordTimedResult({ ...summary, elapsed: 80000 }).isNewRecord).toBe(true);
+      expect(manager.recordTimedResult({ ...summary, elapsed: 60000, completed: false }).isNewRecord).toBe(false);
+      expect(manager.getTimedRecord('speedrun').bestTime).toBe(80000);
+    });
+  });
+
   describe('checkAchievements', () => {
     test('should unlock first win achievement', () => {
       const game = {
@@ -268,6 +373,99 @@ describe('GameStateManager', () => {
       expect(stats.averageGuesses).toBeDefined();
     });
 
+    test('should track statistics per word length', () => {
+      const finishGame = (wordLength, gameStatus) => {
+        manager.finalizeGame({
+          id: `game-${wordLength}-${manager.state.gameHistory.length}`,
+          targetWord: 'X'.repeat(wordLength),
+          wordLength: wordLength,
+          gameStatus: gameStatus,
+          guesses: [{ word: 'X'.repeat(wordLength), result: [] }],
+          startTime: Date.now() - 1000,
+          endTime: Date.now()
+        });
+      };
+
+      finishGame(6, 'won');
+      finishGame(6, 'lost');
+      finishGame(5, 'won');
+
+      const sixLetterStats = manager.getStatistics(6);
+      expect(sixLetterStats.gamesPlayed).toBe(2);
+      expect(sixLetterStats.gamesWon).toBe(1);
+      expect(sixLetterStats.winPercentage).toBe(50);
+      expect(manager.getStatistics(5).gamesPlayed).toBe(1);
+      expect(manager.getStatistics(8).gamesPlayed).toBe(0);
+      expect(manager.getStatistics().gamesPlayed).toBe(3);
+    });
+
+    test('should record hard mode wins separately', () => {
+      manager.finalizeGame({
+        id: 'hard-game',
+        targetWord: 'HELLO',
+        wordLength: 5,
+        hardMode: true,
+        gameStatus: 'won',
+        guesses: [{ word: 'HELLO', result: [] }, { word: 'HELLO', result: [] }],
+        startTime: Date.now() - 1000,
+        endTime: Date.now()
+      });
+
+      const stats = manager.getStatistics();
+      expect(stats.hardModeWins).toBe(1);
+      expect(manager.state.statistics.hardModeStats.guessDistribution[1]).toBe(1);
+      expect(manager.getGameHistory()[0].hardMode).toBe(true);
+    });
+
+    test('should track games per answer difficulty', () => {
+      const finishGame = (difficulty, gameStatus, guessCount) => {
+        manager.finalizeGame({
+          id: `game-${manager.state.gameHistory.length}`,
+          targetWord: 'HELLO',
+          wordLength: 5,
+          difficulty,
+          gameStatus,
+          guesses: Array(guessCount).fill({ word: 'HELLO', result: [] }),
+          startTime: Date.now() - 1000,
+          endTime: Date.now()
+        });
+      };
+
+      finishGame('hard', 'won', 3);
+      finishGame('hard', 'won', 5);
+      finishGame('hard', 'lost', 6);
+      finishGame('easy', 'won', 2);
+      finishGame(null, 'won', 4);
+
+      const { difficultyStats } = manager.getStatistics();
+      expect(Object.keys(difficultyStats).sort()).toEqual(['easy', 'hard']);
+      expect(difficultyStats.hard.gamesPlayed).toBe(3);
+      expect(difficultyStats.hard.winPercentage).toBe(67);
+      expect(difficultyStats.hard.averageGuesses).toBe('4.0');
+      expect(difficultyStats.easy.guessDistribution[1]).toBe(1);
+      expect(manager.getStatistics().gamesPlayed).toBe(5);
+      expect(manager.getGameHistory()[0].difficulty).toBeNull();
+      expect(manager.getGameHistory()[1].difficulty).toBe('easy');
+    });
+
+    test('should track multi-board games per board count', () => {
+      const game = new MultiBoardGame(['HELLO', 'WORLD'], { boardCount: 2, targetWords: ['HELLO', 'WORLD'] });
+      manager.trackGame(game);
+      ['WORLD', 'HELLO'].forEach(word => {
+        word.split('').forEach(letter => game.addLetter(letter));
+        game.submitGuess();
+      });
+
+      const stats = manager.getBoardCountStatistics(2);
+      expect(stats.gamesPlayed).toBe(1);
+      expect(stats.gamesWon).toBe(1);
+      expect(stats.guessDistribution).toHaveLength(7);
+      expect(stats.guessDistribution[1]).toBe(1);
+      expect(manager.getBoardCountStatistics(4).gamesPlayed).toBe(0);
+      expect(manager.getStatistics().gamesPlayed).toBe(0);
+      expect(manager.getGameHistory()[0].boardCount).toBe(2);
+    });
+
     test('should handle zero games played', () => {
       const stats = manager.getStatistics();
       expect(stats.winPercentage).toBe(0);
@@ -292,7 +490,7 @@ describe('GameStateManager', () => {
 
   describe('persistence', () => {
     test('should save state to localStorage', () => {
-      manager.initializeNewGame(['TEST']);
+      manager.trackGame(new WordleGame(['TESTS']));
       const saved = localStorage.getItem('wordleGameState');
       expect(saved).toBeDefined();
       expect(JSON.parse(saved).currentGame).toBeDefined();
@@ -324,7 +522,7 @@ describe('GameStateManager', () => {
     });
 
     test('should reset all data', () => {
-      manager.initializeNewGame(['TEST']);
+      manager.trackGame(new WordleGame(['TESTS']));
       manager.state.statistics.gamesPlayed = 10;
       manager.resetAll();
 
@@ -334,7 +532,7 @@ describe('GameStateManager', () => {
     });
 
     test('should export and import state', () => {
-      manager.initializeNewGame(['TEST']);
+      manager.trackGame(new WordleGame(['TESTS']));
       manager.state.statistics.gamesPlayed = 5;
 
       const exported = manager.exportState();
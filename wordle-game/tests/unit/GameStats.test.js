@@ -0,0 +1,55 @@
+import { GameStats } from '../../src/js/GameStats.js';
+
+describe('GameStats', () => {
+  let stats;
+
+  const statistics = {
+    gamesPlayed: 1,
+    gamesWon: 1,
+    currentStreak: 1,
+    maxStreak: 1,
+    guessDistribution: [0, 0, 1, 0, 0, 0]
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="stats"></div>';
+    stats = new GameStats(document.getElementById('stats'));
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('showDetailedStats', () => {
+    test('should list recent games', () => {
+      stats.showDetailedStats(statistics, [
+        { targetWord: 'CRANE', gameStatus: 'won', guessCount: 3, date: '2026-10-19' },
+        { targetWord: 'ABBEY, CRANE', gameStatus: 'lost', guessCount: 7, date: '2026-10-18' }
+      ]);
+
+      const rows = document.querySelectorAll('.history-row');
+      expect(rows).toHaveLength(2);
+      expect(rows[0].querySelector('.history-word').textContent).toBe('CRANE');
+      expect(rows[0].querySelector('.history-result').textContent).toBe('✓ 3 次 · 2026-10-19');
+      expect(rows[1].dataset.word).toBe('ABBEY, CRANE');
+      expect(document.querySelector('.stats-history').nextElementSibling.className).toBe('stats-achievements');
+    });
+
+    test('should show imported history as text', () => {
+      const payload = '<img id="pwn" src="x" onerror="alert(1)">';
+      stats.showDetailedStats(statistics, [
+        { targetWord: payload, gameStatus: 'won', guessCount: 3, date: `"><img id="pwn-date">` }
+      ]);
+
+      expect(document.getElementById('pwn')).toBeNull();
+      expect(document.getElementById('pwn-date')).toBeNull();
+      expect(document.querySelector('.history-word').textContent).toBe(payload);
+      expect(document.querySelector('.history-row').dataset.word).toBe(payload);
+    });
+
+    test('should not list anything without history', () => {
+      stats.showDetailedStats(statistics, []);
+      expect(document.querySelector('.stats-history')).toBeNull();
+    });
+  });
+});
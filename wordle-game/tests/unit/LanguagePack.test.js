@@ -0,0 +1,118 @@
+import { LANGUAGE_PACKS, getLanguagePack } from '../../src/js/LanguagePack.js';
+import { WordValidator } from '../../src/js/WordValidator.js';
+
+describe('LanguagePack', () => {
+  describe('getLanguagePack', () => {
+    test('should return packs by id and default to English', () => {
+      expect(getLanguagePack('de').id).toBe('de');
+      expect(getLanguagePack().id).toBe('en');
+      expect(getLanguagePack(LANGUAGE_PACKS.fr)).toBe(LANGUAGE_PACKS.fr);
+    });
+
+    test('should reject unknown languages', () => {
+      expect(() => getLanguagePack('xx')).toThrow('不支持的语言: xx');
+      expect(() => getLanguagePack('toString')).toThrow('不支持的语言');
+    });
+  });
+
+  describe('normalization', () => {
+    test('should keep Ñ as its own letter and fold Spanish accents', () => {
+      const es = getLanguagePack('es');
+      expect(es.normalizeLetter('ñ')).toBe('Ñ');
+      expect(es.normalizeLetter('á')).toBe('A');
+      expect(es.normalizeWord('limón')).toBe('LIMON');
+    });
+
+    test('should uppercase ß to a single ẞ in German', () => {
+      const de = getLanguagePack('de');
+      expect(de.normalizeLetter('ß')).toBe('ẞ');
+      expect(de.normalizeWord('größe')).toBe('GRÖẞE');
+      expect(de.normalizeWord('größe')).toHaveLength(5);
+    });
+
+    test('should fold French accents', () => {
+      expect(getLanguagePack('fr').normalizeWord('élève')).toBe('ELEVE');
+    });
+
+    test('should accept decomposed accents', () => {
+      expect(getLanguagePack('de').normalizeLetter('U\u0308')).toBe('Ü');
+    });
+
+    test('should reject letters of other alphabets', () => {
+      expect(getLanguagePack('en').normalizeLetter('é')).toBeNull();
+      expect(getLanguagePack('en').normalizeLetter('Enter')).toBeNull();
+      expect(getLanguagePack('ru').normalizeLetter('a')).toBeNull();
+      expect(getLanguagePack('ru').normalizeLetter('ё')).toBe('Ё');
+    });
+
+    test('should treat Ё and Е as one letter in feedback', () => {
+      const ru = getLanguagePack('ru');
+      expect(ru.feedbackLetter('Ё')).toBe(ru.feedbackLetter('Е'));
+      expect(ru.isWord('ПОЛЁТ')).toBe(true);
+    });
+  });
+
+  describe('packs', () => {
+    test('should only contain words of their own alphabet', () => {
+      Object.values(LANGUAGE_PACKS).forEach(pack => {
+        (pack.words || []).forEach(word => {
+          expect(pack.isWord(word)).toBe(true);
+          expect(word).toHaveLength(5);
+        });
+        Object.entries(pack.defaultWords).forEach(([length, word]) => {
+          expect(pack.isWord(word)).toBe(true);
+          expect(word).toHaveLength(Number(length));
+        });
+      });
+    });
+
+    test('should only support word lengths that have a word list', () => {
+      expect([4, 5, 6, 7, 8].every(length => LANGUAGE_PACKS.en.supportsWordLength(length))).toBe(true);
+      Object.values(LANGUAGE_PACKS).filter(pack => pack.words).forEach(pack => {
+        expect(pack.supportsWordLength(5)).toBe(true);
+        expect(pack.supportsWordLength(6)).toBe(false);
+      });
+    });
+
+    test('should list daily words that can be guessed, each once', () => {
+      Object.values(LANGUAGE_PACKS).forEach(pack => {
+        const validator = new WordValidator({ language: pack.id });
+        expect(pack.daily.length).toBeGreaterThan(0);
+        expect(new Set(pack.daily).size).toBe(pack.daily.length);
+        pack.daily.forEach(word => expect(validator.isValidWord(word)).toBe(true));
+      });
+    });
+
+    test('should keep the published daily answers', () => {
+      // 已经发布的谜题不能改变：只能在 daily 列表末尾追加单词
+      Object.values(LANGUAGE_PACKS).forEach(pack => expect(pack.dailyStart).toBe(657));
+      expect(LANGUAGE_PACKS.en.daily.slice(0, 3)).toEqual(['ANGER', 'HEART', 'SHARE']);
+      expect(LANGUAGE_PACKS.en.daily[143]).toBe('TABLE');
+      expect(LANGUAGE_PACKS.es.daily.slice(0, 3)).toEqual(['CARTA', 'BAÑOS', 'AÑEJO']);
+      expect(LANGUAGE_PACKS.de.daily[0]).toBe('FEUER');
+      expect(LANGUAGE_PACKS.fr.daily[0]).toBe('ECOLE');
+      expect(LANGUAGE_PACKS.ru.daily[0]).toBe('КНИГА');
+    });
+
+    test('should put every letter on the keyboard once', () => {
+      Object.values(LANGUAGE_PACKS).forEach(pack => {
+        const keys = pack.keyboard.join('').split('');
+        expect(new Set(keys).size).toBe(keys.length);
+        expect(keys.sort()).toEqual(pack.alphabet.split('').sort());
+      });
+    });
+
+    test('should add enter and backspace to the last keyboard row', () => {
+      const rows = getLanguagePack('fr').getKeyboardLayout();
+      expect(rows[0][0]).toBe('A');
+      expect(rows[2][0]).toBe('ENTER');
+      expect(rows[2][rows[2].length - 1]).toBe('BACK');
+    });
+
+    test('should find adjacent keys', () => {
+      const adjacent = getLanguagePack('de').getAdjacentKeys();
+      expect(adjacent.get('Z').has('T')).toBe(true);
+      expect(adjacent.get('Z').has('Y')).toBe(false);
+    });
+  });
+});
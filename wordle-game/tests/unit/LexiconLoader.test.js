@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { LexiconLoader, computeChecksum, parseLexiconPack } from '../../src/js/LexiconLoader.js';
+import { WordValidator } from '../../src/js/WordValidator.js';
+
+describe('LexiconLoader', () => {
+  const allowedText = '# allowed\nCRANE\nSLATE\nPARIS noun - proper-noun\n';
+  const answersText = JSON.stringify({
+    words: [{ word: 'slate', frequency: 3.1, partOfSpeech: 'noun', tags: ['home'] }]
+  });
+
+  const createManifest = (overrides = {}) => ({
+    version: 1,
+    packs: [
+      { id: 'en-allowed', url: 'en-allowed.txt', format: 'text', list: 'allowed', checksum: computeChecksum(allowedText) },
+      { id: 'en-answers', url: 'en-answers.json', format: 'json', list: 'answer', checksum: computeChecksum(answersText) }
+    ],
+    ...overrides
+  });
+
+  const mockFiles = (files) => {
+    global.fetch.mockImplementation(url => {
+      const name = url.replace('lexicon/', '');
+      if (!(name in files)) {
+        return Promise.reject(new Error('offline'));
+      }
+      return Promise.resolve({ ok: true, text: () => Promise.resolve(files[name]) });
+    });
+  };
+
+  const onlineFiles = () => ({
+    'manifest.json': JSON.stringify(createManifest()),
+    'en-allowed.txt': allowedText,
+    'en-answers.json': answersText
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    global.fetch.mockReset();
+  });
+
+  describe('parsing', () => {
+    test('should compute a stable checksum', () => {
+      expect(computeChecksum('')).toBe('811c9dc5');
+      expect(computeChecksum('CRANE')).toBe(computeChecksum('CRANE'));
+      expect(computeChecksum('CRANE')).not.toBe(computeChecksum('CRANES'));
+    });
+
+    test('should parse plain text packs with optional metadata', () => {
+      const entries = parseLexiconPack(allowedText);
+      expect(entries.map(entry => entry.word)).toEqual(['CRANE', 'SLATE', 'PARIS']);
+      expect(entries[0].metadata).toEqual({ frequency: null, partOfSpeech: null, tags: [], difficulty: null });
+      expect(entries[2].metadata).toEqual({ frequency: null, partOfSpeech: 'noun', tags: ['proper-noun'], difficulty: null });
+    });
+
+    test('should parse json packs', () => {
+      const [entry] = parseLexiconPack(answersText, 'json');
+      expect(entry).toEqual({ word: 'SLATE', metadata: { frequency: 3.1, partOfSpeech: 'noun', tags: ['home'], difficulty: null } });
+      expect(() => parseLexiconPack('{}', 'json')).toThrow('词库包格式错误');
+    });
+  });
+
+  describe('load', () => {
+    test('should download packs and report progress', async () => {
+      mockFiles(onlineFiles());
+      const progress = [];
+      const loader = new LexiconLoader({ onProgress: event => progress.push(event) });
+
+      const result = await loader.load();
+      expect(result.source).toBe('network');
+      expect(result.version).toBe(1);
+      expect(result.packs.map(pack => pack.list)).toEqual(['allowed', 'answer']);
+      expect(progress).toEqual([
+        { loaded: 1, total: 2, pack: 'en-allowed' },
+        { loaded: 2, total: 2, pack: 'en-answers' }
+      ]);
+    });
+
+    test('should reuse cached packs of the same version', async () => {
+      mockFiles(onlineFiles());
+      await new LexiconLoader().load();
+      global.fetch.mockClear();
+
+      const result = await new LexiconLoader().load();
+      expect(result.source).toBe('cache');
+      expect(global.fetch).toHaveBeenCalledTimes(1); // 只下载清单
+    });
+
+    test('should download again when the version changes', async () => {
+      mockFiles(onlineFiles());
+      await new LexiconLoader().load();
+
+      mockFiles({ ...onlineFiles(), 'manifest.json': JSON.stringify(createManifest({ version: 2 })) });
+      const result = await new LexiconLoader().load();
+      expect(result.source).toBe('network');
+      expect(result.version).toBe(2);
+    });
+
+    test('should reject packs with a wrong checksum', async () => {
+      mockFiles({ ...onlineFiles(), 'en-allowed.txt': 'TAMPERED\n' });
+
+      const result = await new LexiconLoader().load();
+      expect(result.source).toBe('embedded');
+      expect(result.error).toBe('词库包 en-allowed 校验失败');
+    });
+
+    test('should fall back to the cache when offline', async () => {
+      mockFiles(onlineFiles());
+      await new LexiconLoader().load();
+
+      mockFiles({});
+      const result = await new LexiconLoader().load();
+      expect(result.source).toBe('cache');
+      expect(result.packs).toHaveLength(2);
+      expect(result.error).toBeDefined();
+    });
+
+    test('should fall back to the embedded list when offline without a cache', async () => {
+      mockFiles({});
+
+      const result = await new LexiconLoader().load();
+      expect(result).toEqual(expect.objectContaining({ source: 'embedded', packs: [] }));
+    });
+
+    test('should work without any cache', async () => {
+      mockFiles(onlineFiles());
+
+      const result = await new LexiconLoader({ cache: null }).load();
+      expect(result.source).toBe('network');
+    });
+  });
+
+  describe('WordValidator.loadLexicon', () => {
+    test('should replace the word lists with the loaded packs', async () => {
+      mockFiles(onlineFiles());
+      const validator = new WordValidator();
+
+      await validator.loadLexicon(new LexiconLoader());
+      expect(validator.lexiconSource).toBe('network');
+      expect(validator.getWordsByLength()).toEqual(['CRANE', 'PARIS', 'SLATE']);
+      expect(validator.getAnswerWords()).toEqual(['SLATE']);
+      expect(validator.validateWord('SLATE').metadata.tags).toEqual(['home']);
+      expect(validator.isValidWord('HELLO')).toBe(false);
+    });
+
+    test('should keep the embedded lists when loading fails', async () => {
+      mockFiles({});
+      const validator = new WordValidator();
+      const answerCount = validator.getAnswerWords().length;
+
+      await validator.loadLexicon(new LexiconLoader());
+      expect(validator.lexiconSource).toBe('embedded');
+      expect(validator.getAnswerWords()).toHaveLength(answerCount);
+      expect(validator.isValidWord('HELLO')).toBe(true);
+    });
+
+    test('should match the embedded lists with the shipped packs', () => {
+      const dir = path.resolve('public/lexicon');
+      const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+      const validator = new WordValidator();
+      const embedded = new WordValidator();
+
+      validator.applyLexicon({
+        source: 'network',
+        version: manifest.version,
+        packs: manifest.packs.map(pack => {
+          const text = fs.readFileSync(path.join(dir, pack.url), 'utf8');
+          expect(computeChecksum(text)).toBe(pack.checksum);
+          return { list: pack.list, entries: parseLexiconPack(text, pack.format) };
+        })
+      });
+
+      expect([...validator.validWords].sort()).toEqual([...embedded.validWords].sort());
+      expect([...validator.answerWords].sort()).toEqual([...embedded.answerWords].sort());
+    });
+  });
+});
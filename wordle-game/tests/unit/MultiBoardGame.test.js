@@ -0,0 +1,139 @@
+import { MultiBoardGame } from '../../src/js/MultiBoardGame.js';
+
+describe('MultiBoardGame', () => {
+  const testWordList = ['WORLD', 'HELLO', 'GAMES', 'CODES', 'TODAY', 'PLANT', 'STORM', 'BRAVE'];
+
+  const typeWord = (game, word) => {
+    word.split('').forEach(letter => game.addLetter(letter));
+  };
+
+  describe('constructor', () => {
+    test('should scale allowed guesses with board count', () => {
+      expect(new MultiBoardGame(testWordList, { boardCount: 2 }).maxGuesses).toBe(7);
+      expect(new MultiBoardGame(testWordList, { boardCount: 4 }).maxGuesses).toBe(9);
+      expect(new MultiBoardGame(testWordList, { boardCount: 8 }).maxGuesses).toBe(13);
+    });
+
+    test('should pick distinct target words for every board', () => {
+      const game = new MultiBoardGame(testWordList, { boardCount: 4 });
+      expect(game.boards).toHaveLength(4);
+      expect(new Set(game.targetWords).size).toBe(4);
+      game.targetWords.forEach(word => expect(testWordList).toContain(word));
+    });
+
+    test('should use provided target words', () => {
+      const game = new MultiBoardGame(testWordList, { boardCount: 2, targetWords: ['hello', 'world'] });
+      expect(game.targetWords).toEqual(['HELLO', 'WORLD']);
+      expect(game.boards.map(board => board.targetWord)).toEqual(['HELLO', 'WORLD']);
+    });
+
+    test('should reject unsupported board count', () => {
+      expect(() => new MultiBoardGame(testWordList, { boardCount: 3 })).toThrow();
+    });
+
+    test('should not allow hard mode', () => {
+      const game = new MultiBoardGame(testWordList, { boardCount: 2, hardMode: true });
+      expect(game.hardMode).toBe(false);
+      expect(game.setHardMode(true)).toBe(false);
+    });
+  });
+
+  describe('submitGuess', () => {
+    let game;
+
+    beforeEach(() => {
+      game = new MultiBoardGame(testWordList, { boardCount: 2, targetWords: ['HELLO', 'WORLD'] });
+    });
+
+    test('should score the guess against every board', () => {
+      typeWord(game, 'WORLD');
+      expect(game.submitGuess()).toBe(true);
+
+      const guess = game.guesses[0];
+      expect(guess.results[0]).toEqual(['absent', 'present', 'absent', 'correct', 'absent']);
+      expect(guess.results[1]).toEqual(['correct', 'correct', 'correct', 'correct', 'correct']);
+      expect(game.boards[1].gameStatus).toBe('won');
+      expect(game.gameStatus).toBe('playing');
+    });
+
+    test('should skip solved boards', () => {
+      typeWord(game, 'WORLD');
+      game.submitGuess();
+      typeWord(game, 'GAMES');
+      game.submitGuess();
+
+      expect(game.guesses[1].results[1]).toBeNull();
+      expect(game.boards[1].guesses).toHaveLength(1);
+      expect(game.boards[0].guesses).toHaveLength(2);
+    });
+
+    test('should win when every board is solved', () => {
+      const endListener = jest.fn();
+      game.on('end', endListener);
+
+      typeWord(game, 'WORLD');
+      game.submitGuess();
+      typeWord(game, 'HELLO');
+      game.submitGuess();
+
+      expect(game.gameStatus).toBe('won');
+      expect(endListener).toHaveBeenCalledTimes(1);
+    });
+
+    test('should lose after running out of guesses', () => {
+      for (let i = 0; i < game.maxGuesses; i++) {
+        typeWord(game, 'GAMES');
+        game.submitGuess();
+      }
+
+      expect(game.gameStatus).toBe('lost');
+      expect(game.boards.every(board => board.gameStatus === 'lost')).toBe(true);
+    });
+  });
+
+  describe('getLetterStates', () => {
+    test('should report the best state on each board', () => {
+      const game = new MultiBoardGame(testWordList, { boardCount: 2, targetWords: ['HELLO', 'WORLD'] });
+      typeWord(game, 'WORLD');
+      game.submitGuess();
+
+      expect(game.getLetterStates('W')).toEqual(['absent', 'correct']);
+      expect(game.getLetterStates('L')).toEqual(['correct', 'correct']);
+      expect(game.getLetterStates('Z')).toEqual(['unused', 'unused']);
+    });
+  });
+
+  describe('restoreProgress', () => {
+    test('should replay saved guesses onto every board', () => {
+      const original = new MultiBoardGame(testWordList, { boardCount: 2, targetWords: ['HELLO', 'WORLD'] });
+      typeWord(original, 'WORLD');
+      original.submitGuess();
+      typeWord(original, 'HEL');
+      const state = original.getGameState();
+
+      const restored = new MultiBoardGame(testWordList, {
+        boardCount: state.boardCount,
+        targetWords: state.targetWords
+      });
+      restored.restoreProgress(state.guesses, state.currentGuess);
+
+      expect(restored.guesses).toEqual(state.guesses);
+      expect(restored.currentGuess).toBe('HEL');
+      expect(restored.boards[1].gameStatus).toBe('won');
+      expect(restored.boards[0].guesses).toHaveLength(1);
+    });
+  });
+
+  describe('getGameState', () => {
+    test('should include per-board progress', () => {
+      const game = new MultiBoardGame(testWordList, { boardCount: 2, targetWords: ['HELLO', 'WORLD'] });
+      typeWord(game, 'WORLD');
+      game.submitGuess();
+
+      const state = game.getGameState();
+      expect(state.boardCount).toBe(2);
+      expect(state.targetWords).toEqual(['HELLO', 'WORLD']);
+      expect(state.boards[1]).toEqual({ targetWord: 'WORLD', gameStatus: 'won', guessCount: 1 });
+    });
+  });
+});
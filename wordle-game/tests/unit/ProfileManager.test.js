@@ -0,0 +1,186 @@
+import { DEFAULT_PROFILE_ID, ProfileManager } from '../../src/js/ProfileManager.js';
+import { IndexedDBStorageAdapter, MemoryStorageAdapter } from '../../src/js/StorageAdapter.js';
+import { WordleGame } from '../../src/js/WordleGame.js';
+import { createTabs } from '../helpers/tabs.js';
+
+describe('ProfileManager', () => {
+  let storage;
+  let profiles;
+
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+    profiles = new ProfileManager({ storage });
+  });
+
+  describe('default profile', () => {
+    test('should start with one default profile', () => {
+      expect(profiles.loaded).toBe(true);
+      expect(profiles.getProfiles()).toHaveLength(1);
+      expect(profiles.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+      expect(profiles.getStateKey()).toBe('wordleGameState:default');
+    });
+
+    test('should move the single-user state into the default profile', () => {
+      const singleUserState = JSON.stringify({ statistics: { gamesPlayed: 7 }, settings: { hardMode: true } });
+      storage = new MemoryStorageAdapter({ items: { wordleGameState: singleUserState } });
+      profiles = new ProfileManager({ storage });
+
+      expect(storage.getItem('wordleGameState')).toBeNull();
+      expect(storage.getItem('wordleGameState:default')).toBe(singleUserState);
+
+      const manager = profiles.createStateManager();
+      expect(manager.getStatistics().gamesPlayed).toBe(7);
+      expect(manager.getSettings().hardMode).toBe(true);
+    });
+
+    test('should keep the single-user state when it cannot be moved', () => {
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failing = new MemoryStorageAdapter({ items: { wordleGameState: '{}' } });
+      failing.setItem = () => { throw new Error('存储空间已满'); };
+
+      profiles = new ProfileManager({ storage: failing });
+      expect(failing.getItem('wordleGameState')).toBe('{}');
+      expect(profiles.storageError.message).toBe('存储空间已满');
+      spy.mockRestore();
+    });
+
+    test('should not migrate again once profiles are saved', () => {
+      profiles.createProfile('Alice');
+      storage.setItem('wordleGameState', '{}');
+
+      const reloaded = new ProfileManager({ storage });
+      expect(reloaded.getProfiles().map(profile => profile.name)).toEqual(['玩家', 'Alice']);
+      expect(storage.getItem('wordleGameState')).toBe('{}');
+    });
+  });
+
+  describe('create, rename and delete', () => {
+    test('should create profiles with unique names', () => {
+      const alice = profiles.createProfile('  Alice ');
+      expect(alice.name).toBe('Alice');
+      expect(profiles.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+
+      expect(() => profiles.createProfile('alice')).toThrow('档案名称已存在: alice');
+      expect(() => profiles.createProfile('   ')).toThrow('档案名称不能为空');
+      expect(() => profiles.createProfile('x'.repeat(21))).toThrow('档案名称不能超过20个字符');
+    });
+
+    test('should rename a profile', () => {
+      const alice = profiles.createProfile('Alice');
+      expect(profiles.renameProfile(alice.id, 'ALICE').name).toBe('ALICE');
+      expect(() => profiles.renameProfile(alice.id, '玩家')).toThrow('档案名称已存在');
+      expect(() => profiles.renameProfile('missing', 'Bob')).toThrow('档案不存在: missing');
+    });
+
+    test('should delete a profile and its state', () => {
+      const alice = profiles.createProfile('Alice');
+      profiles.switchProfile(alice.id);
+      profiles.createStateManager().updateSettings({ hardMode: true });
+      expect(storage.getItem(profiles.getStateKey(alice.id))).not.toBeNull();
+
+      const next = profiles.deleteProfile(alice.id);
+      expect(next.id).toBe(DEFAULT_PROFILE_ID);
+      expect(storage.getItem(profiles.getStateKey(alice.id))).toBeNull();
+      expect(() => profiles.deleteProfile(DEFAULT_PROFILE_ID)).toThrow('至少需要保留一个档案');
+    });
+  });
+
+  describe('switchProfile', () => {
+    test('should keep statistics, settings and history separate', () => {
+      const alice = profiles.createProfile('Alice');
+      const defaultManager = profiles.createStateManager();
+      defaultManager.updateSettings({ wordLength: 6 });
+      const game = new WordleGame(['HELLO'], { targetWord: 'HELLO' });
+      defaultManager.trackGame(game);
+      'HELLO'.split('').forEach(letter => game.addLetter(letter));
+      game.submitGuess();
+
+      profiles.switchProfile(alice.id);
+      const aliceManager = profiles.createStateManager();
+      expect(aliceManager.getStatistics().gamesPlayed).toBe(0);
+      expect(aliceManager.getSettings().wordLength).toBe(5);
+      expect(aliceManager.getGameHistory()).toEqual([]);
+
+      profiles.switchProfile(DEFAULT_PROFILE_ID);
+      const reloaded = profiles.createStateManager();
+      expect(reloaded.getStatistics().gamesPlayed).toBe(1);
+      expect(reloaded.getSettings().wordLength).toBe(6);
+    });
+
+    test('should remember the active profile', () => {
+      const alice = profiles.createProfile('Alice');
+      profiles.switchProfile(alice.id);
+      expect(new ProfileManager({ storage }).getActiveProfile().name).toBe('Alice');
+      expect(() => profiles.switchProfile('missing')).toThrow('档案不存在: missing');
+    });
+  });
+
+  describe('several tabs', () => {
+    test('should keep profiles created in other tabs', () => {
+      const other = new ProfileManager({ storage });
+      profiles.createProfile('Alice');
+      other.createProfile('Bob');
+
+      const names = new ProfileManager({ storage }).getProfiles().map(profile => profile.name);
+      expect(names).toEqual(['玩家', 'Alice', 'Bob']);
+      expect(other.getProfiles().map(profile => profile.name)).toEqual(names);
+    });
+
+    test('should tell other tabs about changed profiles', () => {
+      const [firstTab, secondTab] = createTabs(2);
+      const onRemoteChange = jest.fn();
+      profiles = new ProfileManager({ storage, sync: firstTab });
+      const other = new ProfileManager({ storage, sync: secondTab, onRemoteChange });
+
+      const alice = profiles.createProfile('Alice');
+      expect(other.getProfiles().map(profile => profile.name)).toEqual(['玩家', 'Alice']);
+      expect(onRemoteChange).toHaveBeenLastCalledWith({ activeProfileDeleted: false });
+
+      profiles.renameProfile(alice.id, 'Alicia');
+      expect(other.getProfile(alice.id).name).toBe('Alicia');
+
+      other.disconnect();
+      profiles.createProfile('Bob');
+      expect(other.getProfiles()).toHaveLength(2);
+    });
+
+    test('should move off a profile deleted in another tab', () => {
+      const [firstTab, secondTab] = createTabs(2);
+      const onRemoteChange = jest.fn();
+      profiles = new ProfileManager({ storage, sync: firstTab });
+      const other = new ProfileManager({ storage, sync: secondTab, onRemoteChange });
+      const alice = other.createProfile('Alice');
+      other.switchProfile(alice.id);
+
+      profiles.deleteProfile(alice.id);
+      expect(onRemoteChange).toHaveBeenLastCalledWith({ activeProfileDeleted: true });
+      expect(other.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+      expect(other.getStateKey()).toBe('wordleGameState:default');
+    });
+  });
+
+  test('should load through an asynchronous adapter', async () => {
+    const respond = (result) => {
+      const request = { result };
+      setTimeout(() => request.onsuccess());
+      return request;
+    };
+    const items = new Map([['wordleGameState', '{"statistics":{"gamesPlayed":3}}']]);
+    const store = {
+      get: (key) => respond(items.get(key)),
+      put: (value, key) => respond(items.set(key, value)),
+      delete: (key) => respond(items.delete(key))
+    };
+    const db = { transaction: () => ({ objectStore: () => store }) };
+    const indexedDB = { open: () => respond(db) };
+
+    profiles = new ProfileManager({ storage: new IndexedDBStorageAdapter({ indexedDB }) });
+    expect(profiles.loaded).toBe(false);
+    await profiles.ready;
+
+    expect(items.has('wordleGameState')).toBe(false);
+    const manager = profiles.createStateManager();
+    await manager.ready;
+    expect(manager.getStatistics().gamesPlayed).toBe(3);
+  });
+});
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  createExport,
+  createImportPreview,
+  parseExport,
+  serializeState
+} from '../../src/js/StateExport.js';
+import { STATE_SCHEMA_VERSION, createDefaultState, migrateState } from '../../src/js/StateSchema.js';
+import { applyGameStatistics } from '../../src/js/StateMerge.js';
+import { GameStateManager } from '../../src/js/GameStateManager.js';
+import { MemoryStorageAdapter } from '../../src/js/StorageAdapter.js';
+
+const loadFixture = (name) => JSON.parse(fs.readFileSync(path.resolve('tests/fixtures/state', `${name}.json`), 'utf8'));
+
+const createEntry = (id, gameStatus, guessCount, completedAt) => ({
+  id,
+  targetWord: 'HELLO',
+  wordLength: 5,
+  boardCount: 1,
+  hardMode: false,
+  mode: 'classic',
+  difficulty: null,
+  puzzleNumber: null,
+  gameStatus,
+  guessCount,
+  duration: 1000,
+  date: '2026-10-19',
+  completedAt
+});
+
+// 一台设备上按顺序完成的游戏
+const createDevice = (entries) => {
+  const state = createDefaultState();
+  entries.forEach(entry => {
+    state.gameHistory.unshift(entry);
+    applyGameStatistics(state.statistics, entry);
+  });
+  return state;
+};
+
+describe('StateExport', () => {
+  describe('createExport', () => {
+    test('should write a versioned file with a checksum', () => {
+      const file = JSON.parse(createExport(createDefaultState(), { exportedAt: 1000 }));
+
+      expect(file.format).toBe(EXPORT_FORMAT);
+      expect(file.version).toBe(EXPORT_VERSION);
+      expect(file.schemaVersion).toBe(STATE_SCHEMA_VERSION);
+      expect(file.exportedAt).toBe(1000);
+      expect(file.checksum).toMatch(/^[0-9a-f]{8}$/);
+      expect(file.state).toEqual(createDefaultState());
+    });
+
+    test('should write sets the same way as saved state', () => {
+      const state = { ...createDefaultState(), currentGame: { usedLetters: new Set(['A', 'B']) } };
+      const file = JSON.parse(createExport(state));
+
+      expect(file.state.currentGame.usedLetters).toEqual({ __type__: 'Set', values: ['A', 'B'] });
+      expect(JSON.stringify(file.state)).toBe(serializeState(state));
+      expect(() => parseExport(JSON.stringify(file))).not.toThrow();
+    });
+  });
+
+  describe('parseExport', () => {
+    test('should read an exported file', () => {
+      const state = createDevice([createEntry('a', 'won', 3, 100)]);
+      const { state: parsed, exportedAt } = parseExport(createExport(state, { exportedAt: 1000 }));
+
+      expect(parsed).toEqual(state);
+      expect(exportedAt).toBe(1000);
+    });
+
+    test('should read files saved before the export format', () => {
+      const { state, exportedAt, schemaVersion } = parseExport(JSON.stringify(loadFixture('v3-daily')));
+      expect(state.schemaVersion).toBe(STATE_SCHEMA_VERSION);
+      expect(exportedAt).toBeNull();
+      expect(schemaVersion).toBe(0);
+    });
+
+    test('should reject modified or damaged files', () => {
+      const file = JSON.parse(createExport(createDevice([createEntry('a', 'won', 3, 100)])));
+      file.state.statistics.gamesWon = 99;
+      expect(() => parseExport(JSON.stringify(file))).toThrow('校验和不匹配');
+      expect(() => parseExport('{"format": "wordle-game-export"')).toThrow('导入文件不是有效的 JSON');
+    });
+
+    test('should reject unknown formats and newer versions', () => {
+      const file = JSON.parse(createExport(createDefaultState()));
+      expect(() => parseExport(JSON.stringify({ ...file, format: 'other' }))).toThrow('不支持的导出格式: other');
+      expect(() => parseExport(JSON.stringify({ ...file, version: EXPORT_VERSION + 1 }))).toThrow('比当前版本');
+      expect(() => parseExport('[]')).toThrow('导入文件格式错误');
+      expect(() => parseExport('{"name": "x"}')).toThrow('导入文件不是游戏数据');
+    });
+
+    test('should validate the saved state against the schema', () => {
+      const state = createDefaultState();
+      state.statistics.gamesPlayed = -3;
+      state.gameHistory = [{ id: 'a', gameStatus: 'draw' }];
+
+      expect(() => parseExport(createExport(state))).toThrow(
+        '存档数据无效: gameHistory[0].gameStatus: 应为 won / lost 之一；statistics.gamesPlayed: 应为非负整数'
+      );
+    });
+  });
+
+  describe('createImportPreview', () => {
+    test('should describe what the import adds', () => {
+      const current = createDevice([createEntry('a', 'won', 3, 100), createEntry('b', 'won', 4, 200)]);
+      const imported = createDevice([createEntry('a', 'won', 3, 100), createEntry('c', 'lost', 6, 300)]);
+      imported.achievements = [{ id: 'first_win', name: '首次获胜' }];
+
+      const preview = createImportPreview(current, imported);
+      expect(preview.newGames).toBe(1);
+      expect(preview.duplicateGames).toBe(1);
+      expect(preview.newAchievements).toEqual(['首次获胜']);
+      expect(preview.statistics.before.gamesPlayed).toBe(2);
+      expect(preview.statistics.after).toEqual({ gamesPlayed: 3, gamesWon: 2, maxStreak: 2 });
+    });
+  });
+
+  describe('GameStateManager', () => {
+    test('should merge data exported from another device', () => {
+      const phone = new GameStateManager({ storage: new MemoryStorageAdapter() });
+      phone.state = migrateState(createDevice([createEntry('a', 'won', 3, 100), createEntry('b', 'won', 2, 200)]));
+      const laptop = new GameStateManager({ storage: new MemoryStorageAdapter() });
+      laptop.state = migrateState(createDevice([createEntry('b', 'won', 2, 200), createEntry('c', 'won', 5, 300)]));
+      laptop.updateSettings({ hardMode: true });
+
+      const preview = laptop.previewImport(phone.exportState());
+      expect(preview.newGames).toBe(1);
+      expect(laptop.getStatistics().gamesPlayed).toBe(2);
+
+      expect(laptop.importState(phone.exportState())).toBe(true);
+      expect(laptop.getStatistics().gamesPlayed).toBe(3);
+      expect(laptop.getStatistics().guessDistribution).toEqual([0, 1, 1, 0, 1, 0]);
+      expect(laptop.getGameHistory().map(entry => entry.id)).toEqual(['c', 'b', 'a']);
+      expect(laptop.getSettings().hardMode).toBe(true);
+
+      // 再导入同一个文件不会重复计入
+      expect(laptop.importState(phone.exportState())).toBe(true);
+      expect(laptop.getStatistics().gamesPlayed).toBe(3);
+    });
+
+    test('should keep the current state when the file is invalid', () => {
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const manager = new GameStateManager({ storage: new MemoryStorageAdapter() });
+      manager.updateSettings({ hardMode: true });
+
+      expect(manager.importState('not json')).toBe(false);
+      expect(() => manager.previewImport('not json')).toThrow('导入文件不是有效的 JSON');
+      expect(manager.getSettings().hardMode).toBe(true);
+      spy.mockRestore();
+    });
+  });
+});
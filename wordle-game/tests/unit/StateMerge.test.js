@@ -0,0 +1,182 @@
+import { applyGameStatistics, mergeImportedState, mergeStates } from '../../src/js/StateMerge.js';
+import { createDefaultState } from '../../src/js/StateSchema.js';
+
+const createEntry = (id, gameStatus, guessCount, completedAt, extra = {}) => ({
+  id,
+  targetWord: 'HELLO',
+  wordLength: 5,
+  boardCount: 1,
+  hardMode: false,
+  mode: 'classic',
+  difficulty: null,
+  puzzleNumber: null,
+  gameStatus,
+  guessCount,
+  duration: 1000,
+  date: '2026-10-19',
+  completedAt,
+  ...extra
+});
+
+// 按顺序把游戏计入状态（与 GameStateManager.finalizeGame 相同）
+const withGames = (state, entries) => {
+  const result = JSON.parse(JSON.stringify(state));
+  entries.forEach(entry => {
+    result.gameHistory.unshift(entry);
+    applyGameStatistics(result.statistics, entry);
+  });
+  return result;
+};
+
+describe('StateMerge', () => {
+  describe('applyGameStatistics', () => {
+    test('should update the overall and grouped statistics', () => {
+      const { statistics } = createDefaultState();
+      applyGameStatistics(statistics, createEntry('a', 'won', 3, 1, { wordLength: 6, hardMode: true, difficulty: 'hard' }));
+
+      expect(statistics.gamesWon).toBe(1);
+      expect(statistics.byWordLength[6].guessDistribution[2]).toBe(1);
+      expect(statistics.byDifficulty.hard.gamesPlayed).toBe(1);
+      expect(statistics.hardModeStats.maxStreak).toBe(1);
+    });
+
+    test('should keep multi-board games out of the classic statistics', () => {
+      const { statistics } = createDefaultState();
+      applyGameStatistics(statistics, createEntry('a', 'won', 7, 1, { boardCount: 2 }));
+
+      expect(statistics.gamesPlayed).toBe(0);
+      expect(statistics.byBoardCount[2].guessDistribution).toHaveLength(7);
+      expect(statistics.byBoardCount[2].guessDistribution[6]).toBe(1);
+    });
+  });
+
+  describe('mergeStates', () => {
+    test('should add games finished in this tab to the stored statistics', () => {
+      const baseline = withGames(createDefaultState(), [createEntry('a', 'won', 4, 100)]);
+      const stored = withGames(baseline, [createEntry('b', 'won', 2, 200)]);
+      const local = withGames(baseline, [createEntry('c', 'lost', 6, 300)]);
+
+      const merged = mergeStates(stored, local, baseline);
+      expect(merged.statistics.gamesPlayed).toBe(3);
+      expect(merged.statistics.gamesWon).toBe(2);
+      expect(merged.statistics.currentStreak).toBe(0);
+      expect(merged.statistics.maxStreak).toBe(2);
+      expect(merged.statistics.guessDistribution).toEqual([0, 1, 0, 1, 0, 0]);
+      expect(merged.gameHistory.map(entry => entry.id)).toEqual(['c', 'b', 'a']);
+    });
+
+    test('should be the stored state when this tab has no changes', () => {
+      const baseline = withGames(createDefaultState(), [createEntry('a', 'won', 4, 100)]);
+      const stored = withGames(baseline, [createEntry('b', 'won', 2, 200)]);
+      stored.settings.hardMode = true;
+
+      expect(mergeStates(stored, baseline, baseline)).toEqual(stored);
+    });
+
+    test('should keep settings and the current game changed in this tab', () => {
+      const baseline = createDefaultState();
+      const stored = { ...createDefaultState(), currentGame: { id: 'remote' } };
+      stored.settings.wordLength = 6;
+      const local = { ...createDefaultState(), currentGame: { id: 'local' } };
+      local.settings.hardMode = true;
+
+      const merged = mergeStates(stored, local, baseline);
+      expect(merged.settings.wordLength).toBe(6);
+      expect(merged.settings.hardMode).toBe(true);
+      expect(merged.currentGame.id).toBe('local');
+    });
+
+    test('should combine achievements, daily results, records and marathons', () => {
+      const stored = createDefaultState();
+      stored.achievements = [{ id: 'first_win' }];
+      stored.dailyResults = { 'en:10': { puzzleNumber: 10, language: 'en', guessCount: 3 } };
+      stored.timedRecords = { countdown: { '5-3': { bestScore: 4 } }, speedrun: { 5: { bestTime: 9000 } } };
+      stored.marathonHistory = [{ id: 'm1', finishedAt: 100 }];
+
+      const local = createDefaultState();
+      local.achievements = [{ id: 'first_win' }, { id: 'perfect_game' }];
+      local.dailyResults = {
+        'en:10': { puzzleNumber: 10, language: 'en', guessCount: 5 },
+        'es:10': { puzzleNumber: 10, language: 'es', guessCount: 4 },
+        'en:11': { puzzleNumber: 11, language: 'en', guessCount: 2 }
+      };
+      local.timedRecords = { countdown: { '5-3': { bestScore: 6 } }, speedrun: { 5: { bestTime: 12000 } } };
+      local.marathonHistory = [{ id: 'm2', finishedAt: 200 }];
+
+      const merged = mergeStates(stored, local);
+      expect(merged.achievements.map(achievement => achievement.id)).toEqual(['first_win', 'perfect_game']);
+      expect(merged.dailyResults['en:10'].guessCount).toBe(3);
+      expect(merged.dailyResults['es:10'].guessCount).toBe(4);
+      expect(merged.dailyResults['en:11'].guessCount).toBe(2);
+      expect(merged.timedRecords.countdown['5-3'].bestScore).toBe(6);
+      expect(merged.timedRecords.speedrun[5].bestTime).toBe(9000);
+      expect(merged.marathonHistory.map(summary => summary.id)).toEqual(['m2', 'm1']);
+    });
+
+    test('should not modify its arguments', () => {
+      const baseline = createDefaultState();
+      const stored = withGames(baseline, [createEntry('b', 'won', 2, 200)]);
+      const local = withGames(baseline, [createEntry('c', 'won', 3, 300)]);
+      const copies = JSON.parse(JSON.stringify([stored, local]));
+
+      mergeStates(stored, local, baseline);
+      expect([stored, local]).toEqual(copies);
+    });
+  });
+
+  describe('mergeImportedState', () => {
+    test('should recount games from the other device without changing current streaks', () => {
+      const current = withGames(createDefaultState(), [createEntry('b', 'won', 2, 200), createEntry('c', 'won', 3, 300)]);
+      current.settings.wordLength = 6;
+      const imported = withGames(createDefaultState(), [createEntry('a', 'lost', 6, 100)]);
+
+      const merged = mergeImportedState(current, imported);
+      expect(merged.statistics.gamesPlayed).toBe(3);
+      expect(merged.statistics.gamesWon).toBe(2);
+      // 更早完成的失败不打断之后的连胜
+      expect(merged.statistics.currentStreak).toBe(2);
+      expect(merged.gameHistory.map(entry => entry.id)).toEqual(['c', 'b', 'a']);
+      expect(merged.settings.wordLength).toBe(6);
+    });
+
+    test('should keep statistics of games no longer in the history', () => {
+      const current = createDefaultState();
+      const imported = withGames(createDefaultState(), [createEntry('a', 'won', 4, 100)]);
+      imported.statistics.gamesPlayed = 40;
+      imported.statistics.gamesWon = 30;
+
+      const merged = mergeImportedState(current, imported);
+      expect(merged.statistics.gamesPlayed).toBe(40);
+      expect(merged.statistics.gamesWon).toBe(30);
+    });
+
+    test('should not count games again when an older export is imported after cleanup', () => {
+      const older = withGames(createDefaultState(), [
+        createEntry('a', 'won', 3, 100, { wordLength: 6, hardMode: true }),
+        createEntry('b', 'lost', 6, 200, { difficulty: 'hard' }),
+        createEntry('c', 'won', 2, 300, { boardCount: 2 })
+      ]);
+      const current = withGames(older, [createEntry('d', 'won', 4, 400), createEntry('e', 'won', 5, 500)]);
+      // cleanupOldData 清理掉了 a、b 和 c，它们只在统计和旧的导出文件中
+      current.gameHistory = current.gameHistory.filter(entry => entry.completedAt >= 400);
+
+      const merged = mergeImportedState(current, older);
+      expect(merged.statistics).toEqual(current.statistics);
+      expect(merged.gameHistory.map(entry => entry.id)).toEqual(['e', 'd', 'c', 'b', 'a']);
+
+      // 反过来导入也得到同样的统计
+      expect(mergeImportedState(older, current).statistics).toEqual(current.statistics);
+    });
+
+    test('should rebuild streaks from the merged history in the order games finished', () => {
+      const current = withGames(createDefaultState(), [createEntry('a', 'won', 3, 100), createEntry('c', 'won', 3, 300)]);
+      const imported = withGames(createDefaultState(), [createEntry('b', 'lost', 6, 200), createEntry('d', 'won', 4, 400)]);
+
+      const merged = mergeImportedState(current, imported);
+      expect(merged.statistics.currentStreak).toBe(2);
+      expect(merged.statistics.maxStreak).toBe(2);
+      expect(merged.statistics.byWordLength[5].currentStreak).toBe(2);
+      expect(merged.statistics.guessDistribution).toEqual([0, 0, 2, 1, 0, 0]);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  STATE_SCHEMA_VERSION,
+  STATE_MIGRATIONS,
+  createDefaultState,
+  getSchemaVersion,
+  isMigratableState,
+  migrateState,
+  validateState
+} from '../../src/js/StateSchema.js';
+import { GameStateManager } from '../../src/js/GameStateManager.js';
+
+// 每个历史版本保存的状态（v0 到 v9 的存档没有版本号）
+const FIXTURE_DIR = path.resolve('tests/fixtures/state');
+const FIXTURES = [
+  'v0-baseline',
+  'v1-word-length',
+  'v2-hard-mode',
+  'v3-daily',
+  'v4-game-engine',
+  'v5-multi-board',
+  'v6-timed',
+  'v7-marathon',
+  'v8-language',
+  'v9-answer-policy',
+  'v10-difficulty',
+  'v11-daily-language'
+];
+
+const loadFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+
+describe('StateSchema', () => {
+  describe('migrations', () => {
+    test('should be ordered and end at the current version', () => {
+      const versions = STATE_MIGRATIONS.map(migration => migration.version);
+      expect(versions).toEqual(versions.map((_, index) => index + 1));
+      expect(versions[versions.length - 1]).toBe(STATE_SCHEMA_VERSION);
+    });
+
+    test('should have a fixture for every historical shape', () => {
+      const files = fs.readdirSync(FIXTURE_DIR).map(file => path.basename(file, '.json'));
+      expect(files.sort()).toEqual([...FIXTURES].sort());
+      expect(FIXTURES).toHaveLength(STATE_SCHEMA_VERSION + 1);
+    });
+  });
+
+  describe('migrateState', () => {
+    test.each(FIXTURES)('should upgrade %s to the current shape', (name) => {
+      const migrated = migrateState(loadFixture(name));
+      const defaults = createDefaultState();
+
+      expect(migrated.schemaVersion).toBe(STATE_SCHEMA_VERSION);
+      Object.keys(defaults).forEach(key => expect(migrated).toHaveProperty(key));
+      Object.keys(defaults.settings).forEach(key => expect(migrated.settings).toHaveProperty(key));
+      Object.keys(defaults.statistics).forEach(key => expect(migrated.statistics).toHaveProperty(key));
+      expect(Object.keys(migrated.timedRecords)).toEqual(expect.arrayContaining(['countdown', 'speedrun']));
+
+      migrated.gameHistory.forEach(entry => {
+        ['wordLength', 'hardMode', 'mode', 'puzzleNumber', 'boardCount', 'difficulty'].forEach(field => {
+          expect(entry).toHaveProperty(field);
+        });
+      });
+
+      expect(Array.isArray(migrated.currentGame.usedLetters)).toBe(true);
+      expect(migrated.currentGame).not.toHaveProperty('wordList');
+      expect(migrated.currentGame.language).toBe('en');
+    });
+
+    test.each(FIXTURES)('should keep the saved values of %s', (name) => {
+      const fixture = loadFixture(name);
+      const migrated = migrateState(fixture);
+
+      expect(migrated.settings).toMatchObject(fixture.settings);
+      expect(migrated.statistics.gamesPlayed).toBe(fixture.statistics.gamesPlayed);
+      expect(migrated.statistics.guessDistribution).toEqual(fixture.statistics.guessDistribution);
+      expect(migrated.achievements).toEqual(fixture.achievements);
+      expect(migrated.gameHistory.map(entry => entry.id)).toEqual(fixture.gameHistory.map(entry => entry.id));
+      expect(migrated.currentGame.targetWord).toBe(fixture.currentGame.targetWord);
+    });
+
+    test('should not change a current state', () => {
+      const fixture = loadFixture('v11-daily-language');
+      expect(migrateState(fixture)).toEqual(fixture);
+    });
+
+    test('should key daily results by language', () => {
+      const migrated = migrateState(loadFixture('v10-difficulty'));
+      expect(Object.keys(migrated.dailyResults)).toEqual(['en:1000']);
+      expect(migrated.dailyResults['en:1000']).toMatchObject({ puzzleNumber: 1000, language: 'en', guessCount: 3 });
+    });
+
+    test('should upgrade the baseline save field by field', () => {
+      const migrated = migrateState(loadFixture('v0-baseline'));
+
+      expect(migrated.settings).toEqual({ ...createDefaultState().settings, darkTheme: true });
+      // 加入单词长度之前的游戏都是5个字母
+      expect(migrated.statistics.byWordLength).toEqual({
+        5: { gamesPlayed: 2, gamesWon: 1, currentStreak: 0, maxStreak: 1, guessDistribution: [0, 0, 0, 1, 0, 0] }
+      });
+      expect(migrated.statistics.hardModeStats.gamesPlayed).toBe(0);
+      expect(migrated.gameHistory[1]).toEqual({
+        id: 'game_1699900000000_lost00001',
+        targetWord: 'QUIRK',
+        gameStatus: 'lost',
+        guessCount: 6,
+        duration: 240000,
+        date: '2023-11-13',
+        completedAt: 1699900240000,
+        wordLength: 5,
+        hardMode: false,
+        mode: 'classic',
+        puzzleNumber: null,
+        boardCount: 1,
+        difficulty: null
+      });
+      expect(migrated.currentGame.usedLetters).toEqual(['C', 'R', 'A', 'N', 'E']);
+      expect(migrated.currentGame.mode).toBe('classic');
+      expect(migrated.currentGame.hardMode).toBe(false);
+      expect(migrated.dailyResults).toEqual({});
+      expect(migrated.marathon).toBeNull();
+      expect(migrated.marathonHistory).toEqual([]);
+    });
+
+    test('should keep statistics added by later versions', () => {
+      const migrated = migrateState(loadFixture('v5-multi-board'));
+      expect(migrated.statistics.byWordLength['6'].gamesWon).toBe(1);
+      expect(migrated.statistics.byBoardCount['2'].guessDistribution).toHaveLength(7);
+      expect(migrated.statistics.hardModeStats.gamesWon).toBe(1);
+      expect(migrated.gameHistory[0].boardCount).toBe(2);
+    });
+
+    test('should fill partial state from defaults', () => {
+      const migrated = migrateState({
+        statistics: { gamesPlayed: 5 },
+        settings: { hardMode: true, wordLength: 'six' }
+      });
+
+      expect(migrated.statistics.gamesPlayed).toBe(5);
+      expect(migrated.statistics.gamesWon).toBe(0);
+      expect(migrated.statistics.guessDistribution).toEqual([0, 0, 0, 0, 0, 0]);
+      expect(migrated.settings.hardMode).toBe(true);
+      expect(migrated.settings.wordLength).toBe(5);
+      expect(migrated.achievements).toEqual([]);
+      expect(migrated.gameHistory).toEqual([]);
+      expect(migrated.currentGame).toBeNull();
+    });
+
+    test('should only run migrations after the saved version', () => {
+      const migrated = migrateState({ schemaVersion: 9, gameHistory: [{ id: 'old' }], settings: {} });
+      expect(migrated.gameHistory[0]).toEqual({ id: 'old', difficulty: null });
+    });
+
+    test('should not modify the saved state', () => {
+      const fixture = loadFixture('v0-baseline');
+      const copy = JSON.parse(JSON.stringify(fixture));
+      migrateState(fixture);
+      expect(fixture).toEqual(copy);
+    });
+
+    test('should reject states it cannot migrate', () => {
+      expect(() => migrateState(null)).toThrow('存档格式错误');
+      expect(() => migrateState([])).toThrow('存档格式错误');
+      expect(() => migrateState({ schemaVersion: 'x' })).toThrow('无效的存档版本: x');
+      expect(() => migrateState({ schemaVersion: STATE_SCHEMA_VERSION + 1 })).toThrow('比当前版本');
+    });
+  });
+
+  describe('isMigratableState', () => {
+    test('should accept any version up to the current one', () => {
+      expect(getSchemaVersion({})).toBe(0);
+      expect(isMigratableState({})).toBe(true);
+      expect(isMigratableState({ schemaVersion: STATE_SCHEMA_VERSION })).toBe(true);
+      expect(isMigratableState({ schemaVersion: STATE_SCHEMA_VERSION + 1 })).toBe(false);
+      expect(isMigratableState('state')).toBe(false);
+    });
+  });
+
+  describe('validateState', () => {
+    test.each(FIXTURES)('should accept %s', (name) => {
+      expect(validateState(loadFixture(name))).toEqual([]);
+    });
+
+    test('should report fields with the wrong type', () => {
+      expect(validateState({
+        statistics: { gamesWon: 1.5, byWordLength: { 6: { guessDistribution: ['1'] } } },
+        achievements: [{ name: '首次获胜' }],
+        lastPlayed: null,
+        marathon: 'none'
+      })).toEqual([
+        'statistics.gamesWon: 应为非负整数',
+        'statistics.byWordLength.6.guessDistribution[0]: 应为非负整数',
+        'achievements[0].id: 缺少字段',
+        'marathon: 应为对象'
+      ]);
+      expect(validateState('state')).toEqual(['存档: 应为对象']);
+    });
+
+    test('should only accept answer words written in a language alphabet', () => {
+      const history = targetWord => ({
+        gameHistory: [{ id: 'a', gameStatus: 'won', targetWord, date: '2026-10-19' }]
+      });
+
+      ['CRANE', 'CRANE, PLANT', 'ÑANDU', 'STRAẞE', 'МЕТРО', null].forEach(word => {
+        expect(validateState(history(word))).toEqual([]);
+      });
+      ['<img src=x onerror=alert(1)>', 'crane', 'CRANE,PLANT', 'CRANE, ', ''].forEach(word => {
+        expect(validateState(history(word))).toEqual(['gameHistory[0].targetWord: 包含字母表以外的字符']);
+      });
+      expect(validateState({
+        gameHistory: [{ id: 'a', gameStatus: 'won', targetWord: 42, date: '"><img>' }]
+      })).toEqual(['gameHistory[0].targetWord: 应为字符串', 'gameHistory[0].date: 格式错误']);
+    });
+  });
+
+  describe('GameStateManager', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    test.each(FIXTURES)('should load %s from localStorage', async (name) => {
+      localStorage.setItem('wordleGameState', JSON.stringify(loadFixture(name)));
+      const manager = new GameStateManager();
+      await manager.ready;
+
+      expect(manager.state.schemaVersion).toBe(STATE_SCHEMA_VERSION);
+      expect(manager.getStatistics().gamesPlayed).toBe(loadFixture(name).statistics.gamesPlayed);
+      expect(manager.getStatistics(5).gamesPlayed).toBeGreaterThan(0);
+    });
+
+    test('should save the schema version', async () => {
+      const manager = new GameStateManager();
+      await manager.saveState();
+      expect(JSON.parse(localStorage.getItem('wordleGameState')).schemaVersion).toBe(STATE_SCHEMA_VERSION);
+    });
+
+    test('should keep defaults when the saved state is newer', async () => {
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      localStorage.setItem('wordleGameState', JSON.stringify({ schemaVersion: STATE_SCHEMA_VERSION + 1, settings: { hardMode: true } }));
+
+      const manager = new GameStateManager();
+      await manager.ready;
+      expect(manager.state.settings.hardMode).toBe(false);
+      expect(spy).toHaveBeenCalled();
+      spy.mockRestore();
+    });
+
+    test('should migrate imported state', async () => {
+      const manager = new GameStateManager();
+      await manager.ready;
+      expect(manager.importState(JSON.stringify(loadFixture('v3-daily')))).toBe(true);
+      expect(manager.state.settings.answerPolicy).toBe('standard');
+      expect(manager.getDailyResult(1000).guessCount).toBe(3);
+      expect(manager.importState(JSON.stringify({ schemaVersion: STATE_SCHEMA_VERSION + 1 }))).toBe(false);
+    });
+  });
+});
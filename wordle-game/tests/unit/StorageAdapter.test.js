@@ -0,0 +1,191 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  FileStorageAdapter,
+  IndexedDBStorageAdapter,
+  LocalStorageAdapter,
+  MemoryStorageAdapter,
+  createStorageAdapter
+} from '../../src/js/StorageAdapter.js';
+import { GameStateManager } from '../../src/js/GameStateManager.js';
+import { WordleGame } from '../../src/js/WordleGame.js';
+
+/**
+ * 最小的 IndexedDB 模拟：只支持 open / transaction / objectStore 的 get、put、delete
+ */
+function createFakeIndexedDB() {
+  const stores = new Map();
+  const respond = (result) => {
+    const request = { result };
+    setTimeout(() => request.onsuccess && request.onsuccess());
+    return request;
+  };
+  const db = {
+    createObjectStore: (name) => stores.set(name, new Map()),
+    transaction: (name) => ({
+      objectStore: () => {
+        const store = stores.get(name);
+        return {
+          get: (key) => respond(store.get(key)),
+          put: (value, key) => respond(store.set(key, value) && key),
+          delete: (key) => respond(store.delete(key) && undefined)
+        };
+      }
+    })
+  };
+  return {
+    open: () => {
+      const request = { result: db };
+      setTimeout(() => {
+        request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
+
+describe('StorageAdapter', () => {
+  const tempDirs = [];
+  const createTempDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wordle-storage-'));
+    tempDirs.push(dir);
+    return dir;
+  };
+
+  // 每种适配器都应该支持相同的读写操作
+  const adapters = {
+    memory: () => new MemoryStorageAdapter(),
+    local: () => new LocalStorageAdapter(),
+    indexeddb: () => new IndexedDBStorageAdapter({ indexedDB: createFakeIndexedDB() }),
+    file: () => new FileStorageAdapter({ dir: createTempDir(), fs: fs.promises })
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterAll(() => {
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  describe.each(Object.keys(adapters))('%s', (id) => {
+    test('should save, read and remove items', async () => {
+      const storage = adapters[id]();
+
+      expect(await storage.getItem('state')).toBeNull();
+      await storage.setItem('state', '{"a":1}');
+      expect(await storage.getItem('state')).toBe('{"a":1}');
+
+      await storage.removeItem('state');
+      expect(await storage.getItem('state')).toBeNull();
+    });
+  });
+
+  describe('LocalStorageAdapter', () => {
+    test('should throw when localStorage is not available', () => {
+      const storage = new LocalStorageAdapter({ storage: null });
+      expect(() => storage.getItem('state')).toThrow('存储不可用');
+    });
+
+    test('should report a full storage', () => {
+      const quotaError = new Error('quota');
+      quotaError.name = 'QuotaExceededError';
+      const storage = new LocalStorageAdapter({
+        storage: { setItem: () => { throw quotaError; } }
+      });
+      expect(() => storage.setItem('state', '{}')).toThrow('存储空间已满');
+    });
+  });
+
+  describe('IndexedDBStorageAdapter', () => {
+    test('should reject when IndexedDB is not available', async () => {
+      const storage = new IndexedDBStorageAdapter({ indexedDB: null });
+      await expect(storage.setItem('state', '{}')).rejects.toThrow('存储不可用');
+    });
+  });
+
+  describe('FileStorageAdapter', () => {
+    test('should keep the last of several writes', async () => {
+      const dir = createTempDir();
+      const storage = new FileStorageAdapter({ dir, fs: fs.promises });
+
+      storage.setItem('state', 'first');
+      storage.setItem('state', 'second');
+      expect(await storage.getItem('state')).toBe('second');
+      expect(fs.readdirSync(dir)).toEqual(['state.json']);
+    });
+  });
+
+  describe('createStorageAdapter', () => {
+    test('should create built-in adapters by id', () => {
+      expect(createStorageAdapter('memory')).toBeInstanceOf(MemoryStorageAdapter);
+      expect(createStorageAdapter('file', { dir: 'saves' }).options.dir).toBe('saves');
+      expect(createStorageAdapter()).toBeInstanceOf(LocalStorageAdapter);
+    });
+
+    test('should use an adapter instance as is', () => {
+      const storage = new MemoryStorageAdapter();
+      expect(createStorageAdapter(storage)).toBe(storage);
+    });
+
+    test('should reject unknown adapters', () => {
+      expect(() => createStorageAdapter('cloud')).toThrow('不支持的存储方式: cloud');
+    });
+  });
+
+  describe('GameStateManager', () => {
+    test('should save and load through the chosen adapter', () => {
+      const storage = new MemoryStorageAdapter();
+      const manager = new GameStateManager({ storage });
+      manager.updateSettings({ hardMode: true });
+
+      // 同步的适配器在构造时就完成加载
+      const reloaded = new GameStateManager({ storage });
+      expect(reloaded.loaded).toBe(true);
+      expect(reloaded.getSettings().hardMode).toBe(true);
+      expect(localStorage.getItem('wordleGameState')).toBeNull();
+    });
+
+    test('should load through an asynchronous adapter', async () => {
+      const storage = new IndexedDBStorageAdapter({ indexedDB: createFakeIndexedDB() });
+      await storage.setItem('wordleGameState', JSON.stringify({ settings: { wordLength: 6 } }));
+
+      const manager = new GameStateManager({ storage });
+      expect(manager.loaded).toBe(false);
+      await manager.ready;
+      expect(manager.getSettings().wordLength).toBe(6);
+    });
+
+    test('should use the storage key option', async () => {
+      const storage = new MemoryStorageAdapter();
+      const manager = new GameStateManager({ storage, storageKey: 'profile-1' });
+      await manager.saveState();
+      expect(await storage.getItem('profile-1')).not.toBeNull();
+    });
+
+    test('should wait for the saved state before writing', async () => {
+      const dir = createTempDir();
+      const storage = new FileStorageAdapter({ dir, fs: fs.promises });
+      await storage.setItem('wordleGameState', JSON.stringify({ settings: { darkTheme: true } }));
+
+      const manager = new GameStateManager({ storage });
+      expect(await manager.saveState()).toBe(true);
+      expect(JSON.parse(await storage.getItem('wordleGameState')).settings.darkTheme).toBe(true);
+    });
+
+    test('should keep running in memory when storage is not available', async () => {
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const onStorageError = jest.fn();
+      const manager = new GameStateManager({ storage: new LocalStorageAdapter({ storage: null }), onStorageError });
+
+      manager.trackGame(new WordleGame(['HELLO'], { targetWord: 'HELLO' }));
+      expect(await manager.saveState()).toBe(false);
+      expect(manager.getCurrentGame().targetWord).toBe('HELLO');
+      expect(manager.storageError.message).toContain('存储不可用');
+      expect(onStorageError).toHaveBeenCalled();
+      spy.mockRestore();
+    });
+  });
+});
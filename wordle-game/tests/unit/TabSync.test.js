@@ -0,0 +1,123 @@
+import { TabSync } from '../../src/js/TabSync.js';
+import { GameStateManager } from '../../src/js/GameStateManager.js';
+import { MemoryStorageAdapter } from '../../src/js/StorageAdapter.js';
+import { WordleGame } from '../../src/js/WordleGame.js';
+import { createFakeBroadcastChannel, createFakeStorageWindows } from '../helpers/tabs.js';
+
+// 等待保存和刷新的 Promise 链完成
+const flush = () => new Promise(resolve => setTimeout(resolve));
+
+const playGame = (game, words) => {
+  words.forEach(word => {
+    word.split('').forEach(letter => game.addLetter(letter));
+    game.submitGuess();
+  });
+};
+
+describe('TabSync', () => {
+  let Channel;
+
+  beforeEach(() => {
+    Channel = createFakeBroadcastChannel();
+  });
+
+  test('should deliver messages to other tabs only', () => {
+    const first = new TabSync({ BroadcastChannel: Channel });
+    const second = new TabSync({ BroadcastChannel: Channel });
+    const received = jest.fn();
+    const own = jest.fn();
+    second.on('claim', received);
+    first.on('claim', own);
+
+    first.post('claim', { key: 'state' });
+    expect(received).toHaveBeenCalledWith({ key: 'state' }, expect.objectContaining({ tabId: first.tabId }));
+    expect(own).not.toHaveBeenCalled();
+  });
+
+  test('should stop listening after unsubscribe and close', () => {
+    const first = new TabSync({ BroadcastChannel: Channel });
+    const second = new TabSync({ BroadcastChannel: Channel });
+    const received = jest.fn();
+    const unsubscribe = second.on('claim', received);
+
+    unsubscribe();
+    first.post('claim');
+    second.on('claim', received);
+    second.close();
+    first.post('claim');
+    expect(received).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to storage events', () => {
+    const [senderWindow, receiverWindow] = createFakeStorageWindows(2);
+    const sender = new TabSync({ BroadcastChannel: null, window: senderWindow });
+    const receiver = new TabSync({ BroadcastChannel: null, window: receiverWindow });
+    const received = jest.fn();
+    const own = jest.fn();
+    receiver.on('claim', received);
+    sender.on('claim', own);
+
+    sender.post('claim', { key: 'state' });
+    expect(received).toHaveBeenCalledWith({ key: 'state' }, expect.objectContaining({ tabId: sender.tabId }));
+    expect(own).not.toHaveBeenCalled();
+    expect(receiver.isConnected()).toBe(true);
+
+    receiver.close();
+    expect(receiverWindow.listeners).toHaveLength(0);
+  });
+
+  test('should work alone without BroadcastChannel or storage events', () => {
+    const sync = new TabSync({ BroadcastChannel: null, window: null });
+    expect(sync.isConnected()).toBe(false);
+    expect(sync.post('claim').type).toBe('claim');
+  });
+
+  describe('GameStateManager', () => {
+    let storage;
+    let first;
+    let second;
+
+    beforeEach(() => {
+      storage = new MemoryStorageAdapter();
+      first = new GameStateManager({ storage, sync: new TabSync({ BroadcastChannel: Channel }), onRemoteChange: jest.fn() });
+      second = new GameStateManager({ storage, sync: new TabSync({ BroadcastChannel: Channel }), onRemoteChange: jest.fn() });
+    });
+
+    test('should update other tabs after saving', async () => {
+      first.updateSettings({ hardMode: true });
+      await flush();
+
+      expect(second.getSettings().hardMode).toBe(true);
+      expect(second.options.onRemoteChange).toHaveBeenCalledTimes(1);
+      expect(first.options.onRemoteChange).not.toHaveBeenCalled();
+    });
+
+    test('should merge games finished in both tabs', async () => {
+      // 第二个标签页错过了第一个标签页的通知
+      second.disconnect();
+
+      const won = new WordleGame(['HELLO'], { targetWord: 'HELLO' });
+      playGame(won, ['HELLO']);
+      first.finalizeGame(won.getGameState());
+      const lost = new WordleGame(['WORLD'], { targetWord: 'WORLD', maxGuesses: 1 });
+      playGame(lost, ['HELLO']);
+      second.finalizeGame(lost.getGameState());
+      await flush();
+
+      const reloaded = new GameStateManager({ storage });
+      expect(reloaded.getStatistics().gamesPlayed).toBe(2);
+      expect(reloaded.getStatistics().gamesWon).toBe(1);
+      expect(reloaded.getGameHistory().map(entry => entry.targetWord).sort()).toEqual(['HELLO', 'WORLD']);
+      expect(second.getStatistics().gamesPlayed).toBe(2);
+    });
+
+    test('should ignore messages for other profiles', async () => {
+      const other = new GameStateManager({ storage, storageKey: 'other', sync: new TabSync({ BroadcastChannel: Channel }) });
+      other.updateSettings({ hardMode: true });
+      await flush();
+
+      expect(first.options.onRemoteChange).not.toHaveBeenCalled();
+      expect(first.getSettings().hardMode).toBe(false);
+    });
+  });
+});
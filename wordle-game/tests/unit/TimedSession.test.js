@@ -0,0 +1,153 @@
+import { TimedSession, SPEEDRUN_WORD_COUNT } from '../../src/js/TimedSession.js';
+import { GameClock } from '../../src/js/GameClock.js';
+
+describe('GameClock', () => {
+  let now;
+  let clock;
+
+  beforeEach(() => {
+    now = 1000;
+    clock = new GameClock({ now: () => now });
+  });
+
+  test('should measure elapsed time while running', () => {
+    clock.start();
+    now += 2500;
+    expect(clock.getElapsed()).toBe(2500);
+    expect(clock.isRunning()).toBe(true);
+  });
+
+  test('should not count paused time', () => {
+    clock.start();
+    now += 1000;
+    clock.pause();
+    now += 5000;
+    expect(clock.getElapsed()).toBe(1000);
+    expect(clock.isPaused()).toBe(true);
+
+    clock.resume();
+    now += 500;
+    expect(clock.getElapsed()).toBe(1500);
+  });
+
+  test('should count down when a duration is set', () => {
+    const countdown = new GameClock({ duration: 60000, now: () => now });
+    countdown.start();
+    now += 45000;
+    expect(countdown.getRemaining()).toBe(15000);
+    expect(countdown.isExpired()).toBe(false);
+
+    now += 20000;
+    expect(countdown.getRemaining()).toBe(0);
+    expect(countdown.isExpired()).toBe(true);
+  });
+
+  test('should not expire without a duration', () => {
+    clock.start();
+    now += 10 * 60 * 1000;
+    expect(clock.getRemaining()).toBeNull();
+    expect(clock.isExpired()).toBe(false);
+  });
+
+  test('should format time as MM:SS.d', () => {
+    expect(clock.formatTime(0)).toBe('00:00.0');
+    expect(clock.formatTime(83456)).toBe('01:23.4');
+    expect(clock.formatTime(-100)).toBe('00:00.0');
+  });
+});
+
+describe('TimedSession', () => {
+  const testWordList = [
+    'WORLD', 'HELLO', 'GAMES', 'CODES', 'TODAY', 'PLANT',
+    'STORM', 'BRAVE', 'CRANE', 'SLATE', 'TRAIN', 'HOUSE'
+  ];
+  let now;
+
+  const play = (game, word) => {
+    word.split('').forEach(letter => game.addLetter(letter));
+    game.submitGuess();
+  };
+
+  beforeEach(() => {
+    now = 0;
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => new TimedSession(testWordList, { type: 'marathon' })).toThrow();
+  });
+
+  describe('countdown', () => {
+    test('should share one clock across games and finish when time is up', () => {
+      const session = new TimedSession(testWordList, { type: 'countdown', minutes: 1, now: () => now });
+      const game = session.nextGame();
+      expect(game.clock).toBe(session.clock);
+      expect(game.mode).toBe('countdown');
+
+      now += 10000;
+      play(game, game.targetWord);
+      session.recordResult(game);
+      expect(session.getSolvedCount()).toBe(1);
+      expect(session.results[0].elapsed).toBe(10000);
+
+      session.nextGame();
+      now += 60000;
+      expect(session.isFinished()).toBe(true);
+      expect(session.nextGame()).toBeNull();
+    });
+  });
+
+  describe('speedrun', () => {
+    test('should use a fixed set of distinct words', () => {
+      const session = new TimedSession(testWordList, { type: 'speedrun', now: () => now });
+      expect(session.targetWords).toHaveLength(SPEEDRUN_WORD_COUNT);
+      expect(new Set(session.targetWords).size).toBe(SPEEDRUN_WORD_COUNT);
+      expect(session.nextGame().targetWord).toBe(session.targetWords[0]);
+    });
+
+    test('should finish after every word and report the total time', () => {
+      const session = new TimedSession(testWordList, { type: 'speedrun', wordCount: 2, now: () => now });
+
+      for (let i = 0; i < 2; i++) {
+        const game = session.nextGame();
+        now += 3000;
+        play(game, game.targetWord);
+        session.recordResult(game);
+      }
+
+      expect(session.isFinished()).toBe(true);
+      session.finish();
+      now += 5000;
+
+      const summary = session.getSummary();
+      expect(summary.completed).toBe(true);
+      expect(summary.solved).toBe(2);
+      expect(summary.elapsed).toBe(6000);
+    });
+  });
+
+  describe('pause', () => {
+    test('should stop the clock and block input while paused', () => {
+      const session = new TimedSession(testWordList, { type: 'speedrun', now: () => now });
+      const game = session.nextGame();
+
+      now += 1000;
+      expect(session.pause()).toBe(true);
+      expect(game.addLetter('A')).toBe(false);
+      now += 5000;
+      expect(session.clock.getElapsed()).toBe(1000);
+
+      expect(session.resume()).toBe(true);
+      expect(game.addLetter('A')).toBe(true);
+    });
+
+    test('should record clock time with each guess', () => {
+      const session = new TimedSession(testWordList, { type: 'speedrun', now: () => now });
+      const game = session.nextGame();
+
+      now += 4200;
+      play(game, 'CRANE');
+      expect(game.guesses[0].elapsed).toBe(4200);
+      expect(game.guesses[0].timestamp).toBeDefined();
+    });
+  });
+});
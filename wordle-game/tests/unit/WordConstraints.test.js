@@ -0,0 +1,119 @@
+import { createConstraints, compileConstraints, matchesConstraints } from '../../src/js/WordConstraints.js';
+import { WordValidator } from '../../src/js/WordValidator.js';
+import { WordleGame } from '../../src/js/WordleGame.js';
+
+describe('WordConstraints', () => {
+  const feedback = (guess, target) => {
+    const game = new WordleGame([], { targetWord: target, wordLength: target.length });
+    return { word: guess, result: game.evaluateGuess(guess, target) };
+  };
+
+  describe('createConstraints', () => {
+    test('should collect greens, yellows and grays', () => {
+      const constraints = createConstraints([feedback('CRANE', 'CHAIR')]);
+
+      expect(constraints.greens).toEqual(['C', null, 'A', null, null]);
+      expect(constraints.yellows).toEqual({ R: [1] });
+      expect(constraints.grays).toEqual(['E', 'N']);
+      expect(constraints.minCounts).toEqual({ C: 1, R: 1, A: 1 });
+    });
+
+    test('should cap letter counts when a repeated letter is gray', () => {
+      // SPEED 对 ABIDE：第一个 E 是黄色，第二个 E 是灰色，说明只有一个 E
+      const constraints = createConstraints([feedback('SPEED', 'ABIDE')]);
+
+      expect(constraints.minCounts.E).toBe(1);
+      expect(constraints.maxCounts).toEqual({ E: 1 });
+      expect(constraints.yellows.E).toEqual([2, 3]);
+      expect(constraints.grays).toEqual(['P', 'S']);
+    });
+
+    test('should return empty constraints without guesses', () => {
+      expect(createConstraints()).toEqual({ greens: [], yellows: {}, grays: [], minCounts: {}, maxCounts: {} });
+    });
+  });
+
+  describe('compileConstraints', () => {
+    test('should match greens by position', () => {
+      const matches = compileConstraints({ greens: { 0: 'c', 4: 'k' } });
+      expect(matches('CLOCK')).toBe(true);
+      expect(matches('CLOTH')).toBe(false);
+    });
+
+    test('should require yellows away from excluded positions', () => {
+      const matches = compileConstraints({ yellows: { A: [0, 1] } });
+      expect(matches('BEACH')).toBe(true);
+      expect(matches('ABOUT')).toBe(false);
+      expect(matches('HELLO')).toBe(false);
+    });
+
+    test('should reject gray letters', () => {
+      expect(matchesConstraints('TRAIN', { grays: 'T' })).toBe(false);
+      expect(matchesConstraints('BRAIN', { grays: ['T'] })).toBe(true);
+    });
+
+    test('should apply min and max letter counts', () => {
+      expect(matchesConstraints('SPEED', { minCounts: { E: 2 } })).toBe(true);
+      expect(matchesConstraints('SPEND', { minCounts: { E: 2 } })).toBe(false);
+      expect(matchesConstraints('SPEED', { maxCounts: { E: 1 } })).toBe(false);
+    });
+
+    test('should treat a gray copy of a known letter as a count limit', () => {
+      const matches = compileConstraints({ greens: [null, null, 'E'], grays: ['E'] });
+      expect(matches('STEAK')).toBe(true);
+      expect(matches('STEEL')).toBe(false);
+    });
+
+    test('should reject words of another length', () => {
+      expect(compileConstraints({}, 5)('WORD')).toBe(false);
+    });
+
+    test('should reject positions outside the word', () => {
+      expect(() => compileConstraints({ yellows: { A: [5] } })).toThrow('位置必须在0到4之间');
+    });
+  });
+
+  describe('WordValidator.findWords', () => {
+    let validator;
+
+    beforeEach(() => {
+      validator = new WordValidator();
+    });
+
+    test('should return every matching word', () => {
+      const words = validator.findWords({ greens: ['S', 'H', null, null, null], grays: 'AEIU' });
+      expect(words).toEqual(['SHOCK', 'SHOOT', 'SHORT', 'SHOWN']);
+    });
+
+    test('should search only answers when asked', () => {
+      const constraints = { greens: [null, 'R', 'A', null, 'E'] };
+      expect(validator.findWords(constraints)).toEqual(expect.arrayContaining(['BRAVE', 'CRANE', 'CRATE', 'GRACE', 'GRADE', 'GRAPE', 'GRAVE', 'TRACE']));
+      validator.findWords(constraints, { list: 'answer' })
+        .forEach(word => expect(validator.isAnswerWord(word)).toBe(true));
+    });
+
+    test('should respect word length and limit', () => {
+      const words = validator.findWords({ yellows: { E: [] } }, { wordLength: 6, limit: 3 });
+      expect(words).toHaveLength(3);
+      expect(words.every(word => word.length === 6 && word.includes('E'))).toBe(true);
+    });
+
+    test('should always keep the answer among the matches', () => {
+      const guesses = ['CRANE', 'SLOTH', 'PIOUS'];
+      validator.getAnswerWords(5).forEach(target => {
+        const constraints = createConstraints(guesses.map(guess => feedback(guess, target)));
+        expect(validator.findWords(constraints, { list: 'answer' })).toContain(target);
+      });
+    });
+  });
+
+  describe('WordleGame.getConstraints', () => {
+    test('should build constraints from the guesses so far', () => {
+      const game = new WordleGame(['CHAIR'], { targetWord: 'CHAIR' });
+      'CRANE'.split('').forEach(letter => game.addLetter(letter));
+      game.submitGuess();
+
+      expect(game.getConstraints()).toEqual(createConstraints([feedback('CRANE', 'CHAIR')]));
+    });
+  });
+});
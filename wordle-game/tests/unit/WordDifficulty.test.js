@@ -0,0 +1,92 @@
+import {
+  DIFFICULTY_LEVELS,
+  getDifficultyLevel,
+  getFeedbackPattern,
+  normalizeDifficulty,
+  rankDifficulty,
+  rateWords,
+  simulateSolves
+} from '../../src/js/WordDifficulty.js';
+
+describe('WordDifficulty', () => {
+  describe('getFeedbackPattern', () => {
+    test('should mark correct, present and absent letters', () => {
+      expect(getFeedbackPattern('CRANE', 'CRANE')).toBe('22222');
+      expect(getFeedbackPattern('TRACE', 'CRANE')).toBe('02212');
+      expect(getFeedbackPattern('FLUFF', 'CRANE')).toBe('00000');
+    });
+
+    test('should handle repeated letters like the game', () => {
+      expect(getFeedbackPattern('SPEED', 'ABIDE')).toBe('00101');
+      expect(getFeedbackPattern('EERIE', 'THREE')).toBe('10202');
+    });
+  });
+
+  describe('levels', () => {
+    test('should map scores to levels', () => {
+      expect(getDifficultyLevel(0)).toBe('easy');
+      expect(getDifficultyLevel(30)).toBe('medium');
+      expect(getDifficultyLevel(60)).toBe('hard');
+      expect(getDifficultyLevel(100)).toBe('expert');
+      expect(getDifficultyLevel(null)).toBeNull();
+    });
+
+    test('should check difficulty names', () => {
+      DIFFICULTY_LEVELS.forEach(level => expect(normalizeDifficulty(level)).toBe(level));
+      expect(normalizeDifficulty(null)).toBeNull();
+      expect(normalizeDifficulty('')).toBeNull();
+      expect(() => normalizeDifficulty('insane')).toThrow('不支持的难度: insane');
+    });
+  });
+
+  describe('simulateSolves', () => {
+    // _IGHT 系列单词只差一个字母，随机猜测很难在六次内猜中
+    const words = ['FIGHT', 'LIGHT', 'MIGHT', 'NIGHT', 'RIGHT', 'SIGHT', 'TIGHT', 'EIGHT', 'CRANE', 'PLUMB', 'DOWNY'];
+
+    test('should be reproducible with the same seed', () => {
+      expect(simulateSolves('NIGHT', words)).toEqual(simulateSolves('NIGHT', words));
+      expect(simulateSolves('NIGHT', words, { seed: 'a', players: 50 }))
+        .not.toEqual(simulateSolves('NIGHT', words, { seed: 'b', players: 50 }));
+    });
+
+    test('should rate words with many look-alikes as harder', () => {
+      const night = simulateSolves('NIGHT', words, { players: 100 });
+      const plumb = simulateSolves('PLUMB', words, { players: 100 });
+
+      expect(night.score).toBeGreaterThan(plumb.score);
+      expect(night.failureRate).toBeGreaterThanOrEqual(plumb.failureRate);
+      expect(plumb.failureRate).toBe(0);
+    });
+
+    test('should count failures in the score', () => {
+      const result = simulateSolves('NIGHT', words, { players: 100, maxGuesses: 2 });
+      expect(result.failureRate).toBeGreaterThan(0);
+      expect(result.score).toBeGreaterThan(result.averageGuesses);
+    });
+  });
+
+  describe('ranking', () => {
+    test('should rank words against words of the same length', () => {
+      const ratings = new Map([
+        ['CRANE', { score: 3 }],
+        ['NIGHT', { score: 5 }],
+        ['PLUMB', { score: 3 }],
+        ['ABOUT', { score: 4 }],
+        ['WORD', { score: 9 }]
+      ]);
+      const difficulties = rankDifficulty(ratings);
+
+      expect(difficulties.get('CRANE')).toBe(17);
+      expect(difficulties.get('PLUMB')).toBe(17);
+      expect(difficulties.get('ABOUT')).toBe(67);
+      expect(difficulties.get('NIGHT')).toBe(100);
+      expect(difficulties.get('WORD')).toBe(50);
+    });
+
+    test('should rate every target', () => {
+      const ratings = rateWords(['CRANE', 'NIGHT'], ['CRANE', 'NIGHT', 'LIGHT']);
+      expect(Array.from(ratings.keys())).toEqual(['CRANE', 'NIGHT']);
+      expect(ratings.get('CRANE').score).toBeGreaterThanOrEqual(1);
+    });
+  });
+});
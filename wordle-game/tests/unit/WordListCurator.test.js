@@ -0,0 +1,131 @@
+import { WordListCurator, detectFormat } from '../../src/js/WordListCurator.js';
+import { parseLexiconPack } from '../../src/js/LexiconLoader.js';
+
+describe('WordListCurator', () => {
+  let curator;
+
+  beforeEach(() => {
+    curator = new WordListCurator();
+  });
+
+  describe('parse', () => {
+    test('should detect the format from the file name', () => {
+      expect(detectFormat('answers.CSV')).toBe('csv');
+      expect(detectFormat('pack.json')).toBe('json');
+      expect(detectFormat('words')).toBe('txt');
+    });
+
+    test('should read text records and skip comments', () => {
+      const entries = curator.parse('# 注释\ncrane verb 4.1 common\n\nslate\n');
+      expect(entries.map(entry => entry.word)).toEqual(['CRANE', 'SLATE']);
+      expect(entries[0].metadata).toEqual({ frequency: 4.1, partOfSpeech: 'verb', tags: ['common'], difficulty: null });
+    });
+
+    test('should read CSV with or without a header', () => {
+      const withHeader = curator.parse('word,frequency,tags\n"crane",4.1,common;bird\nslate,,\n', 'csv');
+      expect(withHeader[0]).toEqual({ word: 'crane', metadata: { frequency: 4.1, partOfSpeech: null, tags: ['common', 'bird'] } });
+      expect(withHeader[1].metadata.frequency).toBeNull();
+
+      expect(curator.parse('crane,1\nslate,2\n', 'csv').map(entry => entry.word)).toEqual(['crane', 'slate']);
+    });
+
+    test('should read JSON word arrays', () => {
+      expect(curator.parse('["crane", "slate"]', 'json').map(entry => entry.word)).toEqual(['CRANE', 'SLATE']);
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => curator.parse('', 'xml')).toThrow('不支持的单词表格式: xml');
+    });
+  });
+
+  describe('curate', () => {
+    test('should dedupe, normalise and sort words', () => {
+      const result = curator.curate(curator.parse('slate\nCrane\nCRANE\ncrane \nzero\n'));
+      expect(result.words).toEqual(['ZERO', 'CRANE', 'SLATE']);
+      expect(result.duplicates).toEqual(['CRANE', 'CRANE']);
+    });
+
+    test('should report wrong lengths and invalid characters', () => {
+      const result = curator.curate(curator.parse('ab\nhéllo\nquokkas\ncrane\nextraordinary\n'));
+      expect(result.words).toEqual(['CRANE', 'QUOKKAS']);
+      expect(result.invalid).toEqual([
+        { word: 'AB', reason: '单词长度必须在4到8之间' },
+        { word: 'EXTRAORDINARY', reason: '单词长度必须在4到8之间' },
+        { word: 'HÉLLO', reason: '单词只能包含字母' }
+      ]);
+    });
+
+    test('should only accept one length when asked', () => {
+      const fiveLetters = new WordListCurator({ wordLength: 5 });
+      const result = fiveLetters.curate(fiveLetters.parse('crane\nquokkas\n'));
+      expect(result.words).toEqual(['CRANE']);
+      expect(result.invalid).toEqual([{ word: 'QUOKKAS', reason: '单词必须是5个字母' }]);
+    });
+
+    test('should keep the metadata of the first occurrence', () => {
+      const result = curator.curate(curator.parse('crane verb 4.1\ncrane noun\n'));
+      expect(result.entries).toEqual([{ word: 'CRANE', metadata: { frequency: 4.1, partOfSpeech: 'verb', tags: [], difficulty: null } }]);
+    });
+
+    test('should use the rules of the language pack', () => {
+      const french = new WordListCurator({ language: 'fr' });
+      expect(french.curate(french.parse('école\nECOLE\n')).words).toEqual(['ECOLE']);
+    });
+  });
+
+  describe('diff', () => {
+    test('should list added, removed and unchanged words', () => {
+      expect(curator.diff(['crane', 'TRACE'], ['CRANE', 'slate'])).toEqual({
+        added: ['SLATE'],
+        removed: ['TRACE'],
+        unchanged: ['CRANE']
+      });
+    });
+  });
+
+  describe('lexicon packs', () => {
+    const entries = [
+      { word: 'CRANE', metadata: { frequency: 4.1, partOfSpeech: null, tags: ['bird'] } },
+      { word: 'SLATE', metadata: {} }
+    ];
+
+    test('should write packs the loader can parse', () => {
+      ['text', 'json'].forEach(format => {
+        const pack = curator.createPack(entries, { id: 'custom', format });
+        const parsed = parseLexiconPack(pack.text, format);
+
+        expect(parsed.map(entry => entry.word)).toEqual(['CRANE', 'SLATE']);
+        expect(parsed[0].metadata).toEqual({ frequency: 4.1, partOfSpeech: null, tags: ['bird'], difficulty: null });
+      });
+    });
+
+    test('should keep difficulty scores', () => {
+      const rated = [{ word: 'CRANE', metadata: { difficulty: 42 } }, { word: 'SLATE', metadata: { difficulty: 0 } }];
+      ['text', 'json'].forEach(format => {
+        const parsed = parseLexiconPack(curator.createPack(rated, { id: 'custom', format }).text, format);
+        expect(parsed.map(entry => entry.metadata.difficulty)).toEqual([42, 0]);
+      });
+      expect(curator.createPack(rated, { id: 'custom' }).text).toContain('CRANE - - - 42');
+    });
+
+    test('should describe the pack for the manifest', () => {
+      const pack = curator.createPack(entries, { id: 'custom', list: 'answer' });
+      expect(pack.fileName).toBe('custom.txt');
+      expect(pack.text).toContain('CRANE - 4.1 bird\nSLATE\n');
+      expect(pack.manifestEntry).toEqual({
+        id: 'custom', url: 'custom.txt', format: 'text', list: 'answer', checksum: expect.stringMatching(/^[0-9a-f]{8}$/)
+      });
+      expect(() => curator.createPack(entries)).toThrow('词库包必须有 id');
+    });
+
+    test('should bump the manifest version only when a pack changes', () => {
+      const { manifestEntry } = curator.createPack(entries, { id: 'custom' });
+      const manifest = curator.updateManifest(null, manifestEntry);
+      expect(manifest).toEqual({ version: 1, packs: [manifestEntry] });
+      expect(curator.updateManifest(manifest, manifestEntry)).toBe(manifest);
+
+      const changed = curator.createPack(entries.slice(0, 1), { id: 'custom' }).manifestEntry;
+      expect(curator.updateManifest(manifest, changed)).toEqual({ version: 2, packs: [changed] });
+    });
+  });
+});
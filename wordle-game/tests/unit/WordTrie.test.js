@@ -0,0 +1,166 @@
+import { WordTrie } from '../../src/js/WordTrie.js';
+import { SeededRandom } from '../../src/js/SeededRandom.js';
+
+describe('WordTrie', () => {
+  const words = ['CRANE', 'CRATE', 'SLATE', 'TRACE', 'SPACE', 'SPACES', 'CAT', 'CATS'];
+  let trie;
+
+  beforeEach(() => {
+    trie = new WordTrie(words);
+  });
+
+  describe('membership', () => {
+    test('should contain exactly the given words', () => {
+      expect(trie.size).toBe(words.length);
+      words.forEach(word => expect(trie.has(word)).toBe(true));
+      expect(trie.has('CA')).toBe(false);
+      expect(trie.has('CRANES')).toBe(false);
+      expect(trie.has(null)).toBe(false);
+    });
+
+    test('should iterate in alphabetical order', () => {
+      expect([...trie]).toEqual([...words].sort());
+    });
+
+    test('should share common suffixes', () => {
+      // CRATE / SLATE 共用 ATE，CRANE / TRACE / SPACE 共用末尾的 E
+      const plainTrieEdges = new Set(words.flatMap(word => word.split('').map((_, i) => word.slice(0, i + 1)))).size;
+      expect(trie.edges.length - 1).toBeLessThan(plainTrieEdges);
+    });
+
+    test('should reject words with other characters', () => {
+      expect(() => trie.add('crane')).toThrow('单词包含字母表以外的字符');
+      expect(() => new WordTrie(['HELLO!'])).toThrow('单词包含字母表以外的字符');
+    });
+
+    test('should store words of another alphabet', () => {
+      const cyrillic = new WordTrie(['СЛОВО', 'ПОЛЁТ', 'ЁЛКА', 'АЗБУКА'], { alphabet: 'АБВГДЕЁЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ' });
+      expect(cyrillic.has('ПОЛЁТ')).toBe(true);
+      expect(cyrillic.has('ПОЛЕТ')).toBe(false);
+      // 按字母表顺序遍历：Ё 排在 Е 和 Ж 之间
+      expect([...cyrillic]).toEqual(['АЗБУКА', 'ЁЛКА', 'ПОЛЁТ', 'СЛОВО']);
+      expect([...WordTrie.deserialize(cyrillic.serialize())]).toEqual([...cyrillic]);
+      expect(() => new WordTrie([], { alphabet: 'A'.repeat(65) })).toThrow('字母表最多包含64个字母');
+    });
+  });
+
+  describe('changes', () => {
+    test('should add and delete words before compacting', () => {
+      trie.add('BRAVE');
+      expect(trie.delete('CRANE')).toBe(true);
+      expect(trie.delete('CRANE')).toBe(false);
+      expect(trie.delete('HELLO')).toBe(false);
+
+      expect(trie.has('BRAVE')).toBe(true);
+      expect(trie.has('CRANE')).toBe(false);
+      expect(trie.size).toBe(words.length);
+    });
+
+    test('should keep the same words after compacting', () => {
+      trie.add('BRAVE');
+      trie.delete('CAT');
+      trie.compact();
+
+      expect(trie.added.size).toBe(0);
+      expect(trie.removed.size).toBe(0);
+      expect([...trie]).toEqual(['BRAVE', 'CATS', 'CRANE', 'CRATE', 'SLATE', 'SPACE', 'SPACES', 'TRACE']);
+    });
+
+    test('should clear all words', () => {
+      trie.clear();
+      expect(trie.size).toBe(0);
+      expect([...trie]).toEqual([]);
+      expect(trie.randomWord(5)).toBeNull();
+    });
+  });
+
+  describe('queries', () => {
+    test('should find words by prefix', () => {
+      expect(trie.wordsWithPrefix('CA')).toEqual(['CAT', 'CATS']);
+      expect(trie.wordsWithPrefix('cr', { limit: 1 })).toEqual(['CRANE']);
+      expect(trie.wordsWithPrefix('SPACE', { length: 6 })).toEqual(['SPACES']);
+      expect(trie.hasPrefix('SLA')).toBe(true);
+      expect(trie.hasPrefix('SLO')).toBe(false);
+    });
+
+    test('should find words by pattern', () => {
+      expect(trie.match('??A?E')).toEqual(['CRANE', 'CRATE', 'SLATE', 'SPACE', 'TRACE']);
+      expect(trie.match('.RA.E')).toEqual(['CRANE', 'CRATE', 'TRACE']);
+      expect(trie.match(['CS', null, 'A', 'CT', null])).toEqual(['CRATE', 'SLATE', 'SPACE']);
+    });
+
+    test('should include uncompacted words in queries', () => {
+      trie.add('CRAZE');
+      trie.delete('CRATE');
+      expect(trie.wordsWithPrefix('CRA')).toEqual(['CRANE', 'CRAZE']);
+      expect(trie.match('CRA?E')).toEqual(['CRANE', 'CRAZE']);
+      expect([...trie.wordsOfLength(5)]).not.toContain('CRATE');
+    });
+
+    test('should list words of one length', () => {
+      expect([...trie.wordsOfLength(3)]).toEqual(['CAT']);
+      expect([...trie.wordsOfLength(6)]).toEqual(['SPACES']);
+    });
+  });
+
+  describe('random sampling', () => {
+    test('should pick every word of a length with equal chance', () => {
+      const random = new SeededRandom('trie');
+      const counts = {};
+      for (let i = 0; i < 5000; i++) {
+        const word = trie.randomWord(5, () => random.next());
+        counts[word] = (counts[word] || 0) + 1;
+      }
+
+      expect(Object.keys(counts).sort()).toEqual(['CRANE', 'CRATE', 'SLATE', 'SPACE', 'TRACE']);
+      Object.values(counts).forEach(count => expect(count).toBeGreaterThan(850));
+    });
+
+    test('should index words alphabetically', () => {
+      expect([0, 1, 2, 3, 4].map(index => trie.wordAt(5, index))).toEqual(['CRANE', 'CRATE', 'SLATE', 'SPACE', 'TRACE']);
+      expect(trie.wordAt(5, 5)).toBeNull();
+    });
+
+    test('should skip deleted words and include added ones', () => {
+      ['CRANE', 'CRATE', 'SLATE', 'SPACE'].forEach(word => trie.delete(word));
+      trie.add('BRAVE');
+
+      const picked = new Set(Array.from({ length: 50 }, () => trie.randomWord(5)));
+      expect([...picked].sort()).toEqual(['BRAVE', 'TRACE']);
+    });
+
+    test('should sample distinct words', () => {
+      const sample = trie.sample(3, 5);
+      expect(new Set(sample).size).toBe(3);
+      sample.forEach(word => expect(word).toHaveLength(5));
+      expect(trie.sample(10, 5)).toHaveLength(5);
+    });
+  });
+
+  describe('serialization', () => {
+    test('should round-trip through base64', () => {
+      trie.add('BRAVE');
+      const restored = WordTrie.deserialize(trie.serialize());
+
+      expect(restored.size).toBe(trie.size);
+      expect([...restored]).toEqual([...trie]);
+    });
+
+    test('should be smaller than the plain word list', () => {
+      const many = [];
+      ['', 'RE', 'UN'].forEach(prefix => ['PACK', 'LOAD', 'TIE', 'WIND'].forEach(stem => {
+        ['', 'S', 'ED', 'ING', 'ER', 'ERS'].forEach(suffix => many.push(prefix + stem + suffix));
+      }));
+
+      expect(new WordTrie(many).toBytes().length).toBeLessThan(many.join('\n').length);
+    });
+
+    test('should reject invalid data', () => {
+      expect(() => WordTrie.deserialize('not base64!')).toThrow('词典数据格式错误');
+      expect(() => WordTrie.deserialize(btoa('WTRX0000'))).toThrow('词典数据格式错误');
+
+      const bytes = trie.toBytes();
+      expect(() => WordTrie.fromBytes(bytes.slice(0, bytes.length - 4))).toThrow('词典数据格式错误');
+    });
+  });
+});
@@ -67,6 +67,28 @@ describe('WordValidator', () => {
     });
   });
 
+  describe('word length', () => {
+    test('should validate format against configured length', () => {
+      const sixLetterValidator = new WordValidator({ wordLength: 6 });
+      expect(sixLetterValidator.validateFormat('PLANET').valid).toBe(true);
+      expect(sixLetterValidator.validateFormat('HELLO').reason).toBe('单词必须是6个字母');
+    });
+
+    test('should switch word length', () => {
+      validator.setWordLength(4);
+      expect(validator.validateWord('WORD').valid).toBe(true);
+      expect(validator.validateWord('HELLO').valid).toBe(false);
+    });
+
+    test('should return words of the current length', () => {
+      validator.setWordLength(8);
+      const words = validator.getWordsByLength();
+      expect(words.length).toBeGreaterThan(0);
+      expect(words.every(word => word.length === 8)).toBe(true);
+      expect(validator.getRandomWord()).toHaveLength(8);
+    });
+  });
+
   describe('validateWord', () => {
     test('should validate valid common words', () => {
       const result = validator.validateWord('HELLO');
@@ -94,6 +116,180 @@ describe('WordValidator', () => {
     });
   });
 
+  describe('answer list', () => {
+    test('should keep answers as a subset of allowed guesses', () => {
+      const answers = validator.getAnswerWords();
+      expect(answers.length).toBeGreaterThan(0);
+      expect(answers.length).toBeLessThan(validator.getWordsByLength().length);
+      answers.forEach(word => expect(validator.validWords.has(word)).toBe(true));
+    });
+
+    test('should spread answers across the alphabet', () => {
+      const initials = new Set(validator.getAnswerWords().map(word => word[0]));
+      expect(initials.has('A')).toBe(true);
+      expect(initials.has('W')).toBe(true);
+      expect(initials.size).toBeGreaterThan(15);
+    });
+
+    test('should report which list a word matched', () => {
+      expect(validator.validateWord('CRANE').list).toBe('allowed');
+      expect(validator.validateWord('HOUSE').list).toBe('answer');
+      expect(validator.validateWord('ZZZZZ').list).toBeUndefined();
+    });
+
+    test('should not use proper nouns as answers', () => {
+      expect(validator.isValidWord('PARIS')).toBe(true);
+      expect(validator.isAnswerWord('PARIS')).toBe(false);
+      expect(validator.getWordMetadata('PARIS').tags).toContain('proper-noun');
+    });
+
+    test('should return a random answer of the current length', () => {
+      validator.setWordLength(6);
+      const answer = validator.getRandomAnswer();
+      expect(answer).toHaveLength(6);
+      expect(validator.isAnswerWord(answer)).toBe(true);
+    });
+
+    test('should add answers and drop removed ones', () => {
+      validator.addAnswerWord('QUILT', { frequency: 3.2, partOfSpeech: 'noun', tags: ['home'] });
+      expect(validator.validateWord('QUILT').list).toBe('answer');
+      expect(validator.getAnswerWords()).toContain('QUILT');
+
+      validator.removeWord('QUILT');
+      expect(validator.isAnswerWord('QUILT')).toBe(false);
+      expect(validator.getAnswerWords()).not.toContain('QUILT');
+    });
+  });
+
+  describe('answer policy', () => {
+    test('should ship tags with the built-in list', () => {
+      expect(validator.getWordMetadata('HARRY').tags).toEqual(['proper-noun']);
+      expect(validator.getWordMetadata('TEXAS').tags).toEqual(['proper-noun']);
+      expect(validator.getWordMetadata('CALIF').tags).toEqual(['proper-noun', 'obscure']);
+      expect(validator.getWordMetadata('TEETH').tags).toEqual(['plural']);
+      expect(validator.getWordMetadata('BEGAN').tags).toEqual(['past-tense']);
+      expect(validator.getWordMetadata('CHILDREN').tags).toEqual(['people', 'plural']);
+    });
+
+    test('should keep tagged words out of the answers by default', () => {
+      ['HARRY', 'HENRY', 'JIMMY', 'JONES', 'LEWIS', 'MARIA', 'PARIS', 'TEXAS', 'CHINA', 'JAPAN', 'CALIF'].forEach(word => {
+        expect(validator.isValidWord(word)).toBe(true);
+        expect(validator.isAnswerWord(word)).toBe(false);
+      });
+      expect(validator.getAnswerWords(8)).not.toContain('CHILDREN');
+    });
+
+    test('should let policies allow more answers', () => {
+      validator.setAnswerPolicy('relaxed');
+      expect(validator.getAnswerWords(8)).toContain('CHILDREN');
+      expect(validator.isAnswerWord('PARIS')).toBe(false);
+    });
+
+    test('should block guesses with blocked tags', () => {
+      validator.addAnswerWord('CRUMB', { tags: ['offensive'] });
+      expect(validator.isAnswerWord('CRUMB')).toBe(false);
+      expect(validator.isValidWord('CRUMB')).toBe(true);
+
+      validator.setAnswerPolicy('family');
+      const result = validator.validateWord('CRUMB', { suggest: false });
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('当前规则不允许使用这个单词');
+      expect(validator.getSuggestions('CRU')).not.toContain('CRUMB');
+      expect(validator.findWords({ greens: ['C', 'R', 'U', 'M', 'B'] })).toEqual([]);
+    });
+
+    test('should accept custom policies', () => {
+      const custom = new WordValidator({ answerPolicy: { guessOnlyTags: ['food'] } });
+      expect(custom.isAnswerWord('APPLE')).toBe(false);
+      expect(custom.isAnswerWord('PARIS')).toBe(false);
+      expect(custom.isAnswerWord('HOUSE')).toBe(true);
+    });
+  });
+
+  describe('answer difficulty', () => {
+    test('should rate every built-in answer', () => {
+      [4, 5, 6, 7, 8].forEach(wordLength => {
+        validator.getAnswerWords(wordLength).forEach(word => {
+          expect(validator.getWordDifficulty(word)).not.toBeNull();
+        });
+      });
+      expect(validator.getWordDifficulty('CRANE')).toBeNull();
+    });
+
+    test('should filter answers by difficulty', () => {
+      const all = validator.getAnswerWords(5);
+      const byLevel = ['easy', 'medium', 'hard', 'expert'].map(difficulty => validator.getAnswerWords(5, { difficulty }));
+
+      expect(byLevel.reduce((sum, words) => sum + words.length, 0)).toBe(all.length);
+      byLevel.forEach(words => expect(words.length).toBeGreaterThan(all.length / 8));
+      byLevel[3].forEach(word => expect(validator.getWordDifficulty(word)).toBe('expert'));
+    });
+
+    test('should respect the answer policy', () => {
+      const words = validator.getAnswerWords(5, { difficulty: 'hard' });
+      const custom = new WordValidator({ answerPolicy: { guessOnlyTags: ['food'] } });
+      expect(custom.getAnswerWords(5, { difficulty: 'hard' })).toEqual(words.filter(word => custom.isAnswerWord(word)));
+    });
+  });
+
+  describe('word metadata', () => {
+    test('should carry frequency, part of speech and tags for answers', () => {
+      const result = validator.validateWord('apple');
+      expect(result.metadata).toEqual({ frequency: 4.8, partOfSpeech: 'noun', tags: ['food'], difficulty: expect.any(Number) });
+    });
+
+    test('should give allowed-only words empty metadata', () => {
+      expect(validator.getWordMetadata('CRANE')).toEqual({ frequency: null, partOfSpeech: null, tags: [], difficulty: null });
+    });
+
+    test('should store metadata for custom words', () => {
+      validator.addCustomWord('QUILT', { partOfSpeech: 'noun' });
+      expect(validator.getWordMetadata('QUILT').partOfSpeech).toBe('noun');
+      expect(validator.getWordMetadata('QUILT').frequency).toBeNull();
+    });
+
+    test('should return null for unknown words', () => {
+      expect(validator.getWordMetadata('ZZZZZ')).toBeNull();
+    });
+
+    test('should return copies', () => {
+      validator.getWordMetadata('APPLE').tags.push('changed');
+      expect(validator.getWordMetadata('APPLE').tags).toEqual(['food']);
+    });
+  });
+
+  describe('getCorrections', () => {
+    test('should suggest words for transposed letters', () => {
+      expect(validator.getCorrections('HLELO')[0]).toBe('HELLO');
+      expect(validator.getCorrections('ABOTU')[0]).toBe('ABOUT');
+    });
+
+    test('should prefer keyboard-adjacent typos', () => {
+      // K 紧挨着 L
+      expect(validator.getCorrections('HELKO')[0]).toBe('HELLO');
+      expect(validator.getCorrections('CRANW')[0]).toBe('CRANE');
+    });
+
+    test('should only suggest valid words of the same length', () => {
+      const corrections = validator.getCorrections('WORLS');
+      expect(corrections.length).toBeGreaterThan(0);
+      expect(corrections.every(word => word.length === 5 && validator.isValidWord(word))).toBe(true);
+    });
+
+    test('should respect limit and maximum distance', () => {
+      expect(validator.getCorrections('WORLS', { limit: 2 })).toHaveLength(2);
+      expect(validator.getCorrections('XXXXX')).toEqual([]);
+      expect(validator.getCorrections('QUIRT', { maxDistance: 0.5 })).toEqual(['QUIET']);
+    });
+
+    test('should be returned with rejected words', () => {
+      const result = validator.validateWord('HLELO');
+      expect(result.valid).toBe(false);
+      expect(result.suggestions).toContain('HELLO');
+      expect(validator.validateWord('HLELO', { suggest: false }).suggestions).toEqual([]);
+    });
+  });
+
   describe('addCustomWord', () => {
     test('should add valid custom word', () => {
       const result = validator.addCustomWord('CUSTOM');
@@ -276,6 +472,34 @@ describe('WordValidator', () => {
     });
   });
 
+  describe('compact dictionary', () => {
+    test('should store valid words in a trie', () => {
+      expect(validator.validWords.edges).toBeInstanceOf(Uint32Array);
+      expect(validator.getWordsByLength(8)).toEqual([...validator.getWordsByLength(8)].sort());
+    });
+
+    test('should round-trip through exportDictionary', () => {
+      validator.addCustomWord('ZEBUS');
+      const data = validator.exportDictionary();
+
+      const other = new WordValidator();
+      other.importWords(['APPLE']);
+      expect(other.importDictionary(data)).toBe(validator.validWords.size);
+      expect(other.isValidWord('HELLO')).toBe(true);
+      expect(other.validWords.has('ZEBUS')).toBe(true);
+    });
+
+    test('should never pick removed words at random', () => {
+      validator.setWordLength(8);
+      const [kept, ...others] = validator.getWordsByLength(8);
+      others.forEach(word => validator.removeWord(word));
+
+      for (let i = 0; i < 10; i++) {
+        expect(validator.getRandomWord()).toBe(kept);
+      }
+    });
+  });
+
   describe('importWords', () => {
     test('should import word list and replace existing', () => {
       const newWords = ['TEST1', 'TEST2', 'TEST3'];
@@ -287,4 +511,28 @@ describe('WordValidator', () => {
       expect(validator.validWords.has('HELLO')).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('language', () => {
+    test('should use the word list of the language', () => {
+      const spanish = new WordValidator({ language: 'es' });
+
+      expect(spanish.isValidWord('niños')).toBe(true);
+      expect(spanish.isValidWord('LIMÓN')).toBe(true);
+      expect(spanish.isValidWord('HELLO')).toBe(false);
+      expect(spanish.getAnswerWords()).toContain('SUEÑO');
+    });
+
+    test('should reject letters outside the alphabet', () => {
+      const russian = new WordValidator({ language: 'ru' });
+      expect(russian.validateFormat('HELLO').valid).toBe(false);
+      expect(russian.validateFormat('слово').valid).toBe(true);
+    });
+
+    test('should suggest corrections using the language keyboard', () => {
+      const german = new WordValidator({ language: 'de' });
+      // Z 和 T 在 QWERTZ 键盘上相邻
+      expect(german.getCorrections('KATTE')).toContain('KATZE');
+    });
+  });
+});
+
@@ -25,6 +25,85 @@ describe('WordleGame', () => {
       const emptyGame = new WordleGame([]);
       expect(emptyGame.targetWord).toBe('WORLD');
     });
+
+    test('should accept custom word length', () => {
+      const longGame = new WordleGame(['PLANET', 'HELLO', 'STREAM'], { wordLength: 6 });
+      expect(longGame.wordLength).toBe(6);
+      expect(['PLANET', 'STREAM']).toContain(longGame.targetWord);
+    });
+
+    test('should use default word of matching length', () => {
+      const shortGame = new WordleGame(['HELLO'], { wordLength: 4 });
+      expect(shortGame.targetWord).toHaveLength(4);
+    });
+
+    test('should reject unsupported word length', () => {
+      expect(() => new WordleGame([], { wordLength: 3 })).toThrow();
+      expect(() => new WordleGame([], { wordLength: 9 })).toThrow();
+    });
+  });
+
+  describe('generateGameId', () => {
+    test('should generate unique game IDs', () => {
+      const id1 = game.generateGameId();
+      const id2 = game.generateGameId();
+      expect(id1).not.toBe(id2);
+      expect(id1).toMatch(/^game_\d+_[a-z0-9]+$/);
+    });
+
+    test('should keep a restored game ID and start time', () => {
+      const restored = new WordleGame(testWordList, { id: 'game_1_abc', startTime: 1000 });
+      expect(restored.id).toBe('game_1_abc');
+      expect(restored.startTime).toBe(1000);
+    });
+  });
+
+  describe('events', () => {
+    test('should emit change when the current guess changes', () => {
+      const listener = jest.fn();
+      game.on('change', listener);
+
+      game.addLetter('A');
+      game.removeLetter();
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[0][0].state.currentGuess).toBe('A');
+    });
+
+    test('should emit guess and end events', () => {
+      const onGuess = jest.fn();
+      const onEnd = jest.fn();
+      game.on('guess', onGuess);
+      game.on('end', onEnd);
+      game.targetWord = 'HELLO';
+
+      game.currentGuess = 'WORLD';
+      game.submitGuess();
+      expect(onGuess).toHaveBeenCalledTimes(1);
+      expect(onGuess.mock.calls[0][0].guess.word).toBe('WORLD');
+      expect(onEnd).not.toHaveBeenCalled();
+
+      game.currentGuess = 'HELLO';
+      game.submitGuess();
+      expect(onEnd).toHaveBeenCalledTimes(1);
+      expect(onEnd.mock.calls[0][0].state.gameStatus).toBe('won');
+      expect(onEnd.mock.calls[0][0].state.endTime).not.toBeNull();
+    });
+
+    test('should emit start when the game is reset', () => {
+      const listener = jest.fn();
+      game.on('start', listener);
+      game.resetGame();
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop notifying after unsubscribe', () => {
+      const listener = jest.fn();
+      const unsubscribe = game.on('change', listener);
+      unsubscribe();
+      game.addLetter('A');
+      expect(listener).not.toHaveBeenCalled();
+    });
   });
 
   describe('addLetter', () => {
@@ -130,6 +209,66 @@ describe('WordleGame', () => {
     });
   });
 
+  describe('hard mode', () => {
+    let hardGame;
+
+    beforeEach(() => {
+      hardGame = new WordleGame(testWordList, { hardMode: true });
+      hardGame.targetWord = 'HELLO';
+      hardGame.guesses.push({
+        word: 'CELLS',
+        result: ['absent', 'correct', 'correct', 'correct', 'absent']
+      });
+      hardGame.guesses.push({
+        word: 'OWING',
+        result: ['present', 'absent', 'absent', 'absent', 'absent']
+      });
+    });
+
+    test('should require green letters to stay in place', () => {
+      expect(hardGame.getHardModeViolation('HALLO')).toBe('第2个字母必须是 E');
+    });
+
+    test('should require yellow letters to be reused', () => {
+      expect(hardGame.getHardModeViolation('BELLY')).toBe('猜测中必须包含 O');
+    });
+
+    test('should require repeated hint letters the same number of times', () => {
+      hardGame.guesses = [{
+        word: 'LLAMA',
+        result: ['present', 'present', 'absent', 'absent', 'absent']
+      }];
+      expect(hardGame.getHardModeViolation('LEMON')).toBe('猜测中必须包含 2 个 L');
+    });
+
+    test('should accept guesses that use all hints', () => {
+      expect(hardGame.getHardModeViolation('HELLO')).toBeNull();
+    });
+
+    test('should only allow switching hard mode before the first guess', () => {
+      expect(game.setHardMode(true)).toBe(true);
+      expect(game.hardMode).toBe(true);
+      expect(hardGame.setHardMode(false)).toBe(false);
+      expect(hardGame.hardMode).toBe(true);
+    });
+
+    test('should reject violating guesses on submit', () => {
+      hardGame.currentGuess = 'BELLY';
+      expect(hardGame.submitGuess()).toBe(false);
+      expect(hardGame.guesses).toHaveLength(2);
+    });
+
+    test('should not enforce rules when hard mode is off', () => {
+      game.targetWord = 'HELLO';
+      game.guesses.push({
+        word: 'CELLS',
+        result: ['absent', 'correct', 'correct', 'correct', 'absent']
+      });
+      game.currentGuess = 'WORLD';
+      expect(game.submitGuess()).toBe(true);
+    });
+  });
+
   describe('evaluateGuess', () => {
     beforeEach(() => {
       game.targetWord = 'HELLO';
@@ -156,6 +295,13 @@ describe('WordleGame', () => {
       expect(result).toEqual(['present', 'correct', 'absent', 'absent', 'correct']);
     });
 
+    test('should evaluate words longer than five letters', () => {
+      const longGame = new WordleGame([], { wordLength: 6 });
+      longGame.targetWord = 'PLANET';
+      const result = longGame.evaluateGuess('PLAYER');
+      expect(result).toEqual(['correct', 'correct', 'correct', 'absent', 'correct', 'absent']);
+    });
+
     test('should not double count duplicate letters', () => {
       game.targetWord = 'BOOKS';
       const result = game.evaluateGuess('BOOST');
@@ -212,6 +358,12 @@ describe('WordleGame', () => {
       expect(game.isValidWord('HE L0')).toBe(false);
     });
 
+    test('should follow configured word length', () => {
+      const longGame = new WordleGame([], { wordLength: 7 });
+      expect(longGame.isValidWord('PUZZLES')).toBe(true);
+      expect(longGame.isValidWord('HELLO')).toBe(false);
+    });
+
     test('should accept lowercase letters and convert them', () => {
       expect(game.isValidWord('hello')).toBe(true);
     });
@@ -268,6 +420,38 @@ describe('WordleGame', () => {
     });
   });
 
+  describe('restoreProgress', () => {
+    const savedGuesses = [
+      { word: 'WORLD', result: ['absent', 'present', 'absent', 'correct', 'absent'] }
+    ];
+
+    test('should restore guesses, used letters and current guess', () => {
+      game.targetWord = 'HELLO';
+      game.restoreProgress(savedGuesses, 'he');
+
+      expect(game.guesses).toEqual(savedGuesses);
+      expect(game.guesses).not.toBe(savedGuesses);
+      expect(game.usedLetters.has('W')).toBe(true);
+      expect(game.currentGuess).toBe('HE');
+      expect(game.gameStatus).toBe('playing');
+    });
+
+    test('should keep a fixed target word', () => {
+      const restored = new WordleGame(testWordList, { targetWord: 'codes' });
+      expect(restored.targetWord).toBe('CODES');
+    });
+
+    test('should detect a finished game', () => {
+      game.targetWord = 'WORLD';
+      game.restoreProgress([
+        { word: 'WORLD', result: ['correct', 'correct', 'correct', 'correct', 'correct'] }
+      ], 'AB');
+
+      expect(game.gameStatus).toBe('won');
+      expect(game.currentGuess).toBe('');
+    });
+  });
+
   describe('resetGame', () => {
     test('should reset all game state', () => {
       game.currentGuess = 'SOMEWORD';
@@ -289,7 +473,7 @@ describe('WordleGame', () => {
 
   describe('setWordList', () => {
     test('should set new word list and reset game', () => {
-      const newWordList = ['NEW', 'WORD', 'LIST'];
+      const newWordList = ['NEWER', 'WORDS', 'LISTS'];
       game.setWordList(newWordList);
 
       expect(game.wordList).toBe(newWordList);
@@ -298,4 +482,50 @@ describe('WordleGame', () => {
       expect(game.gameStatus).toBe('playing');
     });
   });
-});
\ No newline at end of file
+
+  describe('language', () => {
+    test('should accept letters of the language alphabet only', () => {
+      const german = new WordleGame([], { language: 'de', targetWord: 'grüße' });
+
+      expect(german.targetWord).toBe('GRÜẞE');
+      expect(german.addLetter('ß')).toBe(true);
+      expect(german.addLetter('é')).toBe(false);
+      expect(german.currentGuess).toBe('ẞ');
+    });
+
+    test('should fold accents when typing French words', () => {
+      const french = new WordleGame([], { language: 'fr', targetWord: 'ÉCOLE' });
+      'école'.split('').forEach(letter => french.addLetter(letter));
+
+      expect(french.currentGuess).toBe('ECOLE');
+      expect(french.submitGuess()).toBe(true);
+      expect(french.guesses[0].result.every(status => status === 'correct')).toBe(true);
+      expect(french.gameStatus).toBe('won');
+    });
+
+    test('should treat Ё and Е as the same letter', () => {
+      const russian = new WordleGame([], { language: 'ru', targetWord: 'ПОЛЁТ' });
+      'ПОЛЕТ'.split('').forEach(letter => russian.addLetter(letter));
+      russian.submitGuess();
+
+      expect(russian.gameStatus).toBe('won');
+      expect(russian.getGameState().language).toBe('ru');
+    });
+
+    test('should use the default word of the language', () => {
+      expect(new WordleGame([], { language: 'es', wordLength: 6 }).targetWord).toBe('CAMINO');
+    });
+  });
+
+  describe('difficulty', () => {
+    test('should keep the difficulty in the game state', () => {
+      const game = new WordleGame(['HELLO'], { difficulty: 'expert' });
+      expect(game.getGameState().difficulty).toBe('expert');
+      expect(new WordleGame(['HELLO']).getGameState().difficulty).toBeNull();
+    });
+
+    test('should reject unknown difficulties', () => {
+      expect(() => new WordleGame(['HELLO'], { difficulty: 'impossible' })).toThrow('不支持的难度: impossible');
+    });
+  });
+});
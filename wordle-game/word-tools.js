@@ -0,0 +1,110 @@
+// 单词表管理命令行工具
+//
+// 用法：
+//   node word-tools.js check <单词表> [--length 5] [--language en]
+//       报告重复、长度错误和包含无效字符的单词
+//   node word-tools.js normalize <单词表> [--output 文件] [--length 5] [--language en]
+//       去重、规范化并排序，输出为 txt（每行一条词库记录）
+//   node word-tools.js diff <旧单词表> <新单词表> [--language en]
+//       列出新增和删除的单词
+//   node word-tools.js pack <单词表> --id <词库包id> [--list allowed|answer] [--format text|json] [--dir public/lexicon]
+//       生成词库包并更新清单中的校验和和版本号
+//
+// 单词表可以是 txt（每行 '单词 [词性] [词频] [标签] [难度]'）、csv（可带 word,frequency,partOfSpeech,tags 表头）
+// 或 json（词库包格式或字符串数组），按扩展名判断，也可以用 --input-format 指定
+import fs from 'fs';
+import path from 'path';
+import { WordListCurator, detectFormat } from './src/js/WordListCurator.js';
+
+function parseArgs(argv) {
+  const args = { positional: [], options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args.options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function readList(curator, file, format) {
+  if (!file) {
+    throw new Error('缺少单词表文件');
+  }
+  return curator.parse(fs.readFileSync(file, 'utf8'), format || detectFormat(file));
+}
+
+function printReport(file, result) {
+  console.log(`${file}: ${result.words.length} 个有效单词`);
+  if (result.duplicates.length > 0) {
+    console.log(`重复 ${result.duplicates.length} 个: ${result.duplicates.join(', ')}`);
+  }
+  result.invalid.forEach(({ word, reason }) => console.log(`无效: ${word}（${reason}）`));
+}
+
+function main(argv) {
+  const { positional: [command, ...files], options } = parseArgs(argv);
+  const curator = new WordListCurator({
+    language: options.language,
+    wordLength: options.length ? parseInt(options.length, 10) : null
+  });
+
+  switch (command) {
+    case 'check': {
+      const result = curator.curate(readList(curator, files[0], options['input-format']));
+      printReport(files[0], result);
+      return result.duplicates.length > 0 || result.invalid.length > 0 ? 1 : 0;
+    }
+
+    case 'normalize': {
+      const result = curator.curate(readList(curator, files[0], options['input-format']));
+      const { text } = curator.createPack(result.entries, { id: 'words' });
+      if (options.output) {
+        fs.writeFileSync(options.output, text);
+        printReport(options.output, result);
+      } else {
+        process.stdout.write(text);
+      }
+      return 0;
+    }
+
+    case 'diff': {
+      const [before, after] = files.map(file => curator.curate(readList(curator, file, options['input-format'])).words);
+      const { added, removed, unchanged } = curator.diff(before, after);
+      added.forEach(word => console.log(`+ ${word}`));
+      removed.forEach(word => console.log(`- ${word}`));
+      console.log(`新增 ${added.length} 个，删除 ${removed.length} 个，未变 ${unchanged.length} 个`);
+      return 0;
+    }
+
+    case 'pack': {
+      const result = curator.curate(readList(curator, files[0], options['input-format']));
+      printReport(files[0], result);
+
+      const dir = options.dir || 'public/lexicon';
+      const pack = curator.createPack(result.entries, { id: options.id, list: options.list, format: options.format });
+      const manifestFile = path.join(dir, 'manifest.json');
+      const manifest = fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, 'utf8')) : null;
+      const updated = curator.updateManifest(manifest, pack.manifestEntry);
+
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, pack.fileName), pack.text);
+      fs.writeFileSync(manifestFile, `${JSON.stringify(updated, null, 2)}\n`);
+      console.log(`已写入 ${path.join(dir, pack.fileName)}（校验和 ${pack.manifestEntry.checksum}，清单版本 ${updated.version}）`);
+      return 0;
+    }
+
+    default:
+      console.log('用法: node word-tools.js <check|normalize|diff|pack> <单词表>... [选项]');
+      return command ? 1 : 0;
+  }
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(`错误: ${error.message}`);
+  process.exitCode = 1;
+}